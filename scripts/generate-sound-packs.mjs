@@ -0,0 +1,466 @@
+/**
+ * Sound Pack Generator for Baby Keyboard Smashing Game
+ * Synthesizes the animal-style and instrument clips, and the voice clips spoken when
+ * the browser has no speech synthesis, to 16-bit mono WAV files, so the packs need
+ * no external recordings. The WAVs are build output, not committed.
+ *
+ * Usage: npm run generate:sounds (also runs before npm run dev and npm run build)
+ */
+
+import { mkdirSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+import { LETTER_ITEMS, NUMBER_WORDS } from '../src/js/utils.js';
+import { VOICE_LANGUAGES } from '../src/js/voice.js';
+
+const SAMPLE_RATE = 22050;
+const BASE_FREQUENCY = 261.63; // Pitched clips are rendered at C4
+const OUTPUT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'src', 'public', 'sounds');
+const VOICE_OUTPUT_DIR = join(OUTPUT_DIR, '..', 'voice');
+
+// Deterministic noise so regenerated files are byte-identical
+let noiseSeed = 12345;
+function noise() {
+    noiseSeed = (noiseSeed * 1103515245 + 12345) & 0x7fffffff;
+    return (noiseSeed / 0x7fffffff) * 2 - 1;
+}
+
+function render(duration, sampleFn) {
+    const length = Math.floor(duration * SAMPLE_RATE);
+    const samples = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        samples[i] = sampleFn(i / SAMPLE_RATE, i);
+    }
+    return samples;
+}
+
+/**
+ * Phase-accumulating oscillator so frequency sweeps stay smooth
+ */
+function oscillator(waveFn) {
+    let phase = 0;
+    return (frequency) => {
+        phase += frequency / SAMPLE_RATE;
+        phase -= Math.floor(phase);
+        return waveFn(phase);
+    };
+}
+
+const sine = (phase) => Math.sin(phase * Math.PI * 2);
+const saw = (phase) => phase * 2 - 1;
+const square = (phase) => (phase < 0.5 ? 1 : -1);
+
+/**
+ * Two-pole resonant band-pass filter (RBJ cookbook)
+ */
+function bandpass(centerFrequency, q) {
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    return (input, frequency = centerFrequency) => {
+        const w0 = (2 * Math.PI * frequency) / SAMPLE_RATE;
+        const alpha = Math.sin(w0) / (2 * q);
+        const a0 = 1 + alpha;
+        const b0 = alpha / a0;
+        const b2 = -alpha / a0;
+        const a1 = (-2 * Math.cos(w0)) / a0;
+        const a2 = (1 - alpha) / a0;
+        const output = b0 * input + b2 * x2 - a1 * y1 - a2 * y2;
+        x2 = x1; x1 = input;
+        y2 = y1; y1 = output;
+        return output;
+    };
+}
+
+function lowpass(cutoff) {
+    let previous = 0;
+    return (input, frequency = cutoff) => {
+        const rc = 1 / (2 * Math.PI * frequency);
+        const alpha = (1 / SAMPLE_RATE) / (rc + 1 / SAMPLE_RATE);
+        previous += alpha * (input - previous);
+        return previous;
+    };
+}
+
+function envelope(t, attack, decay) {
+    const rise = Math.min(1, t / attack);
+    return rise * Math.exp(-t / decay);
+}
+
+/**
+ * Attack-sustain-release envelope for animal calls
+ */
+function swell(t, duration, attack, release) {
+    if (t < attack) {return t / attack;}
+    if (t > duration - release) {return Math.max(0, (duration - t) / release);}
+    return 1;
+}
+
+function additive(frequency, partials, decay, duration, attack = 0.003) {
+    const oscillators = partials.map(() => oscillator(sine));
+    return render(duration, (t) => {
+        let sample = 0;
+        partials.forEach(([ratio, amplitude, partialDecay = 1], index) => {
+            sample += oscillators[index](frequency * ratio) * amplitude * envelope(t, attack, decay * partialDecay);
+        });
+        return sample;
+    });
+}
+
+/**
+ * Karplus-Strong plucked string
+ */
+function pluck(frequency, duration, damping = 0.996) {
+    const period = Math.round(SAMPLE_RATE / frequency);
+    const buffer = new Float32Array(period).map(() => noise());
+    let index = 0;
+    return render(duration, () => {
+        const next = (index + 1) % period;
+        const value = buffer[index];
+        buffer[index] = damping * 0.5 * (buffer[index] + buffer[next]);
+        index = next;
+        return value;
+    });
+}
+
+function mix(...tracks) {
+    const length = Math.max(...tracks.map(({ samples, offset = 0 }) => samples.length + Math.floor(offset * SAMPLE_RATE)));
+    const output = new Float32Array(length);
+    tracks.forEach(({ samples, offset = 0, gain = 1 }) => {
+        const start = Math.floor(offset * SAMPLE_RATE);
+        samples.forEach((value, i) => {
+            output[start + i] += value * gain;
+        });
+    });
+    return output;
+}
+
+function finish(samples, peak = 0.8) {
+    const max = samples.reduce((m, value) => Math.max(m, Math.abs(value)), 0) || 1;
+    const fadeLength = Math.floor(0.01 * SAMPLE_RATE);
+    return samples.map((value, i) => {
+        const fade = Math.min(1, (samples.length - i) / fadeLength);
+        return (value / max) * peak * fade;
+    });
+}
+
+function encodeWav(samples) {
+    const buffer = Buffer.alloc(44 + samples.length * 2);
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + samples.length * 2, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20); // PCM
+    buffer.writeUInt16LE(1, 22); // mono
+    buffer.writeUInt32LE(SAMPLE_RATE, 24);
+    buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(samples.length * 2, 40);
+    samples.forEach((value, i) => {
+        buffer.writeInt16LE(Math.round(Math.max(-1, Math.min(1, value)) * 32767), 44 + i * 2);
+    });
+    return buffer;
+}
+
+const INSTRUMENTS = {
+    xylophone: () => additive(BASE_FREQUENCY, [[1, 1], [3.932, 0.4, 0.5], [9.538, 0.15, 0.3]], 0.25, 0.8),
+    piano: () => additive(BASE_FREQUENCY, [[1, 1], [2, 0.5], [3, 0.3, 0.8], [4, 0.2, 0.6], [5, 0.1, 0.5]], 0.6, 1.2, 0.005),
+    bell: () => additive(BASE_FREQUENCY, [[1, 1], [2.76, 0.5, 0.7], [5.4, 0.25, 0.5], [8.93, 0.1, 0.3]], 0.8, 1.5, 0.002),
+    guitar: () => pluck(BASE_FREQUENCY, 1.0),
+    flute: () => {
+        const tone = oscillator(sine);
+        const overtone = oscillator(sine);
+        const breath = lowpass(3000);
+        return render(0.8, (t) => {
+            const vibrato = 1 + Math.sin(t * Math.PI * 2 * 5) * 0.006;
+            const level = swell(t, 0.8, 0.06, 0.15);
+            return (tone(BASE_FREQUENCY * vibrato) + overtone(BASE_FREQUENCY * 2 * vibrato) * 0.2 + breath(noise()) * 0.15) * level;
+        });
+    },
+    harp: () => mix(
+        { samples: pluck(BASE_FREQUENCY, 1.0) },
+        { samples: pluck(BASE_FREQUENCY * 1.26, 0.9), offset: 0.1 },
+        { samples: pluck(BASE_FREQUENCY * 1.5, 0.8), offset: 0.2 },
+        { samples: pluck(BASE_FREQUENCY * 2, 0.7), offset: 0.3 }
+    ),
+    drum: () => {
+        const body = oscillator(sine);
+        const snap = lowpass(800);
+        return render(0.5, (t) => {
+            const frequency = 50 + 70 * Math.exp(-t / 0.05);
+            return body(frequency) * envelope(t, 0.002, 0.15) + snap(noise()) * envelope(t, 0.001, 0.03) * 0.5;
+        });
+    },
+    shaker: () => {
+        const filter = bandpass(6000, 1.5);
+        return render(0.3, (t) => filter(noise()) * (envelope(t, 0.01, 0.05) + envelope(Math.max(0, t - 0.15), 0.01, 0.05) * (t > 0.15 ? 1 : 0)));
+    },
+    cymbal: () => {
+        const filter = bandpass(8000, 0.7);
+        return render(1.2, (t) => filter(noise()) * envelope(t, 0.002, 0.35));
+    }
+};
+
+const ANIMALS = {
+    moo: () => {
+        const voice = oscillator(saw);
+        const formant = lowpass(600);
+        return render(1.0, (t) => {
+            const frequency = 110 - 15 * (t / 1.0);
+            const cutoff = 300 + 500 * Math.sin(Math.min(1, t / 0.6) * Math.PI / 2);
+            return formant(voice(frequency), cutoff) * swell(t, 1.0, 0.15, 0.3);
+        });
+    },
+    quack: () => {
+        const voice = oscillator(saw);
+        const nasal = bandpass(1200, 4);
+        return render(0.5, (t) => {
+            const burst = t < 0.2 ? swell(t, 0.2, 0.01, 0.08) : swell(t - 0.26, 0.2, 0.01, 0.08) * (t > 0.26 ? 1 : 0);
+            return nasal(voice(300 - 60 * ((t % 0.26) / 0.2))) * burst;
+        });
+    },
+    meow: () => {
+        const voice = oscillator(saw);
+        const formant = bandpass(1000, 3);
+        return render(0.7, (t) => {
+            const shape = Math.sin((t / 0.7) * Math.PI);
+            const frequency = 450 + 350 * shape;
+            return formant(voice(frequency), 700 + 1200 * shape) * swell(t, 0.7, 0.05, 0.2);
+        });
+    },
+    woof: () => {
+        const voice = oscillator(saw);
+        const formant = lowpass(900);
+        const bark = (t) => formant(voice(220 - 100 * (t / 0.2)) + noise() * 0.3) * envelope(t, 0.01, 0.08);
+        return render(0.6, (t) => (t < 0.25 ? bark(t) : t > 0.32 ? bark(t - 0.32) : 0));
+    },
+    tweet: () => {
+        const voice = oscillator(sine);
+        return render(0.5, (t) => {
+            const chirp = (t % 0.16) / 0.1;
+            if (chirp > 1) {return 0;}
+            return voice(3000 + 1500 * chirp) * Math.sin(chirp * Math.PI);
+        });
+    },
+    ribbit: () => {
+        const voice = oscillator(square);
+        const formant = bandpass(500, 2);
+        return render(0.5, (t) => {
+            const pulse = Math.sin(t * Math.PI * 2 * 30) > 0 ? 1 : 0.2;
+            return formant(voice(250)) * pulse * (t < 0.18 ? 1 : t > 0.24 ? 1 : 0) * swell(t, 0.5, 0.02, 0.1);
+        });
+    },
+    hoot: () => {
+        const voice = oscillator(sine);
+        return render(0.9, (t) => {
+            if (t < 0.3) {return voice(420) * swell(t, 0.3, 0.05, 0.15);}
+            if (t > 0.4) {return voice(380) * swell(t - 0.4, 0.5, 0.08, 0.3);}
+            return 0;
+        });
+    },
+    buzz: () => {
+        const voice = oscillator(saw);
+        const filter = lowpass(1500);
+        return render(0.6, (t) => filter(voice(220 + Math.sin(t * Math.PI * 2 * 9) * 15)) * swell(t, 0.6, 0.05, 0.15));
+    },
+    roar: () => {
+        const voice = oscillator(saw);
+        const filter = lowpass(400);
+        return render(0.9, (t) => filter(voice(90 + 20 * Math.sin(t * 4)) + noise() * 0.5, 300 + 400 * Math.sin((t / 0.9) * Math.PI)) * swell(t, 0.9, 0.2, 0.4));
+    }
+};
+
+function writePack(name, generators, peak) {
+    const directory = join(OUTPUT_DIR, name);
+    mkdirSync(directory, { recursive: true });
+
+    Object.entries(generators).forEach(([clip, generate]) => {
+        const file = join(directory, `${clip}.wav`);
+        writeFileSync(file, encodeWav(finish(generate(), peak)));
+        console.log(`Wrote ${file}`);
+    });
+}
+
+// Animals are a little quieter than instruments - they are sustained and busier
+writePack('instruments', INSTRUMENTS, 0.8);
+writePack('animals', ANIMALS, 0.6);
+
+/**
+ * Voice clips: a small formant voice that follows the vowels and consonants of each
+ * word's spelling. It is an imitation of speech, like the animal calls are imitations
+ * of animals - swap in real recordings with the same names for clearer words.
+ */
+const VOICE_PITCH = 260; // Hz, a bright sing-song voice
+const VOWEL_FORMANTS = {
+    a: [800, 1250], à: [800, 1250], á: [800, 1250], â: [800, 1250],
+    e: [480, 1950], é: [420, 2100], è: [560, 1800], ê: [560, 1800],
+    i: [300, 2300], í: [300, 2300], î: [300, 2300], y: [300, 2200],
+    o: [500, 900], ó: [500, 900], ô: [480, 850],
+    u: [330, 800], ú: [330, 800], û: [330, 800],
+    ä: [650, 1750], ö: [420, 1500], ü: [300, 1750]
+};
+const PLOSIVES = new Set(['b', 'c', 'd', 'g', 'k', 'p', 'q', 't']);
+const HISSES = new Set(['s', 'z', 'x', 'ç', 'ß']); // Bright fricatives
+const HUMS = new Set(['m', 'n', 'ñ', 'l', 'r', 'w']); // Voiced, with the mouth mostly closed
+const VOWEL_FIRST_LETTER_NAMES = new Set(['f', 'l', 'm', 'n', 'r', 's', 'x']); // "ef", "el"...
+
+/**
+ * Split a word into syllables: consonants leading into a run of vowels, plus a final coda
+ * @param {string} word
+ * @returns {Array<{onset: string[], vowels: string[]}>}
+ */
+function syllabify(word) {
+    const syllables = [];
+    let onset = [];
+
+    for (const letter of word.toLowerCase()) {
+        if (letter in VOWEL_FORMANTS) {
+            const last = syllables[syllables.length - 1];
+            if (last && onset.length === 0 && last.coda === undefined) {
+                last.vowels.push(letter);
+            } else {
+                if (last) {last.coda = [];}
+                syllables.push({ onset, vowels: [letter] });
+            }
+            onset = [];
+        } else if (/\p{L}/u.test(letter)) {
+            onset.push(letter);
+        }
+    }
+
+    if (syllables.length === 0) {
+        return [{ onset: [], vowels: ['a'], coda: onset }];
+    }
+    syllables[syllables.length - 1].coda = onset;
+    return syllables;
+}
+
+/**
+ * Lay a word out as timed segments the voice renders one after another
+ * @param {string} word
+ * @returns {Array<{kind: string, duration: number, letter?: string, from?: string, to?: string}>}
+ */
+function voiceSegments(word) {
+    const syllables = syllabify(word);
+    const segments = [];
+    const consonant = (letter) => {
+        if (PLOSIVES.has(letter)) {
+            segments.push({ kind: 'gap', duration: 0.03 }, { kind: 'burst', duration: 0.02, letter });
+        } else if (HUMS.has(letter)) {
+            segments.push({ kind: 'hum', duration: 0.06, letter });
+        } else {
+            segments.push({ kind: 'hiss', duration: 0.08, letter });
+        }
+    };
+
+    syllables.forEach(({ onset, vowels, coda }, index) => {
+        onset.forEach(consonant);
+        const isLast = index === syllables.length - 1;
+        segments.push({
+            kind: 'vowel',
+            duration: isLast ? 0.32 : 0.17,
+            from: vowels[0],
+            to: vowels[vowels.length - 1]
+        });
+        coda.forEach(consonant);
+    });
+
+    return segments;
+}
+
+/**
+ * Speak a word with the formant voice
+ * @param {string} word
+ * @returns {Float32Array}
+ */
+function speak(word) {
+    const segments = voiceSegments(word);
+    const duration = segments.reduce((total, segment) => total + segment.duration, 0) + 0.05;
+    const voice = oscillator(saw);
+    const firstFormant = bandpass(500, 6);
+    const secondFormant = bandpass(1500, 8);
+    const hum = lowpass(400);
+    const hiss = bandpass(5000, 1.5);
+    const breath = bandpass(2000, 0.8);
+
+    let index = 0;
+    let segmentStart = 0;
+
+    return render(duration, (t) => {
+        while (index < segments.length - 1 && t >= segmentStart + segments[index].duration) {
+            segmentStart += segments[index].duration;
+            index++;
+        }
+
+        const segment = segments[index];
+        const local = Math.min(1, (t - segmentStart) / segment.duration);
+        if (t >= segmentStart + segment.duration) {return 0;}
+
+        // Rise into the word, fall at the end like an excited "Bear!"
+        const progress = t / duration;
+        const frequency = VOICE_PITCH * (1 + 0.25 * Math.sin(Math.min(1, progress * 2.5) * Math.PI / 2) - 0.35 * progress * progress);
+        const source = voice(frequency);
+
+        switch (segment.kind) {
+            case 'vowel': {
+                const [f1From, f2From] = VOWEL_FORMANTS[segment.from];
+                const [f1To, f2To] = VOWEL_FORMANTS[segment.to];
+                const level = Math.min(1, local / 0.1, (1 - local) / 0.15);
+                return (firstFormant(source, f1From + (f1To - f1From) * local) +
+                    secondFormant(source, f2From + (f2To - f2From) * local) * 0.5) * level;
+            }
+            case 'hum':
+                return hum(source) * 0.5 * Math.sin(local * Math.PI);
+            case 'burst':
+                return breath(noise()) * (1 - local);
+            case 'hiss':
+                return (HISSES.has(segment.letter) ? hiss(noise()) : breath(noise()) * 0.6) * Math.sin(local * Math.PI) * 0.6;
+            default:
+                return 0;
+        }
+    });
+}
+
+/**
+ * Letter names as a syllable the voice can say: "bee", "ef", "oh"
+ * @param {string} letter
+ * @returns {string}
+ */
+function letterName(letter) {
+    if (letter in VOWEL_FORMANTS) {return letter;}
+    return VOWEL_FIRST_LETTER_NAMES.has(letter) ? `e${letter}` : `${letter}e`;
+}
+
+/**
+ * Write one voice pack per language: letter-<a-z>, word-<a-z> and number-<0-10>
+ * clips, plus the manifest the game reads them from
+ */
+function writeVoicePacks() {
+    Object.keys(VOICE_LANGUAGES).forEach(language => {
+        const directory = join(VOICE_OUTPUT_DIR, language);
+        mkdirSync(directory, { recursive: true });
+
+        const phrases = {};
+        Object.entries(LETTER_ITEMS).forEach(([letter, { words }]) => {
+            phrases[`letter-${letter}`] = letterName(letter);
+            phrases[`word-${letter}`] = words[language] || words.en;
+        });
+        (NUMBER_WORDS[language] || NUMBER_WORDS.en).forEach((word, number) => {
+            phrases[`number-${number}`] = word;
+        });
+
+        const clips = {};
+        Object.entries(phrases).forEach(([clip, word]) => {
+            writeFileSync(join(directory, `${clip}.wav`), encodeWav(finish(speak(word), 0.7)));
+            clips[clip] = `${clip}.wav`;
+        });
+
+        const manifest = join(directory, 'manifest.json');
+        writeFileSync(manifest, `${JSON.stringify({ language, clips }, null, 2)}\n`);
+        console.log(`Wrote ${Object.keys(clips).length} voice clips and ${manifest}`);
+    });
+}
+
+writeVoicePacks();
@@ -0,0 +1,217 @@
+/**
+ * Artwork Keepsakes for Baby Keyboard Smashing Game
+ * Freezes what's on screen into a picture and keeps the pictures in a local
+ * gallery (IndexedDB) - nothing leaves the device
+ */
+
+import { debugLog } from './utils.js';
+
+const DB_NAME = 'babyKeyboardGame';
+const DB_VERSION = 1;
+const STORE_NAME = 'artwork';
+
+const CAPTION_HEIGHT = 56; // CSS pixels of the strip with the date and name
+const CAPTION_FONT = '600 24px "Comic Sans MS", "Chalkboard SE", sans-serif';
+const MAX_SCALE = 2; // Pixel density cap, keeps pictures a sensible size
+const BACKGROUND_INNER = '#34495e'; // Same gradient as the game canvas
+const BACKGROUND_OUTER = '#2c3e50';
+
+/**
+ * Caption under a picture, e.g. "Mia - 19 October 2026"
+ * @param {Date} date
+ * @param {string} childName - Optional
+ * @returns {string}
+ */
+export function formatArtworkCaption(date, childName = '') {
+    const day = date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+    const name = childName.trim();
+    return name ? `${name} - ${day}` : day;
+}
+
+/**
+ * File name for a downloaded picture
+ * @param {Date} date
+ * @returns {string}
+ */
+export function getArtworkFileName(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `artwork-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}.png`;
+}
+
+/**
+ * Draw shapes and particles onto a fresh canvas with a clean background and a caption
+ * Everything is drawn at full opacity, as if the fade-out hadn't started
+ * @param {Object} options
+ * @param {Array<Shape>} options.shapes - e.g. shapeManager.shapes
+ * @param {Array<Particle>} options.particles - e.g. particleSystem.particles
+ * @param {number} options.width - Play area in CSS pixels
+ * @param {number} options.height
+ * @param {string} options.childName - Optional name for the caption
+ * @param {Date} options.date
+ * @param {number} options.scale - Pixel density, e.g. devicePixelRatio
+ * @param {Function} options.createCanvas - Returns a blank canvas element
+ * @returns {HTMLCanvasElement}
+ */
+export function composeArtwork({
+    shapes = [],
+    particles = [],
+    width,
+    height,
+    childName = '',
+    date = new Date(),
+    scale = 1,
+    createCanvas = () => document.createElement('canvas')
+}) {
+    const pixelScale = Math.min(Math.max(scale, 1), MAX_SCALE);
+    const canvas = createCanvas();
+    canvas.width = Math.round(width * pixelScale);
+    canvas.height = Math.round((height + CAPTION_HEIGHT) * pixelScale);
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(pixelScale, pixelScale);
+
+    // Clean background - no cursor, key history or mode overlays
+    const gradient = ctx.createRadialGradient(
+        width / 2, height / 2, 0,
+        width / 2, height / 2, Math.max(width, height) / 2
+    );
+    gradient.addColorStop(0, BACKGROUND_INNER);
+    gradient.addColorStop(1, BACKGROUND_OUTER);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height + CAPTION_HEIGHT);
+
+    // Same order as the game: particles underneath, shapes on top
+    particles.forEach(particle => particle.render(ctx, true));
+    shapes.forEach(shape => shape.render(ctx, width, height, true));
+
+    // Caption strip
+    ctx.save();
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.fillRect(0, height, width, CAPTION_HEIGHT);
+    ctx.fillStyle = BACKGROUND_OUTER;
+    ctx.font = CAPTION_FONT;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(formatArtworkCaption(date, childName), width / 2, height + CAPTION_HEIGHT / 2);
+    ctx.restore();
+
+    return canvas;
+}
+
+/**
+ * Encode a canvas as a PNG
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<Blob>}
+ */
+export function canvasToBlob(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('Could not encode the picture'));
+            }
+        }, 'image/png');
+    });
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Artwork Gallery class - saved pictures, newest first
+ */
+export class ArtworkGallery {
+    /**
+     * @param {Object} options
+     * @param {IDBFactory} options.indexedDB - Defaults to window.indexedDB
+     */
+    constructor(options = {}) {
+        this.indexedDB = options.indexedDB ||
+            (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.dbPromise = null;
+    }
+
+    isSupported() {
+        return Boolean(this.indexedDB);
+    }
+
+    /**
+     * Open (and on first use create) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('createdAt', 'createdAt');
+            };
+            this.dbPromise = promisifyRequest(request).catch(error => {
+                this.dbPromise = null; // Let the next call try again
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request against the artwork store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - store -> IDBRequest
+     * @returns {Promise<*>}
+     */
+    async withStore(mode, makeRequest) {
+        const db = await this.open();
+        const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+        return promisifyRequest(makeRequest(store));
+    }
+
+    /**
+     * Save a picture
+     * @param {Blob} blob - PNG
+     * @param {Object} details
+     * @param {string} details.childName
+     * @param {number} details.createdAt - ms since epoch
+     * @returns {Promise<number>} The new picture's id
+     */
+    async add(blob, { childName = '', createdAt = Date.now() } = {}) {
+        const id = await this.withStore('readwrite', store => store.add({ blob, childName, createdAt }));
+        debugLog(`Artwork ${id} saved`);
+        return id;
+    }
+
+    /**
+     * All saved pictures
+     * @returns {Promise<Array<{id: number, blob: Blob, childName: string, createdAt: number}>>} Newest first
+     */
+    async list() {
+        const pictures = await this.withStore('readonly', store => store.index('createdAt').getAll());
+        return pictures.reverse();
+    }
+
+    /**
+     * Delete a picture
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    async delete(id) {
+        await this.withStore('readwrite', store => store.delete(id));
+        debugLog(`Artwork ${id} deleted`);
+    }
+
+    destroy() {
+        this.dbPromise?.then(db => db.close()).catch(() => {});
+        this.dbPromise = null;
+    }
+}
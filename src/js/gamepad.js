@@ -0,0 +1,248 @@
+/**
+ * Gamepad Input for Baby Keyboard Smashing Game
+ * Lets game controllers play along: buttons act like keys, sticks move the sparkle cursor
+ */
+
+import { debugLog, announceToScreenReader } from './utils.js';
+
+/**
+ * Standard-mapping button index -> the key it stands in for
+ * https://w3c.github.io/gamepad/#remapping
+ */
+const BUTTON_KEYS = {
+    0: { code: 'KeyA', key: 'a' }, // Bottom face button (A / Cross)
+    1: { code: 'KeyB', key: 'b' }, // Right face button (B / Circle)
+    2: { code: 'KeyX', key: 'x' }, // Left face button (X / Square)
+    3: { code: 'KeyY', key: 'y' }, // Top face button (Y / Triangle)
+    4: { code: 'KeyL', key: 'l' }, // Left bumper
+    5: { code: 'KeyR', key: 'r' }, // Right bumper
+    6: { code: 'Space', key: ' ' }, // Left trigger -> explosion
+    7: { code: 'Enter', key: 'Enter' }, // Right trigger -> fireworks
+    8: { code: 'Digit1', key: '1' }, // Select / Back
+    9: { code: 'Digit2', key: '2' }, // Start
+    10: { code: 'Digit3', key: '3' }, // Left stick click
+    11: { code: 'Digit4', key: '4' }, // Right stick click
+    12: { code: 'ArrowUp', key: 'ArrowUp' }, // D-pad -> bounce
+    13: { code: 'ArrowDown', key: 'ArrowDown' },
+    14: { code: 'ArrowLeft', key: 'ArrowLeft' },
+    15: { code: 'ArrowRight', key: 'ArrowRight' },
+    16: { code: 'Digit5', key: '5' } // Home / Guide
+};
+
+// Rumble per key type: [duration ms, strong motor, weak motor]
+const RUMBLE_EFFECTS = {
+    space: [250, 0.8, 0.4],
+    enter: [300, 0.5, 0.7],
+    arrow: [60, 0, 0.3],
+    default: [40, 0, 0.2]
+};
+
+const STICK_DEADZONE = 0.2; // Worn sticks drift; ignore small tilts
+const CURSOR_SPEED = 700; // px/s at full tilt
+const MAX_POLL_INTERVAL = 100; // ms; no cursor jump after a pause
+
+/**
+ * Gamepad Input class
+ */
+export class GamepadInput {
+    /**
+     * @param {Object} options
+     * @param {Function} options.analyzeKey - Turns {code, key} into keyInfo, like KeyboardHandler.analyzeKey
+     * @param {Function} options.getGamepads - Gamepad source (navigator.getGamepads by default; inject mocks here)
+     * @param {boolean} options.rumble - Vibrate controllers that support it
+     */
+    constructor(options = {}) {
+        this.analyzeKey = options.analyzeKey;
+        this.getGamepads = options.getGamepads ||
+            (typeof navigator !== 'undefined' && navigator.getGamepads ? () => navigator.getGamepads() : () => []);
+        this.rumbleEnabled = options.rumble ?? true;
+
+        this.onKeyPress = null;
+        this.onStickMove = null;
+        this.onDisconnect = null;
+
+        // Buttons held at the last poll, by gamepad index
+        this.previousButtons = new Map();
+
+        this.handleConnected = this.handleConnected.bind(this);
+        this.handleDisconnected = this.handleDisconnected.bind(this);
+        if (typeof window !== 'undefined') {
+            window.addEventListener('gamepadconnected', this.handleConnected);
+            window.addEventListener('gamepaddisconnected', this.handleDisconnected);
+        }
+
+        debugLog('Gamepad input initialized');
+    }
+
+    /**
+     * Set callback for button presses
+     * @param {Function} callback - Called with keyInfo
+     */
+    setOnKeyPress(callback) {
+        this.onKeyPress = callback;
+    }
+
+    /**
+     * Set callback for stick movement
+     * @param {Function} callback - Called with (gamepadIndex, dx, dy) in px
+     */
+    setOnStickMove(callback) {
+        this.onStickMove = callback;
+    }
+
+    /**
+     * Set callback for a controller going away
+     * @param {Function} callback - Called with gamepadIndex
+     */
+    setOnDisconnect(callback) {
+        this.onDisconnect = callback;
+    }
+
+    setRumbleEnabled(enabled) {
+        this.rumbleEnabled = enabled;
+    }
+
+    handleConnected(event) {
+        debugLog(`Gamepad connected: ${event.gamepad.id}`);
+        announceToScreenReader('Controller connected. Press the buttons to play!');
+    }
+
+    handleDisconnected(event) {
+        this.previousButtons.delete(event.gamepad.index);
+        if (this.onDisconnect) {
+            this.onDisconnect(event.gamepad.index);
+        }
+        debugLog(`Gamepad disconnected: ${event.gamepad.id}`);
+    }
+
+    /**
+     * Read every connected gamepad once - call every frame
+     * @param {number} deltaTime - ms since the last poll
+     */
+    poll(deltaTime) {
+        const gamepads = this.getGamepads() || [];
+
+        for (const gamepad of gamepads) {
+            if (!gamepad || !gamepad.connected) {continue;}
+
+            this.pollButtons(gamepad);
+            this.pollSticks(gamepad, deltaTime);
+        }
+    }
+
+    pollButtons(gamepad) {
+        const previous = this.previousButtons.get(gamepad.index) || [];
+        const current = gamepad.buttons.map(button => Boolean(button && button.pressed));
+
+        current.forEach((pressed, index) => {
+            // Only the moment a button goes down counts, like a key press
+            if (pressed && !previous[index]) {
+                this.pressButton(gamepad, index);
+            }
+        });
+
+        this.previousButtons.set(gamepad.index, current);
+    }
+
+    pressButton(gamepad, buttonIndex) {
+        const key = BUTTON_KEYS[buttonIndex];
+        if (!key || !this.analyzeKey) {return;}
+
+        const keyInfo = this.analyzeKey(key);
+        keyInfo.source = 'gamepad';
+        keyInfo.gamepadIndex = gamepad.index;
+
+        this.rumble(gamepad, keyInfo.type);
+
+        if (this.onKeyPress) {
+            this.onKeyPress(keyInfo);
+        }
+        debugLog(`Gamepad ${gamepad.index} button ${buttonIndex} -> ${key.code}`);
+    }
+
+    pollSticks(gamepad, deltaTime) {
+        if (!this.onStickMove) {return;}
+
+        // Either stick steers; the one tilted further wins
+        const left = this.readStick(gamepad.axes[0], gamepad.axes[1]);
+        const right = this.readStick(gamepad.axes[2], gamepad.axes[3]);
+        const stick = Math.hypot(right.x, right.y) > Math.hypot(left.x, left.y) ? right : left;
+        if (stick.x === 0 && stick.y === 0) {return;}
+
+        const distance = CURSOR_SPEED * Math.min(deltaTime, MAX_POLL_INTERVAL) / 1000;
+        this.onStickMove(gamepad.index, stick.x * distance, stick.y * distance);
+    }
+
+    /**
+     * Stick position with the deadzone removed and rescaled to 0-1
+     * @param {number} x - Axis value, -1 to 1
+     * @param {number} y - Axis value, -1 to 1
+     * @returns {{x: number, y: number}}
+     */
+    readStick(x = 0, y = 0) {
+        const magnitude = Math.hypot(x, y);
+        if (magnitude < STICK_DEADZONE) {return { x: 0, y: 0 };}
+
+        const scaled = Math.min(1, (magnitude - STICK_DEADZONE) / (1 - STICK_DEADZONE));
+        return { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled };
+    }
+
+    rumble(gamepad, keyType) {
+        const actuator = gamepad.vibrationActuator;
+        if (!this.rumbleEnabled || !actuator || typeof actuator.playEffect !== 'function') {return;}
+
+        const [duration, strongMagnitude, weakMagnitude] = RUMBLE_EFFECTS[keyType] || RUMBLE_EFFECTS.default;
+        try {
+            Promise.resolve(actuator.playEffect('dual-rumble', { duration, strongMagnitude, weakMagnitude }))
+                .catch(() => {});
+        } catch (error) {
+            debugLog('Gamepad rumble failed', error);
+        }
+    }
+
+    destroy() {
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('gamepadconnected', this.handleConnected);
+            window.removeEventListener('gamepaddisconnected', this.handleDisconnected);
+        }
+        this.previousButtons.clear();
+
+        debugLog('Gamepad input destroyed');
+    }
+}
+
+/**
+ * A fake standard-mapping gamepad for testing without a controller
+ * Pass () => [mock] as getGamepads, then press buttons and tilt sticks between polls
+ * @param {number} index
+ * @returns {Object}
+ */
+export function createMockGamepad(index = 0) {
+    const effects = [];
+
+    return {
+        index,
+        id: `Mock gamepad ${index}`,
+        connected: true,
+        mapping: 'standard',
+        timestamp: 0,
+        buttons: Array.from({ length: 17 }, () => ({ pressed: false, touched: false, value: 0 })),
+        axes: [0, 0, 0, 0],
+        vibrationActuator: {
+            effects,
+            playEffect(type, params) {
+                effects.push({ type, ...params });
+                return Promise.resolve('complete');
+            }
+        },
+        press(buttonIndex) {
+            this.buttons[buttonIndex] = { pressed: true, touched: true, value: 1 };
+        },
+        release(buttonIndex) {
+            this.buttons[buttonIndex] = { pressed: false, touched: false, value: 0 };
+        },
+        setAxis(axisIndex, value) {
+            this.axes[axisIndex] = value;
+        }
+    };
+}
@@ -0,0 +1,223 @@
+/**
+ * Gesture Recognizer for Baby Keyboard Smashing Game
+ * Spots whole-hand play in the keydown/keyup stream: palm slaps, sweeps along
+ * a row, hammering one key and holding a key down
+ */
+
+import { debugLog } from './utils.js';
+import { KeyboardGeometry } from './keyboardLayout.js';
+
+const SLAP_WINDOW = 80; // ms; keys this close together come from one hand
+const SLAP_MIN_KEYS = 5;
+
+const SWEEP_MIN_KEYS = 4;
+const SWEEP_GAP = 150; // ms between neighbouring keys
+const SWEEP_MAX_STEP = 0.17; // Normalized keyboard width, about three keys
+const SWEEP_ROW_TOLERANCE = 0.21; // Normalized height, a little over one row
+
+const HAMMER_MIN_HITS = 4; // Reported every this many hits
+const HAMMER_GAP = 350; // ms between hits
+
+const HOLD_TIME = 600; // ms before a key down counts as held
+const HOLD_MAX_KEYS = 2; // A palm resting on the keys isn't a hold
+const STUCK_KEY_TIME = 10000; // ms; forget keys whose keyup never arrived
+
+/**
+ * Big effect for each gesture: shape effect, size and emoji
+ */
+export const GESTURE_EFFECTS = {
+    palmSlap: { effect: 'explosion', sizeScale: 2.5, emoji: '💥' },
+    sweep: { effect: 'rainbow', sizeScale: 1.2, emoji: '🌈' },
+    hammer: { effect: 'fireworks', sizeScale: 1.5, emoji: '🔨' },
+    hold: { effect: 'sparkle', sizeScale: 2.2, emoji: '✨' }
+};
+
+/**
+ * Gesture Recognizer class
+ * Times are passed in (ms), so synthetic timelines can drive it
+ */
+export class GestureRecognizer {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getKeyCenter - code -> {x, y} (0-1) or null; an ANSI/ISO guess by default
+     */
+    constructor(options = {}) {
+        if (options.getKeyCenter) {
+            this.getKeyCenter = options.getKeyCenter;
+        } else {
+            const geometry = new KeyboardGeometry();
+            this.getKeyCenter = code => geometry.getKeyCenter(code);
+        }
+
+        this.onGesture = null;
+        this.reset();
+    }
+
+    /**
+     * Set callback for recognized gestures
+     * @param {Function} callback - Called with {type, codes, time, ...}
+     */
+    setOnGesture(callback) {
+        this.onGesture = callback;
+    }
+
+    /**
+     * Forget all keys, e.g. when the game stops or the window loses focus
+     */
+    reset() {
+        this.downKeys = new Map(); // code -> {time, held}
+        this.recent = []; // Recent keydowns for slap detection
+        this.slapEndTime = -Infinity; // Keys until this time belong to the last slap
+        this.sweep = null; // {keys: [{code, center, time}], direction, reported}
+        this.hammer = null; // {code, count, lastTime}
+    }
+
+    emit(gesture) {
+        debugLog(`Gesture: ${gesture.type} (${gesture.codes.length} keys)`);
+        if (this.onGesture) {
+            this.onGesture(gesture);
+        }
+    }
+
+    /**
+     * Feed a keydown
+     * @param {string} code - KeyboardEvent.code
+     * @param {number} time - ms
+     * @param {boolean} repeat - KeyboardEvent.repeat (auto-repeat while held)
+     * @returns {boolean} True if the key was swallowed by a palm slap and needs no feedback of its own
+     */
+    keyDown(code, time, repeat = false) {
+        // Auto-repeat only says the key is still down
+        if (repeat) {
+            if (!this.downKeys.has(code)) {
+                this.downKeys.set(code, { time, held: false });
+            }
+            return false;
+        }
+
+        this.downKeys.set(code, { time, held: false });
+
+        // The rest of a slap that has already been reported
+        if (time - this.slapEndTime <= SLAP_WINDOW) {
+            this.slapEndTime = time;
+            return true;
+        }
+
+        if (this.checkSlap(code, time)) {
+            return true;
+        }
+
+        this.checkHammer(code, time);
+        this.checkSweep(code, time);
+        return false;
+    }
+
+    /**
+     * Feed a keyup
+     * @param {string} code
+     * @param {number} _time - ms
+     */
+    keyUp(code, _time) {
+        this.downKeys.delete(code);
+    }
+
+    /**
+     * Advance time with no key events - finds holds. Call every frame.
+     * @param {number} time - ms
+     */
+    update(time) {
+        this.downKeys.forEach((key, code) => {
+            if (time - key.time > STUCK_KEY_TIME) {
+                this.downKeys.delete(code);
+            }
+        });
+
+        if (this.downKeys.size > HOLD_MAX_KEYS) {return;}
+
+        this.downKeys.forEach((key, code) => {
+            if (key.held || time - key.time < HOLD_TIME) {return;}
+
+            key.held = true;
+            this.emit({ type: 'hold', codes: [code], time, duration: time - key.time });
+        });
+    }
+
+    /**
+     * Check whether a key is currently down
+     * @param {string} code
+     * @returns {boolean}
+     */
+    isKeyDown(code) {
+        return this.downKeys.has(code);
+    }
+
+    checkSlap(code, time) {
+        this.recent.push({ code, time });
+        this.recent = this.recent.filter(key => time - key.time <= SLAP_WINDOW);
+
+        const codes = [...new Set(this.recent.map(key => key.code))];
+        if (codes.length < SLAP_MIN_KEYS) {return false;}
+
+        this.emit({ type: 'palmSlap', codes, time });
+
+        // A slap is neither a sweep nor hammering, and the keys still arriving are part of it
+        this.recent = [];
+        this.sweep = null;
+        this.hammer = null;
+        this.slapEndTime = time;
+        return true;
+    }
+
+    checkHammer(code, time) {
+        if (this.hammer && this.hammer.code === code && time - this.hammer.lastTime <= HAMMER_GAP) {
+            this.hammer.count++;
+            this.hammer.lastTime = time;
+        } else {
+            this.hammer = { code, count: 1, lastTime: time };
+        }
+
+        if (this.hammer.count % HAMMER_MIN_HITS === 0) {
+            this.emit({ type: 'hammer', codes: [code], time, count: this.hammer.count });
+        }
+    }
+
+    checkSweep(code, time) {
+        const center = this.getKeyCenter(code);
+        if (!center) {
+            this.sweep = null;
+            return;
+        }
+
+        const key = { code, center, time };
+        if (!this.sweep || !this.continuesSweep(key)) {
+            this.sweep = { keys: [key], direction: 0, reported: false };
+            return;
+        }
+
+        const previous = this.sweep.keys[this.sweep.keys.length - 1];
+        this.sweep.direction = Math.sign(center.x - previous.center.x);
+        this.sweep.keys.push(key);
+
+        if (!this.sweep.reported && this.sweep.keys.length >= SWEEP_MIN_KEYS) {
+            this.sweep.reported = true;
+            this.emit({
+                type: 'sweep',
+                codes: this.sweep.keys.map(sweepKey => sweepKey.code),
+                time,
+                direction: this.sweep.direction > 0 ? 'right' : 'left'
+            });
+        }
+    }
+
+    continuesSweep(key) {
+        const previous = this.sweep.keys[this.sweep.keys.length - 1];
+        const first = this.sweep.keys[0];
+        const step = key.center.x - previous.center.x;
+
+        return key.time - previous.time <= SWEEP_GAP &&
+            step !== 0 &&
+            Math.abs(step) <= SWEEP_MAX_STEP &&
+            Math.abs(key.center.y - first.center.y) <= SWEEP_ROW_TOLERANCE &&
+            (this.sweep.direction === 0 || Math.sign(step) === this.sweep.direction);
+    }
+}
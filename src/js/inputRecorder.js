@@ -0,0 +1,266 @@
+/**
+ * Input Recorder and Replay for Baby Keyboard Smashing Game
+ * Logs every key, pointer and parent action with its time on the game clock so a
+ * session can be played back on the same timeline - for bug reports and regression fixtures
+ */
+
+import { debugLog } from './utils.js';
+
+export const INPUT_LOG_FORMAT = 'baby-keyboard-input-log';
+export const INPUT_LOG_VERSION = 1;
+
+const MAX_EVENTS = 100000; // About an hour of busy mashing and mouse wiggling
+
+/**
+ * Copy of a keyInfo or gesture that survives JSON (no functions or DOM objects)
+ * @param {Object} value
+ * @returns {Object}
+ */
+function cloneForLog(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Turn a log into JSON for download
+ * @param {Object} log - From InputRecorder.stop()
+ * @returns {string}
+ */
+export function serializeInputLog(log) {
+    return JSON.stringify(log, null, 2);
+}
+
+/**
+ * Read a log exported by serializeInputLog
+ * @param {string} text
+ * @returns {Object}
+ * @throws {Error} If the text isn't a recording this version can play
+ */
+export function parseInputLog(text) {
+    let log;
+    try {
+        log = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Not an input recording (invalid JSON)');
+    }
+
+    if (!log || log.format !== INPUT_LOG_FORMAT) {
+        throw new Error('Not an input recording');
+    }
+    if (log.version > INPUT_LOG_VERSION) {
+        throw new Error(`Recording is from a newer version (${log.version})`);
+    }
+    if (!Array.isArray(log.events) || typeof log.seed !== 'number') {
+        throw new Error('Recording is missing its events or seed');
+    }
+
+    return log;
+}
+
+/**
+ * Input Recorder class
+ */
+export class InputRecorder {
+    /**
+     * @param {Object} options
+     * @param {Function} options.now - ms clock, performance.now by default
+     */
+    constructor(options = {}) {
+        this.now = options.now || (() => performance.now());
+        this.log = null;
+        this.startTime = 0;
+    }
+
+    isRecording() {
+        return Boolean(this.log);
+    }
+
+    /**
+     * Start a new log
+     * @param {Object} details
+     * @param {number} details.seed - Seed the random helpers were given
+     * @param {string} details.mode - Game mode at the start
+     * @param {{width: number, height: number}} details.viewport - Play area in CSS pixels
+     */
+    start({ seed, mode = 'freePlay', viewport = null }) {
+        this.startTime = this.now();
+        this.log = {
+            format: INPUT_LOG_FORMAT,
+            version: INPUT_LOG_VERSION,
+            recordedAt: new Date().toISOString(),
+            seed,
+            mode,
+            viewport,
+            duration: 0,
+            events: []
+        };
+        debugLog(`Input recording started (seed ${seed})`);
+    }
+
+    /**
+     * Finish the log
+     * @returns {Object|null} The finished log
+     */
+    stop() {
+        const log = this.log;
+        if (!log) {return null;}
+
+        log.duration = this.now() - this.startTime;
+        this.log = null;
+        debugLog(`Input recording stopped (${log.events.length} events)`);
+        return log;
+    }
+
+    record(type, data) {
+        if (!this.log) {return;}
+        if (this.log.events.length >= MAX_EVENTS) {
+            this.log.truncated = true; // Keep what we have; the rest is dropped
+            return;
+        }
+
+        this.log.events.push({ time: this.now() - this.startTime, type, ...data });
+    }
+
+    /**
+     * @param {Object} keyInfo - As passed to handleKeyPress
+     */
+    recordKey(keyInfo) {
+        this.record('key', { keyInfo: cloneForLog(keyInfo) });
+    }
+
+    /**
+     * @param {string} code - Key that was let go
+     */
+    recordKeyRelease(code) {
+        this.record('keyRelease', { code });
+    }
+
+    /**
+     * @param {Object} gesture - From GestureRecognizer
+     */
+    recordGesture(gesture) {
+        this.record('gesture', { gesture: cloneForLog(gesture) });
+    }
+
+    /**
+     * @param {Object} onset - From MicrophoneInput
+     */
+    recordMicrophoneOnset(onset) {
+        this.record('microphoneOnset', { onset: cloneForLog(onset) });
+    }
+
+    /**
+     * @param {PointerEvent} event
+     * @param {{x: number, y: number}} position - CSS pixels on the canvas
+     */
+    recordPointer(event, position) {
+        this.record('pointer', {
+            pointer: {
+                type: event.type,
+                pointerId: event.pointerId,
+                pointerType: event.pointerType,
+                isPrimary: event.isPrimary,
+                button: event.button,
+                x: position.x,
+                y: position.y
+            }
+        });
+    }
+
+    /**
+     * @param {string} action - Parent control action, e.g. 'clearScreen'
+     */
+    recordParentAction(action) {
+        this.record('parentAction', { action });
+    }
+}
+
+/**
+ * Input Replay class - feeds a log back in, on the same timeline
+ */
+export class InputReplay {
+    /**
+     * @param {Object} handlers - One function per event type, called with the event
+     * @param {Function} handlers.key
+     * @param {Function} handlers.keyRelease
+     * @param {Function} handlers.gesture
+     * @param {Function} handlers.microphoneOnset
+     * @param {Function} handlers.pointer
+     * @param {Function} handlers.parentAction
+     */
+    constructor(handlers = {}) {
+        this.handlers = handlers;
+        this.log = null;
+        this.nextIndex = 0;
+        this.startTime = 0;
+        this.onComplete = null;
+    }
+
+    isPlaying() {
+        return Boolean(this.log);
+    }
+
+    /**
+     * Set callback for the end of the log
+     * @param {Function} callback - Called with the log
+     */
+    setOnComplete(callback) {
+        this.onComplete = callback;
+    }
+
+    /**
+     * Start playing a log. The caller seeds the random helpers and clears the
+     * screen first, so the session starts from where the recording did.
+     * @param {Object} log - From InputRecorder.stop() or parseInputLog()
+     * @param {number} time - ms, the clock update() will be given
+     */
+    start(log, time) {
+        this.log = log;
+        this.nextIndex = 0;
+        this.startTime = time;
+        debugLog(`Replaying ${log.events.length} input events (seed ${log.seed})`);
+    }
+
+    /**
+     * Play every event that is due. Call every frame.
+     * @param {number} time - ms
+     */
+    update(time) {
+        if (!this.log) {return;}
+
+        const elapsed = time - this.startTime;
+        const { events } = this.log;
+
+        while (this.nextIndex < events.length && events[this.nextIndex].time <= elapsed) {
+            const event = events[this.nextIndex++];
+            const handler = this.handlers[event.type];
+            if (handler) {
+                handler(event);
+            }
+        }
+
+        if (this.nextIndex >= events.length && elapsed >= this.log.duration) {
+            const log = this.log;
+            this.stop();
+            if (this.onComplete) {
+                this.onComplete(log);
+            }
+        }
+    }
+
+    /**
+     * Share of the log played so far
+     * @returns {number} 0-1
+     */
+    getProgress() {
+        if (!this.log || this.log.events.length === 0) {return 0;}
+        return this.nextIndex / this.log.events.length;
+    }
+
+    stop() {
+        if (!this.log) {return;}
+
+        this.log = null;
+        this.nextIndex = 0;
+        debugLog('Input replay stopped');
+    }
+}
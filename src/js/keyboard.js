@@ -4,6 +4,13 @@
  */
 
 import { debugLog, announceToScreenReader } from './utils.js';
+import { GestureRecognizer } from './gestures.js';
+import { isLetter, getLetterInfo } from './locales.js';
+import { rng } from './random.js';
+
+const random = rng.stream('keyboard');
+
+const MAX_COMPOSED_KEYS = 10; // Letters of one IME composition that each get a shape
 
 /**
  * Keys that should be blocked to prevent accidental browser/system actions
@@ -37,15 +44,173 @@ const BLOCKED_KEYS = new Set([
 ]);
 
 /**
- * Parent control key combinations
+ * Default parent control key combinations (parents can rebind these)
  */
-const PARENT_CONTROLS = {
-    exit: { ctrl: true, shift: true, key: 'Escape' },
+export const DEFAULT_PARENT_CONTROLS = {
+    exit: { ctrl: true, shift: true, key: 'KeyX' }, // Not Ctrl+Shift+Esc: Windows opens Task Manager
     toggleSound: { ctrl: true, shift: true, key: 'KeyM' },
     clearScreen: { ctrl: true, shift: true, key: 'KeyC' },
     showControls: { ctrl: true, shift: true, key: 'KeyP' }
 };
 
+/**
+ * Modifier flags a parent control combination can use
+ */
+const MODIFIER_FLAGS = ['ctrl', 'shift', 'alt', 'meta'];
+
+/**
+ * Key codes that are modifiers themselves and can't be the main key of a combo
+ */
+const MODIFIER_CODES = new Set([
+    'Shift', 'ShiftLeft', 'ShiftRight',
+    'Control', 'ControlLeft', 'ControlRight',
+    'Alt', 'AltLeft', 'AltRight', 'AltGraph',
+    'Meta', 'MetaLeft', 'MetaRight',
+    'OS', 'OSLeft', 'OSRight',
+    'CapsLock', 'Fn'
+]);
+
+/**
+ * Combinations the operating system or browser usually grabs before the page sees them
+ */
+const OS_RESERVED_COMBOS = [
+    { ctrl: true, shift: true, key: 'Escape', reason: 'opens Task Manager on Windows' },
+    { ctrl: true, alt: true, key: 'Delete', reason: 'opens the security screen on Windows' },
+    { ctrl: true, alt: true, key: 'Backspace', reason: 'can restart the desktop session on Linux' },
+    { ctrl: true, alt: true, key: 'ArrowLeft', reason: 'switches workspaces on Linux' },
+    { ctrl: true, alt: true, key: 'ArrowRight', reason: 'switches workspaces on Linux' },
+    { ctrl: true, alt: true, key: 'KeyT', reason: 'opens a terminal on Linux' },
+    { ctrl: true, shift: true, key: 'KeyQ', reason: 'quits the browser on some systems' },
+    { ctrl: true, shift: true, key: 'KeyW', reason: 'closes the browser window' },
+    { ctrl: true, shift: true, key: 'KeyN', reason: 'opens a private browser window' },
+    { ctrl: true, shift: true, key: 'KeyT', reason: 'reopens a closed browser tab' },
+    { ctrl: true, shift: true, key: 'KeyI', reason: 'opens browser developer tools' },
+    { ctrl: true, shift: true, key: 'KeyJ', reason: 'opens the browser console' },
+    { ctrl: true, shift: true, key: 'Delete', reason: 'opens clear browsing data' },
+    { ctrl: true, shift: true, key: 'Tab', reason: 'switches browser tabs' },
+    { meta: true, shift: true, key: 'KeyQ', reason: 'logs out on macOS' },
+    { meta: true, alt: true, key: 'Escape', reason: 'opens Force Quit on macOS' },
+    { meta: true, shift: true, key: 'Digit3', reason: 'takes a screenshot on macOS' },
+    { meta: true, shift: true, key: 'Digit4', reason: 'takes a screenshot on macOS' },
+    { meta: true, shift: true, key: 'KeyS', reason: 'opens the snipping tool on Windows' }
+];
+
+/**
+ * Readable names for key codes shown to parents
+ */
+const KEY_DISPLAY_NAMES = {
+    Escape: 'Esc',
+    Space: 'Space',
+    Enter: 'Enter',
+    Backspace: 'Backspace',
+    Delete: 'Del',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→'
+};
+
+/**
+ * Count the modifiers used by a combination
+ * @param {Object} combo
+ * @returns {number}
+ */
+function countModifiers(combo) {
+    return MODIFIER_FLAGS.filter(flag => combo[flag]).length;
+}
+
+/**
+ * Check whether two combinations use exactly the same modifiers and key
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function isSameCombo(a, b) {
+    return a.key === b.key && MODIFIER_FLAGS.every(flag => !!a[flag] === !!b[flag]);
+}
+
+/**
+ * Build a combination from a keyboard event
+ * @param {KeyboardEvent} event
+ * @returns {Object|null} Combination, or null if only a modifier was pressed
+ */
+export function comboFromEvent(event) {
+    if (MODIFIER_CODES.has(event.code) || MODIFIER_CODES.has(event.key)) {
+        return null;
+    }
+
+    const combo = { key: event.code };
+    if (event.ctrlKey) {combo.ctrl = true;}
+    if (event.shiftKey) {combo.shift = true;}
+    if (event.altKey) {combo.alt = true;}
+    if (event.metaKey) {combo.meta = true;}
+
+    return combo;
+}
+
+/**
+ * Format a combination for display, e.g. "Ctrl+Shift+P"
+ * @param {Object} combo
+ * @returns {string}
+ */
+export function formatCombo(combo) {
+    if (!combo) {return '';}
+
+    const parts = [];
+    if (combo.ctrl) {parts.push('Ctrl');}
+    if (combo.alt) {parts.push('Alt');}
+    if (combo.shift) {parts.push('Shift');}
+    if (combo.meta) {parts.push('Meta');}
+
+    const key = combo.key || '';
+    parts.push(KEY_DISPLAY_NAMES[key] || key.replace(/^Key/, '').replace(/^Digit/, ''));
+
+    return parts.join('+');
+}
+
+/**
+ * Validate a parent control combination
+ * Errors make the binding unusable, warnings are shown to the parent but allowed
+ * @param {Object} combo - Combination to check
+ * @param {Object} otherBindings - Other actions' combinations, keyed by action
+ * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+ */
+export function validateParentBinding(combo, otherBindings = {}) {
+    const errors = [];
+    const warnings = [];
+
+    if (!combo || !combo.key) {
+        errors.push('A shortcut needs a main key.');
+        return { valid: false, errors, warnings };
+    }
+
+    if (MODIFIER_CODES.has(combo.key)) {
+        errors.push('The main key cannot be a modifier like Ctrl or Shift.');
+    }
+
+    // Random mashing rarely holds two modifiers and hits the right key at once
+    if (countModifiers(combo) < 2) {
+        errors.push('Use at least two modifiers (Ctrl, Shift, Alt or Meta) so little hands can\'t hit it by accident.');
+    }
+
+    for (const [action, other] of Object.entries(otherBindings)) {
+        if (other && isSameCombo(combo, other)) {
+            errors.push(`${formatCombo(combo)} is already used for "${action}".`);
+        }
+    }
+
+    if (BLOCKED_KEYS.has(combo.key)) {
+        warnings.push(`${formatCombo(combo)} uses a key the browser may act on before the game sees it.`);
+    }
+
+    const reserved = OS_RESERVED_COMBOS.find(reservedCombo => isSameCombo(combo, reservedCombo));
+    if (reserved) {
+        warnings.push(`${formatCombo(combo)} ${reserved.reason}, so it may never reach the game.`);
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
 /**
  * Special effects for certain key combinations or keys
  */
@@ -72,27 +237,66 @@ const KEY_SOUND_MAP = {
 };
 
 export class KeyboardHandler {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {EventTarget} options.document - Where key events are heard, the page by default
+     * @param {EventTarget} options.window - Where blur is heard, the window by default
+     */
+    constructor(options = {}) {
+        this.document = options.document || document;
+        this.window = options.window || window;
+
         this.gameActive = false;
         this.onKeyPress = null; // Callback for game key presses
         this.onParentControl = null; // Callback for parent controls
+        this.onGesture = null; // Callback for palm slaps, sweeps, hammering and holds
+        this.onKeyRelease = null; // Callback for a key that made feedback coming back up
+        this.pressedKeys = new Set(); // Codes of keys that made feedback and are still down
         this.keyPressCount = 0;
         this.lastKeyTime = 0;
 
+        // Parent control bindings (copied so rebinding never touches the defaults)
+        this.parentControls = { ...DEFAULT_PARENT_CONTROLS };
+        this.comboCaptureCallback = null; // Set while a parent is recording a new shortcut
+        this.keyInterceptor = null; // Receives all keys while a parent dialog is open
+        this.imeTarget = null; // Hidden text field that input methods (Japanese, Chinese...) type into
+
+        // Whole-hand play, seen across many key events
+        this.gestureRecognizer = new GestureRecognizer();
+        this.gestureRecognizer.setOnGesture(gesture => {
+            if (this.onGesture) {
+                this.onGesture(gesture);
+            }
+        });
+
         this.init();
     }
 
     init() {
         // Bind keyboard events
-        document.addEventListener('keydown', this.handleKeyDown.bind(this));
-        document.addEventListener('keyup', this.handleKeyUp.bind(this));
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+        this.document.addEventListener('keydown', this.handleKeyDown);
+        this.document.addEventListener('keyup', this.handleKeyUp);
+
+        // Input methods deliver finished text instead of key presses
+        this.handleCompositionEnd = this.handleCompositionEnd.bind(this);
+        this.document.addEventListener('compositionend', this.handleCompositionEnd);
+
+        // Keys released while the window is in the background never send keyup
+        this.handleBlur = () => {
+            this.gestureRecognizer.reset();
+            this.releaseAllKeys();
+        };
+        this.window.addEventListener('blur', this.handleBlur);
 
         // Prevent context menu on right-click during game
-        document.addEventListener('contextmenu', (e) => {
+        this.handleContextMenu = (e) => {
             if (this.gameActive) {
                 e.preventDefault();
             }
-        });
+        };
+        this.document.addEventListener('contextmenu', this.handleContextMenu);
 
         debugLog('Keyboard handler initialized');
     }
@@ -106,11 +310,30 @@ export class KeyboardHandler {
 
         debugLog(`Key pressed: ${event.code} (${event.key})`);
 
+        // Recording a new parent shortcut takes every key until it completes
+        if (this.comboCaptureCallback) {
+            this.handleComboCapture(event);
+            return;
+        }
+
+        // Parent dialogs (like the grown-up check) take every key while open
+        if (this.keyInterceptor) {
+            event.preventDefault();
+            event.stopImmediatePropagation();
+            this.keyInterceptor.handleKeyDown(event);
+            return;
+        }
+
         // Check for parent controls first
         if (this.checkParentControls(event)) {
             return;
         }
 
+        // Let parents type into form fields in the parent controls panel
+        if (this.isFormField(event.target)) {
+            return;
+        }
+
         // If game is not active, don't process game keys
         if (!this.gameActive) {
             return;
@@ -124,10 +347,26 @@ export class KeyboardHandler {
             return;
         }
 
+        // An input method is building text - the finished text arrives with compositionend
+        if (event.isComposing || event.key === 'Process') {
+            return;
+        }
+
         // Prevent default behavior for all keys during gameplay
         event.preventDefault();
         event.stopPropagation();
 
+        // Gestures see every key, even ones the cooldown below drops.
+        // Keys swallowed by a palm slap get the slap's big effect instead of their own.
+        if (this.gestureRecognizer.keyDown(event.code, now, event.repeat)) {
+            return;
+        }
+
+        // Auto-repeat is the key still being held - its first press already owns the shape and note
+        if (event.repeat) {
+            return;
+        }
+
         // Check for rapid key pressing (prevent spam) - reduced for better responsiveness
         if (now - this.lastKeyTime < 20) { // 20ms cooldown for better responsiveness
             return;
@@ -144,6 +383,8 @@ export class KeyboardHandler {
 
         // Determine key type and effect
         const keyInfo = this.analyzeKey(event);
+        keyInfo.source = 'keyboard';
+        this.pressedKeys.add(event.code);
 
         // Call the game callback with key information
         if (this.onKeyPress && typeof this.onKeyPress === 'function') {
@@ -161,7 +402,88 @@ export class KeyboardHandler {
      * @param {KeyboardEvent} event
      */
     handleKeyUp(event) {
-        // Currently not used, but available for future features
+        this.keyInterceptor?.handleKeyUp?.(event);
+
+        this.gestureRecognizer.keyUp(event.code, performance.now());
+        this.releaseKey(event.code);
+    }
+
+    /**
+     * Turn text finished in an input method into key presses, one per letter
+     * @param {CompositionEvent} event
+     */
+    handleCompositionEnd(event) {
+        if (this.imeTarget && event.target === this.imeTarget) {
+            this.imeTarget.value = '';
+        }
+        if (!this.gameActive || !event.data) {return;}
+
+        [...event.data].slice(0, MAX_COMPOSED_KEYS).forEach(character => {
+            const keyInfo = this.analyzeKey({ code: '', key: character });
+            keyInfo.source = 'ime';
+            this.keyPressCount++;
+
+            if (this.onKeyPress) {
+                this.onKeyPress(keyInfo);
+            }
+        });
+        this.lastKeyTime = performance.now();
+
+        debugLog(`Composed text: ${event.data}`);
+    }
+
+    /**
+     * Give input methods somewhere to type - focused while the game runs
+     * @param {HTMLInputElement|null} element - Hidden text field, or null on devices where it would open an on-screen keyboard
+     */
+    setImeTarget(element) {
+        this.imeTarget = element;
+    }
+
+    /**
+     * End a held key
+     * @param {string} code - KeyboardEvent.code
+     */
+    releaseKey(code) {
+        if (!this.pressedKeys.delete(code)) {return;}
+
+        if (this.onKeyRelease) {
+            this.onKeyRelease(code);
+        }
+    }
+
+    /**
+     * End every held key, e.g. when no keyup is coming
+     */
+    releaseAllKeys() {
+        [...this.pressedKeys].forEach(code => this.releaseKey(code));
+    }
+
+    /**
+     * Advance time-based gestures (held keys) - call every frame
+     * @param {number} time - performance.now() timestamp
+     */
+    updateGestures(time) {
+        if (this.gameActive) {
+            this.gestureRecognizer.update(time);
+        }
+    }
+
+    /**
+     * Check if an event target is a form field a parent is typing into
+     * @param {EventTarget} target
+     * @returns {boolean}
+     */
+    isFormField(target) {
+        return !!target && target !== this.imeTarget && ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName);
+    }
+
+    /**
+     * Route all key events to an interceptor instead of the game
+     * @param {Object|null} interceptor - Object with handleKeyDown (and optionally handleKeyUp), or null to restore
+     */
+    setKeyInterceptor(interceptor) {
+        this.keyInterceptor = interceptor;
     }
 
     /**
@@ -190,7 +512,7 @@ export class KeyboardHandler {
      * @returns {boolean} True if parent control was triggered
      */
     checkParentControls(event) {
-        for (const [action, combo] of Object.entries(PARENT_CONTROLS)) {
+        for (const [action, combo] of Object.entries(this.parentControls)) {
             if (this.matchesKeyCombo(event, combo)) {
                 event.preventDefault();
                 event.stopPropagation();
@@ -214,7 +536,7 @@ export class KeyboardHandler {
      * @returns {boolean}
      */
     isParentControl(event) {
-        for (const combo of Object.values(PARENT_CONTROLS)) {
+        for (const combo of Object.values(this.parentControls)) {
             if (this.matchesKeyCombo(event, combo)) {
                 return true;
             }
@@ -223,16 +545,132 @@ export class KeyboardHandler {
     }
 
     /**
-     * Check if event matches a key combination
+     * Apply saved parent control bindings, keeping defaults for invalid entries
+     * @param {Object} bindings - Combinations keyed by action
+     */
+    setParentControlBindings(bindings = {}) {
+        this.parentControls = { ...DEFAULT_PARENT_CONTROLS };
+
+        for (const action of Object.keys(DEFAULT_PARENT_CONTROLS)) {
+            const combo = bindings[action];
+            if (!combo) {continue;}
+
+            const others = { ...this.parentControls };
+            delete others[action];
+
+            if (validateParentBinding(combo, others).valid) {
+                this.parentControls[action] = { ...combo };
+            } else {
+                debugLog(`Ignoring invalid saved binding for ${action}`);
+            }
+        }
+    }
+
+    /**
+     * Get a copy of the current parent control bindings
+     * @returns {Object}
+     */
+    getParentControlBindings() {
+        return JSON.parse(JSON.stringify(this.parentControls));
+    }
+
+    /**
+     * Get the bindings a parent has changed from the defaults, for saving
+     * @returns {Object}
+     */
+    getReboundParentControls() {
+        const rebound = {};
+        Object.entries(this.parentControls).forEach(([action, combo]) => {
+            if (!isSameCombo(combo, DEFAULT_PARENT_CONTROLS[action])) {
+                rebound[action] = { ...combo };
+            }
+        });
+        return rebound;
+    }
+
+    /**
+     * Bind a parent control action to a new combination
+     * @param {string} action - Parent control action name
+     * @param {Object} combo - New combination
+     * @returns {{valid: boolean, errors: string[], warnings: string[]}}
+     */
+    rebindParentControl(action, combo) {
+        if (!(action in DEFAULT_PARENT_CONTROLS)) {
+            return { valid: false, errors: [`Unknown parent control "${action}".`], warnings: [] };
+        }
+
+        const others = { ...this.parentControls };
+        delete others[action];
+
+        const result = validateParentBinding(combo, others);
+        if (result.valid) {
+            this.parentControls[action] = { ...combo };
+            debugLog(`Parent control ${action} bound to ${formatCombo(combo)}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Restore the default parent control bindings
+     */
+    resetParentControlBindings() {
+        this.parentControls = { ...DEFAULT_PARENT_CONTROLS };
+        debugLog('Parent control bindings reset');
+    }
+
+    /**
+     * Record the next key combination instead of handling it
+     * @param {Function} callback - Receives the combination, or null if cancelled
+     */
+    captureNextCombo(callback) {
+        this.comboCaptureCallback = callback;
+    }
+
+    /**
+     * Stop recording a key combination
+     */
+    cancelComboCapture() {
+        const callback = this.comboCaptureCallback;
+        this.comboCaptureCallback = null;
+
+        if (callback) {
+            callback(null);
+        }
+    }
+
+    /**
+     * Handle a keydown while recording a combination
+     * @param {KeyboardEvent} event
+     */
+    handleComboCapture(event) {
+        event.preventDefault();
+        event.stopImmediatePropagation();
+
+        // Plain Escape cancels recording
+        if (event.code === 'Escape' && !event.ctrlKey && !event.shiftKey && !event.altKey && !event.metaKey) {
+            this.cancelComboCapture();
+            return;
+        }
+
+        // Keep waiting while only modifiers are held
+        const combo = comboFromEvent(event);
+        if (!combo) {return;}
+
+        const callback = this.comboCaptureCallback;
+        this.comboCaptureCallback = null;
+        callback(combo);
+    }
+
+    /**
+     * Check if event matches a key combination. Modifiers must match exactly,
+     * so Ctrl+Alt+Shift+K doesn't also fire an action bound to Ctrl+Shift+K
      * @param {KeyboardEvent} event
      * @param {Object} combo
      * @returns {boolean}
      */
     matchesKeyCombo(event, combo) {
-        return (!combo.ctrl || event.ctrlKey) &&
-               (!combo.shift || event.shiftKey) &&
-               (!combo.alt || event.altKey) &&
-               (!combo.meta || event.metaKey) &&
+        return MODIFIER_FLAGS.every(flag => Boolean(event[`${flag}Key`]) === Boolean(combo[flag])) &&
                (event.code === combo.key || event.key === combo.key);
     }
 
@@ -251,14 +689,16 @@ export class KeyboardHandler {
         };
 
         // Determine key type and assign sounds
-        if (event.code.startsWith('Key')) {
-            keyInfo.type = 'letter';
-            keyInfo.character = event.key.toLowerCase();
-            keyInfo.soundType = this.getRandomSound(KEY_SOUND_MAP.letters);
-        } else if (event.code.startsWith('Digit')) {
+        if (event.code.startsWith('Digit') || /^[0-9]+$/.test(event.key)) {
+            // The digit row counts on every layout, even where it types é or & without Shift (AZERTY)
             keyInfo.type = 'number';
-            keyInfo.character = event.key;
+            keyInfo.character = /^[0-9]+$/.test(event.key) ? event.key : event.code.replace('Digit', '');
             keyInfo.soundType = this.getRandomSound(KEY_SOUND_MAP.numbers);
+        } else if (isLetter(event.key)) {
+            // Any script: the locale pack folds é, ς, カ... onto the letter they stand for
+            keyInfo.type = 'letter';
+            keyInfo.character = getLetterInfo(event.key).letter;
+            keyInfo.soundType = this.getRandomSound(KEY_SOUND_MAP.letters);
         } else if (event.code === 'Space') {
             keyInfo.type = 'space';
             keyInfo.effect = 'explosion';
@@ -319,7 +759,7 @@ export class KeyboardHandler {
      * @returns {boolean}
      */
     isVowel(char) {
-        return 'aeiou'.includes(char.toLowerCase());
+        return getLetterInfo(char).isVowel;
     }
 
     /**
@@ -337,7 +777,7 @@ export class KeyboardHandler {
      * @returns {string}
      */
     getRandomSound(sounds) {
-        return sounds[Math.floor(Math.random() * sounds.length)];
+        return sounds[Math.floor(random.next() * sounds.length)];
     }
 
     /**
@@ -349,11 +789,14 @@ export class KeyboardHandler {
         debugLog(`Game active state: ${active}`);
 
         if (active) {
-            document.body.style.overflow = 'hidden'; // Prevent scrolling during game
+            this.document.body.style.overflow = 'hidden'; // Prevent scrolling during game
+            this.imeTarget?.focus({ preventScroll: true });
             announceToScreenReader('Game started! Press any key to create shapes and sounds!');
         } else {
-            document.body.style.overflow = ''; // Restore scrolling
+            this.document.body.style.overflow = ''; // Restore scrolling
             this.keyPressCount = 0;
+            this.gestureRecognizer.reset();
+            this.releaseAllKeys();
         }
     }
 
@@ -365,6 +808,14 @@ export class KeyboardHandler {
         this.onKeyPress = callback;
     }
 
+    /**
+     * Set callback for held keys coming back up
+     * @param {Function} callback - Called with the KeyboardEvent.code
+     */
+    setOnKeyRelease(callback) {
+        this.onKeyRelease = callback;
+    }
+
     /**
      * Set callback for parent controls
      * @param {Function} callback
@@ -373,6 +824,14 @@ export class KeyboardHandler {
         this.onParentControl = callback;
     }
 
+    /**
+     * Set callback for recognized gestures
+     * @param {Function} callback - Called with a gesture from GestureRecognizer
+     */
+    setOnGesture(callback) {
+        this.onGesture = callback;
+    }
+
     /**
      * Get statistics about key presses
      * @returns {Object}
@@ -398,13 +857,20 @@ export class KeyboardHandler {
      * Clean up event listeners
      */
     destroy() {
-        document.removeEventListener('keydown', this.handleKeyDown.bind(this));
-        document.removeEventListener('keyup', this.handleKeyUp.bind(this));
-        document.removeEventListener('contextmenu', this.handleContextMenu);
+        this.document.removeEventListener('keydown', this.handleKeyDown);
+        this.document.removeEventListener('keyup', this.handleKeyUp);
+        this.document.removeEventListener('contextmenu', this.handleContextMenu);
+        this.window.removeEventListener('blur', this.handleBlur);
+        this.document.removeEventListener('compositionend', this.handleCompositionEnd);
 
         this.gameActive = false;
         this.onKeyPress = null;
         this.onParentControl = null;
+        this.onGesture = null;
+        this.onKeyRelease = null;
+        this.pressedKeys.clear();
+        this.comboCaptureCallback = null;
+        this.keyInterceptor = null;
 
         debugLog('Keyboard handler destroyed');
     }
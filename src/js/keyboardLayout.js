@@ -0,0 +1,237 @@
+/**
+ * Keyboard Geometry for Baby Keyboard Smashing Game
+ * Where each physical key (by event.code) sits on ANSI, ISO and JIS keyboards,
+ * so shapes can appear in the matching part of the screen
+ */
+
+import { randomBetween, clamp, debugLog } from './utils.js';
+import { rng } from './random.js';
+
+const random = rng.stream('keyboardLayout');
+
+const LETTER_ROWS = ['QWERTYUIOP', 'ASDFGHJKL', 'ZXCVBNM'];
+const letterKeys = (row) => [...row].map(letter => [`Key${letter}`, 1]);
+const DIGIT_KEYS = [...'1234567890'].map(digit => [`Digit${digit}`, 1]);
+
+// Shared rows, in key units. A null code is a gap.
+const FUNCTION_ROW = [
+    ['Escape', 1], [null, 1],
+    ['F1', 1], ['F2', 1], ['F3', 1], ['F4', 1], [null, 0.5],
+    ['F5', 1], ['F6', 1], ['F7', 1], ['F8', 1], [null, 0.5],
+    ['F9', 1], ['F10', 1], ['F11', 1], ['F12', 1]
+];
+
+const MAIN_BLOCK_WIDTH = 15;
+const CLUSTER_GAP = 0.25;
+const ROW_COUNT = 5; // Main rows; the function row sits on the top edge
+
+// Navigation and arrow keys to the right of the main block (same on every layout)
+const CLUSTER_KEYS = {
+    PrintScreen: [0, 0], ScrollLock: [1, 0], Pause: [2, 0],
+    Insert: [0, 1], Home: [1, 1], PageUp: [2, 1],
+    Delete: [0, 2], End: [1, 2], PageDown: [2, 2],
+    ArrowUp: [1, 4],
+    ArrowLeft: [0, 5], ArrowDown: [1, 5], ArrowRight: [2, 5]
+};
+
+/**
+ * Row layouts (rows 1-5; the function row is shared)
+ * spans lists keys taller than one row, like the ISO and JIS Enter keys
+ */
+const LAYOUT_ROWS = {
+    ansi: {
+        label: 'ANSI (US)',
+        rows: [
+            [['Backquote', 1], ...DIGIT_KEYS, ['Minus', 1], ['Equal', 1], ['Backspace', 2]],
+            [['Tab', 1.5], ...letterKeys(LETTER_ROWS[0]), ['BracketLeft', 1], ['BracketRight', 1], ['Backslash', 1.5]],
+            [['CapsLock', 1.75], ...letterKeys(LETTER_ROWS[1]), ['Semicolon', 1], ['Quote', 1], ['Enter', 2.25]],
+            [['ShiftLeft', 2.25], ...letterKeys(LETTER_ROWS[2]), ['Comma', 1], ['Period', 1], ['Slash', 1], ['ShiftRight', 2.75]],
+            [['ControlLeft', 1.25], ['MetaLeft', 1.25], ['AltLeft', 1.25], ['Space', 6.25],
+                ['AltRight', 1.25], ['MetaRight', 1.25], ['ContextMenu', 1.25], ['ControlRight', 1.25]]
+        ]
+    },
+    iso: {
+        label: 'ISO (UK / Europe)',
+        rows: [
+            [['Backquote', 1], ...DIGIT_KEYS, ['Minus', 1], ['Equal', 1], ['Backspace', 2]],
+            [['Tab', 1.5], ...letterKeys(LETTER_ROWS[0]), ['BracketLeft', 1], ['BracketRight', 1], ['Enter', 1.5]],
+            [['CapsLock', 1.75], ...letterKeys(LETTER_ROWS[1]), ['Semicolon', 1], ['Quote', 1], ['Backslash', 1]],
+            [['ShiftLeft', 1.25], ['IntlBackslash', 1], ...letterKeys(LETTER_ROWS[2]), ['Comma', 1], ['Period', 1], ['Slash', 1], ['ShiftRight', 2.75]],
+            [['ControlLeft', 1.25], ['MetaLeft', 1.25], ['AltLeft', 1.25], ['Space', 6.25],
+                ['AltRight', 1.25], ['MetaRight', 1.25], ['ContextMenu', 1.25], ['ControlRight', 1.25]]
+        ],
+        spans: { Enter: 2 }
+    },
+    jis: {
+        label: 'JIS (Japan)',
+        rows: [
+            [['Backquote', 1], ...DIGIT_KEYS, ['Minus', 1], ['Equal', 1], ['IntlYen', 1], ['Backspace', 1]],
+            [['Tab', 1.5], ...letterKeys(LETTER_ROWS[0]), ['BracketLeft', 1], ['BracketRight', 1], ['Enter', 1.5]],
+            [['CapsLock', 1.75], ...letterKeys(LETTER_ROWS[1]), ['Semicolon', 1], ['Quote', 1], ['Backslash', 1]],
+            [['ShiftLeft', 2.25], ...letterKeys(LETTER_ROWS[2]), ['Comma', 1], ['Period', 1], ['Slash', 1], ['IntlRo', 1], ['ShiftRight', 1.75]],
+            [['ControlLeft', 1.25], ['MetaLeft', 1.25], ['AltLeft', 1.25], ['NonConvert', 1.25], ['Space', 5],
+                ['Convert', 1.25], ['KanaMode', 1.25], ['AltRight', 1.25]]
+        ],
+        spans: { Enter: 2 }
+    }
+};
+
+/**
+ * Vertical center of a row. The function row is mostly blocked keys, so it gets
+ * no space of its own and the letter rows spread over the whole screen.
+ * @param {number} rowIndex - 0 for the function row
+ * @param {number} rowsSpanned
+ * @returns {number} 0-1
+ */
+function getRowCenter(rowIndex, rowsSpanned = 1) {
+    if (rowIndex === 0) {return 0;}
+    return (rowIndex - 1 + rowsSpanned / 2) / ROW_COUNT;
+}
+
+/**
+ * Build normalized key centers (0-1 across the whole keyboard) for a layout
+ * @param {Object} layout - Entry of LAYOUT_ROWS
+ * @returns {Map<string, {x: number, y: number}>}
+ */
+function buildKeyCenters(layout) {
+    const totalWidth = MAIN_BLOCK_WIDTH + CLUSTER_GAP + 3;
+    const centers = new Map();
+    const spans = layout.spans || {};
+
+    [FUNCTION_ROW, ...layout.rows].forEach((row, rowIndex) => {
+        let cursor = 0;
+        row.forEach(([code, width]) => {
+            // Tall keys keep the position of their top row
+            if (code && !centers.has(code)) {
+                const rowsSpanned = spans[code] || 1;
+                centers.set(code, {
+                    x: (cursor + width / 2) / totalWidth,
+                    y: getRowCenter(rowIndex, rowsSpanned)
+                });
+            }
+            cursor += width;
+        });
+    });
+
+    Object.entries(CLUSTER_KEYS).forEach(([code, [column, rowIndex]]) => {
+        centers.set(code, {
+            x: (MAIN_BLOCK_WIDTH + CLUSTER_GAP + column + 0.5) / totalWidth,
+            y: getRowCenter(rowIndex)
+        });
+    });
+
+    return centers;
+}
+
+/**
+ * Layouts parents can choose from ('auto' guesses from the keys pressed)
+ */
+export const KEYBOARD_LAYOUTS = {
+    auto: { label: 'Detect automatically' },
+    ansi: { label: LAYOUT_ROWS.ansi.label, centers: buildKeyCenters(LAYOUT_ROWS.ansi) },
+    iso: { label: LAYOUT_ROWS.iso.label, centers: buildKeyCenters(LAYOUT_ROWS.iso) },
+    jis: { label: LAYOUT_ROWS.jis.label, centers: buildKeyCenters(LAYOUT_ROWS.jis) }
+};
+
+// Keys that only exist on one layout give it away
+const LAYOUT_GIVEAWAY_KEYS = {
+    IntlBackslash: 'iso',
+    IntlYen: 'jis',
+    IntlRo: 'jis',
+    NonConvert: 'jis',
+    Convert: 'jis',
+    KanaMode: 'jis'
+};
+
+// How far a shape may wander from its key's spot, in key widths / rows
+const JITTER_KEYS = 0.6;
+const JITTER_ROWS = 0.35;
+
+/**
+ * Guess the physical layout from the browser language
+ * @returns {string} Layout ID
+ */
+export function guessLayoutFromLanguage() {
+    const language = (typeof navigator !== 'undefined' && navigator.language) || 'en-US';
+    if (language.startsWith('ja')) {return 'jis';}
+    if (language === 'en-US' || language === 'en-CA' || language.startsWith('zh') || language.startsWith('ko')) {
+        return 'ansi';
+    }
+    return 'iso';
+}
+
+/**
+ * Keyboard Geometry class - maps key codes to places on the screen
+ */
+export class KeyboardGeometry {
+    constructor(layoutId = 'auto') {
+        this.layoutId = 'auto';
+        this.detectedLayout = guessLayoutFromLanguage();
+        this.setLayout(layoutId);
+    }
+
+    /**
+     * Choose the physical layout
+     * @param {string} layoutId - Key of KEYBOARD_LAYOUTS
+     */
+    setLayout(layoutId) {
+        if (!(layoutId in KEYBOARD_LAYOUTS)) {return;}
+        this.layoutId = layoutId;
+        debugLog(`Keyboard layout: ${this.getActiveLayout()}`);
+    }
+
+    /**
+     * The layout in use, resolving 'auto'
+     * @returns {string}
+     */
+    getActiveLayout() {
+        return this.layoutId === 'auto' ? this.detectedLayout : this.layoutId;
+    }
+
+    /**
+     * Learn the layout from a key press (auto mode)
+     * @param {string} code - KeyboardEvent.code
+     */
+    observeKey(code) {
+        const layout = LAYOUT_GIVEAWAY_KEYS[code];
+        if (layout && layout !== this.detectedLayout) {
+            this.detectedLayout = layout;
+            debugLog(`Detected ${layout} keyboard from ${code}`);
+        }
+    }
+
+    /**
+     * Normalized center of a key
+     * @param {string} code - KeyboardEvent.code
+     * @returns {{x: number, y: number}|null} 0-1 across the keyboard, null if unknown
+     */
+    getKeyCenter(code) {
+        return KEYBOARD_LAYOUTS[this.getActiveLayout()].centers.get(code) || null;
+    }
+
+    /**
+     * Screen position for a key, jittered so repeated presses don't stack
+     * @param {string} code - KeyboardEvent.code
+     * @param {number} width - Canvas CSS width
+     * @param {number} height - Canvas CSS height
+     * @param {number} padding - Distance to keep from the edges
+     * @returns {{x: number, y: number}|null} Null for keys not on the keyboard map
+     */
+    getScreenPosition(code, width, height, padding = 50) {
+        const center = this.getKeyCenter(code);
+        if (!center) {return null;}
+
+        const usableWidth = Math.max(0, width - padding * 2);
+        const usableHeight = Math.max(0, height - padding * 2);
+        const keyWidth = usableWidth / (MAIN_BLOCK_WIDTH + CLUSTER_GAP + 3);
+        const rowHeight = usableHeight / ROW_COUNT;
+
+        const x = padding + center.x * usableWidth + randomBetween(-1, 1, random) * keyWidth * JITTER_KEYS;
+        const y = padding + center.y * usableHeight + randomBetween(-1, 1, random) * rowHeight * JITTER_ROWS;
+
+        return {
+            x: clamp(x, padding, width - padding),
+            y: clamp(y, padding, height - padding)
+        };
+    }
+}
@@ -0,0 +1,253 @@
+/**
+ * Locale Packs for Baby Keyboard Smashing Game
+ * The letters, vowels, picture words and notes for each alphabet, so AZERTY,
+ * QWERTZ, Cyrillic, Greek, Hebrew, Arabic and kana keyboards all get real feedback
+ */
+
+import { LETTER_ITEMS, getRandomEmoji, debugLog } from './utils.js';
+import { rng } from './random.js';
+
+const random = rng.stream('locales');
+
+const LATIN_LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Build a letter -> {word, emoji} map from 'letter word emoji' lines
+ * @param {string[]} lines
+ * @returns {Object}
+ */
+function parseItems(lines) {
+    return Object.fromEntries(lines.map(line => {
+        const [letter, word, emoji] = line.split(' ');
+        return [letter, { word, emoji }];
+    }));
+}
+
+/**
+ * Alphabets parents can choose from ('auto' goes by the browser language)
+ * letters are in teaching order - a letter's position is also its step up the music scale
+ */
+export const LOCALE_PACKS = {
+    auto: { label: 'Detect from browser language' },
+    latin: {
+        label: 'English (QWERTY)',
+        languages: ['en'],
+        speechLang: 'en-US',
+        letters: LATIN_LETTERS,
+        vowels: 'aeiou',
+        items: Object.fromEntries(Object.entries(LETTER_ITEMS).map(([letter, item]) => [
+            letter,
+            { word: item.words.en, emoji: item.emoji }
+        ]))
+    },
+    azerty: {
+        label: 'Français (AZERTY)',
+        languages: ['fr'],
+        speechLang: 'fr-FR',
+        letters: LATIN_LETTERS,
+        vowels: 'aeiouy',
+        items: parseItems([
+            'a Avion ✈️', 'b Ballon 🎈', 'c Chat 🐱', 'd Dauphin 🐬', 'e Escargot 🐌', 'f Fraise 🍓',
+            'g Girafe 🦒', 'h Hibou 🦉', 'i Île 🏝️', 'j Jus 🧃', 'k Koala 🐨', 'l Lapin 🐰', 'm Maison 🏠',
+            'n Nuage ☁️', 'o Oiseau 🐦', 'p Poisson 🐟', 'q Quille 🎳', 'r Renard 🦊', 's Soleil ☀️',
+            't Tortue 🐢', 'u Usine 🏭', 'v Vache 🐮', 'w Wagon 🚃', 'x Xylophone 🎶', 'y Yacht ⛵', 'z Zèbre 🦓'
+        ])
+    },
+    qwertz: {
+        label: 'Deutsch (QWERTZ)',
+        languages: ['de'],
+        speechLang: 'de-DE',
+        letters: `${LATIN_LETTERS}ß`,
+        vowels: 'aeiou',
+        items: parseItems([
+            'a Affe 🐵', 'b Ball ⚽', 'c Clown 🤡', 'd Drache 🐉', 'e Ente 🦆', 'f Fisch 🐟', 'g Giraffe 🦒',
+            'h Hund 🐶', 'i Igel 🦔', 'j Jacke 🧥', 'k Katze 🐱', 'l Löwe 🦁', 'm Maus 🐭', 'n Nase 👃',
+            'o Orange 🍊', 'p Pferd 🐴', 'q Quelle 💧', 'r Rakete 🚀', 's Sonne ☀️', 't Tiger 🐯', 'u Uhr ⏰',
+            'v Vogel 🐦', 'w Wal 🐳', 'x Xylofon 🎶', 'y Yak 🐃', 'z Zug 🚂'
+        ])
+    },
+    cyrillic: {
+        label: 'Русский (ЙЦУКЕН)',
+        languages: ['ru', 'uk', 'be', 'bg', 'kk', 'mk', 'sr'],
+        speechLang: 'ru-RU',
+        letters: 'абвгдеёжзийклмнопрстуфхцчшщъыьэюя',
+        vowels: 'аеёиоуыэюя',
+        items: parseItems([
+            'а Арбуз 🍉', 'б Банан 🍌', 'в Волк 🐺', 'г Гриб 🍄', 'д Дом 🏠', 'е Ель 🌲', 'ё Ёжик 🦔',
+            'ж Жираф 🦒', 'з Зебра 🦓', 'и Индюк 🦃', 'й Йогурт 🥛', 'к Кот 🐱', 'л Лев 🦁', 'м Мяч ⚽',
+            'н Носорог 🦏', 'о Овца 🐑', 'п Пингвин 🐧', 'р Рыба 🐟', 'с Слон 🐘', 'т Тигр 🐯', 'у Утка 🦆',
+            'ф Фламинго 🦩', 'х Хлеб 🍞', 'ц Цветок 🌸', 'ч Черепаха 🐢', 'ш Шар 🎈', 'щ Щенок 🐶',
+            'э Эскимо 🍦', 'ю Юбка 👗', 'я Яблоко 🍎'
+        ])
+    },
+    greek: {
+        label: 'Ελληνικά',
+        languages: ['el'],
+        speechLang: 'el-GR',
+        letters: 'αβγδεζηθικλμνξοπρστυφχψω',
+        vowels: 'αεηιουω',
+        items: parseItems([
+            'α Αστέρι ⭐', 'β Βάρκα ⛵', 'γ Γάτα 🐱', 'δ Δέντρο 🌳', 'ε Ελέφαντας 🐘', 'ζ Ζέβρα 🦓',
+            'η Ήλιος ☀️', 'θ Θάλασσα 🌊', 'ι Ιπποπόταμος 🦛', 'κ Κότα 🐔', 'λ Λιοντάρι 🦁', 'μ Μήλο 🍎',
+            'ν Νερό 💧', 'ξ Ξιφίας 🐟', 'ο Ομπρέλα ☂️', 'π Πάπια 🦆', 'ρ Ρολόι ⏰', 'σ Σκύλος 🐶',
+            'τ Τρένο 🚂', 'υ Ύπνος 😴', 'φ Φεγγάρι 🌙', 'χ Χελώνα 🐢', 'ψ Ψάρι 🐠', 'ω Ωκεανός 🐳'
+        ])
+    },
+    hebrew: {
+        label: 'עברית',
+        languages: ['he', 'iw'],
+        speechLang: 'he-IL',
+        letters: 'אבגדהוזחטיכלמנסעפצקרשת',
+        vowels: 'אוי',
+        items: parseItems([
+            'א אריה 🦁', 'ב בננה 🍌', 'ג גמל 🐫', 'ד דג 🐟', 'ה הר ⛰️', 'ו ורד 🌹', 'ז זברה 🦓',
+            'ח חתול 🐱', 'ט טלה 🐑', 'י ירח 🌙', 'כ כלב 🐶', 'ל לימון 🍋', 'מ מכונית 🚗', 'נ נמר 🐯',
+            'ס סוס 🐴', 'ע עוגה 🎂', 'פ פיל 🐘', 'צ צב 🐢', 'ק קוף 🐵', 'ר רכבת 🚂', 'ש שמש ☀️', 'ת תפוח 🍎'
+        ])
+    },
+    arabic: {
+        label: 'العربية',
+        languages: ['ar'],
+        speechLang: 'ar-SA',
+        letters: 'ابتثجحخدذرزسشصضطظعغفقكلمنهوي',
+        vowels: 'اوي',
+        items: parseItems([
+            'ا أرنب 🐰', 'ب بطة 🦆', 'ت تفاحة 🍎', 'ث ثعلب 🦊', 'ج جمل 🐫', 'ح حصان 🐴', 'خ خروف 🐑',
+            'د دب 🐻', 'ذ ذرة 🌽', 'ر رز 🍚', 'ز زرافة 🦒', 'س سمكة 🐟', 'ش شمس ☀️', 'ص صاروخ 🚀',
+            'ض ضفدع 🐸', 'ط طائرة ✈️', 'ظ ظرف ✉️', 'ع عنب 🍇', 'غ غيمة ☁️', 'ف فيل 🐘', 'ق قطة 🐱',
+            'ك كلب 🐶', 'ل ليمون 🍋', 'م موز 🍌', 'ن نحلة 🐝', 'ه هدية 🎁', 'و وردة 🌹', 'ي يد ✋'
+        ])
+    },
+    kana: {
+        label: '日本語 (かな)',
+        languages: ['ja'],
+        speechLang: 'ja-JP',
+        letters: 'あいうえおかきくけこさしすせそたちつてとなにぬねのはひふへほまみむめもやゆよらりるれろわをん',
+        vowels: 'あいうえお',
+        items: parseItems([
+            'あ あり 🐜', 'い いぬ 🐶', 'う うさぎ 🐰', 'え えんぴつ ✏️', 'お おにぎり 🍙', 'か かさ ☂️',
+            'き きつね 🦊', 'く くま 🐻', 'け けーき 🍰', 'こ こあら 🐨', 'さ さかな 🐟', 'し しか 🦌',
+            'す すいか 🍉', 'せ せっけん 🧼', 'そ そふとくりーむ 🍦', 'た たまご 🥚', 'ち ちょう 🦋',
+            'つ つき 🌙', 'て てがみ ✉️', 'と とけい ⏰', 'な なす 🍆', 'に にんじん 🥕', 'ぬ ぬいぐるみ 🧸',
+            'ね ねこ 🐱', 'の のーと 📓', 'は はな 🌸', 'ひ ひよこ 🐤', 'ふ ふね 🚢', 'へ へび 🐍', 'ほ ほし ⭐',
+            'ま まんごー 🥭', 'み みかん 🍊', 'む むし 🐛', 'め めがね 👓', 'も もも 🍑', 'や やま ⛰️',
+            'ゆ ゆき ❄️', 'よ よっと ⛵', 'ら らいおん 🦁', 'り りんご 🍎', 'る るびー 💎', 'れ れもん 🍋',
+            'ろ ろけっと 🚀', 'わ わに 🐊'
+        ])
+    }
+};
+
+// Letters typed that stand for another one: final forms, small kana, Arabic letter variants
+const LETTER_ALIASES = {
+    ς: 'σ',
+    ך: 'כ', ם: 'מ', ן: 'נ', ף: 'פ', ץ: 'צ',
+    ة: 'ه', ى: 'ي',
+    ぁ: 'あ', ぃ: 'い', ぅ: 'う', ぇ: 'え', ぉ: 'お', っ: 'つ', ゃ: 'や', ゅ: 'ゆ', ょ: 'よ', ゎ: 'わ'
+};
+
+const KATAKANA_START = 0x30A1;
+const KATAKANA_END = 0x30F6;
+const KATAKANA_TO_HIRAGANA = 0x60;
+
+const PACK_IDS = Object.keys(LOCALE_PACKS).filter(id => id !== 'auto');
+
+let activePackId = 'latin';
+
+/**
+ * Guess the alphabet from the browser language
+ * @returns {string} Pack ID
+ */
+export function guessLocaleFromLanguage() {
+    const language = ((typeof navigator !== 'undefined' && navigator.language) || 'en-US').toLowerCase();
+    return PACK_IDS.find(id => LOCALE_PACKS[id].languages.some(prefix => language.startsWith(prefix))) || 'latin';
+}
+
+/**
+ * Choose the alphabet letters are looked up in first
+ * @param {string} localeId - Key of LOCALE_PACKS
+ */
+export function setLocale(localeId) {
+    if (!(localeId in LOCALE_PACKS)) {return;}
+
+    activePackId = localeId === 'auto' ? guessLocaleFromLanguage() : localeId;
+    debugLog(`Locale: ${localeId} (${activePackId})`);
+}
+
+/**
+ * @returns {Object} The active locale pack
+ */
+export function getLocalePack() {
+    return LOCALE_PACKS[activePackId];
+}
+
+/**
+ * Check whether a key's text is a single letter in any script
+ * @param {string} text - KeyboardEvent.key or composed text
+ * @returns {boolean}
+ */
+export function isLetter(text) {
+    return typeof text === 'string' && /^\p{L}$/u.test(text);
+}
+
+/**
+ * The plain letter a typed one stands for: é -> e, ς -> σ, カ -> か, が -> か
+ * @param {string} letter - Lowercase
+ * @returns {string}
+ */
+function foldLetter(letter) {
+    const stripped = letter.normalize('NFD').replace(/\p{M}/gu, '');
+    const code = stripped.codePointAt(0);
+    const hiragana = code >= KATAKANA_START && code <= KATAKANA_END
+        ? String.fromCodePoint(code - KATAKANA_TO_HIRAGANA)
+        : stripped;
+    return LETTER_ALIASES[hiragana] || hiragana;
+}
+
+/**
+ * Everything the game needs to know about a letter. The active pack is checked
+ * first, then the others, so a Greek keyboard still works with English selected.
+ * @param {string} text - A single letter, any case
+ * @returns {{letter: string, index: number, isVowel: boolean, item: Object|null, speechLang: string|null, packId: string|null}}
+ */
+export function getLetterInfo(text) {
+    const lower = text.toLowerCase();
+    const packIds = [activePackId, ...PACK_IDS.filter(id => id !== activePackId)];
+
+    // The letter as typed wins over its folded form (й is its own letter, not и)
+    for (const candidate of [lower, foldLetter(lower)]) {
+        for (const packId of packIds) {
+            const pack = LOCALE_PACKS[packId];
+            const index = pack.letters.indexOf(candidate);
+            if (index === -1) {continue;}
+
+            return {
+                letter: candidate,
+                index,
+                isVowel: pack.vowels.includes(candidate),
+                item: pack.items[candidate] || null,
+                speechLang: pack.speechLang,
+                packId
+            };
+        }
+    }
+
+    // A script without a pack still gets a steady note for each letter
+    return { letter: lower, index: lower.codePointAt(0) || 0, isVowel: false, item: null, speechLang: null, packId: null };
+}
+
+/**
+ * Picture for a letter, from its locale pack
+ * @param {string} letter
+ * @returns {string} Emoji (a random animal for letters without a picture word)
+ */
+export function getLetterEmoji(letter) {
+    return getLetterInfo(letter).item?.emoji || getRandomEmoji('animals', random);
+}
+
+/**
+ * Letters of the active alphabet, e.g. for Letter Hunt
+ * @returns {string[]}
+ */
+export function getLocaleLetters() {
+    return [...getLocalePack().letters];
+}
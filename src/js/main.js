@@ -3,10 +3,39 @@
  * Coordinates all systems and manages game state
  */
 
-import { KeyboardHandler } from './keyboard.js';
-import { ShapeManager } from './shapes.js';
+import { KeyboardHandler, formatCombo } from './keyboard.js';
+import { GESTURE_EFFECTS } from './gestures.js';
+import { ShapeManager, SHAPE_PLACEMENTS } from './shapes.js';
 import { ParticleSystem } from './particles.js';
-import { SoundManager } from './sounds.js';
+import { ShapeInteraction } from './shapeInteraction.js';
+import { GamepadInput } from './gamepad.js';
+import { OnScreenKeyboard, ON_SCREEN_KEYBOARD_PRESETS } from './onScreenKeyboard.js';
+import { MidiInput } from './midi.js';
+import { MicrophoneInput, getPitchColor } from './microphone.js';
+import { SoundManager, PEAK_CEILING_OPTIONS } from './sounds.js';
+import { SOUND_PACKS } from './soundPacks.js';
+import { SettingsStore } from './settings.js';
+import { ParentGate, GATE_METHODS } from './parentGate.js';
+import { SessionTimer, SESSION_LENGTH_OPTIONS } from './sessionTimer.js';
+import { GAME_MODES, createGameMode } from './modes.js';
+import { VoiceManager, VOICE_LANGUAGES } from './voice.js';
+import { SCALES, ROOT_NOTES, INSTRUMENTS } from './music.js';
+import { KEYBOARD_LAYOUTS } from './keyboardLayout.js';
+import { LOCALE_PACKS, setLocale } from './locales.js';
+import {
+    VideoRecorder,
+    RECORDING_LENGTH_OPTIONS,
+    formatRecordingTime,
+    getRecordingFileName
+} from './videoRecorder.js';
+import {
+    InputRecorder,
+    InputReplay,
+    serializeInputLog,
+    parseInputLog
+} from './inputRecorder.js';
+import { rng, createRandomSeed, getSeedFromUrl } from './random.js';
+import { ArtworkGallery, composeArtwork, canvasToBlob, formatArtworkCaption, getArtworkFileName } from './artwork.js';
 import {
     CONFIG,
     PerformanceMonitor,
@@ -14,9 +43,14 @@ import {
     announceToScreenReader,
     debounce,
     isTouchDevice,
-    setEmojiMode
+    setEmojiMode,
+    ENV
 } from './utils.js';
 
+const HOLD_SUSTAIN_DELAY = 250; // ms a key must stay down before its note starts to sustain
+const REPLAYED_PARENT_ACTIONS = ['clearScreen']; // The rest would leave the replay or change settings
+const PARENT_CORNER_SIZE = 64; // px, hidden top-right square of the game a grown-up holds on touch screens
+
 class BabyKeyboardGame {
     constructor() {
         // Game state
@@ -25,6 +59,12 @@ class BabyKeyboardGame {
         this.isPaused = false;
         this.gameStartTime = 0;
 
+        // Screen time tracking (time paused or with the page hidden doesn't count)
+        this.sessionTimer = new SessionTimer();
+        this.pausedDuration = 0;
+        this.pausedSince = 0;
+        this.appliedWindDown = 0;
+
         // DOM elements
         this.canvas = null;
         this.ctx = null;
@@ -34,14 +74,48 @@ class BabyKeyboardGame {
         this.parentControls = null;
         this.soundStatus = null;
         this.fullscreenBtn = null;
+        this.sessionDoneScreen = null;
 
         // Game systems
         this.keyboardHandler = null;
         this.shapeManager = null;
         this.particleSystem = null;
+        this.shapeInteraction = null;
+        this.gamepadInput = null;
+        this.onScreenKeyboard = null;
+        this.midiInput = null;
+        this.microphoneInput = null;
         this.soundManager = null;
+        this.voiceManager = null;
+        this.artworkGallery = null;
         this.performanceMonitor = new PerformanceMonitor();
 
+        // Object URLs of the gallery thumbnails, revoked when it's redrawn
+        this.artworkUrls = [];
+
+        this.videoRecorder = null;
+        this.videoUrl = null; // Object URL of the last clip
+
+        // Input log for replaying a session. Logs are timed by the game clock,
+        // which stands still while the game is paused
+        this.gameClock = 0;
+        this.inputRecorder = new InputRecorder({ now: () => this.gameClock });
+        this.inputReplay = null;
+        this.lastInputLog = null;
+        this.recordPointerEvent = this.recordPointerEvent.bind(this);
+        this.blockLivePointer = this.blockLivePointer.bind(this);
+
+        // Finger on the hidden parent corner, for tablets without a keyboard
+        this.cornerPointerId = null;
+        this.handleCornerPointer = this.handleCornerPointer.bind(this);
+
+        // Keys held down on the keyboard: code -> {shape, frequency, startTime, noteId}
+        this.keyHolds = new Map();
+
+        // Game mode (Free Play, Letter Hunt, ...)
+        this.gameModeId = 'freePlay';
+        this.gameMode = null;
+
         // Animation
         this.animationId = null;
         this.lastFrameTime = 0;
@@ -66,6 +140,16 @@ class BabyKeyboardGame {
             emojiMode: true
         };
 
+        // Persistent settings (loaded before game systems start)
+        this.settingsStore = new SettingsStore();
+
+        // ?seed=1234 makes every game start with the same random numbers
+        this.fixedSeed = getSeedFromUrl(window.location.search);
+        if (this.fixedSeed !== null) {
+            rng.seed(this.fixedSeed);
+        }
+        this.rngStateBeforeReplay = null;
+
         // Input history tracking
         this.inputHistory = [];
         this.maxHistoryLength = 20; // Show last 20 key presses
@@ -84,6 +168,9 @@ class BabyKeyboardGame {
             // Initialize canvas
             this.initCanvas();
 
+            // Load saved settings so CONFIG overrides apply before systems read them
+            this.loadSettings();
+
             // Initialize game systems
             await this.initGameSystems();
 
@@ -113,6 +200,7 @@ class BabyKeyboardGame {
         this.soundStatus = document.getElementById('soundStatus');
         this.fullscreenBtn = document.getElementById('fullscreenBtn');
         this.historyElement = document.getElementById('historyKeys');
+        this.sessionDoneScreen = document.getElementById('sessionDone');
 
         if (!this.canvas) {
             throw new Error('Game canvas not found');
@@ -137,22 +225,140 @@ class BabyKeyboardGame {
     async initGameSystems() {
         // Initialize keyboard handler
         this.keyboardHandler = new KeyboardHandler();
-        this.keyboardHandler.setOnKeyPress(this.handleKeyPress.bind(this));
+        this.keyboardHandler.setOnKeyPress(this.liveInput(this.handleKeyPress));
         this.keyboardHandler.setOnParentControl(this.handleParentControl.bind(this));
+        this.keyboardHandler.setOnGesture(this.liveInput(this.handleGesture));
+        this.keyboardHandler.setOnKeyRelease(this.liveInput(this.handleKeyRelease));
+        this.keyboardHandler.setParentControlBindings(this.settingsStore.get('parentControls').bindings);
+
+        // A focused text field would pop up the on-screen keyboard on tablets
+        if (!isTouchDevice()) {
+            this.keyboardHandler.setImeTarget(document.getElementById('imeInput'));
+        }
 
         // Initialize shape manager
         this.shapeManager = new ShapeManager(this.canvas);
+        const gameSettings = this.settingsStore.get('game');
+        setLocale(gameSettings.locale);
+        this.shapeManager.setPlacement(gameSettings.placement);
+        this.shapeManager.setKeyboardLayout(gameSettings.keyboardLayout);
+        this.shapeManager.setPhysicsEnabled(gameSettings.physics);
 
         // Initialize particle system
         this.particleSystem = new ParticleSystem(this.canvas);
 
+        // Tap to pop, drag and fling shapes
+        this.shapeInteraction = new ShapeInteraction(this.canvas, this.shapeManager, {
+            now: () => this.gameClock // Same clock as replayed pointers, so flings come out the same
+        });
+        this.shapeInteraction.setOnPop(this.handleShapePop.bind(this));
+
+        // Game controllers press "keys" and steer the sparkle cursor
+        this.gamepadInput = new GamepadInput({
+            analyzeKey: key => this.keyboardHandler.analyzeKey(key)
+        });
+        this.gamepadInput.setOnKeyPress(this.liveInput(this.handleKeyPress));
+        this.gamepadInput.setOnStickMove(this.liveInput((index, dx, dy) => {
+            this.particleSystem.moveVirtualPointer(`gamepad-${index}`, dx, dy);
+        }));
+        this.gamepadInput.setOnDisconnect(index => this.particleSystem.removePointer(`gamepad-${index}`));
+
+        // Giant keys for phones and tablets, pressing the same "keys" as a real keyboard
+        this.onScreenKeyboard = new OnScreenKeyboard(document.getElementById('onScreenKeyboard'), {
+            analyzeKey: key => this.keyboardHandler.analyzeKey(key)
+        });
+        this.onScreenKeyboard.setOnKeyPress(this.liveInput(this.handleKeyPress));
+        this.onScreenKeyboard.setOnKeyRelease(this.liveInput(this.handleKeyRelease));
+        this.onScreenKeyboard.setPreset(gameSettings.onScreenKeyboard);
+
+        // MIDI pianos play their exact notes (asks for access only once a parent turns it on)
+        this.midiInput = new MidiInput();
+        this.midiInput.setOnNoteOn(this.liveInput(this.handleMidiNote));
+        if (this.settingsStore.get('music').midi) {
+            this.midiInput.setEnabled(true);
+        }
+
+        // Opt-in microphone mode, analysed in the sound manager's audio context
+        this.microphoneInput = new MicrophoneInput({
+            getAudioContext: () => this.soundManager?.audioContext
+        });
+        this.microphoneInput.setOnOnset(this.liveInput(this.handleMicrophoneOnset));
+
+        // Replays recorded input through the same handlers as live input
+        this.inputReplay = new InputReplay({
+            key: ({ keyInfo }) => this.handleKeyPress({ ...keyInfo, timestamp: performance.now() }),
+            keyRelease: ({ code }) => this.endKeyHold(code),
+            gesture: ({ gesture }) => this.handleGesture({ ...gesture, time: performance.now() }),
+            microphoneOnset: ({ onset }) => this.handleMicrophoneOnset(onset),
+            pointer: ({ pointer }) => this.replayPointer(pointer),
+            parentAction: ({ action }) => {
+                if (REPLAYED_PARENT_ACTIONS.includes(action)) {
+                    this.runParentControl(action);
+                }
+            }
+        });
+        this.inputReplay.setOnComplete(this.handleReplayComplete.bind(this));
+        ['pointerdown', 'pointerup', 'pointercancel'].forEach(type => {
+            this.canvas.addEventListener(type, this.handleCornerPointer, { capture: true });
+        });
+        ['pointerdown', 'pointermove', 'pointerup', 'pointercancel', 'pointerleave'].forEach(type => {
+            this.canvas.addEventListener(type, this.blockLivePointer, { capture: true });
+            this.canvas.addEventListener(type, this.recordPointerEvent);
+        });
+
+        // Saved pictures of the screen, kept on this device
+        this.artworkGallery = new ArtworkGallery();
+
+        // Initialize grown-up check for parent actions
+        this.parentGate = new ParentGate(document.getElementById('parentGate'));
+        this.parentGate.configure(this.settingsStore.get('parentGate'));
+
+        // Initialize screen time limit
+        this.sessionTimer.setLimitMinutes(this.settingsStore.get('session').limitMinutes);
+        this.sessionTimer.setOnPhaseChange(this.handleSessionPhaseChange.bind(this));
+
+        // Initialize remembered game mode
+        this.setGameMode(this.settingsStore.get('game').mode);
+
         // Initialize sound manager
         this.soundManager = new SoundManager();
-        await this.soundManager.init();
+        await this.soundManager.ready;
+        this.soundManager.setEnabled(this.accessibilitySettings.soundEnabled);
+        this.soundManager.setSoundPack(this.settingsStore.get('sound').pack);
+
+        const musicSettings = this.settingsStore.get('music');
+        this.soundManager.setScale(musicSettings);
+        this.soundManager.setInstrument(musicSettings.instrument);
+
+        // Initialize spoken letter and word names
+        this.voiceManager = new VoiceManager(this.soundManager, this.settingsStore.get('voice'));
+
+        // Video clips of the canvas, with the game's sounds mixed in
+        this.videoRecorder = new VideoRecorder(this.canvas, { soundManager: this.soundManager });
+        this.videoRecorder.setMaxDuration(this.settingsStore.get('video').maxSeconds);
+        this.videoRecorder.setOnProgress(this.updateRecordingIndicator.bind(this));
+        this.videoRecorder.setOnStateChange(this.handleRecordingStateChange.bind(this));
+        this.videoRecorder.setOnComplete(this.handleRecordingComplete.bind(this));
 
         debugLog('Game systems initialized');
     }
 
+    loadSettings() {
+        const settings = this.settingsStore.load();
+        this.settingsStore.applyConfigOverrides();
+
+        this.accessibilitySettings = {
+            ...this.accessibilitySettings,
+            ...settings.accessibility
+        };
+
+        debugLog('Settings applied');
+    }
+
+    saveAccessibilitySettings() {
+        this.settingsStore.update('accessibility', this.accessibilitySettings);
+    }
+
     setupEventListeners() {
         // Window events
         window.addEventListener('resize', debounce(this.handleResize.bind(this), 250));
@@ -179,6 +385,9 @@ class BabyKeyboardGame {
             startBtn.addEventListener('click', this.startGame.bind(this));
         }
 
+        // Game mode picker
+        this.setupModeSelector();
+
         // Parent control buttons
         this.setupParentControlButtons();
 
@@ -198,6 +407,52 @@ class BabyKeyboardGame {
         debugLog('Event listeners set up');
     }
 
+    setupModeSelector() {
+        const selector = document.getElementById('modeSelector');
+        if (!selector) {return;}
+
+        Object.entries(GAME_MODES).forEach(([modeId, mode]) => {
+            const button = document.createElement('button');
+            button.className = 'mode-btn';
+            button.dataset.mode = modeId;
+            button.setAttribute('aria-pressed', String(modeId === this.gameModeId));
+            button.innerHTML = `<span class="mode-icon">${mode.icon}</span><span class="mode-label">${mode.label}</span>`;
+            button.addEventListener('click', () => this.selectGameMode(modeId));
+            selector.appendChild(button);
+        });
+
+        this.updateModeSelector();
+    }
+
+    updateModeSelector() {
+        document.querySelectorAll('.mode-btn').forEach(button => {
+            const isSelected = button.dataset.mode === this.gameModeId;
+            button.classList.toggle('selected', isSelected);
+            button.setAttribute('aria-pressed', String(isSelected));
+        });
+    }
+
+    setGameMode(modeId) {
+        this.gameMode?.stop();
+
+        this.gameModeId = modeId in GAME_MODES ? modeId : 'freePlay';
+        this.gameMode = createGameMode(this.gameModeId, this);
+
+        if (this.isRunning) {
+            this.gameMode.start();
+        }
+
+        debugLog(`Game mode: ${this.gameModeId}`);
+    }
+
+    selectGameMode(modeId) {
+        this.setGameMode(modeId);
+        this.settingsStore.update('game', { mode: this.gameModeId });
+        this.updateModeSelector();
+
+        announceToScreenReader(`${GAME_MODES[this.gameModeId].label} selected`);
+    }
+
     setupParentControlButtons() {
         const toggleSoundBtn = document.getElementById('toggleSound');
         const clearScreenBtn = document.getElementById('clearScreen');
@@ -214,6 +469,930 @@ class BabyKeyboardGame {
         if (exitGameBtn) {
             exitGameBtn.addEventListener('click', () => this.handleParentControl('exit'));
         }
+
+        this.setupKeyBindingControls();
+        this.setupParentGateControls();
+        this.setupSessionControls();
+        this.setupShapeControls();
+        this.setupLocaleControls();
+        this.setupOnScreenKeyboardControls();
+        this.setupSoundControls();
+        this.setupMusicControls();
+        this.setupMicrophoneControls();
+        this.setupVoiceControls();
+        this.setupArtworkControls();
+        this.setupVideoControls();
+        this.setupInputRecordingControls();
+    }
+
+    setupShapeControls() {
+        const placementSelect = document.getElementById('placementSelect');
+        const layoutSelect = document.getElementById('keyboardLayoutSelect');
+        const physicsInput = document.getElementById('physicsInput');
+        const gameSettings = this.settingsStore.get('game');
+
+        if (placementSelect) {
+            Object.entries(SHAPE_PLACEMENTS).forEach(([placement, label]) => {
+                const option = document.createElement('option');
+                option.value = placement;
+                option.textContent = label;
+                placementSelect.appendChild(option);
+            });
+            placementSelect.value = gameSettings.placement;
+
+            placementSelect.addEventListener('change', () => {
+                this.shapeManager.setPlacement(placementSelect.value);
+                this.settingsStore.update('game', { placement: placementSelect.value });
+                layoutSelect?.toggleAttribute('disabled', placementSelect.value !== 'keyboard');
+            });
+        }
+
+        if (layoutSelect) {
+            Object.entries(KEYBOARD_LAYOUTS).forEach(([layoutId, { label }]) => {
+                const option = document.createElement('option');
+                option.value = layoutId;
+                option.textContent = label;
+                layoutSelect.appendChild(option);
+            });
+            layoutSelect.value = gameSettings.keyboardLayout;
+            layoutSelect.toggleAttribute('disabled', gameSettings.placement !== 'keyboard');
+
+            layoutSelect.addEventListener('change', () => {
+                this.shapeManager.setKeyboardLayout(layoutSelect.value);
+                this.settingsStore.update('game', { keyboardLayout: layoutSelect.value });
+            });
+        }
+
+        if (physicsInput) {
+            physicsInput.checked = gameSettings.physics;
+            physicsInput.addEventListener('change', () => {
+                this.shapeManager.setPhysicsEnabled(physicsInput.checked);
+                this.settingsStore.update('game', { physics: physicsInput.checked });
+            });
+        }
+    }
+
+    setupLocaleControls() {
+        const localeSelect = document.getElementById('localeSelect');
+        if (!localeSelect) {return;}
+
+        Object.entries(LOCALE_PACKS).forEach(([localeId, { label }]) => {
+            const option = document.createElement('option');
+            option.value = localeId;
+            option.textContent = label;
+            localeSelect.appendChild(option);
+        });
+        localeSelect.value = this.settingsStore.get('game').locale;
+
+        localeSelect.addEventListener('change', () => {
+            setLocale(localeSelect.value);
+            this.settingsStore.update('game', { locale: localeSelect.value });
+            this.onScreenKeyboard.build();
+
+            // Restart the mode so Letter Hunt picks from the new alphabet
+            if (this.gameMode?.isActive) {
+                this.gameMode.stop();
+                this.gameMode.start();
+            }
+        });
+    }
+
+    setupOnScreenKeyboardControls() {
+        const presetSelect = document.getElementById('onScreenKeyboardSelect');
+        if (!presetSelect) {return;}
+
+        Object.entries(ON_SCREEN_KEYBOARD_PRESETS).forEach(([presetId, { label }]) => {
+            const option = document.createElement('option');
+            option.value = presetId;
+            option.textContent = label;
+            presetSelect.appendChild(option);
+        });
+        presetSelect.value = this.settingsStore.get('game').onScreenKeyboard;
+
+        presetSelect.addEventListener('change', () => {
+            this.onScreenKeyboard.setPreset(presetSelect.value);
+            this.settingsStore.update('game', { onScreenKeyboard: presetSelect.value });
+        });
+    }
+
+    setupSoundControls() {
+        const packSelect = document.getElementById('soundPackSelect');
+        const ceilingSelect = document.getElementById('peakCeilingSelect');
+
+        if (packSelect) {
+            Object.entries(SOUND_PACKS).forEach(([packId, { label, icon }]) => {
+                const option = document.createElement('option');
+                option.value = packId;
+                option.textContent = `${icon} ${label}`;
+                packSelect.appendChild(option);
+            });
+            packSelect.value = this.soundManager.getSoundPackId();
+
+            packSelect.addEventListener('change', () => {
+                this.soundManager.setSoundPack(packSelect.value);
+                this.settingsStore.update('sound', { pack: packSelect.value });
+            });
+        }
+
+        if (ceilingSelect) {
+            PEAK_CEILING_OPTIONS.forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = String(value);
+                option.textContent = label;
+                ceilingSelect.appendChild(option);
+            });
+            ceilingSelect.value = String(this.soundManager.getPeakCeiling());
+
+            // Stored as a CONFIG override so it also applies before the panel is opened
+            ceilingSelect.addEventListener('change', () => {
+                const ceiling = parseFloat(ceilingSelect.value);
+                this.soundManager.setPeakCeiling(ceiling);
+                this.settingsStore.setConfigOverride('audio', 'peakCeiling', ceiling);
+            });
+        }
+    }
+
+    setupMusicControls() {
+        const musicSettings = this.settingsStore.get('music');
+        const selects = [
+            { id: 'scaleSelect', key: 'scale', options: Object.entries(SCALES).map(([value, { label }]) => [value, label]) },
+            { id: 'rootNoteSelect', key: 'root', options: Object.keys(ROOT_NOTES).map(root => [root, root]) },
+            { id: 'instrumentSelect', key: 'instrument', options: Object.entries(INSTRUMENTS).map(([value, { label }]) => [value, label]) }
+        ];
+
+        selects.forEach(({ id, key, options }) => {
+            const select = document.getElementById(id);
+            if (!select) {return;}
+
+            options.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            select.value = musicSettings[key];
+
+            select.addEventListener('change', () => {
+                if (key === 'instrument') {
+                    this.soundManager.setInstrument(select.value);
+                } else {
+                    this.soundManager.setScale({ [key]: select.value });
+                }
+                this.settingsStore.update('music', { [key]: select.value });
+
+                // Let parents hear the change straight away
+                this.soundManager.playKeySound({ type: 'letter', character: 'a', effect: 'normal' });
+            });
+        });
+
+        const midiInput = document.getElementById('midiInput');
+        if (midiInput) {
+            midiInput.checked = musicSettings.midi;
+            midiInput.disabled = !this.midiInput.isSupported();
+
+            midiInput.addEventListener('change', async () => {
+                const listening = await this.midiInput.setEnabled(midiInput.checked);
+                if (midiInput.checked && !listening) {
+                    midiInput.checked = false;
+                    announceToScreenReader('Could not connect to a MIDI keyboard.');
+                }
+                this.settingsStore.update('music', { midi: midiInput.checked });
+            });
+        }
+    }
+
+    setupMicrophoneControls() {
+        const microphoneInput = document.getElementById('microphoneInput');
+        const message = document.getElementById('microphoneMessage');
+        if (!microphoneInput) {return;}
+
+        microphoneInput.checked = this.settingsStore.get('microphone').enabled;
+        microphoneInput.disabled = !this.microphoneInput.isSupported();
+
+        microphoneInput.addEventListener('change', async () => {
+            if (microphoneInput.checked) {
+                const listening = await this.microphoneInput.start();
+                if (!listening) {
+                    microphoneInput.checked = false;
+                    if (message) {
+                        message.textContent = 'The microphone could not be used. Check the browser permission.';
+                    }
+                }
+            } else {
+                this.microphoneInput.stop();
+            }
+            this.settingsStore.update('microphone', { enabled: microphoneInput.checked });
+        });
+    }
+
+    setupVoiceControls() {
+        const enabledInput = document.getElementById('voiceEnabledInput');
+        const volumeInput = document.getElementById('voiceVolumeInput');
+        const languageSelect = document.getElementById('voiceLanguageSelect');
+        const voiceSettings = this.settingsStore.get('voice');
+
+        if (enabledInput) {
+            enabledInput.checked = voiceSettings.enabled;
+            enabledInput.disabled = !this.voiceManager.isSupported();
+            enabledInput.addEventListener('change', () => {
+                this.voiceManager.setEnabled(enabledInput.checked);
+                this.settingsStore.update('voice', { enabled: enabledInput.checked });
+            });
+        }
+
+        if (volumeInput) {
+            volumeInput.value = String(Math.round(voiceSettings.volume * 100));
+            volumeInput.addEventListener('change', () => {
+                const volume = parseInt(volumeInput.value, 10) / 100;
+                this.voiceManager.setVolume(volume);
+                this.settingsStore.update('voice', { volume });
+            });
+        }
+
+        if (languageSelect) {
+            Object.entries(VOICE_LANGUAGES).forEach(([language, { label }]) => {
+                const option = document.createElement('option');
+                option.value = language;
+                option.textContent = label;
+                languageSelect.appendChild(option);
+            });
+            languageSelect.value = voiceSettings.language;
+
+            languageSelect.addEventListener('change', () => {
+                this.voiceManager.setLanguage(languageSelect.value);
+                this.settingsStore.update('voice', { language: languageSelect.value });
+            });
+        }
+    }
+
+    setupArtworkControls() {
+        const nameInput = document.getElementById('childNameInput');
+        const saveBtn = document.getElementById('saveArtworkBtn');
+
+        if (nameInput) {
+            nameInput.value = this.settingsStore.get('artwork').childName;
+            nameInput.addEventListener('change', () => {
+                this.settingsStore.update('artwork', { childName: nameInput.value.trim() });
+            });
+        }
+
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.saveArtwork());
+        }
+    }
+
+    /**
+     * Freeze what's on screen into a picture and keep it in the gallery
+     * @returns {Promise<void>}
+     */
+    async saveArtwork() {
+        const message = document.getElementById('artworkMessage');
+        const setMessage = (text, isError = false) => {
+            if (!message) {return;}
+            message.textContent = text;
+            message.classList.toggle('error', isError);
+        };
+
+        const shapes = this.shapeManager.shapes.filter(shape => shape.isActive);
+        const particles = this.particleSystem.particles.filter(particle => particle.isActive);
+        if (shapes.length === 0 && particles.length === 0) {
+            setMessage('The screen is empty - play a little first!', true);
+            return;
+        }
+
+        const rect = this.canvas.getBoundingClientRect();
+        const date = new Date();
+        const childName = this.settingsStore.get('artwork').childName;
+
+        try {
+            const picture = composeArtwork({
+                shapes,
+                particles,
+                width: rect.width,
+                height: rect.height,
+                childName,
+                date,
+                scale: window.devicePixelRatio || 1
+            });
+            const blob = await canvasToBlob(picture);
+
+            if (this.artworkGallery.isSupported()) {
+                await this.artworkGallery.add(blob, { childName, createdAt: date.getTime() });
+                await this.renderArtworkGallery();
+                setMessage('Picture saved.');
+            } else {
+                // No local storage for pictures, so hand it straight over
+                this.downloadArtwork(blob, date);
+                setMessage('Picture downloaded.');
+            }
+            announceToScreenReader('Picture saved');
+        } catch (error) {
+            debugLog('Failed to save artwork', error);
+            setMessage('The picture could not be saved.', true);
+        }
+    }
+
+    downloadArtwork(blob, date) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = getArtworkFileName(date);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Show the saved pictures with download and delete buttons
+     * @returns {Promise<void>}
+     */
+    async renderArtworkGallery() {
+        const gallery = document.getElementById('artworkGallery');
+        if (!gallery || !this.artworkGallery.isSupported()) {return;}
+
+        let pictures = [];
+        try {
+            pictures = await this.artworkGallery.list();
+        } catch (error) {
+            debugLog('Failed to load artwork', error);
+        }
+
+        this.artworkUrls.forEach(url => URL.revokeObjectURL(url));
+        this.artworkUrls = [];
+        gallery.replaceChildren();
+
+        pictures.forEach(picture => {
+            const date = new Date(picture.createdAt);
+            const caption = formatArtworkCaption(date, picture.childName);
+            const url = URL.createObjectURL(picture.blob);
+            this.artworkUrls.push(url);
+
+            const item = document.createElement('figure');
+            item.className = 'artwork-item';
+
+            const image = document.createElement('img');
+            image.src = url;
+            image.alt = `Picture from ${caption}`;
+
+            const label = document.createElement('figcaption');
+            label.textContent = caption;
+
+            const actions = document.createElement('div');
+            actions.className = 'artwork-actions';
+
+            const downloadLink = document.createElement('a');
+            downloadLink.href = url;
+            downloadLink.download = getArtworkFileName(date);
+            downloadLink.textContent = 'Download';
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', async () => {
+                try {
+                    await this.artworkGallery.delete(picture.id);
+                } catch (error) {
+                    debugLog('Failed to delete artwork', error);
+                }
+                this.renderArtworkGallery();
+            });
+
+            actions.append(downloadLink, deleteBtn);
+            item.append(image, label, actions);
+            gallery.appendChild(item);
+        });
+    }
+
+    setupVideoControls() {
+        const lengthSelect = document.getElementById('videoLengthSelect');
+        const recordBtn = document.getElementById('recordVideoBtn');
+        const message = document.getElementById('videoMessage');
+
+        if (lengthSelect) {
+            RECORDING_LENGTH_OPTIONS.forEach(seconds => {
+                const option = document.createElement('option');
+                option.value = String(seconds);
+                option.textContent = seconds < 60 ? `${seconds} seconds` : `${seconds / 60} minute${seconds === 60 ? '' : 's'}`;
+                lengthSelect.appendChild(option);
+            });
+            lengthSelect.value = String(this.settingsStore.get('video').maxSeconds);
+
+            lengthSelect.addEventListener('change', () => {
+                const maxSeconds = parseInt(lengthSelect.value, 10);
+                this.videoRecorder.setMaxDuration(maxSeconds);
+                this.settingsStore.update('video', { maxSeconds });
+            });
+        }
+
+        if (!recordBtn) {return;}
+
+        if (!this.videoRecorder.isSupported()) {
+            recordBtn.disabled = true;
+            if (message) {
+                message.textContent = 'This browser can\'t record video.';
+            }
+            return;
+        }
+
+        recordBtn.addEventListener('click', () => {
+            if (this.videoRecorder.isRecording()) {
+                this.videoRecorder.stop();
+            } else if (!this.videoRecorder.start() && message) {
+                message.textContent = 'Recording could not start.';
+            }
+        });
+    }
+
+    handleRecordingStateChange(isRecording) {
+        const indicator = document.getElementById('recordingIndicator');
+        const recordBtn = document.getElementById('recordVideoBtn');
+        const message = document.getElementById('videoMessage');
+
+        indicator?.classList.toggle('hidden', !isRecording);
+        if (recordBtn) {
+            recordBtn.textContent = isRecording ? 'Stop Recording' : 'Start Recording';
+        }
+        if (isRecording) {
+            this.updateRecordingIndicator(0);
+            if (message) {
+                message.textContent = 'Recording... close the controls to play.';
+            }
+        }
+
+        announceToScreenReader(isRecording ? 'Recording started' : 'Recording stopped');
+    }
+
+    updateRecordingIndicator(elapsed) {
+        const time = document.getElementById('recordingTime');
+        if (time) {
+            time.textContent = `REC ${formatRecordingTime(elapsed)}`;
+        }
+    }
+
+    handleRecordingComplete(blob) {
+        const link = document.getElementById('videoDownloadLink');
+        const message = document.getElementById('videoMessage');
+
+        if (this.videoUrl) {
+            URL.revokeObjectURL(this.videoUrl);
+        }
+        this.videoUrl = URL.createObjectURL(blob);
+
+        if (link) {
+            link.href = this.videoUrl;
+            link.download = getRecordingFileName(new Date());
+            link.classList.remove('hidden');
+        }
+        if (message) {
+            message.textContent = `Clip ready (${Math.max(1, Math.round(blob.size / 1024 / 1024))} MB).`;
+        }
+    }
+
+    setupInputRecordingControls() {
+        const recordBtn = document.getElementById('inputRecordBtn');
+        const replayBtn = document.getElementById('inputReplayBtn');
+        const exportBtn = document.getElementById('inputExportBtn');
+        const fileInput = document.getElementById('inputLogFile');
+
+        recordBtn?.addEventListener('click', () => {
+            if (this.inputRecorder.isRecording()) {
+                this.stopInputRecording();
+            } else {
+                this.startInputRecording();
+            }
+        });
+
+        replayBtn?.addEventListener('click', () => {
+            if (this.lastInputLog) {
+                this.startInputReplay(this.lastInputLog);
+            }
+        });
+
+        exportBtn?.addEventListener('click', () => {
+            if (this.lastInputLog) {
+                this.exportInputLog(this.lastInputLog);
+            }
+        });
+
+        fileInput?.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) {return;}
+
+            try {
+                this.lastInputLog = parseInputLog(await file.text());
+                this.updateInputRecordingControls(`Loaded ${this.lastInputLog.events.length} events.`);
+            } catch (error) {
+                this.updateInputRecordingControls(error.message, true);
+            }
+        });
+
+        this.updateInputRecordingControls();
+    }
+
+    updateInputRecordingControls(text = null, isError = false) {
+        const recordBtn = document.getElementById('inputRecordBtn');
+        const replayBtn = document.getElementById('inputReplayBtn');
+        const exportBtn = document.getElementById('inputExportBtn');
+        const message = document.getElementById('inputLogMessage');
+
+        if (recordBtn) {
+            recordBtn.textContent = this.inputRecorder.isRecording() ? 'Stop Input Recording' : 'Start Input Recording';
+        }
+        if (replayBtn) {
+            replayBtn.disabled = !this.lastInputLog;
+        }
+        if (exportBtn) {
+            exportBtn.disabled = !this.lastInputLog;
+        }
+        if (message && text !== null) {
+            message.textContent = text;
+            message.classList.toggle('error', isError);
+        }
+    }
+
+    /**
+     * Start logging input from a clear screen, with the random helpers seeded
+     * so a replay makes the same shapes, colors and sounds
+     */
+    startInputRecording() {
+        this.stopInputReplay();
+
+        const seed = this.fixedSeed ?? createRandomSeed();
+        this.resetForInputLog(seed, this.gameModeId);
+
+        const rect = this.canvas.getBoundingClientRect();
+        this.inputRecorder.start({
+            seed,
+            mode: this.gameModeId,
+            viewport: { width: rect.width, height: rect.height }
+        });
+        this.updateInputRecordingControls('Recording input from a clear screen.');
+    }
+
+    stopInputRecording() {
+        this.lastInputLog = this.inputRecorder.stop();
+        this.updateInputRecordingControls(`Recorded ${this.lastInputLog.events.length} events.`);
+    }
+
+    /**
+     * Play a recorded log back from a clear screen
+     * @param {Object} log - From InputRecorder or parseInputLog
+     */
+    startInputReplay(log) {
+        if (this.inputRecorder.isRecording()) {
+            this.stopInputRecording();
+        }
+
+        // Live play carries on from here once the replay is over
+        this.stopInputReplay();
+        this.rngStateBeforeReplay = rng.saveState();
+        this.resetForInputLog(log.seed, log.mode);
+        this.inputReplay.start(log, this.gameClock);
+
+        // Close the controls so the game loop runs
+        if (!this.parentControls?.classList.contains('hidden')) {
+            this.toggleParentControls();
+        }
+        announceToScreenReader('Replaying recorded session');
+    }
+
+    handleReplayComplete() {
+        this.stopInputReplay();
+        this.updateInputRecordingControls('Replay finished.');
+        announceToScreenReader('Replay finished');
+    }
+
+    /**
+     * Stop any replay - finished, cut short or left behind - and give live play
+     * back the random numbers it had before the replay started
+     */
+    stopInputReplay() {
+        this.inputReplay.stop();
+        if (!this.rngStateBeforeReplay) {return;}
+
+        rng.restoreState(this.rngStateBeforeReplay);
+        this.rngStateBeforeReplay = null;
+    }
+
+    /**
+     * Put the game in the same starting state for recording and replay
+     * @param {number} seed
+     * @param {string} modeId
+     */
+    resetForInputLog(seed, modeId) {
+        this.keyHolds.forEach((_, code) => this.endKeyHold(code));
+        this.clearScreen();
+        rng.seed(seed);
+        this.setGameMode(modeId); // Restarts the mode, so its first target is seeded too
+    }
+
+    exportInputLog(log) {
+        const blob = new Blob([serializeInputLog(log)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `input-log-${log.recordedAt.replace(/[:.]/g, '-')}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Wrap a live input handler so it is ignored while a recording plays back
+     * @param {Function} handler
+     * @returns {Function}
+     */
+    liveInput(handler) {
+        return (...args) => {
+            if (this.inputReplay?.isPlaying()) {return;}
+            handler.apply(this, args);
+        };
+    }
+
+    /**
+     * Keep real fingers and mice off the canvas while a recording plays back
+     * @param {PointerEvent} event
+     */
+    /**
+     * Touch-only tablets can't press the parent shortcuts, so holding the
+     * hidden top-right corner of the game asks for the grown-up check and
+     * opens the parent controls. Comes before everything else on the canvas,
+     * so it works during a replay and the finger doesn't draw or drag
+     * @param {PointerEvent} event
+     */
+    handleCornerPointer(event) {
+        if (event.type === 'pointerdown') {
+            const rect = this.canvas.getBoundingClientRect();
+            const inCorner = event.clientX >= rect.right - PARENT_CORNER_SIZE &&
+                             event.clientY <= rect.top + PARENT_CORNER_SIZE;
+            if (!inCorner || this.cornerPointerId !== null || this.isParentDialogOpen()) {return;}
+
+            event.stopImmediatePropagation();
+            this.cornerPointerId = event.pointerId;
+            this.canvas.setPointerCapture?.(event.pointerId); // The gate opens on top of the finger
+            this.parentGate.startCornerHold(() => this.handleParentControl('showControls'));
+            return;
+        }
+
+        if (event.pointerId !== this.cornerPointerId) {return;}
+
+        event.stopImmediatePropagation();
+        this.cornerPointerId = null;
+        this.parentGate.stopCornerHold();
+    }
+
+    blockLivePointer(event) {
+        if (this.inputReplay.isPlaying()) {
+            event.stopImmediatePropagation();
+        }
+    }
+
+    recordPointerEvent(event) {
+        if (!this.inputRecorder.isRecording()) {return;}
+
+        const rect = this.canvas.getBoundingClientRect();
+        this.inputRecorder.recordPointer(event, {
+            x: event.clientX - rect.left,
+            y: event.clientY - rect.top
+        });
+    }
+
+    /**
+     * Feed a recorded pointer event to the systems that listen to the canvas
+     * @param {Object} pointer - From InputRecorder.recordPointer
+     */
+    replayPointer(pointer) {
+        const rect = this.canvas.getBoundingClientRect();
+        const event = {
+            ...pointer,
+            clientX: pointer.x + rect.left,
+            clientY: pointer.y + rect.top,
+            preventDefault: () => {}
+        };
+
+        switch (pointer.type) {
+            case 'pointerdown':
+                this.particleSystem.handlePointerDown(event);
+                this.shapeInteraction.handlePointerDown(event);
+                break;
+            case 'pointermove':
+                this.particleSystem.handlePointerMove(event);
+                this.shapeInteraction.handlePointerMove(event);
+                break;
+            case 'pointerup':
+                this.particleSystem.handlePointerUp(event);
+                this.shapeInteraction.handlePointerUp(event);
+                break;
+            case 'pointercancel':
+                this.particleSystem.handlePointerUp(event);
+                this.shapeInteraction.handlePointerCancel(event);
+                break;
+            case 'pointerleave':
+                this.particleSystem.handlePointerLeave(event);
+                break;
+        }
+    }
+
+    setupSessionControls() {
+        const lengthSelect = document.getElementById('sessionLengthSelect');
+        const continueBtn = document.getElementById('sessionContinueBtn');
+        const exitBtn = document.getElementById('sessionExitBtn');
+
+        if (lengthSelect) {
+            SESSION_LENGTH_OPTIONS.forEach(minutes => {
+                const option = document.createElement('option');
+                option.value = String(minutes);
+                option.textContent = minutes === 0 ? 'No limit' : `${minutes} minutes`;
+                lengthSelect.appendChild(option);
+            });
+            lengthSelect.value = String(this.settingsStore.get('session').limitMinutes);
+
+            lengthSelect.addEventListener('change', () => {
+                const limitMinutes = parseInt(lengthSelect.value, 10) || 0;
+                this.sessionTimer.setLimitMinutes(limitMinutes);
+                this.settingsStore.update('session', { limitMinutes });
+                announceToScreenReader(limitMinutes ? `Session length set to ${limitMinutes} minutes` : 'Session limit turned off');
+            });
+        }
+
+        // The all-done screen can only be dismissed by a grown-up
+        if (continueBtn) {
+            continueBtn.addEventListener('click', () => this.requireParentGate(() => this.restartSession()));
+        }
+
+        if (exitBtn) {
+            exitBtn.addEventListener('click', () => this.requireParentGate(() => this.exitGame()));
+        }
+    }
+
+    setupParentGateControls() {
+        const methodSelect = document.getElementById('gateMethodSelect');
+        const pinInput = document.getElementById('gatePinInput');
+        const saveBtn = document.getElementById('saveGateSettings');
+        const gateSettings = this.settingsStore.get('parentGate');
+
+        if (methodSelect) {
+            Object.entries(GATE_METHODS).forEach(([method, label]) => {
+                const option = document.createElement('option');
+                option.value = method;
+                option.textContent = label;
+                methodSelect.appendChild(option);
+            });
+            methodSelect.value = gateSettings.method;
+        }
+
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => {
+                const method = methodSelect?.value || gateSettings.method;
+                const pin = (pinInput?.value || '').replace(/\D/g, '');
+
+                if (method === 'pin' && pin.length < 4 && this.parentGate.pin.length === 0) {
+                    this.showKeyBindingMessage('Please choose a PIN with at least 4 digits.', true);
+                    return;
+                }
+
+                // An empty PIN field keeps the current PIN
+                const values = pin.length >= 4 ? { method, pin } : { method };
+                this.parentGate.configure(values);
+                this.settingsStore.update('parentGate', values);
+
+                if (pinInput) {pinInput.value = '';}
+                this.showKeyBindingMessage(`Grown-up check set to: ${GATE_METHODS[this.parentGate.getEffectiveMethod()]}.`);
+            });
+        }
+    }
+
+    isParentControlsOpen() {
+        return !!this.parentControls && !this.parentControls.classList.contains('hidden');
+    }
+
+    requireParentGate(action) {
+        // Parents already inside the controls panel have passed the check
+        if (this.isParentControlsOpen() || this.parentGate.isUnlocked()) {
+            action();
+            return;
+        }
+
+        // Ignore repeated requests while the check is on screen
+        if (this.parentGate.isOpen) {return;}
+
+        const wasPaused = this.isPaused;
+        const restore = () => {
+            this.keyboardHandler.setKeyInterceptor(null);
+            this.setPaused(wasPaused);
+        };
+
+        this.setPaused(true);
+        this.keyboardHandler.setKeyInterceptor(this.parentGate);
+        this.parentGate.request(() => {
+            restore();
+            action();
+        }, restore);
+    }
+
+    setupKeyBindingControls() {
+        const resetBtn = document.getElementById('resetKeyBindings');
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.keyboardHandler.cancelComboCapture();
+                this.keyboardHandler.resetParentControlBindings();
+                this.saveKeyBindings();
+                this.showKeyBindingMessage('Default shortcuts restored.');
+            });
+        }
+
+        this.renderKeyBindings();
+        this.updateShortcutLabels();
+    }
+
+    renderKeyBindings() {
+        const list = document.getElementById('keyBindingList');
+        if (!list) {return;}
+
+        const labels = {
+            showControls: 'Show Controls',
+            toggleSound: 'Toggle Sound',
+            clearScreen: 'Clear Screen',
+            exit: 'Exit Game'
+        };
+        const bindings = this.keyboardHandler.getParentControlBindings();
+
+        list.innerHTML = '';
+        Object.entries(labels).forEach(([action, label]) => {
+            const row = document.createElement('div');
+            row.className = 'key-binding-row';
+            row.dataset.action = action;
+
+            const labelEl = document.createElement('span');
+            labelEl.className = 'key-binding-label';
+            labelEl.textContent = label;
+
+            const shortcutEl = document.createElement('span');
+            shortcutEl.className = 'btn-shortcut';
+            shortcutEl.textContent = formatCombo(bindings[action]);
+
+            const changeBtn = document.createElement('button');
+            changeBtn.className = 'key-binding-change';
+            changeBtn.textContent = 'Change';
+            changeBtn.setAttribute('aria-label', `Change shortcut for ${label}`);
+            changeBtn.addEventListener('click', () => this.startKeyBindingCapture(action, label, row));
+
+            row.append(labelEl, shortcutEl, changeBtn);
+            list.appendChild(row);
+        });
+    }
+
+    startKeyBindingCapture(action, label, row) {
+        this.keyboardHandler.cancelComboCapture();
+        row.classList.add('capturing');
+        this.showKeyBindingMessage(`Press the new shortcut for ${label} (Esc to cancel)...`);
+
+        this.keyboardHandler.captureNextCombo((combo) => {
+            row.classList.remove('capturing');
+
+            if (!combo) {
+                this.showKeyBindingMessage('Shortcut unchanged.');
+                return;
+            }
+
+            const result = this.keyboardHandler.rebindParentControl(action, combo);
+            if (!result.valid) {
+                this.showKeyBindingMessage(result.errors.join(' '), true);
+                return;
+            }
+
+            this.saveKeyBindings();
+
+            const saved = `${label} is now ${formatCombo(combo)}.`;
+            this.showKeyBindingMessage([saved, ...result.warnings].join(' '), result.warnings.length > 0);
+        });
+    }
+
+    saveKeyBindings() {
+        this.settingsStore.update('parentControls', {
+            bindings: this.keyboardHandler.getReboundParentControls()
+        });
+        this.renderKeyBindings();
+        this.updateShortcutLabels();
+    }
+
+    showKeyBindingMessage(message, isError = false) {
+        const messageEl = document.getElementById('keyBindingMessage');
+        if (messageEl) {
+            messageEl.textContent = message;
+            messageEl.classList.toggle('error', isError);
+        }
+        announceToScreenReader(message);
+    }
+
+    updateShortcutLabels() {
+        const bindings = this.keyboardHandler.getParentControlBindings();
+
+        document.querySelectorAll('[data-shortcut]').forEach(element => {
+            const combo = bindings[element.dataset.shortcut];
+            if (combo) {
+                element.textContent = formatCombo(combo);
+            }
+        });
     }
 
     handleGlobalKeydown(event) {
@@ -315,6 +1494,12 @@ class BabyKeyboardGame {
     }
 
     checkSystemAccessibilityPreferences() {
+        // Saved settings take priority over system preferences
+        if (this.settingsStore.hasStoredSettings) {
+            this.applyStoredAccessibilitySettings();
+            return;
+        }
+
         // Check for system high contrast preference
         if (window.matchMedia('(prefers-contrast: high)').matches) {
             this.toggleHighContrast(true);
@@ -326,6 +1511,17 @@ class BabyKeyboardGame {
         }
     }
 
+    applyStoredAccessibilitySettings() {
+        const { highContrast, reducedMotion, emojiMode } = this.accessibilitySettings;
+
+        document.body.classList.toggle('high-contrast', highContrast);
+        document.body.classList.toggle('reduced-motion', reducedMotion);
+        document.body.classList.toggle('emoji-mode', emojiMode);
+        setEmojiMode(emojiMode);
+
+        debugLog('Stored accessibility settings applied');
+    }
+
     toggleHighContrast(force = null) {
         this.accessibilitySettings.highContrast = force !== null ? force : !this.accessibilitySettings.highContrast;
 
@@ -337,6 +1533,7 @@ class BabyKeyboardGame {
             announceToScreenReader('High contrast mode disabled');
         }
 
+        this.saveAccessibilitySettings();
         debugLog(`High contrast: ${this.accessibilitySettings.highContrast ? 'ON' : 'OFF'}`);
     }
 
@@ -351,6 +1548,7 @@ class BabyKeyboardGame {
             announceToScreenReader('Reduced motion disabled');
         }
 
+        this.saveAccessibilitySettings();
         debugLog(`Reduced motion: ${this.accessibilitySettings.reducedMotion ? 'ON' : 'OFF'}`);
     }
 
@@ -368,6 +1566,7 @@ class BabyKeyboardGame {
             announceToScreenReader('Emoji mode disabled! Shapes will show as geometric shapes.');
         }
 
+        this.saveAccessibilitySettings();
         debugLog(`Emoji mode: ${this.accessibilitySettings.emojiMode ? 'ON' : 'OFF'}`);
     }
 
@@ -414,7 +1613,17 @@ class BabyKeyboardGame {
         }
 
         this.isRunning = true;
+        this.isPaused = false; // Exiting from a paused overlay must not carry over
         this.gameStartTime = performance.now();
+        this.pausedDuration = 0;
+        this.pausedSince = 0;
+        this.sessionTimer.reset();
+        this.applyWindDown(0);
+
+        if (this.fixedSeed !== null) {
+            rng.seed(this.fixedSeed);
+            debugLog(`Random seed: ${this.fixedSeed}`);
+        }
 
         // Hide start screen and show game
         this.startScreen?.classList.add('hidden');
@@ -426,11 +1635,20 @@ class BabyKeyboardGame {
         // Clear input history and update display
         this.clearInputHistory();
 
+        // Start the chosen game mode
+        this.gameMode.start();
+
+        // The microphone is only open while the game is being played
+        if (this.settingsStore.get('microphone').enabled) {
+            this.microphoneInput.start();
+        }
+
         // Start game loop
         this.startGameLoop();
 
         // Update sound status
         this.updateSoundStatus();
+        this.onScreenKeyboard.setVisible(true);
 
         // Enter fullscreen on mobile if possible
         if (isTouchDevice()) {
@@ -448,14 +1666,27 @@ class BabyKeyboardGame {
             cancelAnimationFrame(this.animationId);
         }
 
+        this.lastFrameTime = performance.now();
+
         const gameLoop = (currentTime) => {
-            if (!this.isRunning || this.isPaused) {
+            if (!this.isRunning || this.isPaused || this.sessionTimer.isDone()) {
+                this.lastFrameTime = currentTime; // Time spent paused isn't played on resume
                 this.animationId = requestAnimationFrame(gameLoop);
                 return;
             }
 
             const deltaTime = currentTime - this.lastFrameTime;
             this.lastFrameTime = currentTime;
+            this.gameClock += deltaTime;
+
+            // Recorded input is due by the game clock, so a pause doesn't bunch it up
+            this.inputReplay.update(this.gameClock);
+
+            // Gamepads have no events for buttons, so read them every frame
+            this.gamepadInput.poll(deltaTime);
+            this.microphoneInput.poll();
+            this.keyboardHandler.updateGestures(performance.now());
+            this.updateKeyHolds(performance.now());
 
             // Update performance monitor
             this.performanceMonitor.update();
@@ -481,8 +1712,70 @@ class BabyKeyboardGame {
         // Update particles
         this.particleSystem.update(deltaTime);
 
+        // Letter Hunt's next letter, Counting's items...
+        this.gameMode.update(this.gameClock);
+
         // Update statistics
         this.updateStats();
+
+        // Advance screen time limit
+        this.updateSessionTimer();
+    }
+
+    updateSessionTimer() {
+        if (!this.sessionTimer.isEnabled()) {return;}
+
+        const progress = this.sessionTimer.update(this.stats.totalPlayTime);
+        this.applyWindDown(progress);
+    }
+
+    applyWindDown(progress) {
+        // Only touch styles and systems when the change is visible
+        const rounded = Math.round(progress * 100) / 100;
+        if (rounded === this.appliedWindDown) {return;}
+        this.appliedWindDown = rounded;
+
+        // Dim and desaturate the palette, slow particles, soften sounds
+        this.canvas.style.setProperty('--session-brightness', (1 - 0.5 * rounded).toFixed(2));
+        this.canvas.style.setProperty('--session-saturation', (1 - 0.6 * rounded).toFixed(2));
+        this.particleSystem?.setEmitSlowdown(1 + 3 * rounded);
+        this.soundManager?.setLullabyMode(rounded > 0);
+    }
+
+    handleSessionPhaseChange(phase) {
+        switch (phase) {
+            case 'windDown':
+                announceToScreenReader('Almost time for a rest');
+                break;
+
+            case 'done':
+                this.endSession();
+                break;
+        }
+    }
+
+    endSession() {
+        this.setPaused(true);
+        this.sessionDoneScreen?.classList.remove('hidden');
+        this.soundManager.playGoodnightSound();
+
+        announceToScreenReader('All done! Time for a little rest. A grown-up can continue or exit.');
+        debugLog('Session ended');
+    }
+
+    restartSession() {
+        this.gameStartTime = performance.now();
+        this.pausedDuration = 0;
+        this.pausedSince = 0;
+        this.stats.totalPlayTime = 0;
+        this.sessionTimer.reset();
+        this.applyWindDown(0);
+
+        this.sessionDoneScreen?.classList.add('hidden');
+        this.isPaused = false;
+
+        announceToScreenReader('New session started!');
+        debugLog('Session restarted');
     }
 
     render() {
@@ -495,6 +1788,10 @@ class BabyKeyboardGame {
         // Render shapes
         this.shapeManager.render();
 
+        // Render mode overlays (e.g. the Letter Hunt target)
+        const rect = this.canvas.getBoundingClientRect();
+        this.gameMode.render(this.ctx, rect.width, rect.height);
+
         // Render key displays
         this.renderKeyDisplays();
 
@@ -502,7 +1799,7 @@ class BabyKeyboardGame {
         this.renderCustomCursor();
 
         // Render debug info in development
-        if (import.meta.env.DEV) {
+        if (ENV.DEV) {
             this.renderDebugInfo();
         }
     }
@@ -614,42 +1911,263 @@ class BabyKeyboardGame {
     }
 
     handleKeyPress(keyInfo) {
-        if (!this.isRunning) {return;}
+        if (!this.isRunning || this.sessionTimer.isDone()) {return;}
 
-        // Always create a shape - ensure it's responsive
-        const shape = this.shapeManager.createShape(keyInfo);
-        if (shape) {
+        this.inputRecorder.recordKey(keyInfo);
+
+        // The game mode decides what each key does
+        this.gameMode.handleKeyPress(keyInfo);
+
+        // Update statistics
+        this.stats.totalKeyPresses++;
+
+        // Add to input history
+        this.addToInputHistory(keyInfo);
+
+        debugLog(`Key processed: ${keyInfo.key} (${keyInfo.type}, ${keyInfo.effect}) in ${this.gameModeId}`);
+    }
+
+    /**
+     * A key on a MIDI piano, played like any other key: its exact pitch, and a
+     * shape as big as the key was hit hard
+     * @param {Object} note - From MidiInput, with midi, velocity (0-1), frequency and name
+     */
+    handleMidiNote(note) {
+        if (!this.isRunning || this.isPaused || this.sessionTimer.isDone()) {return;}
+
+        this.handleKeyPress({
+            code: `Midi${note.midi}`,
+            key: note.name,
+            type: 'note',
+            effect: 'normal',
+            character: note.name,
+            midi: note.midi,
+            velocity: note.velocity,
+            frequency: note.frequency,
+            sustained: this.midiInput.isSustained(), // Keeps shapes (and notes) around for longer
+            source: 'midi',
+            timestamp: performance.now()
+        });
+    }
+
+    /**
+     * A babble or clap heard by the microphone: louder makes bigger, pitch picks the color
+     * No sound is played back, so the game can't set itself off
+     * @param {Object} onset - From MicrophoneInput, with loudness (0-1) and pitch (Hz or null)
+     */
+    handleMicrophoneOnset(onset) {
+        if (!this.isRunning || this.isPaused || this.sessionTimer.isDone()) {return;}
+
+        this.inputRecorder.recordMicrophoneOnset(onset);
+
+        const keyInfo = {
+            code: 'Microphone',
+            key: '🎤',
+            type: 'voice',
+            effect: onset.pitch ? 'normal' : 'sparkle',
+            pitch: onset.pitch,
+            source: 'microphone',
+            timestamp: performance.now()
+        };
+
+        const options = { sizeScale: 0.5 + onset.loudness * 1.5 };
+        const color = getPitchColor(onset.pitch);
+        if (color) {
+            options.color = color;
+        }
+
+        this.shapeManager.createShape(keyInfo, options);
+        this.stats.shapesCreated++;
+
+        debugLog(`Microphone onset: loudness ${onset.loudness.toFixed(2)}, pitch ${onset.pitch ? Math.round(onset.pitch) : 'none'}`);
+    }
+
+    /**
+     * Pop a tapped shape with a burst and a bubbly sound
+     * @param {Object} shape
+     */
+    handleShapePop(shape) {
+        if (!this.isRunning || this.isPaused || this.sessionTimer.isDone()) {return;}
+
+        const { x, y, maxSize } = shape;
+        if (!this.shapeManager.removeShape(shape)) {return;}
+
+        this.particleSystem.createBurst(x, y, 12);
+
+        const { minSize, maxSize: largestSize } = CONFIG.shapes;
+        this.soundManager.playPopSound((maxSize - minSize) / (largestSize - minSize));
+        this.stats.soundsPlayed++;
+
+        debugLog(`Popped shape at (${Math.round(x)}, ${Math.round(y)})`);
+    }
+
+    handleGesture(gesture) {
+        if (!this.isRunning || this.sessionTimer.isDone()) {return;}
+
+        this.inputRecorder.recordGesture(gesture);
+
+        this.gameMode.handleGesture(gesture);
+        debugLog(`Gesture processed: ${gesture.type} in ${this.gameModeId}`);
+    }
+
+    /**
+     * One big effect and sound for a palm slap, sweep, hammering or held key
+     * @param {Object} gesture - From GestureRecognizer
+     */
+    createGestureFeedback(gesture) {
+        const { effect, sizeScale, emoji } = GESTURE_EFFECTS[gesture.type];
+        const keyInfo = {
+            code: gesture.codes[0],
+            key: emoji,
+            type: 'gesture',
+            gesture: gesture.type,
+            effect,
+            timestamp: performance.now()
+        };
+
+        if (gesture.type === 'sweep') {
+            // A rainbow trail along the swept keys, growing as it goes
+            gesture.codes.forEach((code, index) => {
+                this.shapeManager.createShape({ ...keyInfo, code }, { effect, emoji, sizeScale: sizeScale + index * 0.25 });
+                this.stats.shapesCreated++;
+            });
+        } else {
+            const position = this.shapeManager.getKeysPosition(gesture.codes);
+            const scale = gesture.type === 'hammer' ? Math.min(3, sizeScale + gesture.count * 0.1) : sizeScale;
+            this.shapeManager.createShape(keyInfo, { ...position, effect, emoji, sizeScale: scale });
             this.stats.shapesCreated++;
 
-            // Display the key that was pressed
-            this.displayKeyFeedback(keyInfo, shape);
+            this.particleSystem.createBurst(position.x, position.y, gesture.type === 'palmSlap' ? 30 : 15);
+        }
+
+        this.soundManager.playGestureSound(gesture);
+        this.stats.soundsPlayed++;
+    }
+
+    /**
+     * Create the standard shape, label, sound and burst for a key press
+     * @param {Object} keyInfo
+     * @param {Object} options - Shape overrides plus:
+     * @param {string} options.label - Floating text instead of the key name
+     * @param {boolean} options.sound - Set to false to skip the key sound
+     * @returns {Object|null} The created shape
+     */
+    createKeyFeedback(keyInfo, options = {}) {
+        if (keyInfo.source === 'midi') {
+            options = {
+                sizeScale: 0.5 + keyInfo.velocity,
+                lifespanScale: keyInfo.sustained ? 2.5 : 1,
+                label: keyInfo.key,
+                ...options
+            };
+        }
+
+        // Always create a shape - ensure it's responsive
+        const shape = this.shapeManager.createShape(keyInfo, options);
+        if (!shape) {return null;}
+
+        this.stats.shapesCreated++;
+
+        // Display the key that was pressed
+        this.displayKeyFeedback(keyInfo, shape, options.label);
 
-            // Play sound
-            this.soundManager.playKeySound(keyInfo);
+        // Play sound
+        let frequency = null;
+        if (options.sound !== false) {
+            frequency = this.soundManager.playKeySound(keyInfo);
             this.stats.soundsPlayed++;
+        }
 
-            // Create particle burst for special effects
-            if (keyInfo.effect === 'explosion' || keyInfo.effect === 'fireworks') {
-                this.particleSystem.createBurst(
-                    shape.x,
-                    shape.y,
-                    keyInfo.effect === 'explosion' ? 15 : 10
-                );
-            }
+        // A key (real or on screen) keeps its shape growing and its note ringing until it's let go
+        if (keyInfo.source === 'keyboard' || keyInfo.source === 'onScreen') {
+            this.startKeyHold(keyInfo.code, shape, frequency);
+        }
+
+        // Create particle burst for special effects
+        const effect = options.effect || keyInfo.effect;
+        if (effect === 'explosion' || effect === 'fireworks') {
+            this.particleSystem.createBurst(
+                shape.x,
+                shape.y,
+                effect === 'explosion' ? 15 : 10
+            );
+        }
+
+        return shape;
+    }
 
-            // Update statistics
-            this.stats.totalKeyPresses++;
+    /**
+     * Start a hold for a key that just went down
+     * @param {string} code - KeyboardEvent.code
+     * @param {Object} shape - The key's shape
+     * @param {number|null} frequency - Note to sustain, null for keys without one
+     */
+    startKeyHold(code, shape, frequency) {
+        // A keyup we never saw
+        this.endKeyHold(code);
+
+        shape.startGrowing(code);
+        this.keyHolds.set(code, { shape, frequency, startTime: performance.now(), noteId: null });
+    }
+
+    /**
+     * Start sustaining the notes of keys held long enough - called every frame
+     * @param {number} time - ms
+     */
+    updateKeyHolds(time) {
+        this.keyHolds.forEach(hold => {
+            if (!hold.frequency || time - hold.startTime < HOLD_SUSTAIN_DELAY) {return;}
 
-            // Add to input history
-            this.addToInputHistory(keyInfo);
+            hold.noteId = this.soundManager.startHeldNote(hold.frequency);
+            hold.frequency = null; // Started (or not possible) - only try once
+        });
+    }
 
-            debugLog(`Key processed: ${keyInfo.key} (${keyInfo.type}, ${keyInfo.effect})`);
+    /**
+     * A key (or on-screen key) was let go
+     * @param {string} code
+     */
+    handleKeyRelease(code) {
+        this.inputRecorder.recordKeyRelease(code);
+        this.endKeyHold(code);
+    }
+
+    /**
+     * A held key came back up: its shape finishes its life and its note fades
+     * @param {string} code - KeyboardEvent.code
+     */
+    endKeyHold(code) {
+        const hold = this.keyHolds.get(code);
+        if (!hold) {return;}
+
+        this.keyHolds.delete(code);
+        hold.shape.stopGrowing(code);
+        if (hold.noteId !== null) {
+            this.soundManager.releaseHeldNote(hold.noteId);
         }
     }
 
-    displayKeyFeedback(keyInfo, shape) {
+    /**
+     * Small, soft response for keys that aren't the answer - nothing is ever "wrong"
+     * @param {Object} keyInfo
+     * @returns {Object|null} The created shape
+     */
+    createGentleFeedback(keyInfo) {
+        const shape = this.createKeyFeedback(keyInfo, {
+            effect: 'normal',
+            sizeScale: 0.6,
+            sound: false
+        });
+
+        this.soundManager.playSoftSound();
+        this.stats.soundsPlayed++;
+
+        return shape;
+    }
+
+    displayKeyFeedback(keyInfo, shape, label = null) {
         // Create floating text to show which key was pressed
-        const keyText = keyInfo.key.length === 1 ? keyInfo.key.toUpperCase() : keyInfo.code.replace('Key', '');
+        const keyText = label || (keyInfo.key.length === 1 ? keyInfo.key.toUpperCase() : keyInfo.code.replace('Key', ''));
 
         // Store key display info for rendering
         if (!this.keyDisplays) {
@@ -678,7 +2196,10 @@ class BabyKeyboardGame {
         // Create display text for the key
         let displayText = '';
 
-        if (keyInfo.key.length === 1) {
+        if (keyInfo.source === 'midi') {
+            // Note name, e.g. C#4
+            displayText = keyInfo.key;
+        } else if (keyInfo.key.length === 1) {
             // Single character keys (letters, numbers, symbols)
             displayText = keyInfo.key.toUpperCase();
         } else {
@@ -739,7 +2260,12 @@ class BabyKeyboardGame {
     }
 
     handleParentControl(action, event) {
+        this.requireParentGate(() => this.runParentControl(action, event));
+    }
+
+    runParentControl(action, _event) {
         debugLog(`Parent control: ${action}`);
+        this.inputRecorder.recordParentAction(action);
 
         switch (action) {
             case 'exit':
@@ -765,6 +2291,11 @@ class BabyKeyboardGame {
 
     toggleSound() {
         const isEnabled = this.soundManager.toggleMute();
+        if (!isEnabled) {
+            this.voiceManager.stop();
+        }
+        this.accessibilitySettings.soundEnabled = isEnabled;
+        this.saveAccessibilitySettings();
         this.updateSoundStatus();
 
         const message = isEnabled ? 'Sound enabled' : 'Sound muted';
@@ -772,6 +2303,11 @@ class BabyKeyboardGame {
         debugLog(message);
     }
 
+    setVolume(volume) {
+        this.soundManager.setVolume(volume);
+        this.settingsStore.update('sound', { volume: this.soundManager.getVolume() });
+    }
+
     clearScreen() {
         this.shapeManager.clear();
         this.particleSystem.clear();
@@ -793,11 +2329,14 @@ class BabyKeyboardGame {
             const isVisible = !this.parentControls.classList.contains('hidden');
             if (isVisible) {
                 // Pause game while controls are shown
-                this.isPaused = true;
+                this.setPaused(true);
+                this.renderArtworkGallery();
                 announceToScreenReader('Parent controls opened. Game paused.');
             } else {
                 // Resume game
-                this.isPaused = false;
+                this.keyboardHandler.cancelComboCapture();
+                this.parentGate.lock();
+                this.setPaused(false);
                 announceToScreenReader('Parent controls closed. Game resumed.');
             }
         }
@@ -806,6 +2345,7 @@ class BabyKeyboardGame {
     exitGame() {
         this.isRunning = false;
         this.keyboardHandler.setGameActive(false);
+        this.onScreenKeyboard.setVisible(false);
 
         // Stop animation loop
         if (this.animationId) {
@@ -813,14 +2353,29 @@ class BabyKeyboardGame {
             this.animationId = null;
         }
 
+        // Stop timers and targets of the current mode
+        this.gameMode.stop();
+        this.voiceManager.stop();
+        this.videoRecorder.stop();
+        this.microphoneInput.stop();
+        this.stopInputReplay();
+        if (this.inputRecorder.isRecording()) {
+            this.stopInputRecording();
+        }
+
         // Clear everything
         this.clearScreen();
 
         // Show start screen
         this.gameContainer?.classList.add('hidden');
         this.parentControls?.classList.add('hidden');
+        this.sessionDoneScreen?.classList.add('hidden');
         this.startScreen?.classList.remove('hidden');
 
+        // Restore full brightness and normal sounds for the next session
+        this.sessionTimer.reset();
+        this.applyWindDown(0);
+
         // Exit fullscreen
         if (document.fullscreenElement) {
             document.exitFullscreen().catch(() => {
@@ -830,6 +2385,7 @@ class BabyKeyboardGame {
 
         // Reset statistics
         this.resetStats();
+        this.parentGate.lock();
 
         announceToScreenReader('Game ended. Returning to start screen.');
         debugLog('Game exited');
@@ -852,8 +2408,9 @@ class BabyKeyboardGame {
         this.resizeCanvas();
 
         // Update system references
+        const rect = this.canvas.getBoundingClientRect();
         this.shapeManager?.resize(this.canvas.width, this.canvas.height);
-        this.particleSystem?.resize(this.canvas.width, this.canvas.height);
+        this.particleSystem?.resize(rect.width, rect.height);
 
         debugLog(`Canvas resized to ${this.canvas.width}x${this.canvas.height}`);
     }
@@ -874,14 +2431,34 @@ class BabyKeyboardGame {
 
     handleVisibilityChange() {
         if (document.hidden) {
-            this.isPaused = true;
+            this.setPaused(true);
             debugLog('Game paused - tab not visible');
-        } else if (this.isRunning) {
-            this.isPaused = false;
+        } else if (this.isRunning && !this.isParentDialogOpen() && !this.sessionTimer.isDone()) {
+            this.setPaused(false);
             debugLog('Game resumed - tab visible');
         }
     }
 
+    /**
+     * Pause or resume the game. Paused time doesn't count towards screen time.
+     * @param {boolean} paused
+     */
+    setPaused(paused) {
+        if (paused === this.isPaused) {return;}
+
+        this.isPaused = paused;
+        if (paused) {
+            this.pausedSince = performance.now();
+        } else if (this.pausedSince > 0) {
+            this.pausedDuration += performance.now() - this.pausedSince;
+            this.pausedSince = 0;
+        }
+    }
+
+    isParentDialogOpen() {
+        return this.isParentControlsOpen() || this.parentGate.isOpen;
+    }
+
     handleBeforeUnload(event) {
         if (this.isRunning) {
             // Ask for confirmation before leaving
@@ -918,7 +2495,8 @@ class BabyKeyboardGame {
 
     updateStats() {
         if (this.isRunning && this.gameStartTime > 0) {
-            this.stats.totalPlayTime = performance.now() - this.gameStartTime;
+            const pausedFor = this.pausedSince > 0 ? performance.now() - this.pausedSince : 0;
+            this.stats.totalPlayTime = performance.now() - this.gameStartTime - this.pausedDuration - pausedFor;
         }
     }
 
@@ -984,7 +2562,26 @@ class BabyKeyboardGame {
         }
 
         this.keyboardHandler?.destroy();
+        this.shapeInteraction?.destroy();
+        ['pointerdown', 'pointerup', 'pointercancel'].forEach(type => {
+            this.canvas?.removeEventListener(type, this.handleCornerPointer, { capture: true });
+        });
+        ['pointerdown', 'pointermove', 'pointerup', 'pointercancel', 'pointerleave'].forEach(type => {
+            this.canvas?.removeEventListener(type, this.blockLivePointer, { capture: true });
+            this.canvas?.removeEventListener(type, this.recordPointerEvent);
+        });
+        this.gamepadInput?.destroy();
+        this.onScreenKeyboard?.destroy();
+        this.midiInput?.destroy();
+        this.microphoneInput?.destroy();
+        this.artworkGallery?.destroy();
+        this.artworkUrls.forEach(url => URL.revokeObjectURL(url));
+        this.videoRecorder?.destroy();
+        if (this.videoUrl) {
+            URL.revokeObjectURL(this.videoUrl);
+        }
         this.particleSystem?.destroy();
+        this.voiceManager?.destroy();
         this.soundManager?.destroy();
 
         debugLog('Game destroyed');
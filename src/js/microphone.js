@@ -0,0 +1,276 @@
+/**
+ * Microphone Input for Baby Keyboard Smashing Game
+ * Turns babbling and clapping into shapes. Audio is only analysed in the page -
+ * it is never recorded, played back or sent anywhere.
+ */
+
+import { clamp, debugLog } from './utils.js';
+
+const FRAME_SIZE = 2048; // Samples analysed at a time
+const HOP_SIZE = 1024; // Step between frames when scanning a recording
+
+const MIN_LEVEL = 0.01; // RMS that always counts as silence
+const GATE_RATIO = 3; // An onset must be this many times louder than the background
+const RISE_RATIO = 1.4; // ...and this much louder than the frame before
+const REFRACTORY_TIME = 200; // ms between onsets, so one clap is one shape
+const NOISE_ATTACK = 0.01; // How fast the background estimate follows louder noise
+const NOISE_RELEASE = 0.2; // ...and how fast it falls when things get quiet
+const FULL_SCALE_LEVEL = 0.3; // RMS that counts as the loudest possible
+
+const MIN_PITCH = 80; // Hz, below a baby's voice
+const MAX_PITCH = 1000; // Hz, above a squeal's fundamental
+const MIN_CLARITY = 0.5; // Autocorrelation needed to call it a pitch (claps have none)
+
+/**
+ * Root mean square level of a frame
+ * @param {Float32Array} frame
+ * @returns {number}
+ */
+export function getRms(frame) {
+    let sum = 0;
+    for (let i = 0; i < frame.length; i++) {
+        sum += frame[i] * frame[i];
+    }
+    return Math.sqrt(sum / frame.length);
+}
+
+/**
+ * Rough fundamental frequency by normalized autocorrelation
+ * @param {Float32Array} frame
+ * @param {number} sampleRate
+ * @returns {number|null} Hz, or null for noisy sounds like claps
+ */
+export function detectPitch(frame, sampleRate) {
+    const minLag = Math.floor(sampleRate / MAX_PITCH);
+    const maxLag = Math.min(Math.floor(sampleRate / MIN_PITCH), frame.length - 1);
+
+    let energy = 0;
+    for (let i = 0; i < frame.length; i++) {
+        energy += frame[i] * frame[i];
+    }
+    if (energy === 0) {return null;}
+
+    let bestLag = 0;
+    let bestCorrelation = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        let correlation = 0;
+        for (let i = 0; i < frame.length - lag; i++) {
+            correlation += frame[i] * frame[i + lag];
+        }
+        // Scale up for the shorter overlap so long lags aren't penalized
+        correlation = (correlation / energy) * (frame.length / (frame.length - lag));
+
+        if (correlation > bestCorrelation) {
+            bestCorrelation = correlation;
+            bestLag = lag;
+        }
+    }
+
+    return bestCorrelation >= MIN_CLARITY && bestLag > 0 ? sampleRate / bestLag : null;
+}
+
+/**
+ * Onset Detector class - finds the start of each sound above the background noise
+ */
+export class OnsetDetector {
+    constructor(sampleRate = 44100) {
+        this.sampleRate = sampleRate;
+        this.reset();
+    }
+
+    reset() {
+        this.noiseFloor = MIN_LEVEL;
+        this.previousLevel = 0;
+        this.lastOnsetTime = -Infinity;
+    }
+
+    /**
+     * Current level a sound must reach to count
+     * @returns {number} RMS
+     */
+    getThreshold() {
+        return Math.max(MIN_LEVEL, this.noiseFloor * GATE_RATIO);
+    }
+
+    /**
+     * Analyse one frame of audio
+     * @param {Float32Array} frame - Time-domain samples, -1 to 1
+     * @param {number} time - ms timestamp of the frame
+     * @returns {{time: number, level: number, loudness: number, pitch: number|null}|null} An onset, or null
+     */
+    process(frame, time) {
+        const level = getRms(frame);
+        const threshold = this.getThreshold();
+        const isOnset = level > threshold &&
+            level > this.previousLevel * RISE_RATIO &&
+            time - this.lastOnsetTime >= REFRACTORY_TIME;
+
+        // Adaptive gate: the background estimate creeps up under steady noise
+        // (a fan, the TV) and drops back quickly when it goes away
+        const rate = level > this.noiseFloor ? NOISE_ATTACK : NOISE_RELEASE;
+        this.noiseFloor = Math.max(MIN_LEVEL / GATE_RATIO, this.noiseFloor + (level - this.noiseFloor) * rate);
+        this.previousLevel = level;
+
+        if (!isOnset) {return null;}
+
+        this.lastOnsetTime = time;
+        return {
+            time,
+            level,
+            loudness: clamp((level - threshold) / (FULL_SCALE_LEVEL - threshold), 0, 1),
+            pitch: detectPitch(frame, this.sampleRate)
+        };
+    }
+}
+
+/**
+ * Find onsets in a recording - the same detection as the live microphone, for offline testing
+ * @param {AudioBuffer|Float32Array} buffer - Mono samples (first channel of an AudioBuffer)
+ * @param {number} sampleRate - Needed for plain sample arrays
+ * @returns {Array<Object>} Onsets as returned by OnsetDetector.process
+ */
+export function detectOnsetsInBuffer(buffer, sampleRate = buffer.sampleRate) {
+    const samples = typeof buffer.getChannelData === 'function' ? buffer.getChannelData(0) : buffer;
+    const detector = new OnsetDetector(sampleRate);
+    const onsets = [];
+
+    for (let start = 0; start + FRAME_SIZE <= samples.length; start += HOP_SIZE) {
+        const time = ((start + FRAME_SIZE) / sampleRate) * 1000; // When the frame is complete
+        const onset = detector.process(samples.subarray(start, start + FRAME_SIZE), time);
+        if (onset) {
+            onsets.push(onset);
+        }
+    }
+    return onsets;
+}
+
+/**
+ * Microphone Input class
+ */
+export class MicrophoneInput {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getAudioContext - Returns the AudioContext to analyse in
+     * @param {Function} options.getUserMedia - Defaults to navigator.mediaDevices.getUserMedia
+     */
+    constructor(options = {}) {
+        this.getAudioContext = options.getAudioContext || (() => null);
+        this.getUserMedia = options.getUserMedia ||
+            (typeof navigator !== 'undefined' && navigator.mediaDevices?.getUserMedia
+                ? constraints => navigator.mediaDevices.getUserMedia(constraints)
+                : null);
+
+        this.stream = null;
+        this.source = null;
+        this.analyser = null;
+        this.frame = null;
+        this.detector = null;
+        this.onOnset = null;
+        this.startId = 0; // Tells a start() still waiting for permission that stop() was called
+    }
+
+    isSupported() {
+        return Boolean(this.getUserMedia);
+    }
+
+    isListening() {
+        return Boolean(this.analyser);
+    }
+
+    /**
+     * Set callback for each detected sound
+     * @param {Function} callback - Called with an onset ({level, loudness, pitch})
+     */
+    setOnOnset(callback) {
+        this.onOnset = callback;
+    }
+
+    /**
+     * Start listening. Asks for microphone permission.
+     * @returns {Promise<boolean>} Whether the microphone is listening
+     */
+    async start() {
+        if (this.isListening()) {return true;}
+
+        const startId = ++this.startId;
+        const audioContext = this.getAudioContext();
+        if (!this.isSupported() || !audioContext) {
+            debugLog('Microphone input not available');
+            return false;
+        }
+
+        try {
+            this.stream = await this.getUserMedia({
+                audio: {
+                    echoCancellation: true, // Don't react to the game's own sounds
+                    noiseSuppression: false, // Would swallow babbling
+                    autoGainControl: false // Would undo the loudness we measure
+                }
+            });
+        } catch (error) {
+            debugLog('Microphone permission denied', error);
+            return false;
+        }
+
+        // Stopped (e.g. the game was left) while the permission prompt was up
+        if (startId !== this.startId) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+            return false;
+        }
+
+        this.source = audioContext.createMediaStreamSource(this.stream);
+        this.analyser = audioContext.createAnalyser();
+        this.analyser.fftSize = FRAME_SIZE;
+        this.frame = new Float32Array(this.analyser.fftSize);
+        this.detector = new OnsetDetector(audioContext.sampleRate);
+
+        // Analysed only - never connected to the speakers or anything else
+        this.source.connect(this.analyser);
+
+        debugLog('Microphone listening');
+        return true;
+    }
+
+    /**
+     * Check the microphone for new sounds - call every frame
+     */
+    poll() {
+        if (!this.analyser) {return;}
+
+        this.analyser.getFloatTimeDomainData(this.frame);
+        const onset = this.detector.process(this.frame, performance.now());
+
+        if (onset && this.onOnset) {
+            this.onOnset(onset);
+        }
+    }
+
+    stop() {
+        this.startId++;
+        this.source?.disconnect();
+        this.stream?.getTracks().forEach(track => track.stop());
+
+        this.stream = null;
+        this.source = null;
+        this.analyser = null;
+        this.detector = null;
+        debugLog('Microphone stopped');
+    }
+
+    destroy() {
+        this.stop();
+    }
+}
+
+/**
+ * Color for a detected pitch - low voices are red, squeals are violet
+ * @param {number|null} pitch - Hz, null for unpitched sounds
+ * @returns {string|null} CSS color, null to let the shape pick one
+ */
+export function getPitchColor(pitch) {
+    if (!pitch) {return null;}
+
+    const position = clamp(Math.log2(pitch / MIN_PITCH) / Math.log2(MAX_PITCH / MIN_PITCH), 0, 1);
+    return `hsl(${Math.round(position * 280)}, 85%, 60%)`;
+}
@@ -0,0 +1,254 @@
+/**
+ * MIDI Input for Baby Keyboard Smashing Game
+ * Plays the exact pitch of each key on a (toy) MIDI piano via Web MIDI
+ */
+
+import { debugLog } from './utils.js';
+import { midiToFrequency } from './music.js';
+
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+const CONTROL_CHANGE = 0xB0;
+const SUSTAIN_PEDAL = 64; // Controller number; values of 64 and up mean "down"
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+/**
+ * Name of a MIDI note, e.g. 60 -> 'C4'
+ * @param {number} midi
+ * @returns {string}
+ */
+export function getMidiNoteName(midi) {
+    return `${NOTE_NAMES[midi % 12]}${Math.floor(midi / 12) - 1}`;
+}
+
+/**
+ * Turn a raw MIDI message into an event
+ * @param {Uint8Array|number[]} data - Status byte then data bytes
+ * @returns {Object|null} {type: 'noteOn'|'noteOff'|'sustain', ...} or null for anything else
+ */
+export function parseMidiMessage(data) {
+    if (!data || data.length < 3) {return null;}
+
+    const [status, data1, data2] = data;
+    const command = status & 0xF0;
+    const channel = status & 0x0F;
+
+    // Note-on with velocity 0 is a note-off (running status keyboards send these)
+    if (command === NOTE_ON && data2 > 0) {
+        return {
+            type: 'noteOn',
+            channel,
+            midi: data1,
+            velocity: data2 / 127,
+            frequency: midiToFrequency(data1),
+            name: getMidiNoteName(data1)
+        };
+    }
+    if (command === NOTE_OFF || command === NOTE_ON) {
+        return { type: 'noteOff', channel, midi: data1 };
+    }
+    if (command === CONTROL_CHANGE && data1 === SUSTAIN_PEDAL) {
+        return { type: 'sustain', channel, down: data2 >= 64 };
+    }
+    return null;
+}
+
+/**
+ * MIDI Input class
+ */
+export class MidiInput {
+    /**
+     * @param {Object} options
+     * @param {Function} options.requestAccess - Resolves to a MIDIAccess (navigator.requestMIDIAccess by default; inject mocks here)
+     */
+    constructor(options = {}) {
+        this.requestAccess = options.requestAccess ||
+            (typeof navigator !== 'undefined' && navigator.requestMIDIAccess
+                ? () => navigator.requestMIDIAccess()
+                : null);
+
+        this.access = null;
+        this.isEnabled = false;
+        this.sustain = false;
+
+        this.onNoteOn = null;
+
+        this.handleMessage = this.handleMessage.bind(this);
+        this.handleStateChange = this.handleStateChange.bind(this);
+    }
+
+    /**
+     * Check whether this browser can talk to MIDI devices
+     * @returns {boolean}
+     */
+    isSupported() {
+        return Boolean(this.requestAccess);
+    }
+
+    /**
+     * Set callback for a key going down
+     * @param {Function} callback - Called with {midi, velocity (0-1), frequency, name, channel}
+     */
+    setOnNoteOn(callback) {
+        this.onNoteOn = callback;
+    }
+
+    /**
+     * Start or stop listening. Asks for MIDI access the first time.
+     * @param {boolean} enabled
+     * @returns {Promise<boolean>} Whether MIDI is now listening
+     */
+    async setEnabled(enabled) {
+        if (!enabled) {
+            this.isEnabled = false;
+            this.detachInputs();
+            return false;
+        }
+
+        if (!this.isSupported()) {
+            debugLog('Web MIDI not supported');
+            return false;
+        }
+
+        try {
+            if (!this.access) {
+                this.access = await this.requestAccess();
+            }
+        } catch (error) {
+            debugLog('MIDI access denied', error);
+            return false;
+        }
+
+        this.isEnabled = true;
+        this.attachInputs();
+        this.access.addEventListener('statechange', this.handleStateChange);
+        debugLog(`MIDI listening to ${this.access.inputs.size} input(s)`);
+        return true;
+    }
+
+    attachInputs() {
+        this.access.inputs.forEach(input => {
+            // Adding the same listener twice is a no-op, so hot-plugging can re-run this
+            input.addEventListener('midimessage', this.handleMessage);
+        });
+    }
+
+    detachInputs() {
+        if (!this.access) {return;}
+
+        this.access.inputs.forEach(input => {
+            input.removeEventListener('midimessage', this.handleMessage);
+        });
+        this.access.removeEventListener('statechange', this.handleStateChange);
+        this.sustain = false;
+    }
+
+    handleStateChange(event) {
+        if (!this.isEnabled) {return;}
+
+        if (event.port && event.port.type === 'input' && event.port.state === 'connected') {
+            debugLog(`MIDI input connected: ${event.port.name}`);
+            this.attachInputs();
+        }
+    }
+
+    handleMessage(event) {
+        if (!this.isEnabled) {return;}
+
+        const message = parseMidiMessage(event.data);
+        if (!message) {return;}
+
+        // Note-offs need nothing: shapes and notes fade on their own
+        switch (message.type) {
+            case 'noteOn':
+                if (this.onNoteOn) {
+                    this.onNoteOn(message);
+                }
+                break;
+
+            case 'sustain':
+                // Notes played while the pedal is down last longer (see isSustained)
+                this.sustain = message.down;
+                break;
+        }
+    }
+
+    /**
+     * Check whether the sustain pedal is down
+     * @returns {boolean}
+     */
+    isSustained() {
+        return this.sustain;
+    }
+
+    destroy() {
+        this.isEnabled = false;
+        this.detachInputs();
+        debugLog('MIDI input destroyed');
+    }
+}
+
+/**
+ * Minimal event target for the mocks below
+ */
+class MockMidiEventTarget {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    addEventListener(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners.get(type)?.delete(listener);
+    }
+
+    dispatch(type, event) {
+        this.listeners.get(type)?.forEach(listener => listener(event));
+    }
+}
+
+/**
+ * A fake MIDIAccess for testing without hardware
+ * Pass () => Promise.resolve(access) as requestAccess, then play notes on access.addInput()
+ * @returns {Object}
+ */
+export function createMockMidiAccess() {
+    const access = new MockMidiEventTarget();
+    access.inputs = new Map();
+    access.outputs = new Map();
+    access.sysexEnabled = false;
+
+    access.addInput = (name = 'Mock MIDI keyboard') => {
+        const input = new MockMidiEventTarget();
+        Object.assign(input, {
+            id: `mock-input-${access.inputs.size}`,
+            name,
+            type: 'input',
+            state: 'connected',
+            send(data) {
+                input.dispatch('midimessage', { data: Uint8Array.from(data) });
+            },
+            noteOn(midi, velocity = 100, channel = 0) {
+                input.send([NOTE_ON | channel, midi, velocity]);
+            },
+            noteOff(midi, channel = 0) {
+                input.send([NOTE_OFF | channel, midi, 0]);
+            },
+            sustain(down, channel = 0) {
+                input.send([CONTROL_CHANGE | channel, SUSTAIN_PEDAL, down ? 127 : 0]);
+            }
+        });
+
+        access.inputs.set(input.id, input);
+        access.dispatch('statechange', { port: input });
+        return input;
+    };
+
+    return access;
+}
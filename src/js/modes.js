@@ -0,0 +1,330 @@
+/**
+ * Game Modes for Baby Keyboard Smashing Game
+ * Free Play plus gentle learning games: Letter Hunt, Counting and Colors
+ */
+
+import {
+    BABY_COLORS,
+    BABY_COLOR_NAMES,
+    getEmojiForKey,
+    randomIntBetween,
+    debugLog,
+    announceToScreenReader
+} from './utils.js';
+import { getLetterEmoji, getLocaleLetters } from './locales.js';
+import { rng } from './random.js';
+
+const random = rng.stream('modes');
+
+const COUNTING_ITEM_DELAY = 300; // ms between counted items appearing
+const NEXT_TARGET_DELAY = 1200; // ms before Letter Hunt picks a new letter
+
+/**
+ * Base game mode - every key press is handled by the active mode
+ */
+class GameMode {
+    constructor(game) {
+        this.game = game;
+        this.isActive = false;
+        this.time = game.gameClock || 0; // Game clock (ms) at the last update
+    }
+
+    /**
+     * Called when a game starts in this mode
+     */
+    start() {
+        this.isActive = true;
+    }
+
+    /**
+     * Called when the game exits or another mode is chosen
+     */
+    stop() {
+        this.isActive = false;
+    }
+
+    /**
+     * Advance the mode. Timed steps follow the game clock, which stands
+     * still while the game is paused and matches a replayed session
+     * @param {number} time - Game clock in ms
+     */
+    update(time) {
+        this.time = time;
+    }
+
+    /**
+     * Respond to a key press
+     * @param {Object} keyInfo
+     */
+    handleKeyPress(keyInfo) {
+        this.game.createKeyFeedback(keyInfo);
+        this.game.voiceManager.speakKey(keyInfo);
+    }
+
+    /**
+     * Respond to whole-hand play (palm slap, sweep, hammering, holding)
+     * @param {Object} gesture - From GestureRecognizer
+     */
+    handleGesture(gesture) {
+        this.game.createGestureFeedback(gesture);
+    }
+
+    /**
+     * Draw mode-specific overlays on top of the shapes
+     * @param {CanvasRenderingContext2D} _ctx
+     * @param {number} _width - Canvas CSS width
+     * @param {number} _height - Canvas CSS height
+     */
+    render(_ctx, _width, _height) {}
+}
+
+/**
+ * Free Play - the original smash-anything mode
+ */
+class FreePlayMode extends GameMode {}
+
+/**
+ * Letter Hunt - find the big letter on the keyboard
+ */
+class LetterHuntMode extends GameMode {
+    constructor(game) {
+        super(game);
+        this.targetLetter = null;
+        this.targetEmoji = null;
+        this.nextTargetAt = null; // Game clock time of the next letter, while celebrating
+        this.targetShownAt = 0;
+    }
+
+    start() {
+        super.start();
+        this.pickNewTarget();
+    }
+
+    stop() {
+        super.stop();
+        this.nextTargetAt = null;
+        this.targetLetter = null;
+    }
+
+    update(time) {
+        super.update(time);
+
+        if (this.isActive && this.nextTargetAt !== null && time >= this.nextTargetAt) {
+            this.pickNewTarget();
+        }
+    }
+
+    pickNewTarget() {
+        // Letters of the family's own alphabet
+        const letters = getLocaleLetters();
+        let letter;
+        do {
+            letter = letters[randomIntBetween(0, letters.length - 1, random)];
+        } while (letter === this.targetLetter);
+
+        this.targetLetter = letter;
+        this.targetEmoji = getLetterEmoji(letter); // Picked once - letters without a picture get a random one
+        this.targetShownAt = this.time;
+        this.nextTargetAt = null;
+
+        announceToScreenReader(`Can you find the letter ${letter.toUpperCase()}?`);
+        debugLog(`Letter Hunt target: ${letter}`);
+    }
+
+    handleKeyPress(keyInfo) {
+        // Waiting for the next letter - keep the celebration going
+        if (!this.targetLetter || this.nextTargetAt !== null) {
+            this.game.createGentleFeedback(keyInfo);
+            return;
+        }
+
+        if (keyInfo.type === 'letter' && keyInfo.character === this.targetLetter) {
+            this.celebrate(keyInfo);
+        } else {
+            this.game.createGentleFeedback(keyInfo);
+        }
+    }
+
+    handleGesture(_gesture) {
+        // A slap isn't an answer - the keys that got through already had gentle feedback
+    }
+
+    celebrate(keyInfo) {
+        const shape = this.game.createKeyFeedback(
+            { ...keyInfo, effect: 'fireworks' },
+            { effect: 'fireworks', sizeScale: 1.5, sound: false }
+        );
+
+        this.game.soundManager.playSuccessSound();
+        this.game.voiceManager.speakKey(keyInfo);
+        this.game.stats.soundsPlayed++;
+
+        if (shape) {
+            this.game.particleSystem.createClickEffect(shape.x, shape.y, 2);
+        }
+
+        announceToScreenReader(`You found ${this.targetLetter.toUpperCase()}! Hooray!`);
+
+        this.nextTargetAt = this.time + NEXT_TARGET_DELAY;
+    }
+
+    render(ctx, width, height) {
+        if (!this.targetLetter) {return;}
+
+        const age = this.time - this.targetShownAt;
+        const pulse = 1 + Math.sin(age * 0.004) * 0.05;
+        const fontSize = Math.min(width, height) * 0.22 * pulse;
+
+        ctx.save();
+        ctx.globalAlpha = this.nextTargetAt !== null ? 0.4 : 0.9;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = `bold ${fontSize}px Arial`;
+        ctx.fillStyle = '#FFFFFF';
+        ctx.strokeStyle = '#2C3E50';
+        ctx.lineWidth = 6;
+
+        const text = `${this.targetLetter.toUpperCase()} ${this.targetEmoji}`;
+        const y = Math.max(fontSize * 0.7, height * 0.15);
+        ctx.strokeText(text, width / 2, y);
+        ctx.fillText(text, width / 2, y);
+        ctx.restore();
+    }
+}
+
+/**
+ * Counting - each digit shows that many things, one at a time
+ */
+class CountingMode extends GameMode {
+    constructor(game) {
+        super(game);
+        this.pendingItems = []; // Counted items still to appear: {at, keyInfo, options}, in order
+    }
+
+    stop() {
+        super.stop();
+        this.pendingItems = [];
+    }
+
+    update(time) {
+        super.update(time);
+
+        while (this.isActive && this.pendingItems.length > 0 && time >= this.pendingItems[0].at) {
+            const { keyInfo, options } = this.pendingItems.shift();
+            this.game.createKeyFeedback(keyInfo, options);
+        }
+    }
+
+    handleKeyPress(keyInfo) {
+        if (keyInfo.type !== 'number') {
+            this.game.createGentleFeedback(keyInfo);
+            return;
+        }
+
+        const count = parseInt(keyInfo.character, 10) || 0;
+        this.showCount(keyInfo, count);
+    }
+
+    handleGesture(_gesture) {
+        // Big effects would bury the counted items
+    }
+
+    showCount(keyInfo, count) {
+        // Start each count on a clean screen so the items are easy to see
+        this.pendingItems = [];
+        this.game.shapeManager.clear();
+
+        const rect = this.game.canvas.getBoundingClientRect();
+
+        if (count === 0) {
+            this.game.createKeyFeedback(keyInfo, {
+                x: rect.width / 2,
+                y: rect.height / 2,
+                emoji: getEmojiForKey('number', '0'),
+                label: '0'
+            });
+            this.game.voiceManager.speakNumber(0);
+            announceToScreenReader('Zero!');
+            return;
+        }
+
+        // Every item in one count is the same thing: 3 bears, 5 apples...
+        const letters = getLocaleLetters();
+        const emoji = getLetterEmoji(letters[randomIntBetween(0, letters.length - 1, random)]);
+        const spacing = Math.min(140, (rect.width - 100) / count);
+        const startX = rect.width / 2 - (spacing * (count - 1)) / 2;
+
+        this.game.soundManager.playCountingSound(count);
+        this.game.voiceManager.speakNumber(count);
+        this.game.stats.soundsPlayed++;
+
+        for (let i = 0; i < count; i++) {
+            this.pendingItems.push({
+                at: this.time + i * COUNTING_ITEM_DELAY,
+                keyInfo,
+                options: {
+                    x: startX + spacing * i,
+                    y: rect.height / 2,
+                    emoji,
+                    effect: 'normal',
+                    label: String(i + 1),
+                    sound: false
+                }
+            });
+        }
+
+        announceToScreenReader(`${count}!`);
+    }
+}
+
+/**
+ * Colors - every key shows the next named color
+ */
+class ColorsMode extends GameMode {
+    constructor(game) {
+        super(game);
+        this.colorIndex = -1;
+    }
+
+    start() {
+        super.start();
+        this.colorIndex = -1;
+    }
+
+    handleKeyPress(keyInfo) {
+        this.colorIndex = (this.colorIndex + 1) % BABY_COLORS.length;
+
+        const name = BABY_COLOR_NAMES[this.colorIndex];
+        this.game.createKeyFeedback(keyInfo, {
+            color: BABY_COLORS[this.colorIndex],
+            emoji: null, // Plain shapes show the color best
+            effect: 'normal',
+            sizeScale: 1.4,
+            label: name
+        });
+
+        this.game.voiceManager.speakText(`${name}!`);
+        announceToScreenReader(name);
+    }
+}
+
+/**
+ * Available modes, in the order shown on the start screen
+ */
+export const GAME_MODES = {
+    freePlay: { label: 'Free Play', icon: '🎉', ModeClass: FreePlayMode },
+    letterHunt: { label: 'Letter Hunt', icon: '🔤', ModeClass: LetterHuntMode },
+    counting: { label: 'Counting', icon: '🔢', ModeClass: CountingMode },
+    colors: { label: 'Colors', icon: '🌈', ModeClass: ColorsMode }
+};
+
+/**
+ * Create a game mode instance
+ * @param {string} modeId - Key of GAME_MODES
+ * @param {Object} game - Main game controller
+ * @returns {GameMode}
+ */
+export function createGameMode(modeId, game) {
+    const mode = GAME_MODES[modeId] || GAME_MODES.freePlay;
+    return new mode.ModeClass(game);
+}
@@ -0,0 +1,161 @@
+/**
+ * Music Theory for Baby Keyboard Smashing Game
+ * Scales, root keys and instrument timbres for key sounds
+ */
+
+import { randomIntBetween } from './utils.js';
+import { getLetterInfo } from './locales.js';
+import { rng } from './random.js';
+
+const random = rng.stream('music');
+
+/**
+ * Root keys parents can choose, as semitones above C
+ */
+export const ROOT_NOTES = {
+    C: 0, 'C#': 1, D: 2, 'D#': 3, E: 4, F: 5,
+    'F#': 6, G: 7, 'G#': 8, A: 9, 'A#': 10, B: 11
+};
+
+/**
+ * Scales as semitone steps from the root
+ * baseOctave and octaves set the range keys are spread over
+ */
+export const SCALES = {
+    major: { label: 'Major', intervals: [0, 2, 4, 5, 7, 9, 11], baseOctave: 4, octaves: 2 },
+    pentatonic: { label: 'Pentatonic', intervals: [0, 2, 4, 7, 9], baseOctave: 4, octaves: 2 },
+    minorPentatonic: { label: 'Minor pentatonic', intervals: [0, 3, 5, 7, 10], baseOctave: 4, octaves: 2 },
+    wholeTone: { label: 'Whole tone', intervals: [0, 2, 4, 6, 8, 10], baseOctave: 4, octaves: 2 },
+    // Low, with no neighbouring steps, so any mash sounds calm
+    lullaby: { label: 'Lullaby (low and gentle)', intervals: [0, 4, 7, 9], baseOctave: 3, octaves: 2 }
+};
+
+/**
+ * Instrument timbres
+ * additive: partials are [frequency ratio, level, decay scale]
+ * fm: a modulator at modRatio whose depth (modIndex) fades by modDecay
+ * decay is the ring time as a fraction of the sound's duration
+ */
+export const INSTRUMENTS = {
+    xylophone: {
+        label: 'Xylophone',
+        synthesis: 'additive',
+        attack: 0.002,
+        decay: 0.6,
+        partials: [[1, 1, 1], [3.932, 0.35, 0.4], [9.538, 0.12, 0.2]]
+    },
+    marimba: {
+        label: 'Marimba',
+        synthesis: 'additive',
+        attack: 0.004,
+        decay: 1,
+        partials: [[1, 1, 1], [4, 0.25, 0.35], [9.9, 0.06, 0.15]]
+    },
+    musicBox: {
+        label: 'Music box',
+        synthesis: 'fm',
+        attack: 0.001,
+        decay: 1.4,
+        modRatio: 7,
+        modIndex: 1.2,
+        modDecay: 0.3
+    },
+    softPiano: {
+        label: 'Soft piano',
+        synthesis: 'additive',
+        attack: 0.012,
+        decay: 1.2,
+        partials: [[1, 1, 1], [2, 0.4, 0.7], [3, 0.18, 0.5], [4, 0.08, 0.35]]
+    }
+};
+
+const A4_MIDI = 69;
+const A4_FREQUENCY = 440;
+
+/**
+ * Convert a MIDI note number to a frequency
+ * @param {number} midi
+ * @returns {number} Hz
+ */
+export function midiToFrequency(midi) {
+    return A4_FREQUENCY * Math.pow(2, (midi - A4_MIDI) / 12);
+}
+
+/**
+ * Frequencies of a scale from its base octave upwards
+ * @param {string} scaleId - Key of SCALES
+ * @param {string} root - Key of ROOT_NOTES
+ * @returns {number[]} Ascending frequencies
+ */
+export function getScaleFrequencies(scaleId, root = 'C') {
+    const scale = SCALES[scaleId] || SCALES.pentatonic;
+    const rootMidi = (scale.baseOctave + 1) * 12 + (ROOT_NOTES[root] ?? 0);
+    const frequencies = [];
+
+    for (let octave = 0; octave < scale.octaves; octave++) {
+        scale.intervals.forEach(interval => {
+            frequencies.push(midiToFrequency(rootMidi + octave * 12 + interval));
+        });
+    }
+    return frequencies;
+}
+
+/**
+ * Musical Scale class - maps keys onto the notes of the chosen scale
+ */
+export class MusicalScale {
+    constructor(scaleId = 'pentatonic', root = 'C') {
+        this.scaleId = 'pentatonic';
+        this.root = 'C';
+        this.notes = [];
+        this.configure({ scale: scaleId, root });
+    }
+
+    /**
+     * Change scale and/or root key
+     * @param {Object} options
+     * @param {string} options.scale - Key of SCALES
+     * @param {string} options.root - Key of ROOT_NOTES
+     */
+    configure({ scale, root } = {}) {
+        if (scale in SCALES) {
+            this.scaleId = scale;
+        }
+        if (root in ROOT_NOTES) {
+            this.root = root;
+        }
+        this.notes = getScaleFrequencies(this.scaleId, this.root);
+    }
+
+    /**
+     * Note for a scale degree, wrapping around the range
+     * @param {number} index
+     * @returns {number} Hz
+     */
+    getNote(index) {
+        const wrapped = ((index % this.notes.length) + this.notes.length) % this.notes.length;
+        return this.notes[wrapped];
+    }
+
+    /**
+     * Letters walk up the scale in alphabet order ('a', 'а', 'α', 'א', 'あ'... start it)
+     * @param {string} letter
+     * @returns {number} Hz
+     */
+    getNoteForLetter(letter) {
+        return this.getNote(getLetterInfo(letter).index);
+    }
+
+    getRandomNote() {
+        return this.notes[randomIntBetween(0, this.notes.length - 1, random)];
+    }
+
+    /**
+     * First notes of the scale, for counting up
+     * @param {number} count
+     * @returns {number[]}
+     */
+    getAscendingNotes(count) {
+        return Array.from({ length: count }, (_, i) => this.getNote(i));
+    }
+}
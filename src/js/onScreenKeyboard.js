@@ -0,0 +1,247 @@
+/**
+ * On-Screen Keyboard for Baby Keyboard Smashing Game
+ * Giant, colorful keys for phones and tablets, where there's no keyboard to smash
+ */
+
+import { BABY_COLORS, getEmojiForKey, isTouchDevice, debugLog } from './utils.js';
+import { getLetterEmoji, getLocaleLetters, getLocalePack } from './locales.js';
+
+/**
+ * Layouts parents can choose ('auto' shows the big buttons on touch screens only)
+ * rows is how many rows the keys are split over
+ */
+export const ON_SCREEN_KEYBOARD_PRESETS = {
+    auto: { label: 'On touch screens (six big buttons)' },
+    off: { label: 'Off' },
+    alphabet: { label: 'Whole alphabet', rows: 3 },
+    vowels: { label: 'Just vowels', rows: 1 },
+    numbers: { label: 'Numbers 1-10', rows: 2 },
+    big6: { label: 'Six big buttons', rows: 2 }
+};
+
+/**
+ * Key for a letter of the active alphabet, with the code a physical keyboard would send
+ * @param {string} letter
+ * @returns {{code: string, key: string, label: string}}
+ */
+function letterKey(letter) {
+    const code = /^[a-z]$/.test(letter) ? `Key${letter.toUpperCase()}` : `OnScreen-${letter}`;
+    return { code, key: letter, label: letter.toUpperCase() };
+}
+
+/**
+ * Keys shown for a layout
+ * @param {string} presetId - Key of ON_SCREEN_KEYBOARD_PRESETS (not 'auto')
+ * @returns {Array<{code: string, key: string, label: string}>}
+ */
+export function getPresetKeys(presetId) {
+    switch (presetId) {
+        case 'alphabet':
+            return getLocaleLetters().map(letterKey);
+
+        case 'vowels':
+            return [...getLocalePack().vowels].map(letterKey);
+
+        case 'numbers':
+            return Array.from({ length: 10 }, (_, i) => {
+                const number = String(i + 1);
+                // There's no 10 key, so it gets a code of its own
+                return { code: number === '10' ? 'OnScreen-10' : `Digit${number}`, key: number, label: number };
+            });
+
+        case 'big6': {
+            // Something different under every button, pictures instead of letters
+            const [first, second] = getLocaleLetters();
+            return [
+                { code: 'Space', key: ' ', label: getEmojiForKey('space') },
+                { code: 'Enter', key: 'Enter', label: getEmojiForKey('enter') },
+                { ...letterKey(first), label: getLetterEmoji(first) },
+                { ...letterKey(second), label: getLetterEmoji(second) },
+                { code: 'Digit3', key: '3', label: getEmojiForKey('number', '3') },
+                { code: 'ArrowUp', key: 'ArrowUp', label: getEmojiForKey('arrow') }
+            ];
+        }
+
+        default:
+            return [];
+    }
+}
+
+/**
+ * On-Screen Keyboard class
+ */
+export class OnScreenKeyboard {
+    /**
+     * @param {HTMLElement} container - Element the keys are drawn in
+     * @param {Object} options
+     * @param {Function} options.analyzeKey - Turns {code, key} into keyInfo, like KeyboardHandler.analyzeKey
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.analyzeKey = options.analyzeKey;
+
+        this.presetId = 'off';
+        this.keys = [];
+        this.isVisible = false;
+
+        this.onKeyPress = null;
+        this.onKeyRelease = null;
+
+        // Fingers on keys: pointerId -> key code
+        this.activePointers = new Map();
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.container.addEventListener('pointerdown', this.handlePointerDown);
+        this.container.addEventListener('pointerup', this.handlePointerUp);
+        this.container.addEventListener('pointercancel', this.handlePointerUp);
+
+        debugLog('On-screen keyboard initialized');
+    }
+
+    /**
+     * Set callback for key presses
+     * @param {Function} callback - Called with keyInfo
+     */
+    setOnKeyPress(callback) {
+        this.onKeyPress = callback;
+    }
+
+    /**
+     * Set callback for the last finger leaving a key
+     * @param {Function} callback - Called with the key code
+     */
+    setOnKeyRelease(callback) {
+        this.onKeyRelease = callback;
+    }
+
+    /**
+     * Choose the layout
+     * @param {string} presetId - Key of ON_SCREEN_KEYBOARD_PRESETS
+     */
+    setPreset(presetId) {
+        if (!(presetId in ON_SCREEN_KEYBOARD_PRESETS)) {return;}
+
+        this.presetId = presetId;
+        this.build();
+        debugLog(`On-screen keyboard: ${presetId}`);
+    }
+
+    /**
+     * The layout actually shown, with 'auto' worked out
+     * @returns {string}
+     */
+    getActivePreset() {
+        if (this.presetId === 'auto') {
+            return isTouchDevice() ? 'big6' : 'off';
+        }
+        return this.presetId;
+    }
+
+    /**
+     * Redraw the keys, e.g. after the alphabet changes
+     */
+    build() {
+        this.releaseAll();
+        this.container.replaceChildren();
+
+        const presetId = this.getActivePreset();
+        this.keys = getPresetKeys(presetId);
+        if (this.keys.length === 0) {
+            this.updateVisibility();
+            return;
+        }
+
+        const columns = Math.ceil(this.keys.length / ON_SCREEN_KEYBOARD_PRESETS[presetId].rows);
+        this.container.style.gridTemplateColumns = `repeat(${columns}, 1fr)`;
+        this.container.dataset.preset = presetId;
+
+        this.keys.forEach((key, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'on-screen-key';
+            button.textContent = key.label;
+            button.tabIndex = -1; // Real keys mustn't "click" it
+            button.dataset.index = index;
+            button.style.setProperty('--key-color', BABY_COLORS[index % BABY_COLORS.length]);
+            button.setAttribute('aria-label', key.key === ' ' ? 'Space' : key.key);
+            this.container.appendChild(button);
+        });
+
+        this.updateVisibility();
+    }
+
+    /**
+     * Show or hide the keys (they're only shown while a game is running)
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        this.isVisible = visible;
+        this.updateVisibility();
+    }
+
+    updateVisibility() {
+        const shown = this.isVisible && this.keys.length > 0;
+        this.container.classList.toggle('hidden', !shown);
+        if (!shown) {
+            this.releaseAll();
+        }
+    }
+
+    handlePointerDown(event) {
+        const button = event.target.closest('.on-screen-key');
+        if (!button || !this.analyzeKey) {return;}
+
+        event.preventDefault();
+        button.setPointerCapture?.(event.pointerId);
+        button.classList.add('pressed');
+
+        const key = this.keys[Number(button.dataset.index)];
+        this.activePointers.set(event.pointerId, { code: key.code, button });
+
+        const keyInfo = this.analyzeKey({ code: key.code, key: key.key });
+        keyInfo.source = 'onScreen';
+
+        if (this.onKeyPress) {
+            this.onKeyPress(keyInfo);
+        }
+    }
+
+    handlePointerUp(event) {
+        const pointer = this.activePointers.get(event.pointerId);
+        if (!pointer) {return;}
+
+        this.activePointers.delete(event.pointerId);
+        this.releaseKey(pointer);
+    }
+
+    releaseKey({ code, button }) {
+        // Another finger may still be on the same key
+        const stillDown = [...this.activePointers.values()].some(pointer => pointer.code === code);
+        if (stillDown) {return;}
+
+        button.classList.remove('pressed');
+        if (this.onKeyRelease) {
+            this.onKeyRelease(code);
+        }
+    }
+
+    /**
+     * Let go of every key, e.g. when the keys are hidden
+     */
+    releaseAll() {
+        const pointers = [...this.activePointers.values()];
+        this.activePointers.clear();
+        pointers.forEach(pointer => this.releaseKey(pointer));
+    }
+
+    destroy() {
+        this.releaseAll();
+        this.container.removeEventListener('pointerdown', this.handlePointerDown);
+        this.container.removeEventListener('pointerup', this.handlePointerUp);
+        this.container.removeEventListener('pointercancel', this.handlePointerUp);
+        this.container.replaceChildren();
+
+        debugLog('On-screen keyboard destroyed');
+    }
+}
@@ -0,0 +1,433 @@
+/**
+ * Parent Gate for Baby Keyboard Smashing Game
+ * Puts a grown-up check (PIN, hold gesture or arithmetic) in front of parent actions
+ */
+
+import { randomIntBetween, debugLog, announceToScreenReader } from './utils.js';
+import { rng } from './random.js';
+
+const random = rng.stream('parentGate');
+
+/**
+ * Available gate methods
+ */
+export const GATE_METHODS = {
+    math: 'Arithmetic question',
+    pin: 'PIN code',
+    hold: 'Hold the corner for 3 seconds',
+    none: 'Off (no check)'
+};
+
+const HOLD_DURATION = 3000; // ms the ★ (or the hidden corner of the game) must be held
+const MAX_FAILED_ATTEMPTS = 3; // Wrong answers allowed before a lockout
+const LOCKOUT_BASE_DURATION = 30000; // First lockout, doubled for each one after
+const MAX_LOCKOUT_DURATION = 5 * 60 * 1000;
+const UNLOCK_GRACE_PERIOD = 60000; // Stay unlocked briefly so parents aren't asked twice
+const MAX_INPUT_LENGTH = 6;
+
+/**
+ * Parent Gate class
+ */
+export class ParentGate {
+    constructor(root) {
+        this.root = root;
+        this.method = 'math';
+        this.pin = '';
+
+        // Gate state
+        this.isOpen = false;
+        this.onSuccess = null;
+        this.onCancel = null;
+        this.input = '';
+        this.expectedAnswer = '';
+        this.unlockedUntil = 0;
+
+        // Rate limiting
+        this.failedAttempts = 0;
+        this.lockoutCount = 0;
+        this.lockedUntil = 0;
+
+        // Hold gesture
+        this.holdTimer = null;
+        this.cornerTimer = null; // Corner of the game held, before a non-hold check opens
+        this.openedByCorner = false;
+
+        this.elements = {};
+        this.initElements();
+
+        debugLog('Parent gate initialized');
+    }
+
+    initElements() {
+        if (!this.root) {return;}
+
+        this.elements = {
+            prompt: this.root.querySelector('#parentGatePrompt'),
+            display: this.root.querySelector('#parentGateDisplay'),
+            pad: this.root.querySelector('#parentGatePad'),
+            message: this.root.querySelector('#parentGateMessage'),
+            cancel: this.root.querySelector('#parentGateCancel'),
+            holdTarget: this.root.querySelector('#parentGateHoldTarget')
+        };
+
+        this.buildNumberPad();
+
+        this.elements.cancel?.addEventListener('click', () => this.cancel());
+
+        const holdTarget = this.elements.holdTarget;
+        if (holdTarget) {
+            holdTarget.addEventListener('pointerdown', (e) => {
+                e.preventDefault();
+                this.startHold();
+            });
+            ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+                holdTarget.addEventListener(type, () => this.stopHold());
+            });
+        }
+    }
+
+    buildNumberPad() {
+        const pad = this.elements.pad;
+        if (!pad) {return;}
+
+        const keys = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '⌫', '0', '✓'];
+        pad.innerHTML = '';
+
+        keys.forEach(label => {
+            const button = document.createElement('button');
+            button.className = 'gate-pad-btn';
+            button.textContent = label;
+            button.setAttribute('aria-label', label === '⌫' ? 'Delete' : label === '✓' ? 'Submit' : label);
+            button.addEventListener('click', () => {
+                if (label === '⌫') {
+                    this.deleteDigit();
+                } else if (label === '✓') {
+                    this.submit();
+                } else {
+                    this.addDigit(label);
+                }
+            });
+            pad.appendChild(button);
+        });
+    }
+
+    /**
+     * Update the gate method and PIN
+     * @param {Object} options
+     * @param {string} options.method - One of GATE_METHODS
+     * @param {string} options.pin - Digits for the PIN method
+     */
+    configure({ method, pin } = {}) {
+        if (method && method in GATE_METHODS) {
+            this.method = method;
+        }
+        if (typeof pin === 'string') {
+            this.pin = pin.replace(/\D/g, '').slice(0, MAX_INPUT_LENGTH);
+        }
+        debugLog(`Parent gate method: ${this.getEffectiveMethod()}`);
+    }
+
+    /**
+     * The PIN method needs a PIN, otherwise fall back to arithmetic
+     * @returns {string}
+     */
+    getEffectiveMethod() {
+        if (this.method === 'pin' && this.pin.length === 0) {
+            return 'math';
+        }
+        return this.method;
+    }
+
+    /**
+     * Check if parent actions are currently allowed without asking
+     * @returns {boolean}
+     */
+    isUnlocked() {
+        return this.getEffectiveMethod() === 'none' || performance.now() < this.unlockedUntil;
+    }
+
+    /**
+     * Require the check again for the next parent action
+     */
+    lock() {
+        this.unlockedUntil = 0;
+    }
+
+    /**
+     * Get remaining lockout time after too many wrong answers
+     * @returns {number} Milliseconds, 0 if not locked out
+     */
+    getLockoutRemaining() {
+        return Math.max(0, this.lockedUntil - performance.now());
+    }
+
+    /**
+     * Ask for the grown-up check, or run the action straight away if unlocked
+     * @param {Function} onSuccess - Called once the check passes
+     * @param {Function} onCancel - Called if the gate is dismissed
+     */
+    request(onSuccess, onCancel = null) {
+        if (this.isUnlocked()) {
+            onSuccess();
+            return;
+        }
+
+        // A second request while open just replaces the pending action
+        this.onSuccess = onSuccess;
+        this.onCancel = onCancel;
+
+        if (!this.isOpen) {
+            this.open();
+        }
+    }
+
+    open() {
+        this.isOpen = true;
+        this.input = '';
+        this.root?.classList.remove('hidden');
+        this.prepareChallenge();
+        announceToScreenReader('Grown-up check. ' + (this.elements.prompt?.textContent || ''));
+    }
+
+    prepareChallenge() {
+        const method = this.getEffectiveMethod();
+        const { pad, display, holdTarget } = this.elements;
+
+        this.showMessage('');
+        this.updateDisplay();
+
+        pad?.classList.toggle('hidden', method === 'hold');
+        display?.classList.toggle('hidden', method === 'hold');
+        holdTarget?.classList.toggle('hidden', method !== 'hold');
+
+        if (method === 'math') {
+            const a = randomIntBetween(3, 9, random);
+            const b = randomIntBetween(3, 9, random);
+            this.expectedAnswer = String(a * b);
+            this.setPrompt(`What is ${a} × ${b}?`);
+        } else if (method === 'pin') {
+            this.expectedAnswer = this.pin;
+            this.setPrompt('Enter your parent PIN');
+        } else if (method === 'hold') {
+            this.expectedAnswer = '';
+            this.setPrompt('Press and hold the ★ in the corner for 3 seconds');
+        }
+
+        if (this.getLockoutRemaining() > 0) {
+            this.showLockoutMessage();
+        }
+    }
+
+    setPrompt(text) {
+        if (this.elements.prompt) {
+            this.elements.prompt.textContent = text;
+        }
+    }
+
+    close() {
+        this.isOpen = false;
+        this.openedByCorner = false;
+        this.stopHold();
+        this.input = '';
+        this.onSuccess = null;
+        this.onCancel = null;
+        this.root?.classList.add('hidden');
+    }
+
+    cancel() {
+        const onCancel = this.onCancel;
+        this.close();
+        debugLog('Parent gate cancelled');
+
+        if (onCancel) {
+            onCancel();
+        }
+    }
+
+    succeed() {
+        const onSuccess = this.onSuccess;
+
+        this.failedAttempts = 0;
+        this.lockoutCount = 0;
+        this.unlockedUntil = performance.now() + UNLOCK_GRACE_PERIOD;
+        this.close();
+
+        debugLog('Parent gate passed');
+        announceToScreenReader('Parent controls unlocked');
+
+        if (onSuccess) {
+            onSuccess();
+        }
+    }
+
+    fail() {
+        this.failedAttempts++;
+        this.input = '';
+        this.updateDisplay();
+
+        if (this.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+            const duration = Math.min(
+                LOCKOUT_BASE_DURATION * Math.pow(2, this.lockoutCount),
+                MAX_LOCKOUT_DURATION
+            );
+            this.lockoutCount++;
+            this.failedAttempts = 0;
+            this.lockedUntil = performance.now() + duration;
+            this.showLockoutMessage();
+            debugLog(`Parent gate locked for ${duration}ms`);
+            return;
+        }
+
+        this.showMessage('Not quite - try again.', true);
+
+        // Fresh question so answers can't be guessed one by one
+        if (this.getEffectiveMethod() === 'math') {
+            this.prepareChallenge();
+            this.showMessage('Not quite - try again.', true);
+        }
+    }
+
+    showLockoutMessage() {
+        const seconds = Math.ceil(this.getLockoutRemaining() / 1000);
+        this.showMessage(`Too many tries. Please wait ${seconds} seconds.`, true);
+    }
+
+    showMessage(text, isError = false) {
+        const message = this.elements.message;
+        if (message) {
+            message.textContent = text;
+            message.classList.toggle('error', isError);
+        }
+        if (text) {
+            announceToScreenReader(text);
+        }
+    }
+
+    addDigit(digit) {
+        if (this.getLockoutRemaining() > 0) {
+            this.showLockoutMessage();
+            return;
+        }
+        if (this.input.length >= MAX_INPUT_LENGTH) {return;}
+
+        this.input += digit;
+        this.updateDisplay();
+    }
+
+    deleteDigit() {
+        this.input = this.input.slice(0, -1);
+        this.updateDisplay();
+    }
+
+    updateDisplay() {
+        const display = this.elements.display;
+        if (!display) {return;}
+
+        // Hide PIN digits, show arithmetic answers
+        display.textContent = this.getEffectiveMethod() === 'pin'
+            ? '●'.repeat(this.input.length)
+            : this.input;
+    }
+
+    submit() {
+        if (this.getLockoutRemaining() > 0) {
+            this.showLockoutMessage();
+            return;
+        }
+        if (this.input.length === 0) {return;}
+
+        if (this.input === this.expectedAnswer) {
+            this.succeed();
+        } else {
+            this.fail();
+        }
+    }
+
+    startHold() {
+        if (this.getEffectiveMethod() !== 'hold' || this.holdTimer) {return;}
+
+        if (this.getLockoutRemaining() > 0) {
+            this.showLockoutMessage();
+            return;
+        }
+
+        const holdTarget = this.elements.holdTarget;
+        if (holdTarget) {
+            holdTarget.style.animationDuration = `${HOLD_DURATION}ms`;
+            holdTarget.classList.add('holding');
+        }
+
+        this.holdTimer = setTimeout(() => {
+            this.holdTimer = null;
+            this.succeed();
+        }, HOLD_DURATION);
+    }
+
+    stopHold() {
+        if (this.holdTimer) {
+            clearTimeout(this.holdTimer);
+            this.holdTimer = null;
+        }
+        this.elements.holdTarget?.classList.remove('holding');
+    }
+
+    /**
+     * A finger held on the hidden corner of the game, for tablets without a
+     * keyboard. In hold mode that finger is the hold itself; the other checks
+     * only open once the corner has been held as long, so a baby's stray tap
+     * never brings up a question
+     * @param {Function} openGate - Asks for the check (the game pauses first)
+     */
+    startCornerHold(openGate) {
+        if (this.isOpen || this.cornerTimer) {return;}
+
+        if (this.getEffectiveMethod() === 'hold' && !this.isUnlocked()) {
+            openGate();
+            this.openedByCorner = this.isOpen;
+            this.startHold();
+            return;
+        }
+
+        this.cornerTimer = setTimeout(() => {
+            this.cornerTimer = null;
+            openGate();
+        }, HOLD_DURATION);
+    }
+
+    /**
+     * The finger left the corner: a hold that hasn't finished closes the gate again
+     */
+    stopCornerHold() {
+        if (this.cornerTimer) {
+            clearTimeout(this.cornerTimer);
+            this.cornerTimer = null;
+        }
+        if (this.openedByCorner && this.isOpen) {
+            this.cancel();
+        }
+    }
+
+    /**
+     * Handle keyboard input while the gate is open
+     * @param {KeyboardEvent} event
+     */
+    handleKeyDown(event) {
+        if (!this.isOpen) {return;}
+
+        if (event.code === 'Escape') {
+            this.cancel();
+            return;
+        }
+
+        // Holding a key isn't a grown-up check: a baby can lean on Enter too
+        if (this.getEffectiveMethod() === 'hold') {return;}
+
+        if (/^[0-9]$/.test(event.key)) {
+            this.addDigit(event.key);
+        } else if (event.code === 'Backspace') {
+            this.deleteDigit();
+        } else if (event.code === 'Enter' || event.code === 'NumpadEnter') {
+            this.submit();
+        }
+    }
+}
@@ -1,6 +1,6 @@
 /**
  * Particle System for Baby Keyboard Smashing Game
- * Creates beautiful trailing particles that follow mouse cursor movement
+ * Creates beautiful trailing particles that follow the mouse and every finger
  */
 
 import {
@@ -13,10 +13,14 @@ import {
     lerp,
     easeOut,
     ObjectPool,
-    getCanvasCoordinates,
-    isTouchDevice,
-    debugLog
+    debugLog,
+    ENV
 } from './utils.js';
+import { rng } from './random.js';
+
+// Particles are left out of seeded reproduction: trails are emitted on the
+// frame clock, so how many numbers this stream gives out depends on frame timing
+const random = rng.stream('particles');
 
 /**
  * Individual Particle class
@@ -62,11 +66,11 @@ class Particle {
 
         // Time-based lifetime with random range (1-4 seconds for normal, 2-6 for clicks)
         if (isClickParticle) {
-            this.maxLife = randomBetween(2000, 6000); // 2-6 seconds
-            this.maxSize = randomBetween(CONFIG.particles.maxSize, CONFIG.particles.maxSize * 2.5);
+            this.maxLife = randomBetween(2000, 6000, random); // 2-6 seconds
+            this.maxSize = randomBetween(CONFIG.particles.maxSize, CONFIG.particles.maxSize * 2.5, random);
         } else {
-            this.maxLife = randomBetween(1000, 4000); // 1-4 seconds
-            this.maxSize = randomBetween(CONFIG.particles.minSize, CONFIG.particles.maxSize);
+            this.maxLife = randomBetween(1000, 4000, random); // 1-4 seconds
+            this.maxSize = randomBetween(CONFIG.particles.minSize, CONFIG.particles.maxSize, random);
         }
 
         this.life = this.maxLife;
@@ -75,23 +79,25 @@ class Particle {
         // Velocity based on particle type
         if (isClickParticle) {
             // Click particles burst outward in all directions
-            const angle = randomBetween(0, Math.PI * 2);
-            const speed = randomBetween(3, 10) * burstIntensity;
+            const angle = randomBetween(0, Math.PI * 2, random);
+            const speed = randomBetween(3, 10, random) * burstIntensity;
             this.vx = Math.cos(angle) * speed;
             this.vy = Math.sin(angle) * speed;
         } else {
             // Normal particles have gentle, mostly upward movement
-            this.vx = randomBetween(-1, 1);
-            this.vy = randomBetween(-2, 0.5);
+            this.vx = randomBetween(-1, 1, random);
+            this.vy = randomBetween(-2, 0.5, random);
         }
 
         // Physics properties
-        this.gravity = isClickParticle ? randomBetween(0.02, 0.08) : randomBetween(0.05, 0.15);
-        this.friction = randomBetween(0.95, 0.99);
-
-        // Visual properties
-        this.hue = randomBetween(0, 360);
-        this.rotationSpeed = randomBetween(-0.15, 0.15);
+        this.gravity = isClickParticle ? randomBetween(0.02, 0.08, random) : randomBetween(0.05, 0.15, random);
+        this.friction = randomBetween(0.95, 0.99, random);
+
+        // Visual properties - near the pointer's color when it has one
+        this.hue = typeof options.hue === 'number'
+            ? (options.hue + randomBetween(-20, 20, random) + 360) % 360
+            : randomBetween(0, 360, random);
+        this.rotationSpeed = randomBetween(-0.15, 0.15, random);
         if (isClickParticle) {
             this.rotationSpeed *= 2; // Click particles spin faster
         }
@@ -150,19 +156,28 @@ class Particle {
         this.color = `hsla(${this.hue}, ${this.saturation}%, ${this.lightness}%, ${this.alpha})`;
     }
 
-    render(ctx) {
+    /**
+     * Draw the particle
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {boolean} fullOpacity - Ignore the fade-out, e.g. for a saved picture
+     */
+    render(ctx, fullOpacity = false) {
         if (!this.isActive || this.size <= 0) {return;}
 
+        const color = fullOpacity
+            ? `hsl(${this.hue}, ${this.saturation}%, ${this.lightness}%)`
+            : this.color;
+
         ctx.save();
-        ctx.globalAlpha = this.alpha;
+        ctx.globalAlpha = fullOpacity ? 1 : this.alpha;
 
         // Move to particle position
         ctx.translate(this.x, this.y);
         ctx.rotate(this.rotation);
 
         // Set color
-        ctx.fillStyle = this.color;
-        ctx.strokeStyle = this.color;
+        ctx.fillStyle = color;
+        ctx.strokeStyle = color;
 
         // Render based on type
         switch (this.type) {
@@ -270,12 +285,22 @@ export class ParticleSystem {
             50 // Increase pool size for constant emission and click effects
         );
 
-        // Mouse tracking for cursor position
-        this.mouseX = this.canvas.width / 2; // Start in center
-        this.mouseY = this.canvas.height / 2;
+        // Particles live in CSS pixels, like shapes (the context is scaled for the DPR)
+        const rect = this.canvas.getBoundingClientRect();
+        this.width = rect.width;
+        this.height = rect.height;
+
+        // Primary pointer position, also used for the custom cursor
+        this.mouseX = this.width / 2; // Start in center
+        this.mouseY = this.height / 2;
+
+        // Every pointer on the canvas gets its own emitter and color, by pointerId
+        this.pointers = new Map();
+        this.nextPointerHue = randomBetween(0, 360, random);
 
         // Constant emission system
-        this.constantEmitRate = 120; // Emit every 120ms
+        this.baseEmitRate = 120; // Emit every 120ms
+        this.constantEmitRate = this.baseEmitRate;
         this.lastConstantEmitTime = 0;
         this.constantParticleTypes = ['circle', 'sparkle'];
 
@@ -283,8 +308,11 @@ export class ParticleSystem {
         this.clickEffects = [];
         this.maxClickParticles = 20; // Particles per click
 
-        // Touch support
-        this.isTouch = isTouchDevice();
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handlePointerLeave = this.handlePointerLeave.bind(this);
+        this.handleContextMenu = this.handleContextMenu.bind(this);
 
         this.initEventListeners();
 
@@ -292,90 +320,196 @@ export class ParticleSystem {
     }
 
     initEventListeners() {
-        // Mouse events
-        this.canvas.addEventListener('mousemove', this.handleMouseMove.bind(this));
-        this.canvas.addEventListener('mousedown', this.handleMouseClick.bind(this));
-        this.canvas.addEventListener('contextmenu', (e) => {
-            e.preventDefault(); // Prevent right-click menu
-            this.handleMouseClick(e); // Treat right-click as click too
-        });
-
-        // Touch events for mobile
-        if (this.isTouch) {
-            this.canvas.addEventListener('touchstart', this.handleTouchStart.bind(this));
-            this.canvas.addEventListener('touchmove', this.handleTouchMove.bind(this));
-            this.canvas.addEventListener('touchend', this.handleTouchEnd.bind(this));
-        }
+        // Pointer events cover mouse, pen and every finger on a touch screen
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown);
+        this.canvas.addEventListener('pointermove', this.handlePointerMove);
+        this.canvas.addEventListener('pointerup', this.handlePointerUp);
+        this.canvas.addEventListener('pointercancel', this.handlePointerUp);
+        this.canvas.addEventListener('pointerleave', this.handlePointerLeave);
+        this.canvas.addEventListener('contextmenu', this.handleContextMenu);
     }
 
-    handleMouseMove(event) {
-        const coords = getCanvasCoordinates(event, this.canvas);
-        this.mouseX = coords.x;
-        this.mouseY = coords.y;
+    /**
+     * Pointer position in CSS pixels
+     * @param {PointerEvent} event
+     * @returns {{x: number, y: number}}
+     */
+    getPointerPosition(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: event.clientX - rect.left,
+            y: event.clientY - rect.top
+        };
     }
 
-    handleMouseClick(event) {
-        const coords = getCanvasCoordinates(event, this.canvas);
-        this.createClickEffect(coords.x, coords.y, event.button);
-        debugLog(`Mouse click at (${Math.round(coords.x)}, ${Math.round(coords.y)}) button: ${event.button}`);
+    /**
+     * Start tracking a pointer, giving it its own color
+     * @param {PointerEvent} event
+     * @returns {Object|null} The pointer, or null when too many are down
+     */
+    trackPointer(event) {
+        let pointer = this.pointers.get(event.pointerId);
+        if (pointer) {return pointer;}
+        if (this.pointers.size >= CONFIG.particles.maxPointers) {return null;}
+
+        pointer = {
+            x: 0,
+            y: 0,
+            hue: this.nextPointerHue,
+            lastEmitTime: 0
+        };
+        // Golden angle steps keep neighbouring fingers' colors far apart
+        this.nextPointerHue = (this.nextPointerHue + 137.5) % 360;
+
+        this.pointers.set(event.pointerId, pointer);
+        return pointer;
     }
 
-    handleTouchStart(event) {
-        event.preventDefault();
-        if (event.touches.length > 0) {
-            const coords = getCanvasCoordinates(event, this.canvas);
+    movePointer(event, pointer) {
+        const coords = this.getPointerPosition(event);
+        pointer.x = coords.x;
+        pointer.y = coords.y;
+
+        if (event.isPrimary) {
             this.mouseX = coords.x;
             this.mouseY = coords.y;
-            // Touch start creates a click effect
-            this.createClickEffect(coords.x, coords.y, 0);
         }
     }
 
-    handleTouchMove(event) {
-        event.preventDefault();
-        if (event.touches.length > 0) {
-            const coords = getCanvasCoordinates(event, this.canvas);
-            this.mouseX = coords.x;
-            this.mouseY = coords.y;
+    handlePointerDown(event) {
+        const pointer = this.trackPointer(event);
+        if (!pointer) {return;}
+
+        this.movePointer(event, pointer);
+        this.createClickEffect(pointer.x, pointer.y, event.button, pointer.hue);
+        debugLog(`Pointer ${event.pointerId} (${event.pointerType}) down at (${Math.round(pointer.x)}, ${Math.round(pointer.y)}) button: ${event.button}`);
+    }
+
+    handlePointerMove(event) {
+        // A hovering mouse trails too; fingers only while touching
+        const pointer = event.pointerType === 'mouse'
+            ? this.trackPointer(event)
+            : this.pointers.get(event.pointerId);
+        if (!pointer) {return;}
+
+        this.movePointer(event, pointer);
+    }
+
+    handlePointerUp(event) {
+        // The mouse keeps trailing after a click; lifted fingers stop
+        if (event.pointerType === 'mouse' && event.type === 'pointerup') {return;}
+        this.pointers.delete(event.pointerId);
+    }
+
+    handlePointerLeave(event) {
+        // A mouse that leaves the canvas stops trailing and frees its slot
+        if (event.pointerType === 'mouse') {
+            this.pointers.delete(event.pointerId);
         }
     }
 
-    handleTouchEnd(event) {
-        event.preventDefault();
+    handleContextMenu(event) {
+        event.preventDefault(); // Right-click bursts like any click instead of opening a menu
+    }
+
+    /**
+     * Nudge a pointer that isn't a mouse or finger, like a gamepad stick
+     * @param {string} id - Unique pointer ID, e.g. 'gamepad-0'
+     * @param {number} dx - CSS px
+     * @param {number} dy - CSS px
+     */
+    moveVirtualPointer(id, dx, dy) {
+        let pointer = this.pointers.get(id);
+        if (!pointer) {
+            pointer = this.trackPointer({ pointerId: id });
+            if (!pointer) {return;}
+
+            // Start from wherever the cursor is
+            pointer.x = this.mouseX;
+            pointer.y = this.mouseY;
+        }
+
+        pointer.x = Math.max(0, Math.min(pointer.x + dx, this.width));
+        pointer.y = Math.max(0, Math.min(pointer.y + dy, this.height));
+
+        // The sparkle cursor follows whatever moved last
+        this.mouseX = pointer.x;
+        this.mouseY = pointer.y;
+    }
+
+    /**
+     * Stop tracking a pointer
+     * @param {number|string} id
+     */
+    removePointer(id) {
+        this.pointers.delete(id);
+    }
+
+    /**
+     * Number of pointers currently emitting
+     * @returns {number}
+     */
+    getPointerCount() {
+        return this.pointers.size;
     }
 
     createConstantParticles() {
         const now = performance.now();
 
-        // Check if it's time to emit constant particles
-        if (now - this.lastConstantEmitTime < this.constantEmitRate) {
+        // Nothing on the screen - keep emitting where the last pointer was
+        if (this.pointers.size === 0) {
+            if (now - this.lastConstantEmitTime < this.constantEmitRate) {
+                return;
+            }
+            this.lastConstantEmitTime = now;
+            this.emitAround(this.mouseX, this.mouseY, null);
             return;
         }
 
-        this.lastConstantEmitTime = now;
+        this.pointers.forEach(pointer => {
+            if (now - pointer.lastEmitTime < this.constantEmitRate) {return;}
+            pointer.lastEmitTime = now;
+            this.emitAround(pointer.x, pointer.y, pointer.hue);
+        });
+    }
 
+    /**
+     * Emit a few trail particles around a point
+     * @param {number} x
+     * @param {number} y
+     * @param {number|null} hue - Pointer color, null for random colors
+     */
+    emitAround(x, y, hue) {
         // Create particles at random positions around the cursor
-        const particleCount = randomIntBetween(1, 3);
+        const particleCount = randomIntBetween(1, 3, random);
 
         for (let i = 0; i < particleCount; i++) {
             // Random position around cursor
-            const angle = randomBetween(0, Math.PI * 2);
-            const distance = randomBetween(10, 50);
-            const x = this.mouseX + Math.cos(angle) * distance;
-            const y = this.mouseY + Math.sin(angle) * distance;
+            const angle = randomBetween(0, Math.PI * 2, random);
+            const distance = randomBetween(10, 50, random);
+            const particleX = x + Math.cos(angle) * distance;
+            const particleY = y + Math.sin(angle) * distance;
 
             // Clamp to canvas bounds
-            const clampedX = Math.max(0, Math.min(x, this.canvas.width));
-            const clampedY = Math.max(0, Math.min(y, this.canvas.height));
+            const clampedX = Math.max(0, Math.min(particleX, this.width));
+            const clampedY = Math.max(0, Math.min(particleY, this.height));
 
             this.createParticle(clampedX, clampedY, {
-                type: this.constantParticleTypes[Math.floor(Math.random() * this.constantParticleTypes.length)],
-                isClickParticle: false
+                type: this.constantParticleTypes[Math.floor(random.next() * this.constantParticleTypes.length)],
+                isClickParticle: false,
+                hue
             });
         }
     }
 
-    createClickEffect(x, y, button) {
+    /**
+     * Burst of particles for a click or touch
+     * @param {number} x - CSS px
+     * @param {number} y - CSS px
+     * @param {number} button - Mouse button, 0 for touch
+     * @param {number|null} hue - Pointer color, null for random colors
+     */
+    createClickEffect(x, y, button, hue = null) {
         // Different effects for different mouse buttons
         let effectIntensity = 1;
         let particleTypes = ['star', 'heart', 'sparkle'];
@@ -399,11 +533,12 @@ export class ParticleSystem {
         const particleCount = Math.floor(this.maxClickParticles * effectIntensity);
 
         for (let i = 0; i < particleCount; i++) {
-            const particleType = particleTypes[Math.floor(Math.random() * particleTypes.length)];
+            const particleType = particleTypes[Math.floor(random.next() * particleTypes.length)];
             this.createParticle(x, y, {
                 type: particleType,
                 isClickParticle: true,
-                burstIntensity: effectIntensity
+                burstIntensity: effectIntensity,
+                hue
             });
         }
 
@@ -429,7 +564,7 @@ export class ParticleSystem {
 
     createBurst(x, y, count = 10) {
         // Create a burst of particles at specific location
-        const colors = getRandomColors(3);
+        const colors = getRandomColors(3, random);
 
         for (let i = 0; i < count; i++) {
             if (this.particles.length >= CONFIG.particles.maxActiveParticles) {
@@ -441,13 +576,13 @@ export class ParticleSystem {
 
             // Set burst velocity
             const angle = (i / count) * Math.PI * 2;
-            const speed = randomBetween(3, 8);
+            const speed = randomBetween(3, 8, random);
             particle.vx = Math.cos(angle) * speed;
             particle.vy = Math.sin(angle) * speed;
 
             // Vary particle properties
-            particle.maxSize *= randomBetween(0.8, 1.5);
-            particle.hue = randomBetween(0, 360);
+            particle.maxSize *= randomBetween(0.8, 1.5, random);
+            particle.hue = randomBetween(0, 360, random);
 
             this.particles.push(particle);
         }
@@ -468,8 +603,8 @@ export class ParticleSystem {
 
         // Remove particles that are off-screen (with larger buffer for click effects)
         this.particles = this.particles.filter(particle => {
-            if (particle.x < -100 || particle.x > this.canvas.width + 100 ||
-                particle.y < -100 || particle.y > this.canvas.height + 100) {
+            if (particle.x < -100 || particle.x > this.width + 100 ||
+                particle.y < -100 || particle.y > this.height + 100) {
                 this.particlePool.release(particle);
                 return false;
             }
@@ -484,7 +619,7 @@ export class ParticleSystem {
         });
 
         // Optional: Render mouse position indicator for debugging
-        if (import.meta.env.DEV && false) {
+        if (ENV.DEV && false) {
             this.ctx.save();
             this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
             this.ctx.beginPath();
@@ -509,9 +644,9 @@ export class ParticleSystem {
     }
 
     resize(width, height) {
-        // Update canvas reference after resize
-        this.canvas.width = width;
-        this.canvas.height = height;
+        // CSS size; the canvas itself is sized by the main controller
+        this.width = width;
+        this.height = height;
         debugLog(`Particle system resized to ${width}x${height}`);
     }
 
@@ -521,17 +656,20 @@ export class ParticleSystem {
         debugLog(`Constant particle emit rate set to ${this.constantEmitRate}ms`);
     }
 
+    setEmitSlowdown(factor) {
+        // Stretch the emission interval, e.g. 2 = half as many particles
+        this.constantEmitRate = Math.max(50, this.baseEmitRate * Math.max(1, factor));
+    }
+
     destroy() {
         // Remove event listeners
-        this.canvas.removeEventListener('mousemove', this.handleMouseMove.bind(this));
-        this.canvas.removeEventListener('mousedown', this.handleMouseClick.bind(this));
-        this.canvas.removeEventListener('contextmenu', this.handleMouseClick.bind(this));
-
-        if (this.isTouch) {
-            this.canvas.removeEventListener('touchstart', this.handleTouchStart.bind(this));
-            this.canvas.removeEventListener('touchmove', this.handleTouchMove.bind(this));
-            this.canvas.removeEventListener('touchend', this.handleTouchEnd.bind(this));
-        }
+        this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
+        this.canvas.removeEventListener('pointermove', this.handlePointerMove);
+        this.canvas.removeEventListener('pointerup', this.handlePointerUp);
+        this.canvas.removeEventListener('pointercancel', this.handlePointerUp);
+        this.canvas.removeEventListener('pointerleave', this.handlePointerLeave);
+        this.canvas.removeEventListener('contextmenu', this.handleContextMenu);
+        this.pointers.clear();
 
         this.clear();
         debugLog('Particle system destroyed');
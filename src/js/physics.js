@@ -0,0 +1,220 @@
+/**
+ * Shape Physics for Baby Keyboard Smashing Game
+ * Gravity, edge bouncing and shape-to-shape collisions so shapes fall and stack
+ */
+
+import { debugLog } from './utils.js';
+
+const FIXED_STEP = 1000 / 120; // ms per physics step, independent of frame rate
+const MAX_STEPS_PER_UPDATE = 12; // Don't spiral after a long pause
+const GRAVITY = 1400; // px/s²
+const RESTITUTION = 0.45; // Bounciness, 0-1
+const FRICTION = 0.985; // Horizontal damping per step while touching the floor
+const SOLVER_ITERATIONS = 4; // More passes = steadier stacks
+const REST_SPEED = 12; // px/s below which a resting body stops jittering
+const BODY_RADIUS_SCALE = 0.45; // Collision radius as a fraction of shape size
+
+/**
+ * Uniform grid broad phase: only bodies in the same or neighbouring cells
+ * are checked against each other
+ */
+export class SpatialGrid {
+    constructor(cellSize = 100) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+    }
+
+    clear(cellSize = this.cellSize) {
+        this.cellSize = Math.max(1, cellSize);
+        this.cells.clear();
+    }
+
+    getCellKey(cellX, cellY) {
+        return `${cellX},${cellY}`;
+    }
+
+    insert(index, x, y) {
+        const key = this.getCellKey(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+        const cell = this.cells.get(key);
+        if (cell) {
+            cell.push(index);
+        } else {
+            this.cells.set(key, [index]);
+        }
+    }
+
+    /**
+     * Every pair of bodies that might be touching, each pair once
+     * @returns {Array<[number, number]>} Index pairs
+     */
+    getCandidatePairs() {
+        const pairs = [];
+
+        // Half the neighbourhood is enough - the other half sees this cell as its neighbour
+        const neighbourOffsets = [[1, 0], [-1, 1], [0, 1], [1, 1]];
+
+        this.cells.forEach((cell, key) => {
+            const [cellX, cellY] = key.split(',').map(Number);
+
+            for (let i = 0; i < cell.length; i++) {
+                for (let j = i + 1; j < cell.length; j++) {
+                    pairs.push([cell[i], cell[j]]);
+                }
+            }
+
+            neighbourOffsets.forEach(([offsetX, offsetY]) => {
+                const neighbour = this.cells.get(this.getCellKey(cellX + offsetX, cellY + offsetY));
+                if (!neighbour) {return;}
+
+                cell.forEach(a => {
+                    neighbour.forEach(b => pairs.push([a, b]));
+                });
+            });
+        });
+
+        return pairs;
+    }
+}
+
+/**
+ * Physics World class
+ * Bodies are shapes with x, y (px), vx, vy (px/s) and size
+ * Held bodies (isHeld) are moved by a finger: they push others but aren't pushed
+ */
+export class PhysicsWorld {
+    constructor() {
+        this.accumulator = 0;
+        this.grid = new SpatialGrid();
+        this.stepCount = 0;
+    }
+
+    getRadius(body) {
+        return Math.max(1, body.size * BODY_RADIUS_SCALE);
+    }
+
+    /**
+     * Advance the world by real elapsed time, in fixed steps
+     * @param {Array} bodies
+     * @param {number} deltaTime - ms since last update
+     * @param {number} width - World width in px
+     * @param {number} height - World height in px
+     * @returns {number} Steps taken
+     */
+    update(bodies, deltaTime, width, height) {
+        this.accumulator = Math.min(this.accumulator + deltaTime, FIXED_STEP * MAX_STEPS_PER_UPDATE);
+
+        let steps = 0;
+        while (this.accumulator >= FIXED_STEP) {
+            this.step(bodies, width, height);
+            this.accumulator -= FIXED_STEP;
+            steps++;
+        }
+        return steps;
+    }
+
+    /**
+     * One fixed step: integrate, then resolve collisions and walls
+     * @param {Array} bodies
+     * @param {number} width
+     * @param {number} height
+     */
+    step(bodies, width, height) {
+        const dt = FIXED_STEP / 1000;
+
+        bodies.forEach(body => {
+            if (body.isHeld) {return;}
+            body.vy += GRAVITY * dt;
+            body.x += body.vx * dt;
+            body.y += body.vy * dt;
+        });
+
+        for (let iteration = 0; iteration < SOLVER_ITERATIONS; iteration++) {
+            this.resolveCollisions(bodies);
+            bodies.forEach(body => this.resolveWalls(body, width, height));
+        }
+
+        this.stepCount++;
+    }
+
+    resolveCollisions(bodies) {
+        // Cells as big as the largest body guarantee touching bodies are neighbours
+        const largestRadius = bodies.reduce((max, body) => Math.max(max, this.getRadius(body)), 1);
+        this.grid.clear(largestRadius * 2);
+        bodies.forEach((body, index) => this.grid.insert(index, body.x, body.y));
+
+        this.grid.getCandidatePairs().forEach(([i, j]) => {
+            this.resolvePair(bodies[i], bodies[j]);
+        });
+    }
+
+    resolvePair(a, b) {
+        const radiusA = this.getRadius(a);
+        const radiusB = this.getRadius(b);
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const overlap = radiusA + radiusB - distance;
+        if (overlap <= 0) {return;}
+
+        // Exactly on top of each other - push apart sideways
+        const nx = distance > 0 ? dx / distance : 1;
+        const ny = distance > 0 ? dy / distance : 0;
+
+        // Bigger shapes are heavier; a held shape is immovable
+        const inverseMassA = a.isHeld ? 0 : 1 / (radiusA * radiusA);
+        const inverseMassB = b.isHeld ? 0 : 1 / (radiusB * radiusB);
+        const inverseMassSum = inverseMassA + inverseMassB;
+        if (inverseMassSum === 0) {return;}
+
+        // Separate so they no longer overlap
+        const correction = overlap / inverseMassSum;
+        a.x -= nx * correction * inverseMassA;
+        a.y -= ny * correction * inverseMassA;
+        b.x += nx * correction * inverseMassB;
+        b.y += ny * correction * inverseMassB;
+
+        // Bounce only if they are moving towards each other
+        const relativeSpeed = (b.vx - a.vx) * nx + (b.vy - a.vy) * ny;
+        if (relativeSpeed >= 0) {return;}
+
+        // Slow contacts (shapes resting on each other) don't bounce, so stacks settle
+        const restitution = -relativeSpeed > REST_SPEED ? RESTITUTION : 0;
+        const impulse = (-(1 + restitution) * relativeSpeed) / inverseMassSum;
+        a.vx -= impulse * inverseMassA * nx;
+        a.vy -= impulse * inverseMassA * ny;
+        b.vx += impulse * inverseMassB * nx;
+        b.vy += impulse * inverseMassB * ny;
+    }
+
+    resolveWalls(body, width, height) {
+        const radius = this.getRadius(body);
+
+        if (body.x < radius) {
+            body.x = radius;
+            body.vx = Math.abs(body.vx) * RESTITUTION;
+        } else if (body.x > width - radius) {
+            body.x = width - radius;
+            body.vx = -Math.abs(body.vx) * RESTITUTION;
+        }
+
+        if (body.y < radius) {
+            body.y = radius;
+            body.vy = Math.abs(body.vy) * RESTITUTION;
+        } else if (body.y > height - radius) {
+            body.y = height - radius;
+            body.vy = -Math.abs(body.vy) * RESTITUTION;
+            body.vx *= FRICTION;
+
+            // Let resting shapes settle instead of buzzing on the floor
+            if (Math.abs(body.vy) < REST_SPEED) {
+                body.vy = 0;
+            }
+        }
+    }
+
+    reset() {
+        this.accumulator = 0;
+        this.stepCount = 0;
+        debugLog('Physics world reset');
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * Random Numbers for Baby Keyboard Smashing Game
+ * One seedable generator for the whole game, split into named streams so each
+ * subsystem gets the same numbers however busy the others are
+ */
+
+/**
+ * Fresh 32-bit seed, for sessions that weren't given one
+ * @returns {number}
+ */
+export function createRandomSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * 32-bit FNV-1a hash, for stream names and text seeds
+ * @param {string} text
+ * @returns {number}
+ */
+export function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Scramble a 32-bit number so nearby seeds give unrelated streams
+ * @param {number} value
+ * @returns {number}
+ */
+function mixSeed(value) {
+    let t = value >>> 0;
+    t = Math.imul(t ^ (t >>> 16), 0x85EBCA6B);
+    t = Math.imul(t ^ (t >>> 13), 0xC2B2AE35);
+    return (t ^ (t >>> 16)) >>> 0;
+}
+
+/**
+ * Random Stream class - a small, fast seeded generator (mulberry32)
+ */
+export class RandomStream {
+    /**
+     * @param {number} state - 32-bit starting state
+     */
+    constructor(state) {
+        this.state = state >>> 0;
+    }
+
+    /**
+     * Next number in [0, 1), like Math.random
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * @param {number} state - From getState()
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
+
+/**
+ * Random Service class - the seed and every named stream
+ */
+export class RandomService {
+    /**
+     * @param {number} seed - Defaults to a fresh random seed
+     */
+    constructor(seed = createRandomSeed()) {
+        this.streams = new Map();
+        this.seed(seed);
+    }
+
+    /**
+     * Restart every stream from a seed
+     * @param {number} seed - 32-bit integer
+     */
+    seed(seed) {
+        this.currentSeed = seed >>> 0;
+        this.streams.forEach((stream, name) => stream.setState(this.getStartState(name)));
+    }
+
+    getSeed() {
+        return this.currentSeed;
+    }
+
+    getStartState(name) {
+        return mixSeed(this.currentSeed ^ hashString(name));
+    }
+
+    /**
+     * The stream for a subsystem, e.g. 'shapes' or 'particles'
+     * Streams keep their identity across reseeding, so modules can hold on to them.
+     * @param {string} name
+     * @returns {RandomStream}
+     */
+    stream(name) {
+        let stream = this.streams.get(name);
+        if (!stream) {
+            stream = new RandomStream(this.getStartState(name));
+            this.streams.set(name, stream);
+        }
+        return stream;
+    }
+
+    /**
+     * Snapshot of the seed and every stream's position
+     * @returns {{seed: number, streams: Object<string, number>}}
+     */
+    saveState() {
+        const streams = {};
+        this.streams.forEach((stream, name) => {
+            streams[name] = stream.getState();
+        });
+        return { seed: this.currentSeed, streams };
+    }
+
+    /**
+     * Go back to a snapshot from saveState()
+     * @param {{seed: number, streams: Object<string, number>}} state
+     */
+    restoreState(state) {
+        this.seed(state.seed);
+        Object.entries(state.streams || {}).forEach(([name, streamState]) => {
+            this.stream(name).setState(streamState);
+        });
+    }
+}
+
+/**
+ * Read a seed from the page URL, e.g. ?seed=1234 or ?seed=bug-42
+ * @param {string} search - location.search
+ * @returns {number|null} null if there's no seed
+ */
+export function getSeedFromUrl(search) {
+    const value = new URLSearchParams(search).get('seed');
+    if (value === null || value === '') {return null;}
+
+    return /^\d+$/.test(value) ? Number(value) >>> 0 : hashString(value);
+}
+
+/**
+ * The game's one random service
+ */
+export const rng = new RandomService();
@@ -0,0 +1,125 @@
+/**
+ * Session Timer for Baby Keyboard Smashing Game
+ * Caps screen time with a gentle wind-down before an "all done" screen
+ */
+
+import { clamp, debugLog } from './utils.js';
+
+/**
+ * Session lengths parents can choose, in minutes (0 = no limit)
+ */
+export const SESSION_LENGTH_OPTIONS = [0, 5, 10, 15, 20, 30];
+
+const WIND_DOWN_FRACTION = 0.25; // Last quarter of the session winds down...
+const MAX_WIND_DOWN_DURATION = 3 * 60 * 1000; // ...but never longer than 3 minutes
+
+/**
+ * Session Timer class
+ */
+export class SessionTimer {
+    constructor() {
+        this.limit = 0; // ms, 0 = unlimited
+        this.phase = 'play'; // 'play', 'windDown' or 'done'
+        this.windDownProgress = 0; // 0 at start of wind-down, 1 when done
+        this.onPhaseChange = null;
+    }
+
+    /**
+     * Set the session length
+     * @param {number} minutes - Session length in minutes, 0 to disable
+     */
+    setLimitMinutes(minutes) {
+        this.limit = Math.max(0, minutes) * 60 * 1000;
+        debugLog(`Session limit: ${minutes ? `${minutes} minutes` : 'off'}`);
+    }
+
+    /**
+     * Check whether a session limit is configured
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.limit > 0;
+    }
+
+    /**
+     * Length of the wind-down phase for the current limit
+     * @returns {number} Milliseconds
+     */
+    getWindDownDuration() {
+        return Math.min(this.limit * WIND_DOWN_FRACTION, MAX_WIND_DOWN_DURATION);
+    }
+
+    /**
+     * Get play time remaining before the session ends
+     * @param {number} playTime - Active play time in ms
+     * @returns {number} Milliseconds, Infinity without a limit
+     */
+    getRemaining(playTime) {
+        if (!this.isEnabled()) {return Infinity;}
+        return Math.max(0, this.limit - playTime);
+    }
+
+    /**
+     * Advance the timer with the current active play time
+     * @param {number} playTime - Active play time in ms (hidden time excluded)
+     * @returns {number} Wind-down progress (0-1)
+     */
+    update(playTime) {
+        if (!this.isEnabled()) {
+            this.setPhase('play');
+            this.windDownProgress = 0;
+            return 0;
+        }
+
+        const windDownDuration = this.getWindDownDuration();
+        const windDownStart = this.limit - windDownDuration;
+
+        if (playTime >= this.limit) {
+            this.windDownProgress = 1;
+            this.setPhase('done');
+        } else if (playTime >= windDownStart) {
+            this.windDownProgress = clamp((playTime - windDownStart) / windDownDuration, 0, 1);
+            this.setPhase('windDown');
+        } else {
+            this.windDownProgress = 0;
+            this.setPhase('play');
+        }
+
+        return this.windDownProgress;
+    }
+
+    setPhase(phase) {
+        if (this.phase === phase) {return;}
+
+        this.phase = phase;
+        debugLog(`Session phase: ${phase}`);
+
+        if (this.onPhaseChange && typeof this.onPhaseChange === 'function') {
+            this.onPhaseChange(phase);
+        }
+    }
+
+    /**
+     * Check if the session has ended
+     * @returns {boolean}
+     */
+    isDone() {
+        return this.phase === 'done';
+    }
+
+    /**
+     * Start a fresh session with the same limit
+     */
+    reset() {
+        this.phase = 'play';
+        this.windDownProgress = 0;
+    }
+
+    /**
+     * Set callback for phase changes
+     * @param {Function} callback - Receives the new phase
+     */
+    setOnPhaseChange(callback) {
+        this.onPhaseChange = callback;
+    }
+}
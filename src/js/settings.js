@@ -0,0 +1,340 @@
+/**
+ * Persistent Settings Store for Baby Keyboard Smashing Game
+ * Loads, migrates and saves user-facing preferences in localStorage
+ */
+
+import { CONFIG, debugLog } from './utils.js';
+
+/**
+ * localStorage key used for all persisted settings
+ */
+const STORAGE_KEY = 'babyKeyboardGame.settings';
+
+/**
+ * Current schema version - bump this and add a migration when the shape changes
+ */
+export const SETTINGS_VERSION = 1;
+
+/**
+ * CONFIG sections that parents are allowed to override
+ */
+const OVERRIDABLE_CONFIG_SECTIONS = ['shapes', 'particles', 'audio'];
+
+/**
+ * Smallest allowed value for overrides the game can't run without
+ */
+const CONFIG_OVERRIDE_MINIMUMS = {
+    audio: { maxConcurrentSounds: 1 }, // 0 would leave no voice to steal
+    particles: { maxActiveParticles: 1 }
+};
+
+/**
+ * Default settings used on first run and to fill in missing values
+ */
+const DEFAULT_SETTINGS = {
+    version: SETTINGS_VERSION,
+    accessibility: {
+        highContrast: false,
+        reducedMotion: false,
+        soundEnabled: true,
+        emojiMode: true
+    },
+    sound: {
+        volume: CONFIG.audio.volume,
+        pack: 'synth'
+    },
+    parentControls: {
+        // Only rebound actions are stored; missing actions use the defaults
+        bindings: {}
+    },
+    parentGate: {
+        method: 'math',
+        pin: ''
+    },
+    session: {
+        limitMinutes: 0 // 0 = no screen time limit
+    },
+    game: {
+        mode: 'freePlay',
+        placement: 'keyboard',
+        keyboardLayout: 'auto',
+        locale: 'auto', // Alphabet for letters, vowels, picture words and notes
+        onScreenKeyboard: 'auto', // Giant keys; 'auto' shows them on touch screens only
+        physics: false
+    },
+    music: {
+        scale: 'pentatonic',
+        root: 'C',
+        instrument: 'softPiano',
+        midi: false // Play along on a MIDI keyboard
+    },
+    microphone: {
+        enabled: false // Opt-in: shapes answer babbling and clapping
+    },
+    voice: {
+        enabled: true,
+        volume: 0.8,
+        language: 'en'
+    },
+    artwork: {
+        childName: '' // Optional, written under saved pictures
+    },
+    video: {
+        maxSeconds: 60 // Recording stops by itself after this
+    },
+    config: {
+        shapes: {},
+        particles: {},
+        audio: {}
+    }
+};
+
+/**
+ * Schema migrations, keyed by the version they upgrade FROM
+ * Each migration receives the stored object and returns the next version,
+ * e.g. 1: (stored) => ({ ...stored, version: 2 })
+ */
+const MIGRATIONS = {};
+
+/**
+ * Deep clone a plain settings object
+ * @param {Object} value
+ * @returns {Object}
+ */
+function cloneSettings(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Merge stored values over defaults, ignoring undefined entries
+ * @param {Object} defaults
+ * @param {Object} stored
+ * @returns {Object}
+ */
+function mergeWithDefaults(defaults, stored) {
+    const result = cloneSettings(defaults);
+
+    if (!stored || typeof stored !== 'object') {
+        return result;
+    }
+
+    Object.entries(stored).forEach(([key, value]) => {
+        if (value === undefined) {return;}
+
+        const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+        if (isPlainObject && result[key] && typeof result[key] === 'object' && !Array.isArray(result[key])) {
+            result[key] = mergeWithDefaults(result[key], value);
+        } else {
+            result[key] = value;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Bring a stored settings object up to the current schema version
+ * @param {Object} stored
+ * @returns {Object}
+ */
+export function migrateSettings(stored) {
+    let current = stored;
+    let version = typeof current.version === 'number' ? current.version : 0;
+
+    while (version < SETTINGS_VERSION) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) {
+            debugLog(`No settings migration from version ${version}, using defaults`);
+            return cloneSettings(DEFAULT_SETTINGS);
+        }
+
+        current = migrate(current);
+        version = current.version;
+        debugLog(`Migrated settings to version ${version}`);
+    }
+
+    return current;
+}
+
+/**
+ * Storage that lasts until the page closes, with the localStorage methods we use
+ * @returns {{getItem: Function, setItem: Function, removeItem: Function}}
+ */
+export function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+/**
+ * localStorage, or memory storage where the browser refuses it
+ * (private browsing, blocked cookies - even reading the property throws)
+ * @returns {Storage|Object}
+ */
+function getBrowserStorage() {
+    try {
+        if (window.localStorage) {
+            return window.localStorage;
+        }
+    } catch (error) {
+        debugLog('localStorage unavailable, settings will not be kept', error);
+    }
+    return createMemoryStorage();
+}
+
+/**
+ * Settings Store class
+ */
+export class SettingsStore {
+    /**
+     * @param {Storage} storage - localStorage by default, memory if that's blocked
+     */
+    constructor(storage = getBrowserStorage()) {
+        this.storage = storage;
+        this.settings = cloneSettings(DEFAULT_SETTINGS);
+        this.hasStoredSettings = false;
+    }
+
+    /**
+     * Load settings from storage, migrating older versions
+     * @returns {Object} Loaded settings
+     */
+    load() {
+        try {
+            const raw = this.storage?.getItem(STORAGE_KEY);
+
+            if (raw) {
+                const stored = JSON.parse(raw);
+                this.settings = mergeWithDefaults(DEFAULT_SETTINGS, migrateSettings(stored));
+                this.settings.version = SETTINGS_VERSION;
+                this.hasStoredSettings = true;
+                debugLog('Settings loaded from storage', this.settings);
+            }
+        } catch (error) {
+            debugLog('Failed to load settings, using defaults', error);
+            this.settings = cloneSettings(DEFAULT_SETTINGS);
+            this.hasStoredSettings = false;
+        }
+
+        return this.settings;
+    }
+
+    /**
+     * Write current settings to storage
+     */
+    save() {
+        try {
+            this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+            this.hasStoredSettings = true;
+        } catch (error) {
+            debugLog('Failed to save settings', error);
+        }
+    }
+
+    /**
+     * Get a copy of a settings section
+     * @param {string} section - Section name ('accessibility', 'sound', 'parentControls', 'parentGate', 'session', 'game', 'music', 'microphone', 'voice', 'artwork', 'video', 'config')
+     * @returns {Object}
+     */
+    get(section) {
+        return cloneSettings(this.settings[section] || {});
+    }
+
+    /**
+     * Update values in a settings section and persist
+     * @param {string} section - Section name
+     * @param {Object} values - Values to merge into the section
+     */
+    update(section, values) {
+        this.settings[section] = { ...(this.settings[section] || {}), ...values };
+        this.save();
+    }
+
+    /**
+     * Store an override for a CONFIG value and apply it immediately
+     * @param {string} section - 'shapes', 'particles' or 'audio'
+     * @param {string} key - Key within the CONFIG section
+     * @param {*} value - New value
+     * @returns {boolean} True if the override was accepted
+     */
+    setConfigOverride(section, key, value) {
+        if (!this.isValidOverride(section, key, value)) {
+            debugLog(`Rejected config override ${section}.${key}`);
+            return false;
+        }
+
+        const clamped = this.clampOverride(section, key, value);
+        this.settings.config[section] = { ...this.settings.config[section], [key]: clamped };
+        CONFIG[section][key] = clamped;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Raise an override to its minimum, if it has one
+     * @param {string} section
+     * @param {string} key
+     * @param {*} value
+     * @returns {*}
+     */
+    clampOverride(section, key, value) {
+        const minimum = CONFIG_OVERRIDE_MINIMUMS[section]?.[key];
+        return minimum !== undefined ? Math.max(minimum, value) : value;
+    }
+
+    /**
+     * Check that an override targets an existing CONFIG value of the same type
+     * @param {string} section
+     * @param {string} key
+     * @param {*} value
+     * @returns {boolean}
+     */
+    isValidOverride(section, key, value) {
+        if (!OVERRIDABLE_CONFIG_SECTIONS.includes(section)) {return false;}
+        if (!(key in CONFIG[section])) {return false;}
+
+        const current = CONFIG[section][key];
+        if (Array.isArray(current)) {
+            return Array.isArray(value);
+        }
+        return typeof current === typeof value;
+    }
+
+    /**
+     * Copy stored CONFIG overrides into the live CONFIG object
+     * Must run before game systems read CONFIG
+     */
+    applyConfigOverrides() {
+        OVERRIDABLE_CONFIG_SECTIONS.forEach(section => {
+            const overrides = this.settings.config[section] || {};
+            Object.entries(overrides).forEach(([key, value]) => {
+                if (this.isValidOverride(section, key, value)) {
+                    CONFIG[section][key] = this.clampOverride(section, key, value);
+                } else {
+                    debugLog(`Ignoring invalid stored override ${section}.${key}`);
+                }
+            });
+        });
+
+        // Volume lives in its own section but seeds the sound manager through CONFIG
+        CONFIG.audio.volume = this.settings.sound.volume;
+        CONFIG.shapes.emojiMode = this.settings.accessibility.emojiMode;
+    }
+
+    /**
+     * Restore defaults and clear storage
+     */
+    reset() {
+        this.settings = cloneSettings(DEFAULT_SETTINGS);
+        this.hasStoredSettings = false;
+
+        try {
+            this.storage?.removeItem(STORAGE_KEY);
+        } catch (error) {
+            debugLog('Failed to clear stored settings', error);
+        }
+    }
+}
@@ -0,0 +1,205 @@
+/**
+ * Shape Interaction for Baby Keyboard Smashing Game
+ * Tap a shape to pop it, drag it around, or fling it across the screen
+ */
+
+import { debugLog } from './utils.js';
+
+const TAP_SLOP = 10; // px a finger may wobble and still count as a tap
+const TAP_DURATION = 300; // ms
+const VELOCITY_WINDOW = 100; // ms of recent movement used for the fling speed
+const MIN_FLING_SPEED = 150; // px/s; slower releases just drop the shape
+const MAX_FLING_SPEED = 3000; // px/s
+
+/**
+ * Shape Interaction class
+ */
+export class ShapeInteraction {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {ShapeManager} shapeManager
+     * @param {Object} options
+     * @param {Function} options.now - ms clock for taps and flings, performance.now by default
+     */
+    constructor(canvas, shapeManager, options = {}) {
+        this.canvas = canvas;
+        this.shapeManager = shapeManager;
+        this.now = options.now || (() => performance.now());
+        this.enabled = true;
+        this.onPop = null;
+
+        // Shapes being dragged, by pointerId
+        this.drags = new Map();
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handlePointerCancel = this.handlePointerCancel.bind(this);
+
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown);
+        this.canvas.addEventListener('pointermove', this.handlePointerMove);
+        this.canvas.addEventListener('pointerup', this.handlePointerUp);
+        this.canvas.addEventListener('pointercancel', this.handlePointerCancel);
+
+        debugLog('Shape interaction initialized');
+    }
+
+    /**
+     * Set callback for a tapped shape
+     * @param {Function} callback - Called with (shape, {x, y})
+     */
+    setOnPop(callback) {
+        this.onPop = callback;
+    }
+
+    /**
+     * Turn tapping and dragging on or off
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.releaseAll();
+        }
+    }
+
+    /**
+     * Pointer position in CSS pixels, the space shapes live in
+     * @param {PointerEvent} event
+     * @returns {{x: number, y: number}}
+     */
+    getPointerPosition(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: event.clientX - rect.left,
+            y: event.clientY - rect.top
+        };
+    }
+
+    handlePointerDown(event) {
+        if (!this.enabled) {return;}
+
+        const { x, y } = this.getPointerPosition(event);
+        const shape = this.shapeManager.getShapeAt(x, y);
+        if (!shape || shape.isHeld) {return;}
+
+        shape.isHeld = true;
+        shape.vx = 0;
+        shape.vy = 0;
+
+        const now = this.now();
+        this.drags.set(event.pointerId, {
+            shape,
+            offsetX: shape.x - x,
+            offsetY: shape.y - y,
+            startX: x,
+            startY: y,
+            startTime: now,
+            moved: false,
+            samples: [{ x, y, time: now }]
+        });
+
+        // Keep receiving moves when the finger slides off the canvas
+        // (replayed pointers aren't real, so there's nothing to capture)
+        if (event.isTrusted) {
+            this.canvas.setPointerCapture?.(event.pointerId);
+        }
+    }
+
+    handlePointerMove(event) {
+        const drag = this.drags.get(event.pointerId);
+        if (!drag) {return;}
+
+        // The shape was cleared or recycled while held
+        if (!drag.shape.isHeld) {
+            this.drags.delete(event.pointerId);
+            return;
+        }
+
+        const { x, y } = this.getPointerPosition(event);
+        const now = this.now();
+
+        if (Math.hypot(x - drag.startX, y - drag.startY) > TAP_SLOP) {
+            drag.moved = true;
+        }
+
+        drag.shape.x = x + drag.offsetX;
+        drag.shape.y = y + drag.offsetY;
+
+        drag.samples.push({ x, y, time: now });
+        while (drag.samples.length > 2 && now - drag.samples[0].time > VELOCITY_WINDOW) {
+            drag.samples.shift();
+        }
+    }
+
+    handlePointerUp(event) {
+        const drag = this.drags.get(event.pointerId);
+        if (!drag) {return;}
+        this.drags.delete(event.pointerId);
+
+        const { shape } = drag;
+        if (!shape.isHeld) {return;}
+        shape.isHeld = false;
+
+        const isTap = !drag.moved && this.now() - drag.startTime < TAP_DURATION;
+        if (isTap) {
+            if (this.onPop) {
+                this.onPop(shape, { x: drag.startX, y: drag.startY });
+            }
+            return;
+        }
+
+        this.fling(shape, drag.samples);
+    }
+
+    handlePointerCancel(event) {
+        const drag = this.drags.get(event.pointerId);
+        if (!drag) {return;}
+
+        drag.shape.isHeld = false;
+        this.drags.delete(event.pointerId);
+    }
+
+    /**
+     * Give a released shape the speed of the finger that let it go
+     * @param {Object} shape
+     * @param {Array<{x: number, y: number, time: number}>} samples - Recent pointer positions
+     */
+    fling(shape, samples) {
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const elapsed = (last.time - first.time) / 1000;
+        if (elapsed <= 0) {return;}
+
+        let vx = (last.x - first.x) / elapsed;
+        let vy = (last.y - first.y) / elapsed;
+        const speed = Math.hypot(vx, vy);
+        if (speed < MIN_FLING_SPEED) {return;}
+
+        if (speed > MAX_FLING_SPEED) {
+            vx *= MAX_FLING_SPEED / speed;
+            vy *= MAX_FLING_SPEED / speed;
+        }
+
+        shape.vx = vx;
+        shape.vy = vy;
+        debugLog(`Flung shape at ${Math.round(Math.min(speed, MAX_FLING_SPEED))} px/s`);
+    }
+
+    releaseAll() {
+        this.drags.forEach(drag => {
+            drag.shape.isHeld = false;
+        });
+        this.drags.clear();
+    }
+
+    destroy() {
+        this.releaseAll();
+        this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
+        this.canvas.removeEventListener('pointermove', this.handlePointerMove);
+        this.canvas.removeEventListener('pointerup', this.handlePointerUp);
+        this.canvas.removeEventListener('pointercancel', this.handlePointerCancel);
+
+        debugLog('Shape interaction destroyed');
+    }
+}
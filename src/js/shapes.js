@@ -8,6 +8,7 @@ import {
     getRandomPosition,
     randomBetween,
     randomIntBetween,
+    clamp,
     CONFIG,
     easeOut,
     easeBounce,
@@ -15,6 +16,86 @@ import {
     debugLog,
     getEmojiForKey
 } from './utils.js';
+import { getLetterInfo, getLetterEmoji } from './locales.js';
+import { KeyboardGeometry } from './keyboardLayout.js';
+import { PhysicsWorld } from './physics.js';
+import { rng } from './random.js';
+
+const random = rng.stream('shapes');
+
+/**
+ * Where shapes appear when no position is given
+ */
+export const SHAPE_PLACEMENTS = {
+    keyboard: 'Where the key is on the keyboard',
+    random: 'Anywhere on the screen'
+};
+
+const MIN_HIT_RADIUS = 24; // Small shapes are still easy for little fingers to hit
+const HEART_CURVE_SEGMENTS = 12; // Points per heart curve when hit-testing
+const FLING_FRICTION = 2.5; // Per second; how quickly a flung shape slows down without physics
+const FLING_BOUNCE = 0.6; // Speed kept when a flung shape hits an edge
+const FLING_STOP_SPEED = 5; // px/s below which a flung shape stops
+const GROW_IN_PHASE = 0.3; // Fraction of the lifespan spent growing to full size
+const HOLD_GROWTH_RATE = 0.8; // Extra original size per second while the key is held
+const HOLD_MAX_SCALE = 2.5; // A held key's shape stops growing at this many times its original size
+const PIANO_DEFAULT_RANGE = [48, 84]; // C3-C6, a typical toy piano; widens as lower or higher keys are played
+
+/**
+ * Check whether a point is inside a polygon (even-odd rule)
+ * @param {number} x
+ * @param {number} y
+ * @param {Array<[number, number]>} points
+ * @returns {boolean}
+ */
+export function pointInPolygon(x, y, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [xi, yi] = points[i];
+        const [xj, yj] = points[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function cubicBezierPoint(p0, p1, p2, p3, t) {
+    const u = 1 - t;
+    return [
+        u * u * u * p0[0] + 3 * u * u * t * p1[0] + 3 * u * t * t * p2[0] + t * t * t * p3[0],
+        u * u * u * p0[1] + 3 * u * u * t * p1[1] + 3 * u * t * t * p2[1] + t * t * t * p3[1]
+    ];
+}
+
+/**
+ * Outline points of the shapes drawn with paths, matching the render methods
+ */
+function getStarPoints(halfSize) {
+    const spikes = 5;
+    const points = [];
+    for (let i = 0; i < spikes * 2; i++) {
+        const angle = (i * Math.PI) / spikes;
+        const radius = i % 2 === 0 ? halfSize : halfSize * 0.4;
+        points.push([Math.cos(angle) * radius, Math.sin(angle) * radius]);
+    }
+    return points;
+}
+
+function getHeartPoints(halfSize) {
+    const size = halfSize * 0.8;
+    const top = [0, size * 0.3];
+    const bottom = [0, size];
+    const points = [];
+
+    for (let i = 0; i <= HEART_CURVE_SEGMENTS; i++) {
+        points.push(cubicBezierPoint(top, [-size, -size * 0.3], [-size, size * 0.3], bottom, i / HEART_CURVE_SEGMENTS));
+    }
+    for (let i = 1; i < HEART_CURVE_SEGMENTS; i++) {
+        points.push(cubicBezierPoint(bottom, [size, size * 0.3], [size, -size * 0.3], top, i / HEART_CURVE_SEGMENTS));
+    }
+    return points;
+}
 
 /**
  * Individual Shape class
@@ -40,6 +121,19 @@ class Shape {
         this.isActive = false;
         this.effect = 'normal';
 
+        // Physics mode velocity (px/s); position is then owned by the physics world
+        this.vx = 0;
+        this.vy = 0;
+        this.physicsEnabled = false;
+
+        // Being dragged by a finger or mouse
+        this.isHeld = false;
+
+        // Key (code) still held down on the keyboard; the shape keeps growing until it comes up
+        this.growingKey = null;
+        this.growthRate = 0;
+        this.growthLimit = 0;
+
         // Animation properties
         this.initialScale = 0;
         this.targetScale = 1;
@@ -65,18 +159,20 @@ class Shape {
 
         // Set emoji if in emoji mode
         if (CONFIG.shapes.emojiMode && keyInfo) {
-            this.emoji = getEmojiForKey(keyInfo.type, keyInfo.character);
+            this.emoji = keyInfo.type === 'letter'
+                ? getLetterEmoji(keyInfo.character)
+                : getEmojiForKey(keyInfo.type, keyInfo.character);
         } else {
             this.emoji = null;
         }
 
         // Set size based on shape type
-        this.maxSize = randomBetween(CONFIG.shapes.minSize, CONFIG.shapes.maxSize);
+        this.maxSize = randomBetween(CONFIG.shapes.minSize, CONFIG.shapes.maxSize, random);
         this.size = 0;
 
         // Set rotation properties
-        this.rotation = randomBetween(0, Math.PI * 2);
-        this.rotationSpeed = randomBetween(-0.005, 0.005);
+        this.rotation = randomBetween(0, Math.PI * 2, random);
+        this.rotationSpeed = randomBetween(-0.005, 0.005, random);
 
         // Effect-specific initialization
         this.initEffect();
@@ -109,8 +205,8 @@ class Shape {
                 break;
 
             case 'star':
-                this.bounceHeight = randomBetween(20, 40);
-                this.bounceSpeed = randomBetween(0.05, 0.1);
+                this.bounceHeight = randomBetween(20, 40, random);
+                this.bounceSpeed = randomBetween(0.05, 0.1, random);
                 break;
         }
 
@@ -118,14 +214,14 @@ class Shape {
     }
 
     initSparkles() {
-        const sparkleCount = randomIntBetween(5, 10);
+        const sparkleCount = randomIntBetween(5, 10, random);
         for (let i = 0; i < sparkleCount; i++) {
             this.sparkles.push({
-                x: randomBetween(-this.maxSize * 0.5, this.maxSize * 0.5),
-                y: randomBetween(-this.maxSize * 0.5, this.maxSize * 0.5),
-                size: randomBetween(2, 6),
-                rotation: randomBetween(0, Math.PI * 2),
-                speed: randomBetween(0.005, 0.015)
+                x: randomBetween(-this.maxSize * 0.5, this.maxSize * 0.5, random),
+                y: randomBetween(-this.maxSize * 0.5, this.maxSize * 0.5, random),
+                size: randomBetween(2, 6, random),
+                rotation: randomBetween(0, Math.PI * 2, random),
+                speed: randomBetween(0.005, 0.015, random)
             });
         }
     }
@@ -133,6 +229,17 @@ class Shape {
     update(deltaTime) {
         if (!this.isActive) {return false;}
 
+        // A held shape doesn't age, so it can't fade away mid-drag
+        if (this.isHeld) {
+            this.createdAt += deltaTime;
+        }
+
+        // A shape whose key is still down stops ageing once it has grown in, and keeps getting bigger
+        if (this.growingKey && performance.now() - this.createdAt >= this.lifespan * GROW_IN_PHASE) {
+            this.createdAt += deltaTime;
+            this.maxSize = Math.min(this.growthLimit, this.maxSize + this.growthRate * deltaTime / 1000);
+        }
+
         const now = performance.now();
         const age = now - this.createdAt;
         const progress = Math.min(age / this.lifespan, 1);
@@ -141,9 +248,9 @@ class Shape {
         this.rotation += this.rotationSpeed * deltaTime;
 
         // Update size animation
-        if (age < this.lifespan * 0.3) {
+        if (age < this.lifespan * GROW_IN_PHASE) {
             // Growing phase - ease out for smooth growth
-            const growProgress = age / (this.lifespan * 0.3);
+            const growProgress = age / (this.lifespan * GROW_IN_PHASE);
             this.size = this.maxSize * easeOut(growProgress);
         } else {
             this.size = this.maxSize;
@@ -191,8 +298,8 @@ class Shape {
                 break;
 
             case 'star':
-                // Bouncing effect
-                if (this.bounceHeight > 0) {
+                // Bouncing effect (physics mode does real bouncing instead)
+                if (this.bounceHeight > 0 && !this.physicsEnabled) {
                     const bouncePhase = Math.sin(age * this.bounceSpeed);
                     this.y += bouncePhase * this.bounceHeight * 0.01;
                 }
@@ -200,13 +307,81 @@ class Shape {
         }
     }
 
-    render(ctx, canvasWidth, canvasHeight) {
+    /**
+     * Keep growing while a key is held down
+     * @param {string} code - KeyboardEvent.code of the held key
+     */
+    startGrowing(code) {
+        this.growingKey = code;
+        this.growthRate = this.maxSize * HOLD_GROWTH_RATE;
+        this.growthLimit = this.maxSize * HOLD_MAX_SCALE;
+    }
+
+    /**
+     * Stop growing when the key comes up; the shape then finishes its normal life
+     * @param {string} code - Ignored unless this shape is still growing for that key (pooled shapes get reused)
+     */
+    stopGrowing(code) {
+        if (this.growingKey === code) {
+            this.growingKey = null;
+        }
+    }
+
+    /**
+     * Check whether a point (CSS px) is on this shape, as drawn
+     * @param {number} px
+     * @param {number} py
+     * @returns {boolean}
+     */
+    containsPoint(px, py) {
+        if (!this.isActive) {return false;}
+
+        const dx = px - this.x;
+        const dy = py - this.y;
+        if (dx * dx + dy * dy <= MIN_HIT_RADIUS * MIN_HIT_RADIUS) {return true;}
+
+        // Into the shape's own rotated frame
+        const cos = Math.cos(-this.rotation);
+        const sin = Math.sin(-this.rotation);
+        const x = dx * cos - dy * sin;
+        const y = dx * sin + dy * cos;
+        const halfSize = this.size / 2;
+
+        // Emojis are drawn at 80% of the size, roughly square
+        if (CONFIG.shapes.emojiMode && this.emoji) {
+            const halfEmoji = this.size * 0.4;
+            return Math.abs(x) <= halfEmoji && Math.abs(y) <= halfEmoji;
+        }
+
+        switch (this.type) {
+            case 'square':
+                return Math.abs(x) <= halfSize && Math.abs(y) <= halfSize;
+            case 'triangle':
+                return y >= -halfSize && y <= halfSize && Math.abs(x) <= (y + halfSize) / 2;
+            case 'star':
+                return pointInPolygon(x, y, getStarPoints(halfSize));
+            case 'heart':
+                return pointInPolygon(x, y, getHeartPoints(halfSize));
+            case 'circle':
+            default:
+                return x * x + y * y <= halfSize * halfSize;
+        }
+    }
+
+    /**
+     * Draw the shape
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} canvasWidth
+     * @param {number} canvasHeight
+     * @param {boolean} fullOpacity - Ignore the fade-out, e.g. for a saved picture
+     */
+    render(ctx, canvasWidth, canvasHeight, fullOpacity = false) {
         if (!this.isActive) {return;}
 
         ctx.save();
 
         // Debug: draw a red dot at shape position for testing
-        if (window.debugMode) {
+        if (window.debugMode && !fullOpacity) {
             ctx.fillStyle = 'red';
             ctx.fillRect(this.x - 2, this.y - 2, 4, 4);
             ctx.fillStyle = 'white';
@@ -218,7 +393,7 @@ class Shape {
         const age = now - this.createdAt;
         let alpha = 1;
 
-        if (age > this.fadeOutStart) {
+        if (age > this.fadeOutStart && !fullOpacity) {
             const fadeProgress = (age - this.fadeOutStart) / CONFIG.shapes.fadeOutDuration;
             alpha = 1 - easeOut(fadeProgress);
         }
@@ -328,23 +503,14 @@ class Shape {
     }
 
     renderStar(ctx, halfSize) {
-        const spikes = 5;
-        const outerRadius = halfSize;
-        const innerRadius = halfSize * 0.4;
-
         ctx.beginPath();
-        for (let i = 0; i < spikes * 2; i++) {
-            const angle = (i * Math.PI) / spikes;
-            const radius = i % 2 === 0 ? outerRadius : innerRadius;
-            const x = Math.cos(angle) * radius;
-            const y = Math.sin(angle) * radius;
-
+        getStarPoints(halfSize).forEach(([x, y], i) => {
             if (i === 0) {
                 ctx.moveTo(x, y);
             } else {
                 ctx.lineTo(x, y);
             }
-        }
+        });
         ctx.closePath();
         ctx.fill();
         ctx.stroke();
@@ -460,26 +626,138 @@ export class ShapeManager {
             10
         );
 
+        // Spawn shapes where the key sits on the physical keyboard
+        this.placement = 'keyboard';
+        this.keyboardGeometry = new KeyboardGeometry();
+        this.pianoRange = [...PIANO_DEFAULT_RANGE];
+
+        // Optional falling, bouncing and stacking
+        this.physicsEnabled = false;
+        this.physicsWorld = new PhysicsWorld();
+
         debugLog('Shape manager initialized');
     }
 
-    createShape(keyInfo) {
+    /**
+     * Choose how shapes are placed
+     * @param {string} placement - Key of SHAPE_PLACEMENTS
+     */
+    setPlacement(placement) {
+        if (!(placement in SHAPE_PLACEMENTS)) {return;}
+        this.placement = placement;
+        debugLog(`Shape placement: ${placement}`);
+    }
+
+    /**
+     * Choose the physical keyboard layout used for keyboard placement
+     * @param {string} layoutId - Key of KEYBOARD_LAYOUTS
+     */
+    setKeyboardLayout(layoutId) {
+        this.keyboardGeometry.setLayout(layoutId);
+    }
+
+    /**
+     * Turn physics mode on or off
+     * @param {boolean} enabled
+     */
+    setPhysicsEnabled(enabled) {
+        this.physicsEnabled = enabled;
+        this.physicsWorld.reset();
+
+        this.shapes.forEach(shape => {
+            shape.physicsEnabled = enabled;
+            shape.vx = 0;
+            shape.vy = 0;
+        });
+        debugLog(`Shape physics ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    getSpawnPosition(keyInfo, width, height) {
+        const padding = CONFIG.shapes.maxSize;
+
+        // Piano keys spread from low notes on the left to high notes on the right
+        if (this.placement === 'keyboard' && keyInfo.midi !== undefined) {
+            this.pianoRange[0] = Math.min(this.pianoRange[0], keyInfo.midi);
+            this.pianoRange[1] = Math.max(this.pianoRange[1], keyInfo.midi);
+            const [lowest, highest] = this.pianoRange;
+
+            return {
+                x: padding + ((keyInfo.midi - lowest) / (highest - lowest)) * Math.max(0, width - padding * 2),
+                y: randomBetween(padding, Math.max(padding, height - padding), random)
+            };
+        }
+
+        if (this.placement === 'keyboard' && keyInfo.code) {
+            this.keyboardGeometry.observeKey(keyInfo.code);
+            const position = this.keyboardGeometry.getScreenPosition(keyInfo.code, width, height, padding);
+            if (position) {return position;}
+        }
+
+        // Random placement, or a key that isn't on the keyboard map (numpad, media keys...)
+        return getRandomPosition(width, height, padding, random);
+    }
+
+    /**
+     * Screen position in the middle of several keys, e.g. where a palm landed
+     * @param {string[]} codes - KeyboardEvent.code values
+     * @returns {{x: number, y: number}}
+     */
+    getKeysPosition(codes) {
+        const rect = this.canvas.getBoundingClientRect();
+        const positions = codes.map(code => this.getSpawnPosition({ code }, rect.width, rect.height));
+
+        return {
+            x: positions.reduce((sum, position) => sum + position.x, 0) / positions.length,
+            y: positions.reduce((sum, position) => sum + position.y, 0) / positions.length
+        };
+    }
+
+    /**
+     * Create a shape for a key press
+     * @param {Object} keyInfo - Key information from the keyboard handler
+     * @param {Object} options - Optional overrides
+     * @param {number} options.x - Position (from the key's place on the keyboard if omitted)
+     * @param {number} options.y
+     * @param {string} options.color - Fill color
+     * @param {string} options.effect - Effect name
+     * @param {string|null} options.emoji - Emoji to show, null for a plain shape
+     * @param {number} options.sizeScale - Multiplier for the shape size
+     * @param {number} options.lifespanScale - Multiplier for how long the shape stays
+     * @returns {Shape}
+     */
+    createShape(keyInfo, options = {}) {
         // Use CSS dimensions for positioning, not canvas dimensions
         const rect = this.canvas.getBoundingClientRect();
-        const position = getRandomPosition(
-            rect.width,
-            rect.height,
-            CONFIG.shapes.maxSize
-        );
+        const position = options.x !== undefined && options.y !== undefined
+            ? { x: options.x, y: options.y }
+            : this.getSpawnPosition(keyInfo, rect.width, rect.height);
 
         debugLog(`Creating shape at (${Math.round(position.x)}, ${Math.round(position.y)}) in canvas ${Math.round(rect.width)}x${Math.round(rect.height)}`);
 
         const shape = this.shapePool.get();
         const shapeType = this.getShapeType(keyInfo);
-        const color = getRandomColor();
-        const effect = keyInfo.effect || 'normal';
+        const color = options.color || getRandomColor(random);
+        const effect = options.effect || keyInfo.effect || 'normal';
 
         shape.init(position.x, position.y, shapeType, color, effect, keyInfo);
+
+        if (options.emoji !== undefined) {
+            shape.emoji = options.emoji;
+        }
+        if (options.sizeScale) {
+            shape.maxSize *= options.sizeScale;
+        }
+        if (options.lifespanScale) {
+            shape.lifespan *= options.lifespanScale;
+            shape.fadeOutStart = shape.lifespan - CONFIG.shapes.fadeOutDuration;
+        }
+        if (this.physicsEnabled) {
+            // A little hop before falling
+            shape.physicsEnabled = true;
+            shape.vx = randomBetween(-80, 80, random);
+            shape.vy = randomBetween(-320, -160, random);
+        }
+
         this.shapes.push(shape);
 
         // Limit active shapes for performance
@@ -496,8 +774,8 @@ export class ShapeManager {
         switch (keyInfo.type) {
             case 'letter':
                 // Different shapes for different letters to add variety
-                const letterIndex = keyInfo.character.toLowerCase().charCodeAt(0) - 97; // a=0, b=1, etc.
-                if (keyInfo.character === keyInfo.character.toUpperCase()) {
+                const letterIndex = getLetterInfo(keyInfo.character).index; // Place in its alphabet
+                if (keyInfo.key && keyInfo.key !== keyInfo.key.toLowerCase()) {
                     return 'star'; // Uppercase letters get stars
                 } else {
                     // Distribute lowercase letters across all shape types
@@ -513,10 +791,16 @@ export class ShapeManager {
                 return 'star'; // Enter gets stars
             case 'arrow':
                 return 'triangle';
+            case 'note':
+                // Each note name keeps its shape in every octave
+                return CONFIG.shapes.types[keyInfo.midi % CONFIG.shapes.types.length];
+            case 'voice':
+                // Voices make round shapes, claps make stars
+                return keyInfo.pitch ? 'circle' : 'star';
             default:
                 // Random selection for other keys - this gives much better variety
                 return CONFIG.shapes.types[
-                    Math.floor(Math.random() * CONFIG.shapes.types.length)
+                    Math.floor(random.next() * CONFIG.shapes.types.length)
                 ];
         }
     }
@@ -530,6 +814,78 @@ export class ShapeManager {
             }
             return isActive;
         });
+
+        const rect = this.canvas.getBoundingClientRect();
+        if (this.physicsEnabled) {
+            this.physicsWorld.update(this.shapes, deltaTime, rect.width, rect.height);
+        } else {
+            this.updateFlings(deltaTime, rect.width, rect.height);
+        }
+    }
+
+    /**
+     * Glide flung shapes to a stop, bouncing off the edges (non-physics mode)
+     * @param {number} deltaTime - ms
+     * @param {number} width - Canvas CSS width
+     * @param {number} height - Canvas CSS height
+     */
+    updateFlings(deltaTime, width, height) {
+        const dt = deltaTime / 1000;
+        const damping = Math.exp(-FLING_FRICTION * dt);
+
+        this.shapes.forEach(shape => {
+            if (shape.isHeld || (shape.vx === 0 && shape.vy === 0)) {return;}
+
+            shape.x += shape.vx * dt;
+            shape.y += shape.vy * dt;
+            shape.vx *= damping;
+            shape.vy *= damping;
+
+            const radius = shape.size / 2;
+            if (shape.x < radius || shape.x > width - radius) {
+                shape.x = clamp(shape.x, radius, Math.max(radius, width - radius));
+                shape.vx = -shape.vx * FLING_BOUNCE;
+            }
+            if (shape.y < radius || shape.y > height - radius) {
+                shape.y = clamp(shape.y, radius, Math.max(radius, height - radius));
+                shape.vy = -shape.vy * FLING_BOUNCE;
+            }
+
+            if (Math.hypot(shape.vx, shape.vy) < FLING_STOP_SPEED) {
+                shape.vx = 0;
+                shape.vy = 0;
+            }
+        });
+    }
+
+    /**
+     * Topmost shape under a point
+     * @param {number} x - CSS px
+     * @param {number} y - CSS px
+     * @returns {Shape|null}
+     */
+    getShapeAt(x, y) {
+        // Later shapes are drawn on top
+        for (let i = this.shapes.length - 1; i >= 0; i--) {
+            if (this.shapes[i].containsPoint(x, y)) {
+                return this.shapes[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Remove a shape straight away (popped)
+     * @param {Shape} shape
+     * @returns {boolean} Whether the shape was on screen
+     */
+    removeShape(shape) {
+        const index = this.shapes.indexOf(shape);
+        if (index === -1) {return false;}
+
+        this.shapes.splice(index, 1);
+        this.shapePool.release(shape);
+        return true;
     }
 
     render() {
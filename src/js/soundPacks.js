@@ -0,0 +1,176 @@
+/**
+ * Sound Packs for Baby Keyboard Smashing Game
+ * Sample-based sounds loaded from audio files described by a JSON manifest
+ */
+
+import { randomIntBetween, debugLog, ENV } from './utils.js';
+import { rng } from './random.js';
+
+const random = rng.stream('soundPacks');
+
+/**
+ * Packs parents can choose from. Synthesized tones need no files.
+ */
+export const SOUND_PACKS = {
+    synth: { label: 'Synthesized tones', icon: '🎹', path: null },
+    animals: { label: 'Animal sounds', icon: '🐮', path: 'sounds/animals/' },
+    instruments: { label: 'Musical instruments', icon: '🎺', path: 'sounds/instruments/' }
+};
+
+// Pack used for HTML5 audio when there's no Web Audio to synthesize with
+export const FALLBACK_SOUND_PACK = 'instruments';
+
+const MIN_PLAYBACK_RATE = 0.25;
+const MAX_PLAYBACK_RATE = 4;
+
+/**
+ * Sound Pack class
+ *
+ * Manifest format (manifest.json in the pack folder):
+ * {
+ *   "name": "Animal Sounds",
+ *   "baseFrequency": 261.63,          // Pitch pitched clips were recorded at
+ *   "clips": { "moo": { "file": "moo.wav", "pitched": false }, ... },
+ *   "categories": { "letter": ["moo", "quack"], ... },   // keyInfo.type -> clips
+ *   "types": { "explosion": ["roar"], ... },             // Sound type -> clips
+ *   "default": ["moo"]                                    // Anything else
+ * }
+ */
+export class SoundPack {
+    constructor(id, manifest, baseUrl) {
+        this.id = id;
+        this.name = manifest.name || id;
+        this.baseUrl = baseUrl;
+        this.baseFrequency = manifest.baseFrequency || 261.63;
+        this.clips = manifest.clips || {};
+        this.categories = manifest.categories || {};
+        this.types = manifest.types || {};
+        this.defaultClips = manifest.default || [];
+
+        // Decoded AudioBuffers by clip name (Web Audio only)
+        this.buffers = new Map();
+    }
+
+    /**
+     * Decode every clip into an AudioBuffer
+     * @param {AudioContext} audioContext
+     */
+    async decodeClips(audioContext) {
+        await Promise.all(Object.keys(this.clips).map(async (name) => {
+            try {
+                const response = await fetch(this.getUrl(name));
+                if (!response.ok) {
+                    throw new Error(`Clip not found (${response.status})`);
+                }
+                const data = await response.arrayBuffer();
+                this.buffers.set(name, await audioContext.decodeAudioData(data));
+            } catch (error) {
+                debugLog(`Could not load sound clip ${name}`, error);
+            }
+        }));
+
+        debugLog(`Decoded ${this.buffers.size} clips for ${this.name}`);
+    }
+
+    getUrl(name) {
+        return this.baseUrl + this.clips[name].file;
+    }
+
+    /**
+     * Get everything needed to play a clip
+     * @param {string} name - Clip name from the manifest
+     * @returns {{name: string, url: string, buffer: AudioBuffer|null, pitched: boolean}|null}
+     */
+    getClip(name) {
+        const clip = this.clips[name];
+        if (!clip) {return null;}
+
+        return {
+            name,
+            url: this.getUrl(name),
+            buffer: this.buffers.get(name) || null,
+            pitched: Boolean(clip.pitched)
+        };
+    }
+
+    /**
+     * Pick a clip from a list - the same character always gets the same clip
+     * @param {string[]} names
+     * @param {string} character - Optional key character
+     * @returns {Object|null}
+     */
+    pickClip(names, character = '') {
+        if (!names || names.length === 0) {return null;}
+
+        const index = character
+            ? character.toLowerCase().charCodeAt(0) % names.length
+            : randomIntBetween(0, names.length - 1, random);
+        return this.getClip(names[index]);
+    }
+
+    /**
+     * Clip for a key category (letter, number, space...)
+     * @param {Object} keyInfo
+     * @returns {Object|null}
+     */
+    getCategoryClip(keyInfo) {
+        return this.pickClip(this.categories[keyInfo.type], keyInfo.character);
+    }
+
+    /**
+     * Clip for a sound type (note, chime, explosion...)
+     * @param {string} type
+     * @returns {Object|null}
+     */
+    getTypeClip(type) {
+        return this.pickClip(this.types[type]);
+    }
+
+    getDefaultClip() {
+        return this.pickClip(this.defaultClips);
+    }
+
+    /**
+     * Playback rate that turns a pitched clip into the requested note
+     * @param {Object} clip
+     * @param {number} frequency
+     * @returns {number}
+     */
+    getPlaybackRate(clip, frequency) {
+        if (!clip.pitched || !frequency) {return 1;}
+
+        const rate = frequency / this.baseFrequency;
+        return Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, rate));
+    }
+}
+
+/**
+ * Load a sound pack's manifest, and decode its clips when Web Audio is available
+ * @param {string} packId - Key of SOUND_PACKS
+ * @param {AudioContext|null} audioContext - Omit to only resolve URLs (HTML5 audio)
+ * @returns {Promise<SoundPack|null>}
+ */
+export async function loadSoundPack(packId, audioContext = null) {
+    const packInfo = SOUND_PACKS[packId];
+    if (!packInfo || !packInfo.path) {return null;}
+
+    const baseUrl = `${ENV.BASE_URL}${packInfo.path}`;
+
+    try {
+        const response = await fetch(`${baseUrl}manifest.json`);
+        if (!response.ok) {
+            throw new Error(`Sound pack manifest not found (${response.status})`);
+        }
+
+        const pack = new SoundPack(packId, await response.json(), baseUrl);
+        if (audioContext) {
+            await pack.decodeClips(audioContext);
+        }
+
+        debugLog(`Sound pack loaded: ${pack.name}`);
+        return pack;
+    } catch (error) {
+        debugLog(`Sound pack ${packId} unavailable`, error);
+        return null;
+    }
+}
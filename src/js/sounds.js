@@ -3,13 +3,15 @@
  * Handles baby-friendly audio feedback using Web Audio API with fallbacks
  */
 
-import { CONFIG, randomBetween, randomIntBetween, debugLog } from './utils.js';
+import { CONFIG, randomBetween, randomIntBetween, clamp, debugLog } from './utils.js';
+import { SOUND_PACKS, FALLBACK_SOUND_PACK, loadSoundPack } from './soundPacks.js';
+import { MusicalScale, INSTRUMENTS } from './music.js';
 
 /**
- * Musical notes for pleasant baby-friendly sounds
- * Using pentatonic scale which sounds harmonious
+ * Musical notes for the fixed jingles (welcome, success, goodnight)
+ * Key sounds use the parent-selected scale from music.js
  */
-const MUSICAL_NOTES = {
+export const MUSICAL_NOTES = {
     // C Major Pentatonic Scale (baby-friendly frequencies)
     C4: 261.63,
     D4: 293.66,
@@ -34,17 +36,50 @@ const HARMONICS = {
     third: 1.25
 };
 
-const NOTE_NAMES = Object.keys(MUSICAL_NOTES);
+// Notes above this are dropped an octave in lullaby mode
+const LULLABY_CEILING = MUSICAL_NOTES.C5;
+
+/**
+ * Loudness caps parents can choose (linear peak level)
+ */
+export const PEAK_CEILING_OPTIONS = [
+    { value: 0.25, label: 'Quiet' },
+    { value: 0.35, label: 'Soft' },
+    { value: 0.5, label: 'Normal' },
+    { value: 0.7, label: 'Loud' }
+];
+
+// Hearing-safety limiter settings
+const MIN_PEAK_CEILING = 0.05;
+const LIMITER_HEADROOM_DB = 3; // Compressor starts this far below the ceiling
+const SOFT_CLIP_KNEE = 0.7; // Clipper is linear up to this fraction of the ceiling
+const VOICE_STEAL_FADE = 0.01; // Seconds to fade out a stolen voice without a click
+
+// Held keys: a soft tone that swells in under the key's note and lasts until keyup
+const HOLDABLE_SOUND_TYPES = ['note', 'chime', 'bell'];
+const HELD_NOTE_PARTIALS = [[1, 1], [2, 0.3], [3, 0.1]]; // [frequency ratio, level]
+const HELD_NOTE_LEVEL = 0.35; // Quieter than a key press
+const HELD_NOTE_ATTACK = 0.4; // Seconds
+const HELD_NOTE_RELEASE = 0.5; // Seconds
+const HELD_NOTE_MAX_DURATION = 10; // Seconds; a keyup that never arrives can't drone forever
+
+// Key effects that override the key's own sound
+const EFFECT_SOUND_TYPES = {
+    explosion: 'explosion',
+    fireworks: 'fireworks',
+    sparkle: 'sparkle',
+    rainbow: 'chime'
+};
 
 /**
  * Sound types and their properties
  */
 const SOUND_TYPES = {
-    note: { duration: 0.6, volume: 0.7, waveType: 'sine' },
+    note: { duration: 0.6, volume: 0.7, instrument: null }, // Parent-selected instrument
     chime: { duration: 1.2, volume: 0.5, waveType: 'triangle' },
-    bell: { duration: 0.8, volume: 0.6, waveType: 'sine' },
-    toy: { duration: 0.4, volume: 0.8, waveType: 'square' },
-    sparkle: { duration: 0.3, volume: 0.4, waveType: 'triangle' },
+    bell: { duration: 0.8, volume: 0.6, instrument: 'musicBox' },
+    toy: { duration: 0.4, volume: 0.8, instrument: 'xylophone' },
+    sparkle: { duration: 0.3, volume: 0.4, instrument: 'musicBox' },
     explosion: { duration: 1.0, volume: 0.9, waveType: 'sawtooth' },
     fireworks: { duration: 1.5, volume: 0.6, waveType: 'sine' },
     bubble: { duration: 0.5, volume: 0.6, waveType: 'sine' },
@@ -53,20 +88,60 @@ const SOUND_TYPES = {
     laugh: { duration: 1.0, volume: 0.7, waveType: 'triangle' }
 };
 
+/**
+ * Synthesis method for each sound type with its own voice; the rest are
+ * played on an instrument (createInstrumentSound)
+ */
+export const SOUND_SYNTHS = {
+    bubble: 'createBubbleSound',
+    boing: 'createBoingSound',
+    whistle: 'createWhistleSound',
+    laugh: 'createLaughSound',
+    chime: 'createChimeSound',
+    explosion: 'createExplosionSound',
+    fireworks: 'createFireworksSound'
+};
+
 export class SoundManager {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {BaseAudioContext} options.audioContext - Use this context instead of creating one
+     *   (e.g. an OfflineAudioContext for tests); its owner handles resuming it
+     */
+    constructor(options = {}) {
         this.audioContext = null;
+        this.injectedAudioContext = options.audioContext || null;
         this.masterGainNode = null;
         this.isEnabled = true;
         this.volume = CONFIG.audio.volume;
-        this.activeSounds = new Set();
+
+        // Playing voices, oldest first, so the oldest can be stolen at the limit
+        this.activeSounds = new Map();
+        this.nextVoiceId = 1;
+        this.heldNotes = new Map(); // Voice ID -> sustained note waiting for its keyup
         this.maxConcurrentSounds = CONFIG.audio.maxConcurrentSounds;
 
+        // Hearing-safety chain: master gain -> limiter -> clipper -> speakers
+        this.peakCeiling = CONFIG.audio.peakCeiling;
+        this.limiterNode = null;
+        this.clipperNode = null;
+
+        // Scale and instrument for key sounds
+        this.scale = new MusicalScale();
+        this.instrument = 'softPiano';
+
+        // Softer, lower notes for the end of a timed session
+        this.lullabyMode = false;
+
+        // Sample-based sound pack (null = synthesized tones)
+        this.soundPackId = 'synth';
+        this.soundPack = null;
+
         // Fallback for browsers without Web Audio API
         this.useWebAudio = false;
         this.audioElements = new Map();
 
-        this.init();
+        this.ready = this.init();
     }
 
     async init() {
@@ -80,22 +155,28 @@ export class SoundManager {
         }
 
         // Handle browser autoplay policies
-        this.handleAutoplayPolicy();
+        if (!this.injectedAudioContext) {
+            this.handleAutoplayPolicy();
+        }
     }
 
     async initWebAudio() {
-        // Create audio context
-        const AudioContext = window.AudioContext || window.webkitAudioContext;
-        if (!AudioContext) {
-            throw new Error('Web Audio API not supported');
-        }
+        if (this.injectedAudioContext) {
+            this.audioContext = this.injectedAudioContext;
+        } else {
+            // Create audio context
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContext) {
+                throw new Error('Web Audio API not supported');
+            }
 
-        this.audioContext = new AudioContext();
+            this.audioContext = new AudioContext();
+        }
 
         // Create master gain node for volume control
         this.masterGainNode = this.audioContext.createGain();
-        this.masterGainNode.connect(this.audioContext.destination);
         this.masterGainNode.gain.setValueAtTime(this.volume, this.audioContext.currentTime);
+        this.initSafetyChain();
 
         // Handle audio context state
         if (this.audioContext.state === 'suspended') {
@@ -103,10 +184,125 @@ export class SoundManager {
         }
     }
 
+    /**
+     * Put a limiter and a soft clipper between the master bus and the speakers
+     * so layered sounds can never get louder than the peak ceiling
+     */
+    initSafetyChain() {
+        this.limiterNode = this.audioContext.createDynamicsCompressor();
+        this.limiterNode.knee.setValueAtTime(0, this.audioContext.currentTime);
+        this.limiterNode.ratio.setValueAtTime(20, this.audioContext.currentTime);
+        this.limiterNode.attack.setValueAtTime(0.002, this.audioContext.currentTime);
+        this.limiterNode.release.setValueAtTime(0.2, this.audioContext.currentTime);
+
+        // The compressor reacts after a couple of milliseconds; the clipper catches
+        // the transients it lets through. No oversampling: its filters can ring
+        // past the curve's maximum.
+        this.clipperNode = this.audioContext.createWaveShaper();
+        this.clipperNode.oversample = 'none';
+
+        this.masterGainNode.connect(this.limiterNode);
+        this.limiterNode.connect(this.clipperNode);
+        this.clipperNode.connect(this.audioContext.destination);
+
+        this.setPeakCeiling(this.peakCeiling);
+    }
+
+    /**
+     * Set the loudest level the game can ever output
+     * @param {number} ceiling - Linear peak level (0.05-1)
+     */
+    setPeakCeiling(ceiling) {
+        this.peakCeiling = Math.max(MIN_PEAK_CEILING, Math.min(1, ceiling));
+
+        if (this.limiterNode) {
+            const ceilingDb = 20 * Math.log10(this.peakCeiling);
+            this.limiterNode.threshold.setValueAtTime(ceilingDb - LIMITER_HEADROOM_DB, this.audioContext.currentTime);
+            this.clipperNode.curve = createSoftClipCurve(this.peakCeiling);
+        }
+
+        debugLog(`Peak ceiling set to ${Math.round(this.peakCeiling * 100)}%`);
+    }
+
+    getPeakCeiling() {
+        return this.peakCeiling;
+    }
+
+    /**
+     * Tap the game's output as a MediaStream, e.g. to record it. The tap comes
+     * after the safety chain, so recordings sound just like the speakers.
+     * @returns {MediaStreamAudioDestinationNode|null} null without Web Audio
+     */
+    createOutputTap() {
+        if (!this.useWebAudio || typeof this.audioContext.createMediaStreamDestination !== 'function') {
+            return null;
+        }
+
+        const tap = this.audioContext.createMediaStreamDestination();
+        this.clipperNode.connect(tap);
+        return tap;
+    }
+
+    /**
+     * Stop feeding a tap made by createOutputTap
+     * @param {MediaStreamAudioDestinationNode} tap
+     */
+    removeOutputTap(tap) {
+        try {
+            this.clipperNode?.disconnect(tap);
+        } catch (error) {
+            debugLog('Output tap was already disconnected', error);
+        }
+    }
+
+    /**
+     * Register a playing voice, stealing the oldest one if at the limit
+     * @param {Function} stop - Silences the voice
+     * @returns {number} Voice ID
+     */
+    startVoice(stop) {
+        while (this.activeSounds.size >= this.maxConcurrentSounds) {
+            this.stealOldestVoice();
+        }
+
+        const voiceId = this.nextVoiceId++;
+        this.activeSounds.set(voiceId, { stop });
+        return voiceId;
+    }
+
+    endVoice(voiceId) {
+        this.activeSounds.delete(voiceId);
+    }
+
+    stealOldestVoice() {
+        const [voiceId, voice] = this.activeSounds.entries().next().value;
+        this.activeSounds.delete(voiceId);
+        voice.stop();
+        debugLog('Too many concurrent sounds, stopped the oldest');
+    }
+
+    /**
+     * Create a gain node for one voice so the whole voice can be faded out if stolen
+     * @returns {{output: GainNode, voiceId: number}}
+     */
+    createVoiceOutput() {
+        const output = this.audioContext.createGain();
+        output.connect(this.masterGainNode);
+
+        const voiceId = this.startVoice(() => {
+            const now = this.audioContext.currentTime;
+            output.gain.setValueAtTime(output.gain.value, now);
+            output.gain.linearRampToValueAtTime(0, now + VOICE_STEAL_FADE);
+            setTimeout(() => output.disconnect(), VOICE_STEAL_FADE * 1000 + 50);
+        });
+
+        return { output, voiceId };
+    }
+
     initHtmlAudio() {
-        // Fallback: pre-create some audio elements for common sounds
+        // Fallback: sounds come from sound pack files played with <audio> elements,
+        // loaded by setSoundPack()
         this.useWebAudio = false;
-        // We'll generate sounds on-the-fly or use simple beeps
     }
 
     handleAutoplayPolicy() {
@@ -139,9 +335,19 @@ export class SoundManager {
     /**
      * Play sound based on key information
      * @param {Object} keyInfo - Information about the pressed key
+     * @returns {number|null} Frequency of the key's note if it can be held (see startHeldNote)
      */
     playKeySound(keyInfo) {
-        if (!this.isEnabled) {return;}
+        if (!this.isEnabled) {return null;}
+
+        // MIDI pianos play their exact pitch, as loud as the key was hit
+        if (keyInfo.source === 'midi') {
+            this.playSound('note', keyInfo.frequency, {
+                volume: 0.3 + keyInfo.velocity * 0.5,
+                duration: keyInfo.sustained ? 2.4 : 0.8
+            });
+            return null;
+        }
 
         let soundType = 'note';
         let note = this.getRandomNote();
@@ -154,7 +360,7 @@ export class SoundManager {
                 break;
             case 'number':
                 soundType = 'chime';
-                note = MUSICAL_NOTES[NOTE_NAMES[parseInt(keyInfo.character) % NOTE_NAMES.length]];
+                note = this.scale.getNote(parseInt(keyInfo.character, 10) || 0);
                 break;
             case 'space':
                 soundType = 'explosion';
@@ -171,22 +377,89 @@ export class SoundManager {
         }
 
         // Apply effect modifications
-        switch (keyInfo.effect) {
-            case 'explosion':
-                soundType = 'explosion';
-                break;
-            case 'fireworks':
-                soundType = 'fireworks';
-                break;
-            case 'sparkle':
-                soundType = 'sparkle';
-                break;
-            case 'rainbow':
-                soundType = 'chime';
-                break;
+        const effectSoundType = EFFECT_SOUND_TYPES[keyInfo.effect];
+        if (effectSoundType) {
+            soundType = effectSoundType;
+        }
+
+        if (this.lullabyMode) {
+            const lullabyNote = this.getLullabyNote(note);
+            this.playSound('note', lullabyNote, { duration: 1.2, volume: 0.35, instrument: 'softPiano' });
+            return lullabyNote;
+        }
+
+        // Sound packs give each key category its own clip (every letter an animal...)
+        const categoryClip = !effectSoundType && this.soundPack?.getCategoryClip(keyInfo);
+        if (categoryClip) {
+            this.playClip(categoryClip, note);
+            return null;
         }
 
         this.playSound(soundType, note);
+        return HOLDABLE_SOUND_TYPES.includes(soundType) ? note : null;
+    }
+
+    /**
+     * Start sustaining a held key's note. The envelope stays open until releaseHeldNote.
+     * @param {number} frequency - From playKeySound
+     * @returns {number|null} Voice ID to release, or null if nothing is playing
+     */
+    startHeldNote(frequency) {
+        if (!this.isEnabled || !this.useWebAudio || !frequency) {return null;}
+
+        const now = this.audioContext.currentTime;
+        const output = this.audioContext.createGain();
+        output.connect(this.masterGainNode);
+
+        // Stealing a held note releases it early, like a keyup
+        const voiceId = this.startVoice(() => this.releaseHeldNote(voiceId, VOICE_STEAL_FADE));
+
+        const totalLevel = HELD_NOTE_PARTIALS.reduce((sum, [, level]) => sum + level, 0);
+        const oscillators = HELD_NOTE_PARTIALS.map(([ratio, level]) => {
+            const oscillator = this.audioContext.createOscillator();
+            const partialGain = this.audioContext.createGain();
+
+            oscillator.type = 'sine';
+            oscillator.frequency.setValueAtTime(frequency * ratio, now);
+            partialGain.gain.setValueAtTime(level / totalLevel, now);
+
+            oscillator.connect(partialGain);
+            partialGain.connect(output);
+            oscillator.start(now);
+            return oscillator;
+        });
+
+        // Swell in and hold - no release is scheduled until the key comes up
+        output.gain.setValueAtTime(0, now);
+        output.gain.linearRampToValueAtTime(HELD_NOTE_LEVEL * this.volume, now + HELD_NOTE_ATTACK);
+
+        const timeout = setTimeout(() => this.releaseHeldNote(voiceId), HELD_NOTE_MAX_DURATION * 1000);
+        this.heldNotes.set(voiceId, { output, oscillators, timeout });
+
+        return voiceId;
+    }
+
+    /**
+     * Let a held note fade away (on keyup)
+     * @param {number} voiceId - From startHeldNote
+     * @param {number} release - Fade time in seconds
+     */
+    releaseHeldNote(voiceId, release = HELD_NOTE_RELEASE) {
+        const note = this.heldNotes.get(voiceId);
+        if (!note) {return;}
+
+        this.heldNotes.delete(voiceId);
+        this.endVoice(voiceId);
+        clearTimeout(note.timeout);
+
+        const now = this.audioContext.currentTime;
+        const gain = note.output.gain;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(0, now + release);
+
+        note.oscillators.forEach(oscillator => oscillator.stop(now + release));
+        setTimeout(() => note.output.disconnect(), release * 1000 + 50);
     }
 
     /**
@@ -198,85 +471,173 @@ export class SoundManager {
     playSound(type = 'note', frequency = 440, options = {}) {
         if (!this.isEnabled) {return;}
 
-        // Limit concurrent sounds for performance
-        if (this.activeSounds.size >= this.maxConcurrentSounds) {
-            debugLog('Too many concurrent sounds, skipping');
-            return;
+        const clip = this.soundPack?.getTypeClip(type);
+        if (clip) {
+            this.playClip(clip, frequency, options);
+        } else if (this.useWebAudio && this.audioContext) {
+            this.playWebAudioSound(type, frequency, options);
+        } else {
+            this.playFallbackSound(type, frequency, options);
         }
+    }
+
+    /**
+     * Play a sound pack clip, pitched to the note if the clip is pitched
+     * @param {Object} clip - From SoundPack.getClip
+     * @param {number} frequency - Note to play
+     * @param {Object} options - Additional options (volume)
+     */
+    playClip(clip, frequency, options = {}) {
+        if (!this.isEnabled) {return;}
+
+        const playbackRate = this.soundPack.getPlaybackRate(clip, frequency);
+        const volume = options.volume ?? 0.8;
 
         if (this.useWebAudio && this.audioContext) {
-            this.playWebAudioSound(type, frequency, options);
+            if (clip.buffer) {
+                this.playBufferSound(clip.buffer, playbackRate, volume);
+            }
         } else {
-            this.playFallbackSound(type, frequency, options);
+            this.playAudioElement(clip.url, playbackRate, volume);
         }
     }
 
+    playBufferSound(buffer, playbackRate, volume) {
+        const source = this.audioContext.createBufferSource();
+        const { output, voiceId } = this.createVoiceOutput();
+
+        source.buffer = buffer;
+        source.playbackRate.setValueAtTime(playbackRate, this.audioContext.currentTime);
+        output.gain.setValueAtTime(volume * this.volume, this.audioContext.currentTime);
+
+        source.connect(output);
+        source.onended = () => {
+            this.endVoice(voiceId);
+            output.disconnect();
+        };
+
+        source.start();
+    }
+
+    playAudioElement(url, playbackRate, volume) {
+        // Keep one loaded element per file and clone it so sounds can overlap
+        let template = this.audioElements.get(url);
+        if (!template) {
+            template = new Audio(url);
+            template.preload = 'auto';
+            this.audioElements.set(url, template);
+        }
+
+        const audio = template.cloneNode();
+
+        // No limiter without Web Audio, so cap each element at the ceiling instead
+        audio.volume = Math.max(0, Math.min(this.peakCeiling, volume * this.volume));
+        audio.preservesPitch = false; // Let the playback rate change the note
+        audio.playbackRate = playbackRate;
+
+        const voiceId = this.startVoice(() => audio.pause());
+        const cleanUp = () => this.endVoice(voiceId);
+        audio.addEventListener('ended', cleanUp, { once: true });
+        audio.addEventListener('error', cleanUp, { once: true });
+
+        audio.play().catch(error => {
+            cleanUp();
+            debugLog('HTML5 audio playback failed', error);
+        });
+    }
+
     playWebAudioSound(type, frequency, options) {
         const soundConfig = { ...SOUND_TYPES[type] || SOUND_TYPES.note, ...options };
         const currentTime = this.audioContext.currentTime;
-        const soundId = Date.now() + Math.random();
-
-        this.activeSounds.add(soundId);
+        const { output, voiceId } = this.createVoiceOutput();
 
         try {
-            switch (type) {
-                case 'bubble':
-                    this.createBubbleSound(frequency, soundConfig, currentTime);
-                    break;
-                case 'boing':
-                    this.createBoingSound(frequency, soundConfig, currentTime);
-                    break;
-                case 'whistle':
-                    this.createWhistleSound(frequency, soundConfig, currentTime);
-                    break;
-                case 'laugh':
-                    this.createLaughSound(frequency, soundConfig, currentTime);
-                    break;
-                case 'chime':
-                    this.createChimeSound(frequency, soundConfig, currentTime);
-                    break;
-                case 'explosion':
-                    this.createExplosionSound(frequency, soundConfig, currentTime);
-                    break;
-                case 'fireworks':
-                    this.createFireworksSound(frequency, soundConfig, currentTime);
-                    break;
-                default:
-                    this.createBasicSound(frequency, soundConfig, currentTime);
-            }
+            const synth = SOUND_SYNTHS[type] || 'createInstrumentSound';
+            this[synth](frequency, soundConfig, currentTime, output);
         } catch (error) {
             debugLog('Error playing Web Audio sound:', error);
         }
 
-        // Clean up sound ID after duration
+        // Release the voice once its sound has finished
         setTimeout(() => {
-            this.activeSounds.delete(soundId);
+            this.endVoice(voiceId);
         }, soundConfig.duration * 1000 + 100);
     }
 
     /**
      * Enhanced sound synthesis methods for baby-friendly audio
      */
-    createBasicSound(frequency, config, startTime) {
-        const oscillator = this.audioContext.createOscillator();
+    createInstrumentSound(frequency, config, startTime, output = this.masterGainNode) {
+        const instrument = INSTRUMENTS[config.instrument] || INSTRUMENTS[this.instrument];
+        const peak = config.volume * this.volume;
+
+        if (instrument.synthesis === 'fm') {
+            this.createFmTone(frequency, instrument, peak, config.duration, startTime, output);
+        } else {
+            this.createAdditiveTone(frequency, instrument, peak, config.duration, startTime, output);
+        }
+    }
+
+    createAdditiveTone(frequency, instrument, peak, duration, startTime, output) {
+        // Scale partials so together they peak at the requested volume
+        const totalLevel = instrument.partials.reduce((sum, [, level]) => sum + level, 0);
+
+        instrument.partials.forEach(([ratio, level, decayScale]) => {
+            const oscillator = this.audioContext.createOscillator();
+            const gainNode = this.audioContext.createGain();
+            const endTime = startTime + duration * instrument.decay * decayScale;
+
+            oscillator.connect(gainNode);
+            gainNode.connect(output);
+
+            oscillator.type = 'sine';
+            oscillator.frequency.setValueAtTime(frequency * ratio, startTime);
+
+            // Higher partials die away first, like a struck bar or string
+            gainNode.gain.setValueAtTime(0, startTime);
+            gainNode.gain.linearRampToValueAtTime((peak * level) / totalLevel, startTime + instrument.attack);
+            gainNode.gain.exponentialRampToValueAtTime(0.001, endTime);
+
+            oscillator.start(startTime);
+            oscillator.stop(endTime);
+        });
+    }
+
+    createFmTone(frequency, instrument, peak, duration, startTime, output) {
+        const carrier = this.audioContext.createOscillator();
+        const modulator = this.audioContext.createOscillator();
+        const modulationGain = this.audioContext.createGain();
         const gainNode = this.audioContext.createGain();
+        const endTime = startTime + duration * instrument.decay;
 
-        oscillator.connect(gainNode);
-        gainNode.connect(this.masterGainNode);
+        // Modulation depth fading out makes the bright "ting" settle into a pure tone
+        const modulationDepth = frequency * instrument.modIndex;
+        modulator.frequency.setValueAtTime(frequency * instrument.modRatio, startTime);
+        modulationGain.gain.setValueAtTime(modulationDepth, startTime);
+        modulationGain.gain.exponentialRampToValueAtTime(
+            modulationDepth * 0.01,
+            startTime + duration * instrument.modDecay
+        );
 
-        oscillator.type = config.waveType || 'sine';
-        oscillator.frequency.setValueAtTime(frequency, startTime);
+        modulator.connect(modulationGain);
+        modulationGain.connect(carrier.frequency);
+        carrier.connect(gainNode);
+        gainNode.connect(output);
+
+        carrier.type = 'sine';
+        carrier.frequency.setValueAtTime(frequency, startTime);
 
-        // Smooth envelope
         gainNode.gain.setValueAtTime(0, startTime);
-        gainNode.gain.linearRampToValueAtTime(config.volume * this.volume, startTime + 0.01);
-        gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + config.duration);
+        gainNode.gain.linearRampToValueAtTime(peak, startTime + instrument.attack);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, endTime);
 
-        oscillator.start(startTime);
-        oscillator.stop(startTime + config.duration);
+        modulator.start(startTime);
+        carrier.start(startTime);
+        modulator.stop(endTime);
+        carrier.stop(endTime);
     }
 
-    createBubbleSound(frequency, config, startTime) {
+    createBubbleSound(frequency, config, startTime, output = this.masterGainNode) {
         // Create a bubble-like sound with frequency modulation
         const oscillator = this.audioContext.createOscillator();
         const gainNode = this.audioContext.createGain();
@@ -290,7 +651,7 @@ export class SoundManager {
         lfoGain.connect(oscillator.frequency);
 
         oscillator.connect(gainNode);
-        gainNode.connect(this.masterGainNode);
+        gainNode.connect(output);
 
         oscillator.type = 'sine';
         oscillator.frequency.setValueAtTime(frequency, startTime);
@@ -306,13 +667,13 @@ export class SoundManager {
         oscillator.stop(startTime + config.duration);
     }
 
-    createBoingSound(frequency, config, startTime) {
+    createBoingSound(frequency, config, startTime, output = this.masterGainNode) {
         // Create a bouncy "boing" sound
         const oscillator = this.audioContext.createOscillator();
         const gainNode = this.audioContext.createGain();
 
         oscillator.connect(gainNode);
-        gainNode.connect(this.masterGainNode);
+        gainNode.connect(output);
 
         oscillator.type = 'sawtooth';
 
@@ -333,13 +694,13 @@ export class SoundManager {
         oscillator.stop(startTime + config.duration);
     }
 
-    createWhistleSound(frequency, config, startTime) {
+    createWhistleSound(frequency, config, startTime, output = this.masterGainNode) {
         // Create a cheerful whistle sound
         const oscillator = this.audioContext.createOscillator();
         const gainNode = this.audioContext.createGain();
 
         oscillator.connect(gainNode);
-        gainNode.connect(this.masterGainNode);
+        gainNode.connect(output);
 
         oscillator.type = 'sine';
 
@@ -358,7 +719,7 @@ export class SoundManager {
         oscillator.stop(startTime + config.duration);
     }
 
-    createLaughSound(frequency, config, startTime) {
+    createLaughSound(frequency, config, startTime, output = this.masterGainNode) {
         // Create a playful laughing sound with multiple oscillators
         const oscillators = [];
         const gainNodes = [];
@@ -368,7 +729,7 @@ export class SoundManager {
             const gain = this.audioContext.createGain();
 
             osc.connect(gain);
-            gain.connect(this.masterGainNode);
+            gain.connect(output);
 
             osc.type = 'triangle';
             osc.frequency.setValueAtTime(frequency * (1 + i * 0.2), startTime);
@@ -397,7 +758,7 @@ export class SoundManager {
         }
     }
 
-    createChimeSound(frequency, config, startTime) {
+    createChimeSound(frequency, config, startTime, output = this.masterGainNode) {
         // Create a beautiful chime with harmonics
         const harmonics = [1, 2, 3, 5]; // Harmonic ratios
 
@@ -406,7 +767,7 @@ export class SoundManager {
             const gainNode = this.audioContext.createGain();
 
             oscillator.connect(gainNode);
-            gainNode.connect(this.masterGainNode);
+            gainNode.connect(output);
 
             oscillator.type = 'sine';
             oscillator.frequency.setValueAtTime(frequency * harmonic, startTime);
@@ -422,7 +783,7 @@ export class SoundManager {
         });
     }
 
-    createExplosionSound(frequency, config, startTime) {
+    createExplosionSound(frequency, config, startTime, output = this.masterGainNode) {
         // Create an exciting explosion sound with noise
         const oscillator = this.audioContext.createOscillator();
         const gainNode = this.audioContext.createGain();
@@ -430,7 +791,7 @@ export class SoundManager {
 
         oscillator.connect(filter);
         filter.connect(gainNode);
-        gainNode.connect(this.masterGainNode);
+        gainNode.connect(output);
 
         oscillator.type = 'sawtooth';
         oscillator.frequency.setValueAtTime(frequency, startTime);
@@ -451,7 +812,7 @@ export class SoundManager {
         oscillator.stop(startTime + config.duration);
     }
 
-    createFireworksSound(frequency, config, startTime) {
+    createFireworksSound(frequency, config, startTime, output = this.masterGainNode) {
         // Create a spectacular fireworks sound with multiple bursts
         for (let i = 0; i < 4; i++) {
             const delay = i * 0.1;
@@ -464,7 +825,7 @@ export class SoundManager {
 
             oscillator.connect(filter);
             filter.connect(gainNode);
-            gainNode.connect(this.masterGainNode);
+            gainNode.connect(output);
 
             oscillator.type = 'triangle';
             oscillator.frequency.setValueAtTime(frequency * (1 + i * 0.3), burstTime);
@@ -488,36 +849,58 @@ export class SoundManager {
     }
 
     playFallbackSound(type, frequency, options) {
-        // Simple fallback using basic audio elements or beep
-        debugLog(`Playing fallback ${type} sound`);
+        // No Web Audio to synthesize with - play the closest file from the pack
+        const clip = this.soundPack?.getTypeClip(type) || this.soundPack?.getDefaultClip();
+        if (!clip) {
+            debugLog(`No fallback sound for ${type}`);
+            return;
+        }
 
-        // For now, we'll skip fallback implementation
-        // In a real app, you might want to use pre-recorded audio files
+        this.playAudioElement(clip.url, this.soundPack.getPlaybackRate(clip, frequency), options.volume ?? 0.8);
     }
 
     getNoteForLetter(letter) {
-        // Map letters to musical notes with better distribution
-        // Keep all notes in a comfortable baby-friendly range
-        const letterMap = {
-            'a': MUSICAL_NOTES.C4,   'b': MUSICAL_NOTES.D4,   'c': MUSICAL_NOTES.E4,
-            'd': MUSICAL_NOTES.G4,   'e': MUSICAL_NOTES.A4,   'f': MUSICAL_NOTES.C5,
-            'g': MUSICAL_NOTES.D5,   'h': MUSICAL_NOTES.E5,   'i': MUSICAL_NOTES.G5,
-            'j': MUSICAL_NOTES.A5,   'k': MUSICAL_NOTES.C4,   'l': MUSICAL_NOTES.D4,
-            'm': MUSICAL_NOTES.E4,   'n': MUSICAL_NOTES.G4,   'o': MUSICAL_NOTES.A4,
-            'p': MUSICAL_NOTES.C5,   'q': MUSICAL_NOTES.D5,   'r': MUSICAL_NOTES.E5,
-            's': MUSICAL_NOTES.G5,   't': MUSICAL_NOTES.A5,   'u': MUSICAL_NOTES.C4,
-            'v': MUSICAL_NOTES.D4,   'w': MUSICAL_NOTES.E4,
-            // Z and X get nice low, pleasant frequencies
-            'x': MUSICAL_NOTES.G4,   'y': MUSICAL_NOTES.A4,   'z': MUSICAL_NOTES.C4
-        };
+        return this.scale.getNoteForLetter(letter);
+    }
+
+    getLullabyNote(frequency) {
+        // Keep notes low and gentle for winding down
+        let note = frequency;
+        while (note > LULLABY_CEILING) {
+            note /= 2;
+        }
+        return note;
+    }
 
-        const lowerLetter = letter.toLowerCase();
-        return letterMap[lowerLetter] || MUSICAL_NOTES.C5;
+    setLullabyMode(enabled) {
+        if (this.lullabyMode === enabled) {return;}
+        this.lullabyMode = enabled;
+        debugLog(`Lullaby mode ${enabled ? 'enabled' : 'disabled'}`);
     }
 
     getRandomNote() {
-        const noteName = NOTE_NAMES[Math.floor(Math.random() * NOTE_NAMES.length)];
-        return MUSICAL_NOTES[noteName];
+        return this.scale.getRandomNote();
+    }
+
+    /**
+     * Choose the scale key sounds are played in
+     * @param {Object} options
+     * @param {string} options.scale - Key of SCALES
+     * @param {string} options.root - Key of ROOT_NOTES
+     */
+    setScale(options) {
+        this.scale.configure(options);
+        debugLog(`Scale set to ${this.scale.root} ${this.scale.scaleId}`);
+    }
+
+    /**
+     * Choose the instrument for synthesized key notes
+     * @param {string} instrument - Key of INSTRUMENTS
+     */
+    setInstrument(instrument) {
+        if (!(instrument in INSTRUMENTS)) {return;}
+        this.instrument = instrument;
+        debugLog(`Instrument set to ${instrument}`);
     }
 
     playChord(notes, duration = 1.0) {
@@ -555,6 +938,33 @@ export class SoundManager {
         debugLog(`Volume set to ${Math.round(this.volume * 100)}%`);
     }
 
+    /**
+     * Switch to a different sound pack
+     * @param {string} packId - Key of SOUND_PACKS
+     */
+    async setSoundPack(packId) {
+        const id = packId in SOUND_PACKS ? packId : 'synth';
+        this.soundPackId = id;
+
+        // Web Audio must be settled before we know whether to decode or use <audio>
+        await this.ready;
+
+        // Without Web Audio, the synthesized pack is played from instrument files
+        const loadId = id === 'synth' && !this.useWebAudio ? FALLBACK_SOUND_PACK : id;
+        const pack = await loadSoundPack(loadId, this.useWebAudio ? this.audioContext : null);
+
+        // Ignore a slow load if the parent picked another pack meanwhile
+        if (this.soundPackId !== id) {return;}
+
+        this.soundPack = pack;
+        this.audioElements.clear();
+        debugLog(`Sound pack set to ${id}`);
+    }
+
+    getSoundPackId() {
+        return this.soundPackId;
+    }
+
     toggleMute() {
         this.isEnabled = !this.isEnabled;
         debugLog(`Sound ${this.isEnabled ? 'enabled' : 'disabled'}`);
@@ -579,6 +989,8 @@ export class SoundManager {
             enabled: this.isEnabled,
             volume: this.volume,
             activeSounds: this.activeSounds.size,
+            peakCeiling: this.peakCeiling,
+            soundPack: this.soundPackId,
             useWebAudio: this.useWebAudio,
             audioContextState: this.audioContext ? this.audioContext.state : 'not available'
         };
@@ -604,15 +1016,103 @@ export class SoundManager {
         this.playChord(successNotes, 1.2);
     }
 
+    playCountingSound(count) {
+        // One rising note per counted item
+        const notes = this.scale.getAscendingNotes(Math.max(1, count));
+        this.playMelody(notes, 0.3);
+    }
+
+    playSoftSound() {
+        // Gentle "not quite" feedback - never a buzzer
+        this.playSound('bubble', MUSICAL_NOTES.E4, { volume: 0.3 });
+    }
+
+    /**
+     * Big sound for whole-hand play
+     * @param {Object} gesture - From GestureRecognizer
+     */
+    playGestureSound(gesture) {
+        if (!this.isEnabled) {return;}
+
+        switch (gesture.type) {
+            case 'palmSlap':
+                // A boom with a happy chord on top
+                this.playSound('explosion', this.scale.getNote(0) / 2, { volume: 0.6 });
+                this.playChord([0, 2, 4].map(degree => this.scale.getNote(degree)), 1.5);
+                break;
+
+            case 'sweep': {
+                // Glissando in the direction of the sweep
+                const notes = this.scale.getAscendingNotes(Math.max(6, gesture.codes.length * 2));
+                this.playMelody(gesture.direction === 'left' ? notes.reverse() : notes, 0.07);
+                break;
+            }
+
+            case 'hammer':
+                // Climbs a step every time the hammering is noticed
+                this.playSound('boing', this.scale.getNote(Math.floor(gesture.count / 4)), { duration: 0.9 });
+                break;
+
+            case 'hold':
+                this.playSound('chime', this.scale.getNote(0), { duration: 2.5, volume: 0.5 });
+                break;
+        }
+    }
+
+    /**
+     * Bubbly pop for a tapped shape - big shapes pop lower
+     * @param {number} sizeRatio - 0 (smallest shape) to 1 (largest)
+     */
+    playPopSound(sizeRatio = 0.5) {
+        const degree = Math.round((1 - clamp(sizeRatio, 0, 1)) * (this.scale.notes.length - 1));
+        this.playSound('bubble', this.scale.getNote(degree), { volume: 0.5 });
+    }
+
+    playGoodnightSound() {
+        const goodnightNotes = [
+            MUSICAL_NOTES.G4,
+            MUSICAL_NOTES.E4,
+            MUSICAL_NOTES.D4,
+            MUSICAL_NOTES.C4
+        ];
+        this.playMelody(goodnightNotes, 0.8);
+    }
+
     destroy() {
         // Clean up resources
         if (this.audioContext && this.audioContext.state !== 'closed') {
             this.audioContext.close();
         }
 
+        this.heldNotes.forEach(note => clearTimeout(note.timeout));
+        this.heldNotes.clear();
+        this.activeSounds.forEach(voice => voice.stop());
         this.activeSounds.clear();
         this.audioElements.clear();
 
         debugLog('Sound manager destroyed');
     }
 }
+
+/**
+ * Wave shaper curve: unchanged below the knee, then curving smoothly up to
+ * (but never past) the ceiling
+ * @param {number} ceiling - Linear peak level
+ * @param {number} samples - Curve resolution
+ * @returns {Float32Array}
+ */
+export function createSoftClipCurve(ceiling, samples = 2048) {
+    const curve = new Float32Array(samples);
+    const knee = ceiling * SOFT_CLIP_KNEE;
+    const range = ceiling - knee;
+
+    for (let i = 0; i < samples; i++) {
+        const x = (i / (samples - 1)) * 2 - 1;
+        const magnitude = Math.abs(x);
+        const shaped = magnitude <= knee
+            ? magnitude
+            : knee + range * Math.tanh((magnitude - knee) / range);
+        curve[i] = Math.sign(x) * shaped;
+    }
+    return curve;
+}
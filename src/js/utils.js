@@ -3,6 +3,8 @@
  * Contains helper functions for colors, math, positioning, and performance monitoring
  */
 
+import { rng } from './random.js';
+
 // Baby-friendly color palette - bright, high contrast colors
 export const BABY_COLORS = [
     '#FF6B6B', // Bright Red
@@ -19,6 +21,29 @@ export const BABY_COLORS = [
     '#DEB887'  // Burlywood
 ];
 
+// Simple spoken names for BABY_COLORS (same order)
+export const BABY_COLOR_NAMES = [
+    'Red',
+    'Turquoise',
+    'Blue',
+    'Green',
+    'Yellow',
+    'Purple',
+    'Pink',
+    'Light Green',
+    'Orange',
+    'Sky Blue',
+    'Gold',
+    'Brown'
+];
+
+// Build environment - read through here rather than import.meta.env so the
+// modules also load outside Vite (tests can change it)
+export const ENV = {
+    DEV: Boolean(import.meta.env?.DEV),
+    BASE_URL: import.meta.env?.BASE_URL ?? '/'
+};
+
 // Configuration constants
 export const CONFIG = {
     shapes: {
@@ -37,7 +62,8 @@ export const CONFIG = {
         food: ['🍎', '🍌', '🍊', '🍇', '🍓', '🥕', '🍅', '🍞', '🧀', '🍪', '🍰', '🍭', '🍯', '🥛', '🧁', '🍒'],
         toys: ['⚽', '🏀', '🎾', '🎲', '🧸', '🪀', '🎨', '🎯', '🎪', '🎠', '🎡', '🎢', '🚀', '🛸', '🎈', '🎁'],
         nature: ['🌸', '🌻', '🌺', '🌷', '🌹', '🌼', '🌳', '🌲', '🍀', '🌿', '🌈', '⭐', '🌟', '💫', '☀️', '🌙'],
-        faces: ['😊', '😄', '😆', '🤗', '😍', '🥰', '😘', '😋', '😎', '🤩', '😇', '🙂', '😉', '😌', '☺️', '😚']
+        faces: ['😊', '😄', '😆', '🤗', '😍', '🥰', '😘', '😋', '😎', '🤩', '😇', '🙂', '😉', '😌', '☺️', '😚'],
+        music: ['🎵', '🎶', '🎹', '🎸', '🎺', '🎷', '🥁', '🎻', '🪇', '🪘', '🎼', '🔔']
     },
     particles: {
         count: 8,
@@ -45,11 +71,13 @@ export const CONFIG = {
         maxSize: 8,
         maxLifetime: 2000,
         maxActiveParticles: 100,
+        maxPointers: 5, // Simultaneous fingers with their own trail
         trailLength: 20
     },
     audio: {
         volume: 0.7,
-        maxConcurrentSounds: 5
+        maxConcurrentSounds: 5,
+        peakCeiling: 0.5 // Loudest output level, linear (about -6 dBFS)
     },
     performance: {
         targetFPS: 60,
@@ -57,21 +85,71 @@ export const CONFIG = {
     }
 };
 
+/**
+ * Letter items: the emoji shown for each letter and its spoken name per language
+ * Keeping both in one table keeps pictures and words in sync
+ */
+export const LETTER_ITEMS = {
+    a: { emoji: '🍎', words: { en: 'Apple', es: 'Manzana', fr: 'Pomme', de: 'Apfel' } },
+    b: { emoji: '🐻', words: { en: 'Bear', es: 'Oso', fr: 'Ours', de: 'Bär' } },
+    c: { emoji: '🚗', words: { en: 'Car', es: 'Coche', fr: 'Voiture', de: 'Auto' } },
+    d: { emoji: '🐶', words: { en: 'Dog', es: 'Perro', fr: 'Chien', de: 'Hund' } },
+    e: { emoji: '🐘', words: { en: 'Elephant', es: 'Elefante', fr: 'Éléphant', de: 'Elefant' } },
+    f: { emoji: '🐸', words: { en: 'Frog', es: 'Rana', fr: 'Grenouille', de: 'Frosch' } },
+    g: { emoji: '🦒', words: { en: 'Giraffe', es: 'Jirafa', fr: 'Girafe', de: 'Giraffe' } },
+    h: { emoji: '🏠', words: { en: 'House', es: 'Casa', fr: 'Maison', de: 'Haus' } },
+    i: { emoji: '🍦', words: { en: 'Ice cream', es: 'Helado', fr: 'Glace', de: 'Eis' } },
+    j: { emoji: '✈️', words: { en: 'Jet', es: 'Avión', fr: 'Avion', de: 'Flugzeug' } },
+    k: { emoji: '🪁', words: { en: 'Kite', es: 'Cometa', fr: 'Cerf-volant', de: 'Drachen' } },
+    l: { emoji: '🦁', words: { en: 'Lion', es: 'León', fr: 'Lion', de: 'Löwe' } },
+    m: { emoji: '🐭', words: { en: 'Mouse', es: 'Ratón', fr: 'Souris', de: 'Maus' } },
+    n: { emoji: '🌙', words: { en: 'Night', es: 'Luna', fr: 'Lune', de: 'Mond' } },
+    o: { emoji: '🐙', words: { en: 'Octopus', es: 'Pulpo', fr: 'Pieuvre', de: 'Krake' } },
+    p: { emoji: '🐼', words: { en: 'Panda', es: 'Panda', fr: 'Panda', de: 'Panda' } },
+    q: { emoji: '👸', words: { en: 'Queen', es: 'Reina', fr: 'Reine', de: 'Königin' } },
+    r: { emoji: '🚀', words: { en: 'Rocket', es: 'Cohete', fr: 'Fusée', de: 'Rakete' } },
+    s: { emoji: '⭐', words: { en: 'Star', es: 'Estrella', fr: 'Étoile', de: 'Stern' } },
+    t: { emoji: '🚂', words: { en: 'Train', es: 'Tren', fr: 'Train', de: 'Zug' } },
+    u: { emoji: '☂️', words: { en: 'Umbrella', es: 'Paraguas', fr: 'Parapluie', de: 'Regenschirm' } },
+    v: { emoji: '🚐', words: { en: 'Van', es: 'Furgoneta', fr: 'Camionnette', de: 'Kleinbus' } },
+    w: { emoji: '🐋', words: { en: 'Whale', es: 'Ballena', fr: 'Baleine', de: 'Wal' } },
+    x: { emoji: '❌', words: { en: 'X marks the spot', es: 'Equis', fr: 'Croix', de: 'Kreuz' } },
+    y: { emoji: '💛', words: { en: 'Yellow', es: 'Amarillo', fr: 'Jaune', de: 'Gelb' } },
+    z: { emoji: '🦓', words: { en: 'Zebra', es: 'Cebra', fr: 'Zèbre', de: 'Zebra' } }
+};
+
+/**
+ * Spoken number names per language (0-10; the on-screen number pad has a 10 key)
+ */
+export const NUMBER_WORDS = {
+    en: ['Zero', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten'],
+    es: ['Cero', 'Uno', 'Dos', 'Tres', 'Cuatro', 'Cinco', 'Seis', 'Siete', 'Ocho', 'Nueve', 'Diez'],
+    fr: ['Zéro', 'Un', 'Deux', 'Trois', 'Quatre', 'Cinq', 'Six', 'Sept', 'Huit', 'Neuf', 'Dix'],
+    de: ['Null', 'Eins', 'Zwei', 'Drei', 'Vier', 'Fünf', 'Sechs', 'Sieben', 'Acht', 'Neun', 'Zehn']
+};
+
+/**
+ * Stream the random helpers use when a module doesn't pass its own
+ */
+const defaultRandom = rng.stream('default');
+
 /**
  * Get a random baby-friendly color
+ * @param {RandomStream} random - Stream to draw from
  * @returns {string} Hex color code
  */
-export function getRandomColor() {
-    return BABY_COLORS[Math.floor(Math.random() * BABY_COLORS.length)];
+export function getRandomColor(random = defaultRandom) {
+    return BABY_COLORS[Math.floor(random.next() * BABY_COLORS.length)];
 }
 
 /**
  * Get multiple random colors (no duplicates)
  * @param {number} count - Number of colors to return
+ * @param {RandomStream} random - Stream to draw from
  * @returns {string[]} Array of hex color codes
  */
-export function getRandomColors(count) {
-    const shuffled = [...BABY_COLORS].sort(() => 0.5 - Math.random());
+export function getRandomColors(count, random = defaultRandom) {
+    const shuffled = [...BABY_COLORS].sort(() => 0.5 - random.next());
     return shuffled.slice(0, Math.min(count, BABY_COLORS.length));
 }
 
@@ -79,41 +157,44 @@ export function getRandomColors(count) {
  * Generate random number between min and max (inclusive)
  * @param {number} min
  * @param {number} max
+ * @param {RandomStream} random - Stream to draw from
  * @returns {number}
  */
-export function randomBetween(min, max) {
-    return Math.random() * (max - min) + min;
+export function randomBetween(min, max, random = defaultRandom) {
+    return random.next() * (max - min) + min;
 }
 
 /**
  * Generate random integer between min and max (inclusive)
  * @param {number} min
  * @param {number} max
+ * @param {RandomStream} random - Stream to draw from
  * @returns {number}
  */
-export function randomIntBetween(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+export function randomIntBetween(min, max, random = defaultRandom) {
+    return Math.floor(random.next() * (max - min + 1)) + min;
 }
 
 /**
  * Get random emoji from a category or all emojis
  * @param {string} category - Category name ('vehicles', 'animals', 'food', 'toys', 'nature', 'faces') or 'all'
+ * @param {RandomStream} random - Stream to draw from
  * @returns {string} Random emoji
  */
-export function getRandomEmoji(category = 'all') {
+export function getRandomEmoji(category = 'all', random = defaultRandom) {
     const { emojis } = CONFIG;
 
     if (category === 'all') {
         // Get random emoji from all categories
         const allCategories = Object.keys(emojis);
-        const randomCategory = allCategories[Math.floor(Math.random() * allCategories.length)];
+        const randomCategory = allCategories[Math.floor(random.next() * allCategories.length)];
         const categoryEmojis = emojis[randomCategory];
-        return categoryEmojis[Math.floor(Math.random() * categoryEmojis.length)];
+        return categoryEmojis[Math.floor(random.next() * categoryEmojis.length)];
     }
 
     if (emojis[category]) {
         const categoryEmojis = emojis[category];
-        return categoryEmojis[Math.floor(Math.random() * categoryEmojis.length)];
+        return categoryEmojis[Math.floor(random.next() * categoryEmojis.length)];
     }
 
     // Fallback to a happy face if category not found
@@ -130,14 +211,8 @@ export function getEmojiForKey(keyType, keyChar) {
     switch (keyType) {
         case 'letter':
             // Map specific letters to themed emojis
-            const letterEmojiMap = {
-                'a': '🍎', 'b': '🐻', 'c': '🚗', 'd': '🐶', 'e': '🐘',
-                'f': '🐸', 'g': '🦒', 'h': '🏠', 'i': '🍦', 'j': '✈️',
-                'k': '🪁', 'l': '🦁', 'm': '🐭', 'n': '🌙', 'o': '🐙',
-                'p': '🐼', 'q': '👸', 'r': '🚀', 's': '⭐', 't': '🚂',
-                'u': '☂️', 'v': '🚐', 'w': '🐋', 'x': '❌', 'y': '💛', 'z': '🦓'
-            };
-            return letterEmojiMap[keyChar?.toLowerCase()] || getRandomEmoji('animals');
+            const letterItem = LETTER_ITEMS[keyChar?.toLowerCase()];
+            return letterItem ? letterItem.emoji : getRandomEmoji('animals');
 
         case 'number':
             // Numbers get counting emojis or number-related items
@@ -159,6 +234,12 @@ export function getEmojiForKey(keyType, keyChar) {
         case 'punctuation':
             return getRandomEmoji('faces');
 
+        case 'note':
+            return getRandomEmoji('music'); // MIDI piano keys
+
+        case 'voice':
+            return getRandomEmoji('faces'); // Babbling into the microphone
+
         default:
             return getRandomEmoji('toys');
     }
@@ -178,12 +259,13 @@ export function setEmojiMode(enabled) {
  * @param {number} canvasWidth
  * @param {number} canvasHeight
  * @param {number} padding - Padding from edges
+ * @param {RandomStream} random - Stream to draw from
  * @returns {{x: number, y: number}}
  */
-export function getRandomPosition(canvasWidth, canvasHeight, padding = 50) {
+export function getRandomPosition(canvasWidth, canvasHeight, padding = 50, random = defaultRandom) {
     return {
-        x: randomBetween(padding, canvasWidth - padding),
-        y: randomBetween(padding, canvasHeight - padding)
+        x: randomBetween(padding, canvasWidth - padding, random),
+        y: randomBetween(padding, canvasHeight - padding, random)
     };
 }
 
@@ -429,7 +511,7 @@ export function announceToScreenReader(message) {
  * @param {...any} args
  */
 export function debugLog(message, ...args) {
-    if (import.meta.env.DEV) {
+    if (ENV.DEV) {
         console.log(`[Baby Game] ${message}`, ...args);
     }
 }
@@ -0,0 +1,240 @@
+/**
+ * Video Recorder for Baby Keyboard Smashing Game
+ * Records the canvas and the game's sounds to a WebM clip for sharing
+ */
+
+import { debugLog } from './utils.js';
+
+/**
+ * Longest clip parents can choose, in seconds
+ */
+export const RECORDING_LENGTH_OPTIONS = [15, 30, 60, 120, 300];
+
+const FRAME_RATE = 30;
+const CHUNK_INTERVAL = 1000; // ms of video per dataavailable event
+const TICK_INTERVAL = 250; // ms between progress updates
+
+/**
+ * WebM flavours to try, best first
+ */
+const MIME_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm'
+];
+
+/**
+ * Pick a WebM type the browser can encode
+ * @param {Function} isTypeSupported - e.g. MediaRecorder.isTypeSupported
+ * @returns {string|null}
+ */
+export function pickMimeType(isTypeSupported) {
+    if (typeof isTypeSupported !== 'function') {return MIME_TYPES[MIME_TYPES.length - 1];}
+    return MIME_TYPES.find(type => isTypeSupported(type)) || null;
+}
+
+/**
+ * Elapsed time as m:ss for the recording indicator
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatRecordingTime(seconds) {
+    const whole = Math.max(0, Math.floor(seconds));
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * File name for a downloaded clip
+ * @param {Date} date
+ * @returns {string}
+ */
+export function getRecordingFileName(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `play-session-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}.webm`;
+}
+
+/**
+ * Video Recorder class
+ */
+export class VideoRecorder {
+    /**
+     * @param {HTMLCanvasElement} canvas - Needs captureStream()
+     * @param {Object} options
+     * @param {SoundManager} options.soundManager - Mixed in through an output tap, if given
+     * @param {Function} options.MediaRecorder - Defaults to window.MediaRecorder
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.soundManager = options.soundManager || null;
+        this.MediaRecorder = options.MediaRecorder ||
+            (typeof MediaRecorder !== 'undefined' ? MediaRecorder : null);
+
+        this.maxDuration = 60; // seconds
+        this.recorder = null;
+        this.canvasStream = null;
+        this.audioTap = null;
+        this.chunks = [];
+        this.startTime = 0;
+        this.timer = null;
+
+        this.onProgress = null;
+        this.onStateChange = null;
+        this.onComplete = null;
+    }
+
+    isSupported() {
+        return Boolean(this.MediaRecorder && typeof this.canvas?.captureStream === 'function');
+    }
+
+    isRecording() {
+        return Boolean(this.recorder);
+    }
+
+    /**
+     * Set the longest clip; recording stops by itself after this
+     * @param {number} seconds
+     */
+    setMaxDuration(seconds) {
+        this.maxDuration = Math.max(1, seconds);
+        debugLog(`Max recording length: ${seconds}s`);
+    }
+
+    /**
+     * Set callback for the running time
+     * @param {Function} callback - Called with (elapsedSeconds, maxSeconds)
+     */
+    setOnProgress(callback) {
+        this.onProgress = callback;
+    }
+
+    /**
+     * Set callback for recording starting and stopping
+     * @param {Function} callback - Called with true when recording starts, false when it stops
+     */
+    setOnStateChange(callback) {
+        this.onStateChange = callback;
+    }
+
+    /**
+     * Set callback for a finished clip
+     * @param {Function} callback - Called with the WebM Blob
+     */
+    setOnComplete(callback) {
+        this.onComplete = callback;
+    }
+
+    /**
+     * Start recording
+     * @returns {boolean} Whether recording started
+     */
+    start() {
+        if (this.isRecording()) {return true;}
+        if (!this.isSupported()) {
+            debugLog('Video recording not available');
+            return false;
+        }
+
+        const mimeType = pickMimeType(this.MediaRecorder.isTypeSupported?.bind(this.MediaRecorder));
+        if (!mimeType) {
+            debugLog('No WebM encoder available');
+            return false;
+        }
+
+        this.canvasStream = this.canvas.captureStream(FRAME_RATE);
+        this.audioTap = this.soundManager?.createOutputTap() || null;
+
+        const tracks = [
+            ...this.canvasStream.getVideoTracks(),
+            ...(this.audioTap ? this.audioTap.stream.getAudioTracks() : [])
+        ];
+        const stream = new MediaStream(tracks);
+
+        try {
+            this.recorder = new this.MediaRecorder(stream, { mimeType });
+        } catch (error) {
+            debugLog('Failed to start video recording', error);
+            this.releaseStreams();
+            return false;
+        }
+
+        this.chunks = [];
+        this.recorder.ondataavailable = event => {
+            if (event.data && event.data.size > 0) {
+                this.chunks.push(event.data);
+            }
+        };
+        this.recorder.onstop = () => this.finish(mimeType);
+        this.recorder.start(CHUNK_INTERVAL);
+
+        this.startTime = performance.now();
+        this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+
+        debugLog(`Video recording started (${mimeType}${this.audioTap ? ', with sound' : ''})`);
+        if (this.onStateChange) {
+            this.onStateChange(true);
+        }
+        return true;
+    }
+
+    /**
+     * Seconds recorded so far
+     * @returns {number}
+     */
+    getElapsed() {
+        return this.isRecording() ? (performance.now() - this.startTime) / 1000 : 0;
+    }
+
+    tick() {
+        const elapsed = this.getElapsed();
+        if (this.onProgress) {
+            this.onProgress(Math.min(elapsed, this.maxDuration), this.maxDuration);
+        }
+        if (elapsed >= this.maxDuration) {
+            this.stop();
+        }
+    }
+
+    /**
+     * Stop recording; the clip arrives through the complete callback
+     */
+    stop() {
+        if (!this.recorder) {return;}
+
+        clearInterval(this.timer);
+        this.timer = null;
+
+        if (this.recorder.state !== 'inactive') {
+            this.recorder.stop();
+        }
+        this.recorder = null;
+        this.releaseStreams();
+
+        debugLog('Video recording stopped');
+        if (this.onStateChange) {
+            this.onStateChange(false);
+        }
+    }
+
+    finish(mimeType) {
+        const blob = new Blob(this.chunks, { type: mimeType.split(';')[0] });
+        this.chunks = [];
+
+        if (blob.size > 0 && this.onComplete) {
+            this.onComplete(blob);
+        }
+    }
+
+    releaseStreams() {
+        this.canvasStream?.getTracks().forEach(track => track.stop());
+        if (this.audioTap) {
+            this.soundManager.removeOutputTap(this.audioTap);
+        }
+        this.canvasStream = null;
+        this.audioTap = null;
+    }
+
+    destroy() {
+        this.onComplete = null;
+        this.stop();
+    }
+}
@@ -0,0 +1,353 @@
+/**
+ * Voice System for Baby Keyboard Smashing Game
+ * Speaks letter, number and emoji names ("B! Bear!") using speech synthesis,
+ * or a pack of pre-recorded clips when synthesis isn't available
+ */
+
+import { LETTER_ITEMS, NUMBER_WORDS, debugLog, ENV } from './utils.js';
+import { getLetterInfo } from './locales.js';
+
+/**
+ * Languages with word lists, and the speech synthesis locale used for each
+ */
+export const VOICE_LANGUAGES = {
+    en: { label: 'English', speechLang: 'en-US' },
+    es: { label: 'Español', speechLang: 'es-ES' },
+    fr: { label: 'Français', speechLang: 'fr-FR' },
+    de: { label: 'Deutsch', speechLang: 'de-DE' }
+};
+
+const MAX_PENDING_UTTERANCES = 1; // While mashing, only the latest key waits its turn
+const CLIP_GAP = 0.08; // Seconds of silence between clips in one utterance
+
+/**
+ * Voice Manager class
+ */
+export class VoiceManager {
+    constructor(soundManager, options = {}) {
+        this.soundManager = soundManager;
+        this.language = options.language in VOICE_LANGUAGES ? options.language : 'en';
+        this.volume = options.volume ?? 0.8;
+        this.isEnabled = options.enabled ?? true;
+
+        // Speech synthesis (preferred)
+        this.synth = window.speechSynthesis || null;
+        this.speechVoice = null;
+
+        // Pre-recorded clip pack (fallback)
+        this.clipBuffers = new Map();
+        this.voiceGainNode = null;
+
+        // Queue so utterances never overlap
+        this.queue = [];
+        this.isSpeaking = false;
+        this.currentSources = [];
+
+        this.ready = Promise.resolve(); // Settles once a clip pack has loaded
+        this.init();
+    }
+
+    init() {
+        if (this.synth) {
+            this.selectSpeechVoice();
+
+            // Voices load asynchronously in some browsers
+            if ('onvoiceschanged' in this.synth) {
+                this.synth.addEventListener('voiceschanged', () => this.selectSpeechVoice());
+            }
+            debugLog('Voice manager using speech synthesis');
+        } else if (this.soundManager.audioContext) {
+            this.ready = this.loadClipPack(this.language);
+            debugLog('Speech synthesis not available, using recorded voice clips');
+        } else {
+            debugLog('No speech synthesis or Web Audio, voice is off');
+        }
+    }
+
+    /**
+     * Whether anything can speak: speech synthesis, or Web Audio to play the clip pack
+     * @returns {boolean}
+     */
+    isSupported() {
+        return Boolean(this.synth || this.soundManager.audioContext);
+    }
+
+    selectSpeechVoice() {
+        if (!this.synth) {return;}
+
+        this.speechVoice = this.findSpeechVoice(VOICE_LANGUAGES[this.language].speechLang);
+    }
+
+    /**
+     * Best installed voice for a locale, e.g. 'el-GR'
+     * @param {string} speechLang
+     * @returns {SpeechSynthesisVoice|null}
+     */
+    findSpeechVoice(speechLang) {
+        const voices = this.synth.getVoices();
+        const language = speechLang.split('-')[0];
+
+        return voices.find(voice => voice.lang === speechLang) ||
+            voices.find(voice => voice.lang.startsWith(language)) ||
+            null;
+    }
+
+    /**
+     * Load a voice pack of pre-recorded clips, made by npm run generate:sounds
+     * Pack layout: voice/<language>/manifest.json with { "clips": { "letter-a": "letter-a.wav", ... } }
+     * Clip keys are letter-<a-z>, word-<a-z> and number-<0-10>
+     * @param {string} language
+     */
+    async loadClipPack(language) {
+        const audioContext = this.soundManager.audioContext;
+        const baseUrl = `${ENV.BASE_URL}voice/${language}/`;
+
+        try {
+            const response = await fetch(`${baseUrl}manifest.json`);
+            if (!response.ok) {
+                throw new Error(`Voice pack manifest not found (${response.status})`);
+            }
+            const manifest = await response.json();
+            const buffers = new Map();
+
+            await Promise.all(Object.entries(manifest.clips || {}).map(async ([clipKey, file]) => {
+                try {
+                    const clipResponse = await fetch(baseUrl + file);
+                    if (!clipResponse.ok) {
+                        throw new Error(`Clip not found (${clipResponse.status})`);
+                    }
+                    const data = await clipResponse.arrayBuffer();
+                    buffers.set(clipKey, await audioContext.decodeAudioData(data));
+                } catch (error) {
+                    debugLog(`Could not load voice clip ${clipKey}`, error);
+                }
+            }));
+
+            // The language may have changed while this pack was loading
+            if (language !== this.language) {return;}
+
+            this.clipBuffers = buffers;
+            debugLog(`Loaded ${buffers.size} voice clips for ${language}`);
+        } catch (error) {
+            debugLog('Voice clip pack unavailable', error);
+        }
+    }
+
+    ensureVoiceGain() {
+        const { audioContext, masterGainNode } = this.soundManager;
+        if (this.voiceGainNode || !masterGainNode) {return;}
+
+        // Voice has its own volume but still goes through the master bus (and its limiter)
+        this.voiceGainNode = audioContext.createGain();
+        this.voiceGainNode.gain.setValueAtTime(this.volume, audioContext.currentTime);
+        this.voiceGainNode.connect(masterGainNode);
+    }
+
+    /**
+     * Build the words to say for a key press
+     * @param {Object} keyInfo
+     * @returns {{text: string, clips: string[], lang?: string}|null}
+     */
+    getPhraseForKey(keyInfo) {
+        if (keyInfo.type === 'letter' && keyInfo.character) {
+            const { letter, item, packId, speechLang } = getLetterInfo(keyInfo.character);
+            const clips = [`letter-${letter}`, `word-${letter}`];
+
+            // English-keyboard letters use the chosen voice language
+            if (packId === 'latin' && LETTER_ITEMS[letter]) {
+                const { words } = LETTER_ITEMS[letter];
+                return { text: `${letter.toUpperCase()}! ${words[this.language] || words.en}!`, clips };
+            }
+
+            // Other alphabets speak their own language ("Λ! Λιοντάρι!") - the clip packs don't have them
+            if (!item) {return null;}
+            return { text: `${letter.toUpperCase()}! ${item.word}!`, clips, lang: speechLang };
+        }
+
+        if (keyInfo.type === 'number') {
+            return this.getPhraseForNumber(parseInt(keyInfo.character, 10));
+        }
+
+        return null;
+    }
+
+    /**
+     * Build the words to say for a number
+     * @param {number} number - 0-10
+     * @returns {{text: string, clips: string[]}|null}
+     */
+    getPhraseForNumber(number) {
+        const words = NUMBER_WORDS[this.language] || NUMBER_WORDS.en;
+        if (!(number >= 0 && number < words.length)) {return null;}
+
+        return {
+            text: `${words[number]}!`,
+            clips: [`number-${number}`]
+        };
+    }
+
+    /**
+     * Say the name of a key, e.g. "B! Bear!"
+     * @param {Object} keyInfo
+     */
+    speakKey(keyInfo) {
+        const phrase = this.getPhraseForKey(keyInfo);
+        if (phrase) {
+            this.enqueue(phrase);
+        }
+    }
+
+    /**
+     * Say a number, e.g. "Three!"
+     * @param {number} number
+     */
+    speakNumber(number) {
+        const phrase = this.getPhraseForNumber(number);
+        if (phrase) {
+            this.enqueue(phrase);
+        }
+    }
+
+    /**
+     * Say free text (speech synthesis only - clip packs have no words for it)
+     * @param {string} text
+     */
+    speakText(text) {
+        this.enqueue({ text, clips: [] });
+    }
+
+    canSpeak() {
+        return this.isSupported() && this.isEnabled && this.soundManager.isAudioEnabled() && this.volume > 0;
+    }
+
+    enqueue(phrase) {
+        if (!this.canSpeak()) {return;}
+
+        this.queue.push(phrase);
+
+        // Drop older waiting phrases so speech keeps up with mashing
+        while (this.queue.length > MAX_PENDING_UTTERANCES) {
+            this.queue.shift();
+        }
+
+        if (!this.isSpeaking) {
+            this.speakNext();
+        }
+    }
+
+    speakNext() {
+        const phrase = this.queue.shift();
+        if (!phrase) {
+            this.isSpeaking = false;
+            return;
+        }
+
+        this.isSpeaking = true;
+
+        if (this.synth) {
+            this.speakWithSynthesis(phrase);
+        } else if (phrase.clips.length > 0 && phrase.clips.every(clip => this.clipBuffers.has(clip))) {
+            this.speakWithClips(phrase);
+        } else {
+            // Nothing can say this phrase - move on
+            this.speakNext();
+        }
+    }
+
+    speakWithSynthesis(phrase) {
+        const utterance = new SpeechSynthesisUtterance(phrase.text);
+        utterance.lang = phrase.lang || VOICE_LANGUAGES[this.language].speechLang;
+        utterance.voice = phrase.lang ? this.findSpeechVoice(phrase.lang) : this.speechVoice;
+        utterance.volume = Math.min(1, this.volume * this.soundManager.getVolume());
+        utterance.rate = 0.9;
+        utterance.pitch = 1.2; // A little higher sounds friendlier to babies
+
+        const next = () => this.speakNext();
+        utterance.onend = next;
+        utterance.onerror = next;
+
+        this.synth.speak(utterance);
+    }
+
+    speakWithClips(phrase) {
+        const audioContext = this.soundManager.audioContext;
+        this.ensureVoiceGain();
+
+        let startTime = audioContext.currentTime;
+        this.currentSources = phrase.clips.map(clipKey => {
+            const source = audioContext.createBufferSource();
+            source.buffer = this.clipBuffers.get(clipKey);
+            source.connect(this.voiceGainNode);
+            source.start(startTime);
+            startTime += source.buffer.duration + CLIP_GAP;
+            return source;
+        });
+
+        const lastSource = this.currentSources[this.currentSources.length - 1];
+        lastSource.onended = () => {
+            this.currentSources = [];
+            this.speakNext();
+        };
+    }
+
+    /**
+     * Stop speaking and forget anything waiting
+     */
+    stop() {
+        this.queue = [];
+
+        if (this.synth) {
+            this.synth.cancel();
+        }
+
+        this.currentSources.forEach(source => {
+            source.onended = null;
+            try {
+                source.stop();
+            } catch (error) {
+                // Already stopped
+            }
+        });
+        this.currentSources = [];
+        this.isSpeaking = false;
+    }
+
+    setVolume(volume) {
+        this.volume = Math.max(0, Math.min(1, volume));
+
+        if (this.voiceGainNode) {
+            this.voiceGainNode.gain.setValueAtTime(this.volume, this.soundManager.audioContext.currentTime);
+        }
+        debugLog(`Voice volume set to ${Math.round(this.volume * 100)}%`);
+    }
+
+    setEnabled(enabled) {
+        this.isEnabled = enabled;
+        if (!enabled) {
+            this.stop();
+        }
+        debugLog(`Voice ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    setLanguage(language) {
+        if (!(language in VOICE_LANGUAGES) || language === this.language) {return;}
+
+        this.stop();
+        this.language = language;
+
+        if (this.synth) {
+            this.selectSpeechVoice();
+        } else if (this.soundManager.audioContext) {
+            this.clipBuffers = new Map();
+            this.ready = this.loadClipPack(language);
+        }
+        debugLog(`Voice language set to ${language}`);
+    }
+
+    destroy() {
+        this.stop();
+        this.voiceGainNode?.disconnect();
+        this.voiceGainNode = null;
+        this.clipBuffers.clear();
+    }
+}
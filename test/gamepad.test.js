@@ -0,0 +1,153 @@
+import './helpers/dom.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GamepadInput, createMockGamepad } from '../src/js/gamepad.js';
+
+/**
+ * Gamepad event for the window, as the browser sends it
+ * @param {string} type
+ * @param {Object} gamepad
+ * @returns {Event}
+ */
+function createGamepadEvent(type, gamepad) {
+    return Object.assign(new Event(type), { gamepad });
+}
+
+describe('GamepadInput', () => {
+    let pad;
+    let input;
+    let pressed;
+    let moves;
+
+    beforeEach(() => {
+        pad = createMockGamepad(0);
+        input = new GamepadInput({
+            analyzeKey: key => ({ ...key, type: key.code === 'Space' ? 'space' : 'letter' }),
+            getGamepads: () => [pad]
+        });
+        pressed = [];
+        moves = [];
+        input.setOnKeyPress(keyInfo => pressed.push(keyInfo));
+        input.setOnStickMove((index, dx, dy) => moves.push([index, dx, dy]));
+    });
+
+    afterEach(() => {
+        input.destroy();
+    });
+
+    describe('buttons', () => {
+        it('presses the key mapped to a button', () => {
+            pad.press(0);
+            input.poll(16);
+
+            assert.equal(pressed.length, 1);
+            assert.equal(pressed[0].code, 'KeyA');
+            assert.equal(pressed[0].source, 'gamepad');
+            assert.equal(pressed[0].gamepadIndex, 0);
+        });
+
+        it('counts a held button once, and again after it comes back up', () => {
+            pad.press(7);
+            input.poll(16);
+            input.poll(16);
+            pad.release(7);
+            input.poll(16);
+            pad.press(7);
+            input.poll(16);
+
+            assert.deepEqual(pressed.map(keyInfo => keyInfo.code), ['Enter', 'Enter']);
+        });
+
+        it('rumbles harder for the big keys', () => {
+            pad.press(6);
+            pad.press(0);
+            input.poll(16);
+
+            const [small, big] = pad.vibrationActuator.effects; // Buttons are read in index order
+            assert.ok(big.strongMagnitude > small.strongMagnitude);
+        });
+
+        it('stays still when rumble is off', () => {
+            input.setRumbleEnabled(false);
+            pad.press(6);
+            input.poll(16);
+
+            assert.deepEqual(pad.vibrationActuator.effects, []);
+        });
+    });
+
+    describe('sticks', () => {
+        it('moves the cursor in the direction of the tilt', () => {
+            pad.setAxis(0, 1);
+            input.poll(100);
+
+            assert.equal(moves.length, 1);
+            const [index, dx, dy] = moves[0];
+            assert.equal(index, 0);
+            assert.ok(Math.abs(dx - 70) < 1e-9, String(dx)); // 700 px/s at full tilt
+            assert.equal(dy, 0);
+        });
+
+        it('ignores a drifting stick inside the deadzone', () => {
+            pad.setAxis(0, 0.1);
+            pad.setAxis(1, -0.1);
+            input.poll(16);
+
+            assert.deepEqual(moves, []);
+        });
+
+        it('follows whichever stick is tilted further', () => {
+            pad.setAxis(0, 0.5);
+            pad.setAxis(3, -1);
+            input.poll(16);
+
+            const [, dx, dy] = moves[0];
+            assert.equal(dx, 0);
+            assert.ok(dy < 0);
+        });
+
+        it('does not jump the cursor after a long pause', () => {
+            pad.setAxis(0, 1);
+            input.poll(100);
+            input.poll(5000);
+
+            assert.equal(moves[1][1], moves[0][1]);
+        });
+    });
+
+    describe('disconnect', () => {
+        it('stops reading a controller that is no longer connected', () => {
+            pad.connected = false;
+            pad.press(0);
+            pad.setAxis(0, 1);
+            input.poll(16);
+
+            assert.deepEqual(pressed, []);
+            assert.deepEqual(moves, []);
+        });
+
+        it('tells the game and forgets held buttons', () => {
+            const disconnected = [];
+            input.setOnDisconnect(index => disconnected.push(index));
+            pad.press(0);
+            input.poll(16);
+
+            window.dispatchEvent(createGamepadEvent('gamepaddisconnected', pad));
+            assert.deepEqual(disconnected, [0]);
+
+            // Still held when it comes back: a fresh press
+            input.poll(16);
+            assert.equal(pressed.length, 2);
+        });
+
+        it('stops listening for disconnects after destroy', () => {
+            const disconnected = [];
+            input.setOnDisconnect(index => disconnected.push(index));
+            input.destroy();
+
+            window.dispatchEvent(createGamepadEvent('gamepaddisconnected', pad));
+            assert.deepEqual(disconnected, []);
+        });
+    });
+});
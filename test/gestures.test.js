@@ -0,0 +1,199 @@
+import { FakeDocument } from './helpers/dom.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GestureRecognizer } from '../src/js/gestures.js';
+import { KeyboardHandler } from '../src/js/keyboard.js';
+
+/**
+ * Play a timeline into the recognizer
+ * @param {GestureRecognizer} recognizer
+ * @param {Array} steps - [time, 'down'|'up'|'update', code]
+ */
+function play(recognizer, steps) {
+    for (const [time, action, code] of steps) {
+        if (action === 'down') {
+            recognizer.keyDown(code, time);
+        } else if (action === 'up') {
+            recognizer.keyUp(code, time);
+        } else {
+            recognizer.update(time);
+        }
+    }
+}
+
+/**
+ * Press and release each key in turn
+ * @param {string[]} codes
+ * @param {number} start - ms
+ * @param {number} gap - ms between presses
+ * @returns {Array} Timeline steps
+ */
+function tap(codes, start, gap) {
+    return codes.flatMap((code, i) => [
+        [start + i * gap, 'down', code],
+        [start + i * gap + gap / 2, 'up', code]
+    ]);
+}
+
+describe('GestureRecognizer', () => {
+    let recognizer;
+    let gestures;
+
+    beforeEach(() => {
+        recognizer = new GestureRecognizer();
+        gestures = [];
+        recognizer.setOnGesture(gesture => gestures.push(gesture));
+    });
+
+    describe('palm slap', () => {
+        it('fires for five keys inside the window', () => {
+            const codes = ['KeyF', 'KeyG', 'KeyH', 'KeyV', 'KeyB'];
+            play(recognizer, codes.map((code, i) => [1000 + i * 10, 'down', code]));
+
+            assert.equal(gestures.length, 1);
+            assert.equal(gestures[0].type, 'palmSlap');
+            assert.deepEqual(gestures[0].codes, codes);
+        });
+
+        it('swallows the rest of the slap', () => {
+            const codes = ['KeyF', 'KeyG', 'KeyH', 'KeyV', 'KeyB'];
+            codes.forEach((code, i) => recognizer.keyDown(code, 1000 + i * 10));
+
+            assert.equal(recognizer.keyDown('KeyN', 1060), true);
+            assert.equal(gestures.length, 1);
+        });
+
+        it('does not fire for four keys, or five spread out', () => {
+            play(recognizer, ['KeyF', 'KeyG', 'KeyH', 'KeyJ'].map((code, i) => [1000 + i * 10, 'down', code]));
+            play(recognizer, ['KeyQ', 'KeyP', 'KeyZ', 'KeyM', 'KeyT'].map((code, i) => [5000 + i * 100, 'down', code]));
+
+            assert.equal(gestures.filter(gesture => gesture.type === 'palmSlap').length, 0);
+        });
+    });
+
+    describe('sweep', () => {
+        it('fires for neighbouring keys along a row', () => {
+            play(recognizer, tap(['KeyA', 'KeyS', 'KeyD', 'KeyF'], 1000, 100));
+
+            assert.equal(gestures.length, 1);
+            assert.equal(gestures[0].type, 'sweep');
+            assert.equal(gestures[0].direction, 'right');
+            assert.deepEqual(gestures[0].codes, ['KeyA', 'KeyS', 'KeyD', 'KeyF']);
+        });
+
+        it('knows the direction and reports each sweep once', () => {
+            play(recognizer, tap(['KeyL', 'KeyK', 'KeyJ', 'KeyH', 'KeyG', 'KeyF'], 1000, 100));
+
+            assert.equal(gestures.length, 1);
+            assert.equal(gestures[0].direction, 'left');
+        });
+
+        it('does not fire when the keys jump between rows', () => {
+            play(recognizer, tap(['KeyQ', 'KeyX', 'KeyE', 'KeyV'], 1000, 100));
+
+            assert.equal(gestures.length, 0);
+        });
+
+        it('does not fire when the keys are too slow', () => {
+            play(recognizer, tap(['KeyA', 'KeyS', 'KeyD', 'KeyF'], 1000, 400));
+
+            assert.equal(gestures.length, 0);
+        });
+    });
+
+    describe('hammer', () => {
+        it('fires every fourth quick press of one key', () => {
+            play(recognizer, tap(Array(8).fill('KeyJ'), 1000, 200));
+
+            assert.deepEqual(gestures.map(gesture => [gesture.type, gesture.count]), [['hammer', 4], ['hammer', 8]]);
+            assert.deepEqual(gestures[0].codes, ['KeyJ']);
+        });
+
+        it('starts counting again after a pause', () => {
+            play(recognizer, tap(Array(3).fill('KeyJ'), 1000, 200));
+            play(recognizer, tap(Array(3).fill('KeyJ'), 3000, 200));
+
+            assert.equal(gestures.length, 0);
+        });
+    });
+
+    describe('hold', () => {
+        it('fires once a key has been down for 600 ms', () => {
+            play(recognizer, [[1000, 'down', 'KeyK'], [1300, 'update'], [1599, 'update']]);
+            assert.equal(gestures.length, 0);
+
+            play(recognizer, [[1600, 'update'], [1900, 'update']]);
+            assert.equal(gestures.length, 1);
+            assert.equal(gestures[0].type, 'hold');
+            assert.deepEqual(gestures[0].codes, ['KeyK']);
+            assert.equal(gestures[0].duration, 600);
+        });
+
+        it('counts auto-repeat as the same hold', () => {
+            recognizer.keyDown('KeyK', 1000);
+            recognizer.keyDown('KeyK', 1500, true);
+            recognizer.update(1600);
+
+            assert.equal(gestures.length, 1);
+        });
+
+        it('does not fire when the key comes up first, or for a resting palm', () => {
+            play(recognizer, [[1000, 'down', 'KeyK'], [1500, 'up', 'KeyK'], [2000, 'update']]);
+            play(recognizer, [[3000, 'down', 'KeyA'], [3200, 'down', 'KeyL'], [3400, 'down', 'KeyP'], [4000, 'update']]);
+
+            assert.equal(gestures.length, 0);
+        });
+    });
+
+    it('sees no gesture in ordinary typing', () => {
+        // "hello world", at a brisk typing pace with a few overlapping keys
+        const codes = ['KeyH', 'KeyE', 'KeyL', 'KeyL', 'KeyO', 'Space', 'KeyW', 'KeyO', 'KeyR', 'KeyL', 'KeyD'];
+        const steps = codes.flatMap((code, i) => [
+            [1000 + i * 180, 'down', code],
+            [1000 + i * 180 + 90, 'update'],
+            [1000 + i * 180 + 120, 'up', code]
+        ]);
+        play(recognizer, steps);
+
+        assert.deepEqual(gestures, []);
+    });
+
+    it('forgets keys on reset', () => {
+        recognizer.keyDown('KeyK', 1000);
+        recognizer.reset();
+        recognizer.keyDown('KeyF', 1500);
+        recognizer.update(2200);
+
+        assert.equal(recognizer.isKeyDown('KeyK'), false);
+        assert.deepEqual(gestures.map(gesture => gesture.codes), [['KeyF']], 'only the key pressed after the reset is held');
+    });
+});
+
+describe('KeyboardHandler gestures', () => {
+    let doc;
+    let win;
+    let handler;
+
+    beforeEach(() => {
+        doc = new FakeDocument();
+        win = new EventTarget();
+        handler = new KeyboardHandler({ document: doc, window: win });
+    });
+
+    afterEach(() => {
+        handler.destroy();
+    });
+
+    it('resets the recognizer when the window loses focus', () => {
+        const gestures = [];
+        handler.setOnGesture(gesture => gestures.push(gesture));
+        handler.gestureRecognizer.keyDown('KeyK', 1000);
+
+        win.dispatchEvent(new Event('blur'));
+        handler.gestureRecognizer.update(2000);
+
+        assert.equal(handler.gestureRecognizer.isKeyDown('KeyK'), false);
+        assert.deepEqual(gestures, []);
+    });
+});
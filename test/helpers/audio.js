@@ -0,0 +1,195 @@
+/**
+ * Fake Web Audio. Nodes make no sound; they remember their settings and
+ * connections so tests can follow the signal path.
+ */
+
+class FakeAudioParam {
+    constructor(value = 0) {
+        this.value = value;
+        this.events = [];
+    }
+
+    setValueAtTime(value, time) {
+        this.value = value;
+        this.events.push(['setValueAtTime', value, time]);
+        return this;
+    }
+
+    linearRampToValueAtTime(value, time) {
+        this.value = value;
+        this.events.push(['linearRampToValueAtTime', value, time]);
+        return this;
+    }
+
+    exponentialRampToValueAtTime(value, time) {
+        this.value = value;
+        this.events.push(['exponentialRampToValueAtTime', value, time]);
+        return this;
+    }
+
+    setTargetAtTime(value, time, constant) {
+        this.value = value;
+        this.events.push(['setTargetAtTime', value, time, constant]);
+        return this;
+    }
+
+    cancelScheduledValues(time) {
+        this.events.push(['cancelScheduledValues', time]);
+        return this;
+    }
+}
+
+class FakeAudioNode {
+    constructor(context, kind, params = {}) {
+        this.context = context;
+        this.kind = kind;
+        this.outputs = new Set();
+        Object.entries(params).forEach(([name, value]) => {
+            this[name] = new FakeAudioParam(value);
+        });
+        context.nodes.push(this);
+    }
+
+    connect(destination) {
+        this.outputs.add(destination);
+        return destination;
+    }
+
+    disconnect(destination) {
+        if (destination) {
+            this.outputs.delete(destination);
+        } else {
+            this.outputs.clear();
+        }
+    }
+}
+
+class FakeScheduledNode extends FakeAudioNode {
+    constructor(context, kind, params) {
+        super(context, kind, params);
+        this.startTime = null;
+        this.stopTime = null;
+        this.onended = null;
+    }
+
+    start(time = 0) {
+        this.startTime = time;
+    }
+
+    stop(time = 0) {
+        this.stopTime = time;
+    }
+}
+
+/**
+ * Fake microphone stream, as getUserMedia resolves to
+ * @returns {{getTracks: Function, tracks: Array<{stopped: boolean}>}}
+ */
+export function createFakeMediaStream() {
+    const tracks = [{ kind: 'audio', stopped: false, stop() { this.stopped = true; } }];
+    return { tracks, getTracks: () => tracks };
+}
+
+/**
+ * Fake AudioContext; pass it to SoundManager as options.audioContext
+ */
+export class FakeAudioContext {
+    constructor({ sampleRate = 44100 } = {}) {
+        this.sampleRate = sampleRate;
+        this.currentTime = 0;
+        this.state = 'running';
+        this.nodes = [];
+        this.destination = new FakeAudioNode(this, 'destination');
+    }
+
+    createGain() {
+        return new FakeAudioNode(this, 'gain', { gain: 1 });
+    }
+
+    createOscillator() {
+        const oscillator = new FakeScheduledNode(this, 'oscillator', { frequency: 440, detune: 0 });
+        oscillator.type = 'sine';
+        return oscillator;
+    }
+
+    createBiquadFilter() {
+        const filter = new FakeAudioNode(this, 'biquadFilter', { frequency: 350, Q: 1, gain: 0 });
+        filter.type = 'lowpass';
+        return filter;
+    }
+
+    createBufferSource() {
+        const source = new FakeScheduledNode(this, 'bufferSource', { playbackRate: 1, detune: 0 });
+        source.buffer = null;
+        source.loop = false;
+        return source;
+    }
+
+    createBuffer(channels, length, sampleRate) {
+        const data = Array.from({ length: channels }, () => new Float32Array(length));
+        return {
+            numberOfChannels: channels,
+            length,
+            sampleRate,
+            duration: length / sampleRate,
+            getChannelData: channel => data[channel]
+        };
+    }
+
+    createDynamicsCompressor() {
+        return new FakeAudioNode(this, 'dynamicsCompressor', {
+            threshold: -24, knee: 30, ratio: 12, attack: 0.003, release: 0.25
+        });
+    }
+
+    createWaveShaper() {
+        const shaper = new FakeAudioNode(this, 'waveShaper');
+        shaper.curve = null;
+        shaper.oversample = 'none';
+        return shaper;
+    }
+
+    createMediaStreamDestination() {
+        const node = new FakeAudioNode(this, 'mediaStreamDestination');
+        node.stream = { getAudioTracks: () => [], getTracks: () => [] };
+        return node;
+    }
+
+    createMediaStreamSource(stream) {
+        const source = new FakeAudioNode(this, 'mediaStreamSource');
+        source.mediaStream = stream;
+        return source;
+    }
+
+    createAnalyser() {
+        const analyser = new FakeAudioNode(this, 'analyser');
+        analyser.fftSize = 2048;
+        analyser.getFloatTimeDomainData = frame => frame.fill(0);
+        return analyser;
+    }
+
+    async decodeAudioData() {
+        return this.createBuffer(1, this.sampleRate, this.sampleRate);
+    }
+
+    async resume() {
+        this.state = 'running';
+    }
+
+    async suspend() {
+        this.state = 'suspended';
+    }
+
+    async close() {
+        this.state = 'closed';
+    }
+
+    /**
+     * Nodes of one kind created so far, e.g. 'oscillator'
+     * @param {string} kind
+     * @returns {Array}
+     */
+    nodesOfKind(kind) {
+        return this.nodes.filter(node => node.kind === kind);
+    }
+}
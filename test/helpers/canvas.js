@@ -0,0 +1,65 @@
+/**
+ * Mock canvas and 2D context. The context accepts every drawing call and
+ * property, and records the calls so tests can check what was drawn.
+ */
+
+import { FakeElement } from './dom.js';
+
+function createGradient() {
+    return { stops: [], addColorStop(offset, color) { this.stops.push([offset, color]); } };
+}
+
+// Calls that return something the game uses
+const RETURNING_METHODS = {
+    createLinearGradient: createGradient,
+    createRadialGradient: createGradient,
+    createPattern: () => ({}),
+    measureText: text => ({ width: String(text).length * 8 }),
+    getImageData: (x, y, width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4) }),
+    isPointInPath: () => false
+};
+
+/**
+ * @returns {Object} A 2D context; `calls` lists [method, ...args] in order
+ */
+export function createMockContext() {
+    const state = { calls: [], globalAlpha: 1, fillStyle: '#000000', strokeStyle: '#000000' };
+
+    return new Proxy(state, {
+        get(target, name) {
+            if (name in target) {return target[name];}
+            if (typeof name !== 'string') {return undefined;}
+
+            const method = (...args) => {
+                target.calls.push([name, ...args]);
+                return RETURNING_METHODS[name]?.(...args);
+            };
+            target[name] = method;
+            return method;
+        },
+        set(target, name, value) {
+            target[name] = value;
+            return true;
+        }
+    });
+}
+
+/**
+ * Canvas with a fixed CSS size and a mock 2D context
+ */
+export class MockCanvas extends FakeElement {
+    constructor(width = 800, height = 600) {
+        super('CANVAS');
+        this.width = width;
+        this.height = height;
+        this.context = createMockContext();
+    }
+
+    getContext(type) {
+        return type === '2d' ? this.context : null;
+    }
+
+    getBoundingClientRect() {
+        return { left: 0, top: 0, width: this.width, height: this.height, right: this.width, bottom: this.height };
+    }
+}
@@ -0,0 +1,157 @@
+/**
+ * Just enough browser for the game modules to load and run under Node.
+ * Import this before any module from src/js.
+ */
+
+/**
+ * Stand-in for a DOM element: events, attributes, children and a style object
+ */
+export class FakeElement extends EventTarget {
+    constructor(tagName = 'DIV') {
+        super();
+        this.tagName = tagName.toUpperCase();
+        this.style = {};
+        this.dataset = {};
+        this.attributes = new Map();
+        this.children = [];
+        this.textContent = '';
+        this.value = '';
+        this.classList = new FakeClassList();
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name);
+    }
+
+    appendChild(child) {
+        this.children.push(child);
+        return child;
+    }
+
+    removeChild(child) {
+        this.children = this.children.filter(other => other !== child);
+        return child;
+    }
+
+    remove() {}
+
+    focus() {}
+
+    blur() {}
+
+    querySelector() {
+        return null;
+    }
+
+    querySelectorAll() {
+        return [];
+    }
+
+    getBoundingClientRect() {
+        return { left: 0, top: 0, width: 0, height: 0, right: 0, bottom: 0 };
+    }
+}
+
+class FakeClassList {
+    constructor() {
+        this.names = new Set();
+    }
+
+    add(...names) {
+        names.forEach(name => this.names.add(name));
+    }
+
+    remove(...names) {
+        names.forEach(name => this.names.delete(name));
+    }
+
+    toggle(name, force = !this.names.has(name)) {
+        if (force) {
+            this.names.add(name);
+        } else {
+            this.names.delete(name);
+        }
+        return force;
+    }
+
+    contains(name) {
+        return this.names.has(name);
+    }
+}
+
+/**
+ * Stand-in for the page
+ */
+export class FakeDocument extends FakeElement {
+    constructor() {
+        super('#document');
+        this.readyState = 'complete';
+        this.body = new FakeElement('BODY');
+        this.documentElement = new FakeElement('HTML');
+        this.hidden = false;
+        this.visibilityState = 'visible';
+    }
+
+    createElement(tagName) {
+        return new FakeElement(tagName);
+    }
+
+    getElementById() {
+        return null;
+    }
+}
+
+/**
+ * A keyboard event as the handlers see it. Plain object: only the fields
+ * the game reads, plus spies for preventDefault/stopPropagation.
+ * @param {Object} fields - code, key, ctrlKey, shiftKey, altKey, metaKey, repeat, target
+ * @returns {Object}
+ */
+export function createKeyEvent(fields = {}) {
+    return {
+        type: 'keydown',
+        code: '',
+        key: '',
+        ctrlKey: false,
+        shiftKey: false,
+        altKey: false,
+        metaKey: false,
+        repeat: false,
+        target: null,
+        defaultPrevented: false,
+        propagationStopped: false,
+        preventDefault() {
+            this.defaultPrevented = true;
+        },
+        stopPropagation() {
+            this.propagationStopped = true;
+        },
+        ...fields
+    };
+}
+
+function installGlobal(name, value) {
+    if (globalThis[name] === undefined) {
+        Object.defineProperty(globalThis, name, { value, writable: true, configurable: true });
+    }
+}
+
+installGlobal('window', globalThis);
+installGlobal('document', new FakeDocument());
+installGlobal('navigator', { userAgent: 'node', language: 'en-US', languages: ['en-US'], maxTouchPoints: 0 });
+installGlobal('requestAnimationFrame', callback => setTimeout(() => callback(performance.now()), 16));
+installGlobal('cancelAnimationFrame', id => clearTimeout(id));
+
+// window is globalThis, so give it window-level events (blur, resize...)
+const windowEvents = new EventTarget();
+installGlobal('addEventListener', windowEvents.addEventListener.bind(windowEvents));
+installGlobal('removeEventListener', windowEvents.removeEventListener.bind(windowEvents));
+installGlobal('dispatchEvent', windowEvents.dispatchEvent.bind(windowEvents));
@@ -0,0 +1,64 @@
+/**
+ * Loudness checks: renders a worst-case key mash offline to check the
+ * hearing-safety chain holds
+ */
+
+import { CONFIG } from '../../src/js/utils.js';
+import { SoundManager, MUSICAL_NOTES } from '../../src/js/sounds.js';
+
+// The loudest sounds, layered the way a two-handed smash would
+const MASH_SOUND_TYPES = ['explosion', 'fireworks', 'explosion', 'boing', 'laugh', 'explosion', 'fireworks', 'chime', 'toy', 'explosion'];
+const MASH_NOTES = [MUSICAL_NOTES.C4, MUSICAL_NOTES.E4, MUSICAL_NOTES.G4, MUSICAL_NOTES.C5, MUSICAL_NOTES.E5];
+
+/**
+ * Find the highest absolute sample in a rendered buffer
+ * @param {AudioBuffer} audioBuffer
+ * @returns {number} Linear peak level
+ */
+export function measurePeak(audioBuffer) {
+    let peak = 0;
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+        const data = audioBuffer.getChannelData(channel);
+        for (let i = 0; i < data.length; i++) {
+            peak = Math.max(peak, Math.abs(data[i]));
+        }
+    }
+    return peak;
+}
+
+/**
+ * Render every key at full volume at once through the real SoundManager chain
+ * @param {Object} options
+ * @param {Function} options.OfflineContext - OfflineAudioContext constructor, e.g. from web-audio-engine
+ * @param {number} options.ceiling - Peak ceiling to test
+ * @param {number} options.keyCount - Keys pressed at the same moment
+ * @param {number} options.duration - Seconds to render
+ * @param {number} options.sampleRate
+ * @returns {Promise<{peak: number, ceiling: number, buffer: AudioBuffer}>}
+ */
+export async function renderWorstCaseMash(options = {}) {
+    const {
+        OfflineContext,
+        ceiling = CONFIG.audio.peakCeiling,
+        keyCount = 10,
+        duration = 2,
+        sampleRate = 44100
+    } = options;
+
+    const context = new OfflineContext(2, Math.ceil(duration * sampleRate), sampleRate);
+    const soundManager = new SoundManager({ audioContext: context });
+    await soundManager.ready;
+
+    // Let every key sound at once so the limiter alone has to hold the line
+    soundManager.maxConcurrentSounds = keyCount;
+    soundManager.setVolume(1);
+    soundManager.setPeakCeiling(ceiling);
+
+    for (let i = 0; i < keyCount; i++) {
+        const type = MASH_SOUND_TYPES[i % MASH_SOUND_TYPES.length];
+        soundManager.playSound(type, MASH_NOTES[i % MASH_NOTES.length], { volume: 1 });
+    }
+
+    const buffer = await context.startRendering();
+    return { peak: measurePeak(buffer), ceiling: soundManager.getPeakCeiling(), buffer };
+}
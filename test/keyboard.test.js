@@ -0,0 +1,228 @@
+import { FakeDocument, createKeyEvent } from './helpers/dom.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { KeyboardHandler, DEFAULT_PARENT_CONTROLS, validateParentBinding } from '../src/js/keyboard.js';
+import { setLocale } from '../src/js/locales.js';
+
+describe('KeyboardHandler', () => {
+    let doc;
+    let win;
+    let handler;
+
+    beforeEach(() => {
+        setLocale('latin');
+        doc = new FakeDocument();
+        win = new EventTarget();
+        handler = new KeyboardHandler({ document: doc, window: win });
+    });
+
+    afterEach(() => {
+        handler.destroy();
+    });
+
+    describe('analyzeKey', () => {
+        it('classifies letters and keeps the base letter', () => {
+            const keyInfo = handler.analyzeKey(createKeyEvent({ code: 'KeyB', key: 'b' }));
+            assert.equal(keyInfo.type, 'letter');
+            assert.equal(keyInfo.character, 'b');
+            assert.ok(['note', 'toy', 'bubble'].includes(keyInfo.soundType));
+        });
+
+        it('gives vowels the sparkle effect and a melodic sound', () => {
+            const keyInfo = handler.analyzeKey(createKeyEvent({ code: 'KeyA', key: 'a' }));
+            assert.equal(keyInfo.type, 'letter');
+            assert.equal(keyInfo.effect, 'sparkle');
+            assert.ok(['chime', 'bell', 'whistle'].includes(keyInfo.soundType));
+        });
+
+        it('folds accented letters onto their base letter', () => {
+            const accented = handler.analyzeKey(createKeyEvent({ code: 'Semicolon', key: 'é' }));
+            assert.equal(accented.type, 'letter');
+            assert.equal(accented.character, 'e');
+        });
+
+        it('reads digits from the key, or from the code on layouts like AZERTY', () => {
+            const digit = handler.analyzeKey(createKeyEvent({ code: 'Digit7', key: '7' }));
+            assert.equal(digit.type, 'number');
+            assert.equal(digit.character, '7');
+            assert.equal(digit.effect, 'star');
+
+            const azerty = handler.analyzeKey(createKeyEvent({ code: 'Digit1', key: '&' }));
+            assert.equal(azerty.type, 'number');
+            assert.equal(azerty.character, '1');
+
+            const accentedDigit = handler.analyzeKey(createKeyEvent({ code: 'Digit2', key: 'é' }));
+            assert.equal(accentedDigit.type, 'number');
+            assert.equal(accentedDigit.character, '2');
+        });
+
+        it('gives space, enter and tab their own effects', () => {
+            const cases = [
+                ['Space', ' ', 'space', 'explosion'],
+                ['Enter', 'Enter', 'enter', 'fireworks'],
+                ['Tab', 'Tab', 'tab', 'whistle']
+            ];
+            for (const [code, key, type, effect] of cases) {
+                const keyInfo = handler.analyzeKey(createKeyEvent({ code, key }));
+                assert.equal(keyInfo.type, type, code);
+                assert.equal(keyInfo.effect, effect, code);
+                assert.equal(keyInfo.soundType, effect, code);
+            }
+        });
+
+        it('records the direction of arrow keys', () => {
+            const keyInfo = handler.analyzeKey(createKeyEvent({ code: 'ArrowLeft', key: 'ArrowLeft' }));
+            assert.equal(keyInfo.type, 'arrow');
+            assert.equal(keyInfo.direction, 'left');
+            assert.equal(keyInfo.effect, 'bounce');
+        });
+
+        it('classifies punctuation and falls back to special', () => {
+            const punctuation = handler.analyzeKey(createKeyEvent({ code: 'Comma', key: ',' }));
+            assert.equal(punctuation.type, 'punctuation');
+            assert.equal(punctuation.effect, 'bubble');
+
+            const special = handler.analyzeKey(createKeyEvent({ code: 'ShiftLeft', key: 'Shift' }));
+            assert.equal(special.type, 'special');
+        });
+
+        it('turns rapid typing into a rainbow', () => {
+            handler.keyPressCount = 1;
+            handler.lastKeyTime = performance.now();
+
+            const keyInfo = handler.analyzeKey(createKeyEvent({ code: 'Comma', key: ',' }));
+            assert.equal(keyInfo.effect, 'rainbow');
+            assert.equal(keyInfo.soundType, 'chime');
+        });
+    });
+
+    describe('shouldBlockKey', () => {
+        it('blocks function, system and browser keys', () => {
+            for (const code of ['F5', 'F11', 'MetaLeft', 'ContextMenu', 'BrowserBack']) {
+                assert.equal(handler.shouldBlockKey(createKeyEvent({ code, key: code })), true, code);
+            }
+        });
+
+        it('blocks modifier shortcuts that are not parent controls', () => {
+            assert.equal(handler.shouldBlockKey(createKeyEvent({ code: 'KeyW', key: 'w', ctrlKey: true })), true);
+            assert.equal(handler.shouldBlockKey(createKeyEvent({ code: 'Tab', key: 'Tab', altKey: true })), true);
+            assert.equal(handler.shouldBlockKey(createKeyEvent({ code: 'KeyQ', key: 'q', metaKey: true })), true);
+        });
+
+        it('lets parent controls through', () => {
+            const exit = createKeyEvent({ code: 'KeyX', key: 'X', ctrlKey: true, shiftKey: true });
+            assert.equal(handler.shouldBlockKey(exit), false);
+        });
+
+        it('lets ordinary keys and Shift through', () => {
+            assert.equal(handler.shouldBlockKey(createKeyEvent({ code: 'KeyA', key: 'a' })), false);
+            assert.equal(handler.shouldBlockKey(createKeyEvent({ code: 'KeyA', key: 'A', shiftKey: true })), false);
+            assert.equal(handler.shouldBlockKey(createKeyEvent({ code: 'Space', key: ' ' })), false);
+        });
+    });
+
+    describe('default parent controls', () => {
+        for (const [action, combo] of Object.entries(DEFAULT_PARENT_CONTROLS)) {
+            it(`${action} passes its own validation with no warnings`, () => {
+                const others = { ...DEFAULT_PARENT_CONTROLS };
+                delete others[action];
+
+                const result = validateParentBinding(combo, others);
+                assert.deepEqual(result, { valid: true, errors: [], warnings: [] });
+            });
+        }
+
+        it('flags the Task Manager chord', () => {
+            const result = validateParentBinding({ ctrl: true, shift: true, key: 'Escape' });
+            assert.equal(result.valid, true);
+            assert.match(result.warnings.join(' '), /Task Manager/);
+        });
+    });
+
+    describe('matchesKeyCombo', () => {
+        const combo = DEFAULT_PARENT_CONTROLS.clearScreen; // Ctrl+Shift+C
+
+        it('matches when every required modifier is held', () => {
+            const event = createKeyEvent({ code: 'KeyC', key: 'C', ctrlKey: true, shiftKey: true });
+            assert.equal(handler.matchesKeyCombo(event, combo), true);
+        });
+
+        it('does not match with a modifier missing', () => {
+            assert.equal(handler.matchesKeyCombo(createKeyEvent({ code: 'KeyC', key: 'c', ctrlKey: true }), combo), false);
+            assert.equal(handler.matchesKeyCombo(createKeyEvent({ code: 'KeyC', key: 'C', shiftKey: true }), combo), false);
+        });
+
+        it('does not match a different key', () => {
+            const event = createKeyEvent({ code: 'KeyV', key: 'V', ctrlKey: true, shiftKey: true });
+            assert.equal(handler.matchesKeyCombo(event, combo), false);
+        });
+
+        it('does not match with an extra modifier held', () => {
+            const event = createKeyEvent({ code: 'KeyC', key: 'C', ctrlKey: true, shiftKey: true, altKey: true });
+            assert.equal(handler.matchesKeyCombo(event, combo), false);
+        });
+
+        it('fires only the action whose modifiers match when one chord extends another', () => {
+            handler.setParentControlBindings({
+                clearScreen: { ctrl: true, shift: true, key: 'KeyK' },
+                toggleSound: { ctrl: true, alt: true, shift: true, key: 'KeyK' }
+            });
+            const triggered = [];
+            handler.setOnParentControl(action => triggered.push(action));
+
+            handler.checkParentControls(createKeyEvent({ code: 'KeyK', key: 'K', ctrlKey: true, shiftKey: true }));
+            handler.checkParentControls(createKeyEvent({ code: 'KeyK', key: 'K', ctrlKey: true, shiftKey: true, altKey: true }));
+
+            assert.deepEqual(triggered, ['clearScreen', 'toggleSound']);
+        });
+
+        it('matches by key as well as by code', () => {
+            const event = createKeyEvent({ code: '', key: 'Escape', ctrlKey: true, altKey: true });
+            assert.equal(handler.matchesKeyCombo(event, { ctrl: true, alt: true, key: 'Escape' }), true);
+        });
+
+        it('saves only the actions a parent rebound', () => {
+            assert.deepEqual(handler.getReboundParentControls(), {});
+
+            handler.rebindParentControl('toggleSound', { ctrl: true, alt: true, key: 'KeyS' });
+            assert.deepEqual(handler.getReboundParentControls(), { toggleSound: { ctrl: true, alt: true, key: 'KeyS' } });
+        });
+
+        it('follows rebound parent controls', () => {
+            handler.setParentControlBindings({ clearScreen: { ctrl: true, alt: true, key: 'KeyK' } });
+            const event = createKeyEvent({ code: 'KeyK', key: 'k', ctrlKey: true, altKey: true });
+
+            assert.equal(handler.matchesKeyCombo(event, handler.parentControls.clearScreen), true);
+            assert.equal(handler.shouldBlockKey(event), false);
+        });
+    });
+
+    describe('event listeners', () => {
+        it('hears keys on the injected document', () => {
+            const pressed = [];
+            handler.setOnKeyPress(keyInfo => pressed.push(keyInfo.code));
+            handler.setGameActive(true);
+
+            const event = new Event('keydown');
+            Object.assign(event, { code: 'KeyA', key: 'a' });
+            doc.dispatchEvent(event);
+
+            assert.deepEqual(pressed, ['KeyA']);
+            assert.equal(doc.body.style.overflow, 'hidden');
+        });
+
+        it('stops listening after destroy', () => {
+            const pressed = [];
+            handler.setOnKeyPress(keyInfo => pressed.push(keyInfo.code));
+            handler.setGameActive(true);
+            handler.destroy();
+
+            const event = new Event('keydown');
+            Object.assign(event, { code: 'KeyA', key: 'a' });
+            doc.dispatchEvent(event);
+
+            assert.deepEqual(pressed, []);
+        });
+    });
+});
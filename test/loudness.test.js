@@ -0,0 +1,24 @@
+import './helpers/dom.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import webAudioEngine from 'web-audio-engine';
+import { renderWorstCaseMash } from './helpers/loudness.js';
+import { PEAK_CEILING_OPTIONS } from '../src/js/sounds.js';
+
+// Pure-JS Web Audio; its compressor passes audio straight through, so the
+// soft clipper alone has to hold the ceiling - a stricter check than a browser
+const { OfflineAudioContext } = webAudioEngine;
+
+describe('hearing-safety chain', () => {
+    for (const { value: ceiling, label } of PEAK_CEILING_OPTIONS) {
+        it(`keeps a worst-case mash under the ${label} ceiling (${ceiling})`, async () => {
+            const result = await renderWorstCaseMash({ OfflineContext: OfflineAudioContext, ceiling, duration: 1 });
+
+            assert.equal(result.ceiling, ceiling);
+            // Samples are 32-bit floats, so the ceiling itself is rounded the same way
+            assert.ok(result.peak <= Math.fround(ceiling), `peak ${result.peak} over ${ceiling}`);
+            assert.ok(result.peak > ceiling * 0.5, 'the mash should be loud enough to reach the limiter');
+        });
+    }
+});
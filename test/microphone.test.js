@@ -0,0 +1,164 @@
+import './helpers/dom.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FakeAudioContext, createFakeMediaStream } from './helpers/audio.js';
+import { MicrophoneInput, detectOnsetsInBuffer, detectPitch } from '../src/js/microphone.js';
+
+const SAMPLE_RATE = 44100;
+
+/**
+ * Repeatable white noise, -1 to 1
+ * @param {number} seed
+ * @returns {Function}
+ */
+function createNoise(seed = 1) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) & 0x7fffffff;
+        return (state / 0x7fffffff) * 2 - 1;
+    };
+}
+
+/**
+ * A quiet room with sounds mixed in
+ * @param {number} duration - s
+ * @param {Array<[number, Function]>} sounds - [start s, t => sample]
+ * @returns {Float32Array}
+ */
+function renderRoom(duration, sounds) {
+    const noise = createNoise();
+    const samples = new Float32Array(Math.floor(duration * SAMPLE_RATE));
+    for (let i = 0; i < samples.length; i++) {
+        const time = i / SAMPLE_RATE;
+        samples[i] = noise() * 0.002;
+        sounds.forEach(([start, sound]) => {
+            if (time >= start) {
+                samples[i] += sound(time - start);
+            }
+        });
+    }
+    return samples;
+}
+
+/**
+ * A hand clap: a burst of noise that dies away in a few tens of ms
+ * @returns {Function}
+ */
+function clap() {
+    const noise = createNoise(7);
+    return t => (t < 0.15 ? noise() * 0.8 * Math.exp(-t / 0.03) : 0);
+}
+
+/**
+ * A sung "aah" at one pitch, fading in like a voice does
+ * @param {number} frequency - Hz
+ * @returns {Function}
+ */
+function babble(frequency) {
+    return t => (t < 0.4 ? Math.sin(2 * Math.PI * frequency * t) * 0.3 * Math.min(1, t / 0.02) : 0);
+}
+
+describe('detectOnsetsInBuffer', () => {
+    it('finds each clap, just after it happens, with no pitch', () => {
+        const onsets = detectOnsetsInBuffer(renderRoom(2, [[0.5, clap()], [1.3, clap()]]), SAMPLE_RATE);
+
+        assert.equal(onsets.length, 2);
+        [500, 1300].forEach((time, i) => {
+            assert.ok(onsets[i].time >= time && onsets[i].time < time + 100, String(onsets[i].time));
+            assert.equal(onsets[i].pitch, null);
+            assert.ok(onsets[i].loudness > 0, String(onsets[i].loudness));
+        });
+    });
+
+    it('hears nothing in a quiet room', () => {
+        assert.deepEqual(detectOnsetsInBuffer(renderRoom(2, []), SAMPLE_RATE), []);
+    });
+
+    it('counts a quick double clap as one sound', () => {
+        const onsets = detectOnsetsInBuffer(renderRoom(1, [[0.3, clap()], [0.4, clap()]]), SAMPLE_RATE);
+
+        assert.equal(onsets.length, 1);
+    });
+
+    it('gives louder claps a higher loudness', () => {
+        const quiet = t => clap()(t) * 0.3;
+        const [soft] = detectOnsetsInBuffer(renderRoom(1, [[0.3, quiet]]), SAMPLE_RATE);
+        const [loud] = detectOnsetsInBuffer(renderRoom(1, [[0.3, clap()]]), SAMPLE_RATE);
+
+        assert.ok(soft.loudness < loud.loudness);
+    });
+
+    it('finds the pitch of a voice', () => {
+        const [onset] = detectOnsetsInBuffer(renderRoom(1, [[0.3, babble(300)]]), SAMPLE_RATE);
+
+        assert.ok(Math.abs(onset.pitch - 300) < 15, String(onset.pitch));
+    });
+
+    it('reads the first channel of an AudioBuffer', () => {
+        const buffer = new FakeAudioContext().createBuffer(1, SAMPLE_RATE, SAMPLE_RATE);
+        buffer.getChannelData(0).set(renderRoom(1, [[0.3, clap()]]));
+
+        assert.equal(detectOnsetsInBuffer(buffer).length, 1);
+    });
+});
+
+describe('detectPitch', () => {
+    it('has no pitch for silence', () => {
+        assert.equal(detectPitch(new Float32Array(2048), SAMPLE_RATE), null);
+    });
+});
+
+describe('MicrophoneInput', () => {
+    let context;
+    let streams;
+    let microphone;
+
+    beforeEach(() => {
+        context = new FakeAudioContext();
+        streams = [];
+        microphone = new MicrophoneInput({
+            getAudioContext: () => context,
+            getUserMedia: async () => {
+                const stream = createFakeMediaStream();
+                streams.push(stream);
+                return stream;
+            }
+        });
+    });
+
+    it('analyses the stream without sending it to the speakers', async () => {
+        assert.equal(await microphone.start(), true);
+
+        const [source] = context.nodesOfKind('mediaStreamSource');
+        assert.deepEqual([...source.outputs].map(node => node.kind), ['analyser']);
+        assert.equal(context.nodesOfKind('analyser')[0].outputs.size, 0);
+    });
+
+    it('stops the microphone tracks on stop', async () => {
+        await microphone.start();
+        microphone.stop();
+
+        assert.equal(microphone.isListening(), false);
+        assert.equal(streams[0].tracks[0].stopped, true);
+    });
+
+    it('closes a stream that arrives after stop', async () => {
+        const starting = microphone.start();
+        microphone.stop();
+
+        assert.equal(await starting, false);
+        assert.equal(microphone.isListening(), false);
+        assert.equal(streams[0].tracks[0].stopped, true);
+    });
+
+    it('reports failure when permission is refused', async () => {
+        const refused = new MicrophoneInput({
+            getAudioContext: () => context,
+            getUserMedia: () => Promise.reject(new Error('NotAllowedError'))
+        });
+
+        assert.equal(await refused.start(), false);
+        assert.equal(refused.isListening(), false);
+    });
+});
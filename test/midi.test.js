@@ -0,0 +1,127 @@
+import './helpers/dom.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MidiInput, parseMidiMessage, getMidiNoteName, createMockMidiAccess } from '../src/js/midi.js';
+
+describe('parseMidiMessage', () => {
+    it('reads a note-on with its pitch and velocity', () => {
+        const message = parseMidiMessage([0x90, 69, 127]);
+
+        assert.equal(message.type, 'noteOn');
+        assert.equal(message.midi, 69);
+        assert.equal(message.velocity, 1);
+        assert.ok(Math.abs(message.frequency - 440) < 1e-9);
+        assert.equal(message.name, 'A4');
+    });
+
+    it('treats a note-on with velocity 0 as a note-off', () => {
+        assert.deepEqual(parseMidiMessage([0x90, 60, 0]), { type: 'noteOff', channel: 0, midi: 60 });
+        assert.deepEqual(parseMidiMessage([0x80, 60, 64]), { type: 'noteOff', channel: 0, midi: 60 });
+    });
+
+    it('reads the channel from the status byte', () => {
+        assert.equal(parseMidiMessage([0x99, 36, 100]).channel, 9);
+        assert.equal(parseMidiMessage([0x8F, 36, 0]).channel, 15);
+        assert.equal(parseMidiMessage([0xB3, 64, 127]).channel, 3);
+    });
+
+    it('reads the sustain pedal', () => {
+        assert.deepEqual(parseMidiMessage([0xB0, 64, 127]), { type: 'sustain', channel: 0, down: true });
+        assert.deepEqual(parseMidiMessage([0xB0, 64, 63]), { type: 'sustain', channel: 0, down: false });
+    });
+
+    it('ignores other messages', () => {
+        assert.equal(parseMidiMessage([0xB0, 7, 100]), null); // Volume knob
+        assert.equal(parseMidiMessage([0xE0, 0, 64]), null); // Pitch bend
+        assert.equal(parseMidiMessage([0xF8]), null); // Clock
+        assert.equal(parseMidiMessage(null), null);
+    });
+
+    it('names notes across octaves', () => {
+        assert.equal(getMidiNoteName(60), 'C4');
+        assert.equal(getMidiNoteName(61), 'C#4');
+        assert.equal(getMidiNoteName(21), 'A0');
+    });
+});
+
+describe('MidiInput', () => {
+    let access;
+    let midi;
+    let notes;
+
+    beforeEach(() => {
+        access = createMockMidiAccess();
+        midi = new MidiInput({ requestAccess: () => Promise.resolve(access) });
+        notes = [];
+        midi.setOnNoteOn(note => notes.push(note));
+    });
+
+    afterEach(() => {
+        midi.destroy();
+    });
+
+    it('hears notes once enabled', async () => {
+        const keyboard = access.addInput();
+        keyboard.noteOn(60);
+        assert.deepEqual(notes, [], 'not listening yet');
+
+        assert.equal(await midi.setEnabled(true), true);
+        keyboard.noteOn(60, 64);
+
+        assert.equal(notes.length, 1);
+        assert.equal(notes[0].name, 'C4');
+        assert.equal(notes[0].velocity, 64 / 127);
+    });
+
+    it('plays notes from any channel', async () => {
+        const keyboard = access.addInput();
+        await midi.setEnabled(true);
+        keyboard.noteOn(62, 100, 0);
+        keyboard.noteOn(64, 100, 9);
+
+        assert.deepEqual(notes.map(note => [note.midi, note.channel]), [[62, 0], [64, 9]]);
+    });
+
+    it('does not play a note-on with velocity 0', async () => {
+        const keyboard = access.addInput();
+        await midi.setEnabled(true);
+        keyboard.noteOn(60);
+        keyboard.send([0x90, 60, 0]);
+        keyboard.noteOff(60);
+
+        assert.equal(notes.length, 1);
+    });
+
+    it('follows the sustain pedal', async () => {
+        const keyboard = access.addInput();
+        await midi.setEnabled(true);
+
+        keyboard.sustain(true);
+        assert.equal(midi.isSustained(), true);
+        keyboard.sustain(false);
+        assert.equal(midi.isSustained(), false);
+    });
+
+    it('picks up keyboards plugged in later', async () => {
+        await midi.setEnabled(true);
+        access.addInput('Late keyboard').noteOn(67);
+
+        assert.equal(notes.length, 1);
+    });
+
+    it('stops listening when disabled', async () => {
+        const keyboard = access.addInput();
+        await midi.setEnabled(true);
+        await midi.setEnabled(false);
+        keyboard.noteOn(60);
+
+        assert.deepEqual(notes, []);
+    });
+
+    it('reports failure when access is refused', async () => {
+        const refused = new MidiInput({ requestAccess: () => Promise.reject(new Error('SecurityError')) });
+
+        assert.equal(await refused.setEnabled(true), false);
+    });
+});
@@ -0,0 +1,83 @@
+import './helpers/dom.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createGameMode } from '../src/js/modes.js';
+import { rng } from '../src/js/random.js';
+
+/**
+ * Just enough of the game controller for the modes
+ * @returns {Object}
+ */
+function createFakeGame() {
+    const game = {
+        gameClock: 0,
+        feedback: [],
+        stats: { soundsPlayed: 0 },
+        canvas: { getBoundingClientRect: () => ({ width: 800, height: 600 }) },
+        createKeyFeedback: (keyInfo, options = {}) => {
+            game.feedback.push(options.label ?? keyInfo.character);
+            return null;
+        },
+        createGentleFeedback: () => {},
+        shapeManager: { clear: () => {} },
+        particleSystem: { createClickEffect: () => {} },
+        soundManager: { playSuccessSound: () => {}, playCountingSound: () => {} },
+        voiceManager: { speakKey: () => {}, speakNumber: () => {} }
+    };
+    return game;
+}
+
+describe('game modes', () => {
+    let game;
+
+    beforeEach(() => {
+        rng.seed(1234);
+        game = createFakeGame();
+    });
+
+    describe('Letter Hunt', () => {
+        it('picks the next letter once the game clock has moved on', () => {
+            const mode = createGameMode('letterHunt', game);
+            mode.start();
+            const first = mode.targetLetter;
+
+            mode.handleKeyPress({ type: 'letter', character: first });
+            mode.update(1000);
+            assert.equal(mode.targetLetter, first);
+            assert.notEqual(mode.nextTargetAt, null);
+
+            mode.update(1200);
+            assert.notEqual(mode.targetLetter, first);
+            assert.equal(mode.nextTargetAt, null);
+        });
+    });
+
+    describe('Counting', () => {
+        it('shows the counted items one at a time by the game clock', () => {
+            const mode = createGameMode('counting', game);
+            mode.start();
+
+            mode.handleKeyPress({ type: 'number', character: '3' });
+            mode.update(0);
+            assert.deepEqual(game.feedback, ['1']);
+
+            mode.update(500);
+            assert.deepEqual(game.feedback, ['1', '2']);
+
+            mode.update(600);
+            assert.deepEqual(game.feedback, ['1', '2', '3']);
+        });
+
+        it('drops items still to come when the mode stops', () => {
+            const mode = createGameMode('counting', game);
+            mode.start();
+
+            mode.handleKeyPress({ type: 'number', character: '5' });
+            mode.stop();
+            mode.update(5000);
+
+            assert.deepEqual(game.feedback, []);
+        });
+    });
+});
@@ -0,0 +1,76 @@
+import './helpers/dom.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createKeyEvent } from './helpers/dom.js';
+import { ParentGate } from '../src/js/parentGate.js';
+
+describe('ParentGate', () => {
+    let gate;
+    let passed;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout'] });
+        gate = new ParentGate(null);
+        passed = 0;
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    describe('hold check', () => {
+        beforeEach(() => {
+            gate.configure({ method: 'hold' });
+        });
+
+        it('does not pass for a key held down', () => {
+            gate.request(() => passed++);
+            gate.handleKeyDown(createKeyEvent({ code: 'Enter', key: 'Enter' }));
+            mock.timers.tick(5000);
+
+            assert.equal(passed, 0);
+            assert.equal(gate.isOpen, true);
+        });
+
+        it('passes when the corner of the game is held for 3 seconds', () => {
+            gate.startCornerHold(() => gate.request(() => passed++));
+            assert.equal(gate.isOpen, true);
+
+            mock.timers.tick(3000);
+            gate.stopCornerHold();
+
+            assert.equal(passed, 1);
+            assert.equal(gate.isOpen, false);
+        });
+
+        it('closes again when the corner is let go too soon', () => {
+            let cancelled = 0;
+            gate.startCornerHold(() => gate.request(() => passed++, () => cancelled++));
+            mock.timers.tick(1000);
+            gate.stopCornerHold();
+            mock.timers.tick(5000);
+
+            assert.equal(passed, 0);
+            assert.equal(cancelled, 1);
+            assert.equal(gate.isOpen, false);
+        });
+    });
+
+    describe('other checks from the corner', () => {
+        it('only ask once the corner has been held as long', () => {
+            gate.configure({ method: 'math' });
+            let asked = 0;
+
+            gate.startCornerHold(() => asked++);
+            mock.timers.tick(1000);
+            gate.stopCornerHold();
+            mock.timers.tick(5000);
+            assert.equal(asked, 0);
+
+            gate.startCornerHold(() => asked++);
+            mock.timers.tick(3000);
+            assert.equal(asked, 1);
+        });
+    });
+});
@@ -0,0 +1,134 @@
+import './helpers/dom.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MockCanvas } from './helpers/canvas.js';
+import { ParticleSystem } from '../src/js/particles.js';
+import { CONFIG } from '../src/js/utils.js';
+import { rng } from '../src/js/random.js';
+
+describe('ParticleSystem', () => {
+    const defaultMaxParticles = CONFIG.particles.maxActiveParticles;
+    let canvas;
+    let system;
+
+    beforeEach(() => {
+        rng.seed(1234);
+        canvas = new MockCanvas(800, 600);
+        system = new ParticleSystem(canvas);
+        system.setEmitRate(Infinity); // No background emission unless a test wants it
+    });
+
+    afterEach(() => {
+        system.destroy();
+        CONFIG.particles.maxActiveParticles = defaultMaxParticles;
+    });
+
+    describe('lifetimes', () => {
+        it('gives normal particles one to four seconds', () => {
+            for (let i = 0; i < 50; i++) {
+                const particle = system.createParticle(400, 300);
+                assert.ok(particle.maxLife >= 1000 && particle.maxLife <= 4000, String(particle.maxLife));
+                assert.equal(particle.life, particle.maxLife);
+            }
+        });
+
+        it('gives click particles two to six seconds', () => {
+            for (let i = 0; i < 50; i++) {
+                const particle = system.createParticle(400, 300, { isClickParticle: true });
+                assert.ok(particle.maxLife >= 2000 && particle.maxLife <= 6000, String(particle.maxLife));
+            }
+        });
+
+        it('grows in, holds, then shrinks and fades out', () => {
+            const particle = system.createParticle(400, 300);
+            particle.gravity = 0;
+            particle.vx = 0;
+            particle.vy = 0;
+            const step = particle.maxLife / 20;
+
+            particle.update(step); // 5% through
+            assert.ok(particle.size > 0 && particle.size < particle.maxSize);
+
+            particle.update(step * 9); // 50% through
+            assert.equal(particle.size, particle.maxSize);
+            assert.ok(Math.abs(particle.alpha - 0.5) < 1e-9);
+
+            particle.update(step * 8); // 90% through
+            assert.ok(particle.size < particle.maxSize);
+        });
+
+        it('dies when its life runs out', () => {
+            const particle = system.createParticle(400, 300);
+            assert.equal(particle.update(particle.maxLife / 2), true);
+            assert.equal(particle.update(particle.maxLife), false);
+            assert.equal(particle.isActive, false);
+        });
+
+        it('returns dead particles to the pool', () => {
+            const particle = system.createParticle(400, 300);
+            const pooled = system.particlePool.pool.length;
+
+            system.update(particle.maxLife + 1);
+
+            assert.equal(system.getActiveParticleCount(), 0);
+            assert.equal(system.particlePool.pool.length, pooled + 1);
+        });
+
+        it('retires particles that drift off screen', () => {
+            const particle = system.createParticle(400, 300);
+            particle.x = system.width + 500;
+
+            system.update(1);
+            assert.equal(system.getActiveParticleCount(), 0);
+        });
+    });
+
+    it('recycles the oldest particle at the cap', () => {
+        CONFIG.particles.maxActiveParticles = 3;
+        const [oldest, second, third] = [10, 20, 30].map(x => system.createParticle(x, 10));
+        const newest = system.createParticle(40, 10);
+
+        assert.equal(system.getActiveParticleCount(), 3);
+        assert.deepEqual(system.particles, [second, third, newest]);
+        assert.equal(newest, oldest, 'the oldest went back to the pool and came straight out again');
+        assert.equal(newest.x, 40);
+    });
+
+    describe('pointers', () => {
+        const pointerEvent = (type, props) => Object.assign(new Event(type), { clientX: 5, clientY: 5, isPrimary: true, button: 0, ...props });
+
+        it('frees the mouse slot when the mouse leaves the canvas', () => {
+            canvas.dispatchEvent(pointerEvent('pointermove', { pointerId: 1, pointerType: 'mouse' }));
+            assert.equal(system.getPointerCount(), 1);
+
+            canvas.dispatchEvent(pointerEvent('pointerleave', { pointerId: 1, pointerType: 'mouse' }));
+            assert.equal(system.getPointerCount(), 0);
+        });
+
+        it('keeps the mouse trailing after a click, but not a lifted finger', () => {
+            canvas.dispatchEvent(pointerEvent('pointerdown', { pointerId: 1, pointerType: 'mouse' }));
+            canvas.dispatchEvent(pointerEvent('pointerup', { pointerId: 1, pointerType: 'mouse' }));
+            canvas.dispatchEvent(pointerEvent('pointerdown', { pointerId: 2, pointerType: 'touch' }));
+            canvas.dispatchEvent(pointerEvent('pointerup', { pointerId: 2, pointerType: 'touch' }));
+
+            assert.equal(system.getPointerCount(), 1);
+        });
+
+        it('leaves room for fingers after a mouse has come and gone', () => {
+            canvas.dispatchEvent(pointerEvent('pointermove', { pointerId: 1, pointerType: 'mouse' }));
+            canvas.dispatchEvent(pointerEvent('pointerleave', { pointerId: 1, pointerType: 'mouse' }));
+            const fingers = Array.from({ length: CONFIG.particles.maxPointers }, (_, i) => i + 2);
+            fingers.forEach(id => canvas.dispatchEvent(pointerEvent('pointerdown', { pointerId: id, pointerType: 'touch' })));
+
+            assert.deepEqual([...system.pointers.keys()], fingers);
+        });
+    });
+
+    it('removes its pointer listeners on destroy', () => {
+        system.destroy();
+        canvas.dispatchEvent(Object.assign(new Event('pointerdown'), { pointerId: 1, clientX: 5, clientY: 5 }));
+
+        assert.equal(system.getActiveParticleCount(), 0);
+    });
+});
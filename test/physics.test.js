@@ -0,0 +1,192 @@
+import './helpers/dom.js';
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PhysicsWorld, SpatialGrid } from '../src/js/physics.js';
+
+const STEP = 1000 / 120;
+
+/**
+ * A physics body, as ShapeManager makes them
+ * @param {Object} props
+ * @returns {Object}
+ */
+function createBody(props = {}) {
+    return { x: 100, y: 100, vx: 0, vy: 0, size: 40, isHeld: false, ...props };
+}
+
+/**
+ * Pairs as sorted strings, so order doesn't matter
+ * @param {SpatialGrid} grid
+ * @returns {string[]}
+ */
+function getPairs(grid) {
+    return grid.getCandidatePairs().map(pair => [...pair].sort().join('-')).sort();
+}
+
+describe('SpatialGrid', () => {
+    let grid;
+
+    beforeEach(() => {
+        grid = new SpatialGrid(100);
+    });
+
+    it('pairs bodies in the same cell', () => {
+        grid.insert(0, 10, 10);
+        grid.insert(1, 90, 90);
+
+        assert.deepEqual(getPairs(grid), ['0-1']);
+    });
+
+    it('pairs bodies in every neighbouring cell, each pair once', () => {
+        grid.insert(0, 150, 150); // Middle cell
+        [[50, 50], [150, 50], [250, 50], [50, 150], [250, 150], [50, 250], [150, 250], [250, 250]]
+            .forEach(([x, y], i) => grid.insert(i + 1, x, y));
+
+        const pairs = getPairs(grid);
+        for (let i = 1; i <= 8; i++) {
+            assert.equal(pairs.filter(pair => pair === `0-${i}`).length, 1, `0-${i}`);
+        }
+        assert.equal(new Set(pairs).size, pairs.length);
+    });
+
+    it('leaves out bodies two cells apart', () => {
+        grid.insert(0, 50, 50);
+        grid.insert(1, 250, 50);
+        grid.insert(2, 50, 250);
+
+        assert.deepEqual(getPairs(grid), []);
+    });
+
+    it('starts empty again after clear, with the new cell size', () => {
+        grid.insert(0, 10, 10);
+        grid.insert(1, 20, 20);
+        grid.clear(10);
+        grid.insert(0, 5, 5);
+        grid.insert(1, 50, 50);
+
+        assert.equal(grid.cellSize, 10);
+        assert.deepEqual(getPairs(grid), []);
+    });
+});
+
+describe('PhysicsWorld', () => {
+    let world;
+
+    beforeEach(() => {
+        world = new PhysicsWorld();
+    });
+
+    describe('fixed steps', () => {
+        it('takes one step per 1/120 s and carries the rest over', () => {
+            const bodies = [createBody()];
+
+            assert.equal(world.update(bodies, STEP * 3 + 1, 800, 600), 3);
+            assert.equal(world.update(bodies, STEP / 2, 800, 600), 0);
+            assert.equal(world.update(bodies, STEP / 2, 800, 600), 1);
+            assert.equal(world.stepCount, 4);
+        });
+
+        it('gives the same result at any frame rate', () => {
+            const slow = [createBody({ vx: 200 })];
+            const fast = [createBody({ vx: 200 })];
+            const fastWorld = new PhysicsWorld();
+
+            for (let frame = 0; frame < 30; frame++) {
+                world.update(slow, 1000 / 30, 800, 600);
+            }
+            for (let frame = 0; frame < 144; frame++) {
+                fastWorld.update(fast, 1000 / 144, 800, 600);
+            }
+
+            assert.equal(world.stepCount, fastWorld.stepCount);
+            assert.deepEqual(slow, fast);
+        });
+
+        it('does not spiral after a long pause', () => {
+            assert.equal(world.update([createBody()], 5000, 800, 600), 12);
+            assert.equal(world.update([createBody()], 0, 800, 600), 0);
+        });
+
+        it('starts over on reset', () => {
+            world.update([createBody()], STEP * 1.5, 800, 600);
+            world.reset();
+
+            assert.equal(world.stepCount, 0);
+            assert.equal(world.update([createBody()], STEP / 2, 800, 600), 0);
+        });
+    });
+
+    describe('gravity and walls', () => {
+        it('drops a shape onto the floor, where it comes to rest', () => {
+            const body = createBody({ y: 50 });
+            for (let frame = 0; frame < 240; frame++) {
+                world.update([body], 1000 / 60, 800, 600);
+            }
+
+            assert.equal(body.y, 600 - world.getRadius(body));
+            assert.equal(body.vy, 0);
+        });
+
+        it('bounces off the side walls, losing speed', () => {
+            const body = createBody({ x: 20, vx: -500 });
+            world.update([body], STEP, 800, 600);
+
+            assert.equal(body.x, world.getRadius(body));
+            assert.ok(body.vx > 0 && body.vx < 500);
+        });
+
+        it('leaves held shapes where the finger put them', () => {
+            const body = createBody({ isHeld: true });
+            world.update([body], 1000, 800, 600);
+
+            assert.deepEqual([body.x, body.y], [100, 100]);
+        });
+    });
+
+    describe('collisions', () => {
+        it('pushes overlapping shapes apart', () => {
+            const a = createBody({ x: 400, y: 300 });
+            const b = createBody({ x: 410, y: 300 });
+            world.step([a, b], 800, 600);
+
+            assert.ok(b.x - a.x >= world.getRadius(a) + world.getRadius(b) - 1e-9);
+            assert.ok(a.x < 400 && b.x > 410, 'equal shapes move equally');
+        });
+
+        it('pushes apart shapes exactly on top of each other', () => {
+            const a = createBody({ x: 400, y: 300 });
+            const b = createBody({ x: 400, y: 300 });
+            world.step([a, b], 800, 600);
+
+            assert.notEqual(a.x, b.x);
+        });
+
+        it('moves the smaller shape further', () => {
+            const big = createBody({ x: 400, y: 300, size: 80 });
+            const small = createBody({ x: 420, y: 300, size: 20 });
+            world.step([big, small], 800, 600);
+
+            assert.ok(small.x - 420 > 400 - big.x);
+        });
+
+        it('lets a held shape push others without moving', () => {
+            const held = createBody({ x: 400, y: 300, isHeld: true });
+            const other = createBody({ x: 410, y: 300 });
+            world.step([held, other], 800, 600);
+
+            assert.deepEqual([held.x, held.y], [400, 300]);
+            const distance = Math.hypot(other.x - held.x, other.y - held.y);
+            assert.ok(distance >= world.getRadius(held) + world.getRadius(other) - 1e-9);
+        });
+
+        it('leaves shapes that are apart alone', () => {
+            const a = createBody({ x: 100, y: 300 });
+            const b = createBody({ x: 500, y: 300 });
+            world.step([a, b], 800, 600);
+
+            assert.equal(a.x, 100);
+            assert.equal(b.x, 500);
+        });
+    });
+});
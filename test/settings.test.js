@@ -0,0 +1,95 @@
+import './helpers/dom.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SettingsStore, SETTINGS_VERSION, createMemoryStorage } from '../src/js/settings.js';
+import { CONFIG } from '../src/js/utils.js';
+
+const STORAGE_KEY = 'babyKeyboardGame.settings';
+
+describe('SettingsStore', () => {
+    const defaultAudio = { ...CONFIG.audio };
+    const defaultParticles = { ...CONFIG.particles };
+    let storage;
+
+    beforeEach(() => {
+        storage = createMemoryStorage();
+    });
+
+    afterEach(() => {
+        Object.assign(CONFIG.audio, defaultAudio);
+        Object.assign(CONFIG.particles, defaultParticles);
+    });
+
+    describe('storage', () => {
+        it('saves and loads settings', () => {
+            new SettingsStore(storage).update('voice', { language: 'fr' });
+
+            const store = new SettingsStore(storage);
+            assert.equal(store.load().voice.language, 'fr');
+            assert.equal(store.hasStoredSettings, true);
+            assert.equal(store.get('voice').enabled, true, 'missing values come from the defaults');
+        });
+
+        it('uses the defaults for unknown or unreadable stored settings', () => {
+            storage.setItem(STORAGE_KEY, JSON.stringify({ highContrast: true }));
+            assert.equal(new SettingsStore(storage).load().accessibility.highContrast, false);
+
+            storage.setItem(STORAGE_KEY, '{not json');
+            assert.equal(new SettingsStore(storage).load().version, SETTINGS_VERSION);
+        });
+
+        it('falls back to memory when localStorage is blocked', () => {
+            const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'localStorage');
+            Object.defineProperty(globalThis, 'localStorage', {
+                configurable: true,
+                get() {
+                    throw new Error('SecurityError: The operation is insecure.');
+                }
+            });
+
+            try {
+                const store = new SettingsStore();
+                store.update('sound', { volume: 0.4 });
+                assert.equal(store.load().sound.volume, 0.4);
+            } finally {
+                if (descriptor) {
+                    Object.defineProperty(globalThis, 'localStorage', descriptor);
+                } else {
+                    delete globalThis.localStorage;
+                }
+            }
+        });
+    });
+
+    describe('config overrides', () => {
+        it('keeps at least one sound voice', () => {
+            const store = new SettingsStore(storage);
+            assert.equal(store.setConfigOverride('audio', 'maxConcurrentSounds', 0), true);
+
+            assert.equal(CONFIG.audio.maxConcurrentSounds, 1);
+            assert.equal(store.get('config').audio.maxConcurrentSounds, 1);
+        });
+
+        it('clamps stored overrides when applying them', () => {
+            storage.setItem(STORAGE_KEY, JSON.stringify({
+                version: 1,
+                config: { audio: { maxConcurrentSounds: -3 }, particles: { maxActiveParticles: 0 } }
+            }));
+            const store = new SettingsStore(storage);
+            store.load();
+            store.applyConfigOverrides();
+
+            assert.equal(CONFIG.audio.maxConcurrentSounds, 1);
+            assert.equal(CONFIG.particles.maxActiveParticles, 1);
+        });
+
+        it('rejects overrides of the wrong type or outside the allowed sections', () => {
+            const store = new SettingsStore(storage);
+
+            assert.equal(store.setConfigOverride('audio', 'maxConcurrentSounds', '8'), false);
+            assert.equal(store.setConfigOverride('settings', 'anything', 1), false);
+            assert.equal(CONFIG.audio.maxConcurrentSounds, defaultAudio.maxConcurrentSounds);
+        });
+    });
+});
@@ -0,0 +1,55 @@
+import './helpers/dom.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MockCanvas } from './helpers/canvas.js';
+import { ShapeInteraction } from '../src/js/shapeInteraction.js';
+
+describe('ShapeInteraction', () => {
+    const pointerEvent = (type, props) => Object.assign(new Event(type), { pointerId: 1, clientX: 100, clientY: 100, ...props });
+    let canvas;
+    let shape;
+    let clock;
+    let interaction;
+    let popped;
+
+    beforeEach(() => {
+        canvas = new MockCanvas(800, 600);
+        shape = { x: 100, y: 100, vx: 0, vy: 0, isHeld: false };
+        clock = 0;
+        interaction = new ShapeInteraction(canvas, { getShapeAt: () => shape }, { now: () => clock });
+        popped = [];
+        interaction.setOnPop(tapped => popped.push(tapped));
+    });
+
+    afterEach(() => {
+        interaction.destroy();
+    });
+
+    it('pops a shape tapped quickly on the game clock', () => {
+        canvas.dispatchEvent(pointerEvent('pointerdown'));
+        clock += 100;
+        canvas.dispatchEvent(pointerEvent('pointerup'));
+
+        assert.deepEqual(popped, [shape]);
+    });
+
+    it('does not count a long press as a tap', () => {
+        canvas.dispatchEvent(pointerEvent('pointerdown'));
+        clock += 1000;
+        canvas.dispatchEvent(pointerEvent('pointerup'));
+
+        assert.deepEqual(popped, []);
+        assert.equal(shape.isHeld, false);
+    });
+
+    it('flings at the speed the finger moved by the game clock', () => {
+        canvas.dispatchEvent(pointerEvent('pointerdown'));
+        clock += 50;
+        canvas.dispatchEvent(pointerEvent('pointermove', { clientX: 150 }));
+        canvas.dispatchEvent(pointerEvent('pointerup', { clientX: 150 }));
+
+        assert.equal(shape.vx, 1000); // 50 px in 50 ms
+        assert.equal(shape.vy, 0);
+    });
+});
@@ -0,0 +1,120 @@
+import './helpers/dom.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MockCanvas } from './helpers/canvas.js';
+import { ShapeManager } from '../src/js/shapes.js';
+import { CONFIG } from '../src/js/utils.js';
+import { rng } from '../src/js/random.js';
+
+const letterKey = { type: 'letter', code: 'KeyB', key: 'b', character: 'b', effect: 'normal' };
+
+describe('ShapeManager', () => {
+    const defaultMaxShapes = CONFIG.shapes.maxActiveShapes;
+    let canvas;
+    let manager;
+
+    beforeEach(() => {
+        rng.seed(1234);
+        canvas = new MockCanvas(800, 600);
+        manager = new ShapeManager(canvas);
+    });
+
+    afterEach(() => {
+        CONFIG.shapes.maxActiveShapes = defaultMaxShapes;
+    });
+
+    describe('pooling', () => {
+        it('takes new shapes from the pool', () => {
+            const pooled = manager.shapePool.pool.length;
+            const shape = manager.createShape(letterKey);
+
+            assert.equal(manager.shapePool.pool.length, pooled - 1);
+            assert.equal(shape.isActive, true);
+            assert.equal(manager.getActiveShapeCount(), 1);
+        });
+
+        it('keeps creating shapes once the pool is empty', () => {
+            const pooled = manager.shapePool.pool.length;
+            for (let i = 0; i < pooled + 5; i++) {
+                manager.createShape(letterKey);
+            }
+
+            assert.equal(manager.shapePool.pool.length, 0);
+            assert.equal(manager.getActiveShapeCount(), pooled + 5);
+        });
+
+        it('returns cleared shapes to the pool, reset', () => {
+            const pooled = manager.shapePool.pool.length;
+            const shape = manager.createShape(letterKey);
+            manager.createShape(letterKey);
+            manager.clear();
+
+            assert.equal(manager.getActiveShapeCount(), 0);
+            assert.equal(manager.shapePool.pool.length, pooled);
+            assert.equal(shape.isActive, false);
+        });
+
+        it('reuses a removed shape for the next key', () => {
+            const shape = manager.createShape(letterKey);
+            assert.equal(manager.removeShape(shape), true);
+            assert.equal(manager.removeShape(shape), false, 'already gone');
+
+            assert.equal(manager.createShape(letterKey), shape);
+        });
+
+        it('returns shapes to the pool when they expire', () => {
+            const shape = manager.createShape(letterKey);
+            shape.createdAt = performance.now() - shape.lifespan - 1;
+            manager.update(16);
+
+            assert.equal(manager.getActiveShapeCount(), 0);
+            assert.ok(manager.shapePool.pool.includes(shape));
+        });
+    });
+
+    describe('maxActiveShapes', () => {
+        it('never keeps more than the cap', () => {
+            CONFIG.shapes.maxActiveShapes = 5;
+            for (let i = 0; i < 12; i++) {
+                manager.createShape(letterKey);
+            }
+
+            assert.equal(manager.getActiveShapeCount(), 5);
+        });
+
+        it('drops the oldest shape first and recycles it', () => {
+            CONFIG.shapes.maxActiveShapes = 3;
+            const shapes = [];
+            for (let i = 0; i < 4; i++) {
+                shapes.push(manager.createShape(letterKey));
+            }
+
+            assert.equal(manager.shapes.includes(shapes[0]), false);
+            assert.deepEqual(manager.shapes, shapes.slice(1));
+            assert.ok(manager.shapePool.pool.includes(shapes[0]));
+        });
+
+        it('leaves the pool steady once the cap is reached', () => {
+            CONFIG.shapes.maxActiveShapes = 4;
+            for (let i = 0; i < 4; i++) {
+                manager.createShape(letterKey);
+            }
+            const pooled = manager.shapePool.pool.length;
+
+            for (let i = 0; i < 20; i++) {
+                manager.createShape(letterKey);
+            }
+            assert.equal(manager.shapePool.pool.length, pooled);
+        });
+    });
+
+    it('draws onto the canvas context', () => {
+        manager.createShape(letterKey, { x: 100, y: 100 });
+        manager.shapes[0].createdAt -= 200; // Past the start of the grow-in
+        manager.update(16);
+        manager.render();
+
+        assert.ok(canvas.context.calls.length > 0);
+    });
+});
@@ -0,0 +1,172 @@
+import './helpers/dom.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FakeAudioContext } from './helpers/audio.js';
+import { SoundManager, SOUND_SYNTHS, MUSICAL_NOTES } from '../src/js/sounds.js';
+
+const INSTRUMENT_TYPES = ['note', 'bell', 'toy', 'sparkle', 'unknown'];
+
+/**
+ * Replace methods on an object with spies that log their name
+ * @param {Object} target
+ * @param {string[]} names
+ * @returns {string[]} Names in call order
+ */
+function spyOn(target, names) {
+    const calls = [];
+    names.forEach(name => {
+        target[name] = (...args) => {
+            calls.push([name, ...args]);
+        };
+    });
+    return calls;
+}
+
+describe('SoundManager', () => {
+    let context;
+    let sounds;
+
+    beforeEach(async () => {
+        context = new FakeAudioContext();
+        sounds = new SoundManager({ audioContext: context });
+        await sounds.ready;
+    });
+
+    afterEach(() => {
+        sounds.destroy();
+    });
+
+    it('uses the injected context and routes the master bus through the safety chain', () => {
+        assert.equal(sounds.audioContext, context);
+        assert.equal(sounds.useWebAudio, true);
+        assert.ok(sounds.masterGainNode.outputs.has(sounds.limiterNode));
+        assert.ok(sounds.limiterNode.outputs.has(sounds.clipperNode));
+        assert.ok(sounds.clipperNode.outputs.has(context.destination));
+    });
+
+    describe('synthesis routing', () => {
+        for (const [type, method] of Object.entries(SOUND_SYNTHS)) {
+            it(`plays ${type} with ${method}`, () => {
+                const calls = spyOn(sounds, [...new Set(Object.values(SOUND_SYNTHS)), 'createInstrumentSound']);
+                sounds.playWebAudioSound(type, 440, {});
+
+                assert.deepEqual(calls.map(([name]) => name), [method]);
+                assert.equal(calls[0][1], 440);
+            });
+        }
+
+        for (const type of INSTRUMENT_TYPES) {
+            it(`plays ${type} on an instrument`, () => {
+                const calls = spyOn(sounds, [...new Set(Object.values(SOUND_SYNTHS)), 'createInstrumentSound']);
+                sounds.playWebAudioSound(type, 440, {});
+
+                assert.deepEqual(calls.map(([name]) => name), ['createInstrumentSound']);
+            });
+        }
+
+        it('builds every sound out of nodes that end at the master bus', () => {
+            for (const type of [...Object.keys(SOUND_SYNTHS), ...INSTRUMENT_TYPES]) {
+                const before = context.nodes.length;
+                sounds.playWebAudioSound(type, 440, {});
+
+                const created = context.nodes.slice(before);
+                assert.ok(created.some(node => node.kind === 'oscillator' || node.kind === 'bufferSource'), type);
+                assert.ok(created.some(node => node.outputs.has(sounds.masterGainNode)), type);
+            }
+        });
+    });
+
+    describe('voice stealing', () => {
+        it('never has more voices than maxConcurrentSounds', () => {
+            sounds.maxConcurrentSounds = 3;
+            for (let i = 0; i < 20; i++) {
+                sounds.playWebAudioSound(i % 2 ? 'explosion' : 'note', 440, {});
+                assert.ok(sounds.activeSounds.size <= 3, `${sounds.activeSounds.size} voices`);
+            }
+            assert.equal(sounds.activeSounds.size, 3);
+        });
+
+        it('fades out the oldest voice first', () => {
+            sounds.maxConcurrentSounds = 2;
+            const stopped = [];
+            const first = sounds.startVoice(() => stopped.push('first'));
+            sounds.startVoice(() => stopped.push('second'));
+            sounds.startVoice(() => stopped.push('third'));
+
+            assert.deepEqual(stopped, ['first']);
+            assert.equal(sounds.activeSounds.has(first), false);
+        });
+    });
+
+    describe('playSound', () => {
+        it('prefers a sound pack clip', () => {
+            const clip = { name: 'pop' };
+            sounds.soundPack = { getTypeClip: type => (type === 'bubble' ? clip : null) };
+            const calls = spyOn(sounds, ['playClip', 'playWebAudioSound', 'playFallbackSound']);
+
+            sounds.playSound('bubble', 440);
+            sounds.playSound('boing', 440);
+
+            assert.deepEqual(calls.map(([name, arg]) => [name, arg]), [['playClip', clip], ['playWebAudioSound', 'boing']]);
+        });
+
+        it('falls back to HTML5 audio without Web Audio', () => {
+            sounds.useWebAudio = false;
+            const calls = spyOn(sounds, ['playClip', 'playWebAudioSound', 'playFallbackSound']);
+
+            sounds.playSound('chime', 440);
+            assert.deepEqual(calls.map(([name]) => name), ['playFallbackSound']);
+        });
+
+        it('stays quiet when muted', () => {
+            sounds.setEnabled(false);
+            const calls = spyOn(sounds, ['playClip', 'playWebAudioSound', 'playFallbackSound']);
+
+            sounds.playSound('chime', 440);
+            assert.deepEqual(calls, []);
+        });
+    });
+
+    describe('playKeySound', () => {
+        const route = keyInfo => {
+            const calls = spyOn(sounds, ['playSound']);
+            sounds.playKeySound({ effect: 'normal', ...keyInfo });
+            return calls[0];
+        };
+
+        it('picks a sound type for each kind of key', () => {
+            assert.equal(route({ type: 'letter', character: 'b' })[1], 'note');
+            assert.equal(route({ type: 'number', character: '3' })[1], 'chime');
+            assert.equal(route({ type: 'arrow' })[1], 'toy');
+            assert.deepEqual(route({ type: 'space' }).slice(1), ['explosion', MUSICAL_NOTES.C4]);
+            assert.deepEqual(route({ type: 'enter' }).slice(1), ['fireworks', MUSICAL_NOTES.C5]);
+        });
+
+        it('lets key effects override the sound', () => {
+            assert.equal(route({ type: 'letter', character: 'b', effect: 'rainbow' })[1], 'chime');
+            assert.equal(route({ type: 'letter', character: 'b', effect: 'sparkle' })[1], 'sparkle');
+        });
+
+        it('plays soft piano notes in lullaby mode', () => {
+            sounds.lullabyMode = true;
+            const [, type, , options] = route({ type: 'space' });
+
+            assert.equal(type, 'note');
+            assert.equal(options.instrument, 'softPiano');
+        });
+
+        it('plays MIDI keys at their exact pitch, as loud as they were hit', () => {
+            const [, type, frequency, options] = route({ type: 'note', source: 'midi', frequency: 277.18, velocity: 1, sustained: true });
+
+            assert.equal(type, 'note');
+            assert.equal(frequency, 277.18);
+            assert.deepEqual(options, { volume: 0.8, duration: 2.4 });
+        });
+
+        it('returns a note only for sounds that can be held', () => {
+            assert.equal(typeof sounds.playKeySound({ type: 'letter', character: 'b', effect: 'normal' }), 'number');
+            assert.equal(sounds.playKeySound({ type: 'space', effect: 'explosion' }), null);
+        });
+    });
+});
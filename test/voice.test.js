@@ -0,0 +1,97 @@
+import './helpers/dom.js';
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FakeAudioContext } from './helpers/audio.js';
+import { SoundManager } from '../src/js/sounds.js';
+import { VoiceManager, VOICE_LANGUAGES } from '../src/js/voice.js';
+
+const soundManager = { isAudioEnabled: () => true, getVolume: () => 1 };
+
+describe('VoiceManager', () => {
+    describe('getPhraseForNumber', () => {
+        for (const language of Object.keys(VOICE_LANGUAGES)) {
+            it(`names every number on the number pad in ${language}`, () => {
+                const voice = new VoiceManager(soundManager, { language });
+                for (let number = 0; number <= 10; number++) {
+                    assert.ok(voice.getPhraseForNumber(number), `${language} ${number}`);
+                }
+            });
+        }
+
+        it('says the 10 key of the on-screen number pad', () => {
+            const voice = new VoiceManager(soundManager, { language: 'fr' });
+
+            assert.deepEqual(voice.getPhraseForKey({ type: 'number', character: '10' }), { text: 'Dix!', clips: ['number-10'] });
+            assert.equal(voice.getPhraseForNumber(11), null);
+        });
+    });
+
+    describe('recorded clips', () => {
+        const clipFiles = { 'letter-b': 'letter-b.wav', 'word-b': 'word-b.wav', 'number-3': 'number-3.wav' };
+        const originalFetch = globalThis.fetch;
+        let requested;
+        let context;
+        let sounds;
+        let voice;
+
+        beforeEach(async () => {
+            requested = [];
+            globalThis.fetch = async (url) => {
+                requested.push(url);
+                return url.endsWith('manifest.json')
+                    ? { ok: true, json: async () => ({ clips: clipFiles }) }
+                    : { ok: true, arrayBuffer: async () => new ArrayBuffer(8) };
+            };
+
+            context = new FakeAudioContext();
+            sounds = new SoundManager({ audioContext: context });
+            await sounds.ready;
+            voice = new VoiceManager(sounds, { language: 'de', volume: 0.5 });
+            await voice.ready;
+        });
+
+        afterEach(() => {
+            voice.destroy();
+            sounds.destroy();
+            globalThis.fetch = originalFetch;
+        });
+
+        it('loads the pack for its language when there is no speech synthesis', () => {
+            assert.equal(voice.isSupported(), true);
+            assert.ok(requested.includes('/voice/de/manifest.json'));
+            assert.deepEqual([...voice.clipBuffers.keys()].sort(), Object.keys(clipFiles).sort());
+        });
+
+        it('plays the clips of a phrase one after another at the voice volume', () => {
+            voice.speakKey({ type: 'letter', character: 'b' });
+
+            const [letter, word] = context.nodesOfKind('bufferSource');
+            assert.equal(letter.startTime, 0);
+            assert.ok(word.startTime > letter.buffer.duration);
+
+            const gain = [...letter.outputs][0];
+            assert.equal(gain.gain.value, 0.5);
+            assert.ok(gain.outputs.has(sounds.masterGainNode));
+        });
+
+        it('keeps only the latest phrase waiting while one is playing', () => {
+            voice.speakNumber(3);
+            voice.speakKey({ type: 'letter', character: 'b' });
+            voice.speakNumber(3);
+            assert.equal(context.nodesOfKind('bufferSource').length, 1);
+
+            context.nodesOfKind('bufferSource')[0].onended();
+            assert.equal(context.nodesOfKind('bufferSource').length, 2);
+            assert.deepEqual(voice.queue, []);
+        });
+
+        it('skips phrases the pack has no clips for', () => {
+            voice.speakNumber(7);
+            voice.speakText('Red!');
+
+            assert.equal(context.nodesOfKind('bufferSource').length, 0);
+            assert.equal(voice.isSpeaking, false);
+        });
+    });
+});